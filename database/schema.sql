@@ -5,9 +5,11 @@ CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
-    role ENUM('admin', 'manager') DEFAULT 'manager',
+    role ENUM('admin', 'manager', 'employee') DEFAULT 'manager',
     approval_status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
     profile_image_url VARCHAR(500),
+    token_version INT NOT NULL DEFAULT 0,
+    must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_email (email),
@@ -30,15 +32,58 @@ CREATE TABLE personnel (
     INDEX idx_experience_level (experience_level)
 );
 
+CREATE TABLE skill_categories (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    display_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_display_order (display_order)
+);
+
+-- Starting set, managed through /api/skill-categories afterwards
+INSERT INTO skill_categories (name, description, display_order) VALUES
+('Programming Language', 'General-purpose and query languages', 1),
+('Framework', 'Libraries and frameworks built on a language', 2),
+('Tool', 'Platforms, databases and developer tooling', 3),
+('Soft Skill', 'Interpersonal and delivery skills', 4),
+('Other', 'Anything that does not fit another category', 5);
+
 CREATE TABLE skills (
     id INT PRIMARY KEY AUTO_INCREMENT,
     skill_name VARCHAR(255) UNIQUE NOT NULL,
-    category ENUM('Programming Language', 'Framework', 'Tool', 'Soft Skill', 'Other') NOT NULL,
+    category VARCHAR(100) NOT NULL,
     description TEXT,
+    parent_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Renaming a category carries over to its skills
+    FOREIGN KEY (category) REFERENCES skill_categories(name) ON UPDATE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES skills(id) ON DELETE SET NULL,
     INDEX idx_category (category),
-    INDEX idx_skill_name (skill_name)
+    INDEX idx_skill_name (skill_name),
+    INDEX idx_parent_id (parent_id)
+);
+
+CREATE TABLE skill_aliases (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    skill_id INT NOT NULL,
+    alias VARCHAR(255) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    INDEX idx_skill_id (skill_id)
+);
+
+-- Related links are symmetric and stored once, lower skill id first
+CREATE TABLE related_skills (
+    skill_id INT NOT NULL,
+    related_skill_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (skill_id, related_skill_id),
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    FOREIGN KEY (related_skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    INDEX idx_related_skill_id (related_skill_id)
 );
 
 CREATE TABLE personnel_skills (
@@ -47,10 +92,13 @@ CREATE TABLE personnel_skills (
     skill_id INT NOT NULL,
     proficiency_level ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
     years_of_experience DECIMAL(3,1) DEFAULT 0,
+    verified_by INT,
+    verified_at DATETIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
     FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    FOREIGN KEY (verified_by) REFERENCES users(id) ON DELETE SET NULL,
     UNIQUE KEY unique_personnel_skill (personnel_id, skill_id),
     INDEX idx_personnel_id (personnel_id),
     INDEX idx_skill_id (skill_id),
@@ -75,6 +123,7 @@ CREATE TABLE project_required_skills (
     project_id INT NOT NULL,
     skill_id INT NOT NULL,
     minimum_proficiency ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
+    importance_weight INT DEFAULT 3 CHECK (importance_weight BETWEEN 1 AND 5),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
     FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
@@ -82,6 +131,84 @@ CREATE TABLE project_required_skills (
     INDEX idx_project_id (project_id)
 );
 
+CREATE TABLE project_status_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    project_id INT NOT NULL,
+    from_status ENUM('Planning', 'Active', 'Completed', 'On Hold') NULL,
+    to_status ENUM('Planning', 'Active', 'Completed', 'On Hold') NOT NULL,
+    reason TEXT NOT NULL,
+    affected_allocations INT NOT NULL DEFAULT 0,
+    changed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_project_created (project_id, created_at)
+);
+
+CREATE TABLE project_phases (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    project_id INT NOT NULL,
+    phase_name VARCHAR(255) NOT NULL,
+    phase_type ENUM('phase', 'milestone') NOT NULL DEFAULT 'phase',
+    description TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    INDEX idx_project_dates (project_id, start_date, end_date)
+);
+
+CREATE TABLE project_phase_required_skills (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    phase_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    minimum_proficiency ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
+    importance_weight INT DEFAULT 3 CHECK (importance_weight BETWEEN 1 AND 5),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phase_id) REFERENCES project_phases(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_phase_skill (phase_id, skill_id),
+    INDEX idx_phase_id (phase_id)
+);
+
+CREATE TABLE project_templates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_name VARCHAR(255) UNIQUE NOT NULL,
+    description TEXT,
+    duration_days INT NOT NULL CHECK (duration_days >= 2),
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE project_template_required_skills (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    minimum_proficiency ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
+    importance_weight INT DEFAULT 3 CHECK (importance_weight BETWEEN 1 AND 5),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES project_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_template_skill (template_id, skill_id),
+    INDEX idx_template_id (template_id)
+);
+
+CREATE TABLE project_template_role_slots (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    role_name VARCHAR(255) NOT NULL,
+    allocation_percentage INT NOT NULL DEFAULT 100 CHECK (allocation_percentage BETWEEN 1 AND 100),
+    start_offset_days INT NOT NULL DEFAULT 0,
+    duration_days INT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES project_templates(id) ON DELETE CASCADE,
+    INDEX idx_template_id (template_id)
+);
+
 CREATE TABLE personnel_availability (
     id INT PRIMARY KEY AUTO_INCREMENT,
     personnel_id INT NOT NULL,
@@ -104,12 +231,221 @@ CREATE TABLE project_allocations (
     start_date DATE NOT NULL,
     end_date DATE NOT NULL,
     role_in_project VARCHAR(255),
+    phase_id INT NULL,
+    allocation_status ENUM('proposed', 'tentative', 'confirmed', 'released') NOT NULL DEFAULT 'confirmed',
+    paused_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
     FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
+    FOREIGN KEY (phase_id) REFERENCES project_phases(id) ON DELETE SET NULL,
     INDEX idx_project_id (project_id),
+    INDEX idx_phase_id (phase_id),
     INDEX idx_personnel_id (personnel_id),
+    INDEX idx_allocation_status (allocation_status),
     INDEX idx_dates (start_date, end_date)
 );
 
+CREATE TABLE project_role_slots (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    project_id INT NOT NULL,
+    role_name VARCHAR(255) NOT NULL,
+    experience_level ENUM('Junior', 'Mid-Level', 'Senior') NULL,
+    allocation_percentage INT NOT NULL DEFAULT 100 CHECK (allocation_percentage BETWEEN 1 AND 100),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    slot_status ENUM('open', 'candidates_proposed', 'filled') NOT NULL DEFAULT 'open',
+    allocation_id INT NULL,
+    notes TEXT,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (allocation_id) REFERENCES project_allocations(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_project_id (project_id),
+    INDEX idx_slot_status_dates (slot_status, start_date)
+);
+
+CREATE TABLE project_role_slot_required_skills (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    slot_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    minimum_proficiency ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
+    importance_weight INT DEFAULT 3 CHECK (importance_weight BETWEEN 1 AND 5),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (slot_id) REFERENCES project_role_slots(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_slot_skill (slot_id, skill_id),
+    INDEX idx_slot_id (slot_id)
+);
+
+CREATE TABLE project_role_slot_candidates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    slot_id INT NOT NULL,
+    personnel_id INT NOT NULL,
+    notes TEXT,
+    proposed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (slot_id) REFERENCES project_role_slots(id) ON DELETE CASCADE,
+    FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
+    FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_slot_candidate (slot_id, personnel_id),
+    INDEX idx_slot_id (slot_id)
+);
+
+CREATE TABLE allocation_alerts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    alert_type ENUM('over_allocation', 'unavailable', 'outside_project_dates') NOT NULL,
+    alert_status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+    conflict_key VARCHAR(100) NOT NULL,
+    personnel_id INT NOT NULL,
+    project_id INT NULL,
+    allocation_id INT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    details JSON,
+    last_detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by INT NULL,
+    acknowledged_at DATETIME,
+    resolved_by INT NULL,
+    resolved_at DATETIME,
+    resolution_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+    FOREIGN KEY (allocation_id) REFERENCES project_allocations(id) ON DELETE SET NULL,
+    FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_personnel_status (personnel_id, alert_status),
+    INDEX idx_status_type (alert_status, alert_type),
+    INDEX idx_project_id (project_id)
+);
+
+CREATE TABLE notifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    entity VARCHAR(50),
+    entity_id INT,
+    data JSON,
+    actor_user_id INT NULL,
+    read_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_read (user_id, read_at),
+    INDEX idx_user_created_at (user_id, created_at)
+);
+
+CREATE TABLE notification_preferences (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    in_app BOOLEAN NOT NULL DEFAULT TRUE,
+    email BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_event (user_id, event_type)
+);
+
+CREATE TABLE audit_logs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    actor_user_id INT,
+    entity VARCHAR(50) NOT NULL,
+    entity_id INT,
+    action ENUM('create', 'update', 'delete') NOT NULL,
+    before_data JSON,
+    after_data JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_entity (entity, entity_id),
+    INDEX idx_actor_user_id (actor_user_id),
+    INDEX idx_created_at (created_at)
+);
+
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id)
+);
+
+CREATE TABLE password_reset_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
+CREATE TABLE skill_claims (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    personnel_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    proficiency_level ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert') NOT NULL,
+    years_of_experience DECIMAL(3,1),
+    status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+    proposed_by INT,
+    reviewed_by INT,
+    reviewed_at DATETIME,
+    review_comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_personnel_id (personnel_id),
+    INDEX idx_status (status)
+);
+
+CREATE TABLE personnel_skill_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    personnel_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    change_type ENUM('added', 'updated', 'removed') NOT NULL,
+    previous_proficiency_level ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert'),
+    proficiency_level ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert'),
+    previous_years_of_experience DECIMAL(3,1),
+    years_of_experience DECIMAL(3,1),
+    skill_claim_id INT,
+    changed_by INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (personnel_id) REFERENCES personnel(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_claim_id) REFERENCES skill_claims(id) ON DELETE SET NULL,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_personnel_changed_at (personnel_id, changed_at),
+    INDEX idx_skill_id (skill_id),
+    INDEX idx_changed_at (changed_at)
+);
+
+CREATE TABLE calendar_feed_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    feed_type ENUM('personnel', 'project') NOT NULL,
+    resource_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    label VARCHAR(255),
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_feed (feed_type, resource_id)
+);
@@ -5,12 +5,21 @@ const cors = require('cors');
 const authRoutes = require('./routes/auth.routes');
 const personnelRoutes = require('./routes/personnel.routes');
 const skillRoutes = require('./routes/skill.routes');
+const skillCategoryRoutes = require('./routes/skillCategory.routes');
 const projectRoutes = require('./routes/project.routes');
+const projectTemplateRoutes = require('./routes/projectTemplate.routes');
+const staffingRequestRoutes = require('./routes/staffingRequest.routes');
 const matchingRoutes = require('./routes/matching.routes');
 const availabilityRoutes = require('./routes/availability.routes');
 const allocationRoutes = require('./routes/allocation.routes');
 const managerRoutes = require('./routes/manager.routes');
 const uploadRoutes = require('./routes/upload.routes');
+const reportRoutes = require('./routes/report.routes');
+const auditRoutes = require('./routes/audit.routes');
+const exportRoutes = require('./routes/export.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const alertRoutes = require('./routes/alert.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
@@ -48,12 +57,21 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/personnel', personnelRoutes);
 app.use('/api/skills', skillRoutes);
+app.use('/api/skill-categories', skillCategoryRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/project-templates', projectTemplateRoutes);
+app.use('/api/staffing-requests', staffingRequestRoutes);
 app.use('/api/matching', matchingRoutes);
 app.use('/api/availability', availabilityRoutes);
 app.use('/api/allocations', allocationRoutes);
 app.use('/api/managers', managerRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
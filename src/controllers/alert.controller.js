@@ -0,0 +1,297 @@
+const { pool } = require('../config/database');
+const { formatDate, parsePagination } = require('../utils/helpers');
+const {
+  ALERT_TYPES,
+  ALERT_STATUSES,
+  detectAllocationConflicts,
+} = require('../utils/allocationAlerts');
+
+const VALID_TYPES = Object.values(ALERT_TYPES);
+const VALID_STATUSES = Object.values(ALERT_STATUSES);
+
+const ALERT_SELECT = `SELECT
+    aa.*,
+    pe.name as personnel_name,
+    p.project_name,
+    au.email as acknowledged_by_email,
+    ru.email as resolved_by_email
+  FROM allocation_alerts aa
+  INNER JOIN personnel pe ON aa.personnel_id = pe.id
+  LEFT JOIN projects p ON aa.project_id = p.id
+  LEFT JOIN users au ON aa.acknowledged_by = au.id
+  LEFT JOIN users ru ON aa.resolved_by = ru.id`;
+
+const formatAlert = (alert) => ({
+  ...alert,
+  start_date: formatDate(alert.start_date),
+  end_date: formatDate(alert.end_date),
+  details:
+    typeof alert.details === 'string'
+      ? JSON.parse(alert.details)
+      : alert.details,
+});
+
+const findAlert = async (id) => {
+  const [alerts] = await pool.execute(`${ALERT_SELECT} WHERE aa.id = ?`, [id]);
+  return alerts[0] ? formatAlert(alerts[0]) : null;
+};
+
+const alertNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Alert not found',
+    },
+  });
+};
+
+const alertResolvedResponse = (res) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Alert is already resolved',
+    },
+  });
+};
+
+// Unresolved alerts by default; `status=all` includes resolved ones
+const getAlerts = async (req, res, next) => {
+  try {
+    const { status, type, personnel_id, project_id } = req.query;
+    const { page, limit, offset } = parsePagination(req.query, 20);
+
+    if (status && status !== 'all' && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}, all`,
+        },
+      });
+    }
+
+    if (type && !VALID_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid type. Must be one of: ${VALID_TYPES.join(', ')}`,
+        },
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (!status) {
+      conditions.push('aa.alert_status != ?');
+      params.push(ALERT_STATUSES.RESOLVED);
+    } else if (status !== 'all') {
+      conditions.push('aa.alert_status = ?');
+      params.push(status);
+    }
+
+    if (type) {
+      conditions.push('aa.alert_type = ?');
+      params.push(type);
+    }
+
+    if (personnel_id) {
+      conditions.push('aa.personnel_id = ?');
+      params.push(parseInt(personnel_id));
+    }
+
+    if (project_id) {
+      conditions.push('aa.project_id = ?');
+      params.push(parseInt(project_id));
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countResult] = await pool.execute(
+      `SELECT COUNT(*) as total FROM allocation_alerts aa ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    const [alerts] = await pool.execute(
+      `${ALERT_SELECT}
+      ${whereClause}
+      ORDER BY FIELD(aa.alert_status, 'open', 'acknowledged', 'resolved'),
+        aa.start_date ASC, aa.id ASC
+      LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    // What still needs attention, regardless of the filters
+    const [openCounts] = await pool.execute(
+      `SELECT alert_type, alert_status, COUNT(*) as total
+       FROM allocation_alerts
+       WHERE alert_status != ?
+       GROUP BY alert_type, alert_status`,
+      [ALERT_STATUSES.RESOLVED]
+    );
+
+    const summary = Object.fromEntries(
+      VALID_TYPES.map((alertType) => [
+        alertType,
+        openCounts
+          .filter((row) => row.alert_type === alertType)
+          .reduce((sum, row) => sum + Number(row.total), 0),
+      ])
+    );
+    summary.open = openCounts
+      .filter((row) => row.alert_status === ALERT_STATUSES.OPEN)
+      .reduce((sum, row) => sum + Number(row.total), 0);
+
+    res.status(200).json({
+      success: true,
+      data: alerts.map(formatAlert),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Full rescan of every current and future allocation, e.g. from a nightly
+// job, to catch conflicts that appear without a write (old data, dates
+// passing)
+const scanAlerts = async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const result = await detectAllocationConflicts(connection);
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: 'Allocation conflicts scanned',
+      data: {
+        checked_personnel: result.checked,
+        opened: result.opened,
+        still_open: result.updated,
+        resolved: result.resolved,
+      },
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+const acknowledgeAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const alert = await findAlert(id);
+    if (!alert) {
+      return alertNotFoundResponse(res);
+    }
+
+    if (alert.alert_status === ALERT_STATUSES.RESOLVED) {
+      return alertResolvedResponse(res);
+    }
+
+    if (alert.alert_status === ALERT_STATUSES.ACKNOWLEDGED) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Alert is already acknowledged',
+        },
+      });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE allocation_alerts
+       SET alert_status = ?, acknowledged_by = ?, acknowledged_at = NOW()
+       WHERE id = ? AND alert_status = ?`,
+      [ALERT_STATUSES.ACKNOWLEDGED, req.user.id, id, ALERT_STATUSES.OPEN]
+    );
+
+    // Resolved by a concurrent scan in the meantime
+    if (result.affectedRows === 0) {
+      return alertResolvedResponse(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: await findAlert(id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A conflict that is still there when the next scan runs opens a new alert
+const resolveAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'note must be a string',
+        },
+      });
+    }
+
+    const alert = await findAlert(id);
+    if (!alert) {
+      return alertNotFoundResponse(res);
+    }
+
+    if (alert.alert_status === ALERT_STATUSES.RESOLVED) {
+      return alertResolvedResponse(res);
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE allocation_alerts
+       SET alert_status = ?, resolved_by = ?, resolved_at = NOW(), resolution_note = ?
+       WHERE id = ? AND alert_status != ?`,
+      [
+        ALERT_STATUSES.RESOLVED,
+        req.user.id,
+        note ? note.trim() : null,
+        id,
+        ALERT_STATUSES.RESOLVED,
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return alertResolvedResponse(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert resolved',
+      data: await findAlert(id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAlerts,
+  scanAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+};
@@ -1,209 +1,433 @@
 const { pool } = require('../config/database');
 const { checkAvailabilityConflicts } = require('./availability.controller');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  isLockConflict,
+  lockPersonnelAllocations,
+  lockAvailabilityPeriods,
+  checkAllocationCapacity,
+  formatCompetingAllocation,
+  getTentativeConflictWarning,
+} = require('../utils/allocationLocks');
+const {
+  ALLOCATION_STATUSES,
+  isValidAllocationStatus,
+  canChangeAllocationStatus,
+  isSoftAllocation,
+  isReleasedAllocation,
+} = require('../utils/allocationStatus');
+const {
+  MAX_ALLOCATION,
+  addDays,
+  buildCapacityTimeline,
+  summarizeCapacity,
+  summarizeCapacityByMonth,
+  getCapacityTimelines,
+} = require('../utils/capacity');
+const {
+  DEFAULT_BENCH_THRESHOLD,
+  DEFAULT_HORIZON_WEEKS,
+  MAX_HORIZON_WEEKS,
+  findFreeFrom,
+  pickTopSkills,
+  suggestProjects,
+} = require('../utils/bench');
+const { getUnmetProjectRequirements } = require('../queries/complexQueries');
+const { formatDate } = require('../utils/helpers');
+const { buildAllocationFilters } = require('../utils/listFilters');
+const { checkAllocationPhase } = require('../utils/projectPhases');
+const { reopenRoleSlotsForAllocation } = require('../utils/roleSlots');
+const { detectAllocationConflicts } = require('../utils/allocationAlerts');
+const {
+  NOTIFICATION_EVENTS,
+  notifyUsers,
+  sendNotificationEmails,
+} = require('../utils/notifications');
+const { hasPersonnelPermission } = require('../utils/controllerHelpers');
+const { allocationPermissions } = require('../utils/permissions');
+
+const lockConflictResponse = (res) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message:
+        'Another allocation change for this person is in progress. Please try again.',
+      hint: 'Concurrent changes to the same person are applied one at a time.',
+    },
+  });
+};
 
-const createProjectAllocation = async (req, res, next) => {
-  try {
-    const {
-      project_id,
-      personnel_id,
-      allocation_percentage = 100,
-      start_date,
-      end_date,
-      role_in_project,
-    } = req.body;
+// Answers with an { error } returned by the shared allocation helpers
+const allocationErrorResponse = (
+  res,
+  { status, message, hint, details, conflicts }
+) => {
+  const error = { message };
+  if (hint) error.hint = hint;
+  if (details) error.details = details;
+  if (conflicts) error.conflicts = conflicts;
+
+  return res.status(status).json({
+    success: false,
+    error,
+  });
+};
 
-    if (!project_id || !personnel_id || !start_date || !end_date) {
-      return res.status(400).json({
-        success: false,
+const ALLOCATION_DETAILS_QUERY = `SELECT 
+    pa.*,
+    p.project_name,
+    p2.name as personnel_name,
+    ph.phase_name
+  FROM project_allocations pa
+  INNER JOIN projects p ON pa.project_id = p.id
+  INNER JOIN personnel p2 ON pa.personnel_id = p2.id
+  LEFT JOIN project_phases ph ON pa.phase_id = ph.id`;
+
+// Tells the booked person about a change to their allocation, which needs
+// the project_name joined in (ALLOCATION_DETAILS_QUERY)
+const notifyAllocatedPerson = (
+  connection,
+  { event, title, allocation, user }
+) =>
+  notifyUsers(
+    {
+      personnelIds: [allocation.personnel_id],
+      event,
+      title,
+      message: `${allocation.allocation_percentage}% from ${formatDate(allocation.start_date)} to ${formatDate(allocation.end_date)} (${allocation.allocation_status})`,
+      entity: AUDIT_ENTITIES.ALLOCATION,
+      entityId: allocation.id,
+      data: {
+        project_id: allocation.project_id,
+        allocation_status: allocation.allocation_status,
+      },
+      actor: user,
+    },
+    connection
+  );
+
+// Confirmed bookings must fit; proposed and tentative ones never block, so
+// going over 100% only earns them a warning. Either way competition with
+// other tentative bookings is reported. Returns { error } or { warnings }.
+const evaluateCapacity = (capacity, { status, personName, requested }) => {
+  const warnings = [];
+
+  if (capacity.exceedsCapacity) {
+    if (status === ALLOCATION_STATUSES.CONFIRMED) {
+      return {
         error: {
-          message:
-            'Missing required fields: project_id, personnel_id, start_date, and end_date are required',
+          currentAllocation: capacity.currentAllocation,
+          requestedAllocation: requested,
+          totalAllocation: capacity.totalAllocation,
+          maxAllowed: capacity.lowestAvailability,
+          competingAllocations: capacity.competingAllocations.map(
+            formatCompetingAllocation
+          ),
         },
-      });
+      };
     }
 
-    if (allocation_percentage < 0 || allocation_percentage > 100) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'allocation_percentage must be between 0 and 100',
-        },
-      });
-    }
+    warnings.push({
+      type: 'over_allocation',
+      message: `Confirming this booking would put ${personName} at ${capacity.totalAllocation}% allocation.`,
+      competingAllocations: capacity.competingAllocations.map(
+        formatCompetingAllocation
+      ),
+    });
+  }
 
-    const startDateObj = new Date(start_date);
-    const endDateObj = new Date(end_date);
+  const tentativeWarning = getTentativeConflictWarning(capacity, personName);
+  if (tentativeWarning) warnings.push(tentativeWarning);
 
-    if (isNaN(startDateObj.getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid start date format.',
-          hint: 'Please use YYYY-MM-DD format (e.g., 2025-01-15)',
-        },
-      });
-    }
+  return { warnings };
+};
 
-    if (isNaN(endDateObj.getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid end date format.',
-          hint: 'Please use YYYY-MM-DD format (e.g., 2025-12-31)',
-        },
-      });
-    }
+// Validates and books a person onto a project inside the caller's
+// transaction. Filling a role slot goes through here as well. Returns
+// { allocation, warnings, emails } or { error } with the HTTP status to
+// answer with; send the emails once the transaction has committed.
+const createAllocation = async (
+  connection,
+  {
+    project_id,
+    personnel_id,
+    allocation_percentage = 100,
+    start_date,
+    end_date,
+    role_in_project,
+    phase_id,
+    allocation_status = ALLOCATION_STATUSES.CONFIRMED,
+  },
+  user
+) => {
+  if (!project_id || !personnel_id || !start_date || !end_date) {
+    return {
+      error: {
+        status: 400,
+        message:
+          'Missing required fields: project_id, personnel_id, start_date, and end_date are required',
+      },
+    };
+  }
 
-    if (endDateObj <= startDateObj) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'End date must be after start date.',
-          hint: 'The allocation period must span at least one day.',
-        },
-      });
-    }
+  if (allocation_percentage < 0 || allocation_percentage > 100) {
+    return {
+      error: {
+        status: 400,
+        message: 'allocation_percentage must be between 0 and 100',
+      },
+    };
+  }
 
-    const [projects] = await pool.execute(
-      'SELECT id, project_name FROM projects WHERE id = ?',
-      [project_id]
-    );
+  // A booking cannot start out released
+  if (
+    !isValidAllocationStatus(allocation_status) ||
+    allocation_status === ALLOCATION_STATUSES.RELEASED
+  ) {
+    return {
+      error: {
+        status: 400,
+        message:
+          'Invalid allocation_status. Must be one of: proposed, tentative, confirmed',
+      },
+    };
+  }
 
-    if (projects.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Project not found',
-        },
-      });
-    }
+  const startDateObj = new Date(start_date);
+  const endDateObj = new Date(end_date);
 
-    const [personnel] = await pool.execute(
-      'SELECT id, name FROM personnel WHERE id = ?',
-      [personnel_id]
-    );
+  if (isNaN(startDateObj.getTime())) {
+    return {
+      error: {
+        status: 400,
+        message: 'Invalid start date format.',
+        hint: 'Please use YYYY-MM-DD format (e.g., 2025-01-15)',
+      },
+    };
+  }
 
-    if (personnel.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Personnel not found',
-        },
-      });
-    }
+  if (isNaN(endDateObj.getTime())) {
+    return {
+      error: {
+        status: 400,
+        message: 'Invalid end date format.',
+        hint: 'Please use YYYY-MM-DD format (e.g., 2025-12-31)',
+      },
+    };
+  }
 
-    const availabilityCheck = await checkAvailabilityConflicts(
-      personnel_id,
-      start_date,
-      end_date,
-      allocation_percentage
+  if (endDateObj <= startDateObj) {
+    return {
+      error: {
+        status: 400,
+        message: 'End date must be after start date.',
+        hint: 'The allocation period must span at least one day.',
+      },
+    };
+  }
+
+  const [projects] = await connection.execute(
+    'SELECT id, project_name FROM projects WHERE id = ?',
+    [project_id]
+  );
+
+  if (projects.length === 0) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+
+  const [personnel] = await connection.execute(
+    'SELECT id, name FROM personnel WHERE id = ?',
+    [personnel_id]
+  );
+
+  if (personnel.length === 0) {
+    return { error: { status: 404, message: 'Personnel not found' } };
+  }
+
+  const overlappingAllocations = await lockPersonnelAllocations(
+    connection,
+    personnel_id,
+    start_date,
+    end_date
+  );
+
+  if (overlappingAllocations === null) {
+    return { error: { status: 404, message: 'Personnel not found' } };
+  }
+
+  // Checked under the personnel lock so they see the same state as the
+  // capacity check below
+  if (phase_id) {
+    const phaseCheck = await checkAllocationPhase(
+      {
+        projectId: project_id,
+        phaseId: phase_id,
+        startDate: start_date,
+        endDate: end_date,
+      },
+      connection
     );
 
-    if (!availabilityCheck.available) {
-      return res.status(409).json({
-        success: false,
-        error: {
-          message: `Cannot allocate: Personnel availability is ${availabilityCheck.averageAvailability}%, but ${allocation_percentage}% allocation requested.`,
-          hint: `The person is only ${availabilityCheck.averageAvailability}% available during this period. Either reduce the allocation percentage or update their availability.`,
-          conflicts: availabilityCheck.conflicts,
-        },
-      });
+    if (phaseCheck.error) {
+      return { error: phaseCheck.error };
     }
+  }
 
-    const [existingAllocations] = await pool.execute(
-      `SELECT id FROM project_allocations 
-       WHERE project_id = ? 
-       AND personnel_id = ? 
-       AND start_date <= ? 
-       AND end_date >= ?`,
-      [project_id, personnel_id, end_date, start_date]
-    );
+  const availabilityCheck = await checkAvailabilityConflicts(
+    personnel_id,
+    start_date,
+    end_date,
+    allocation_percentage,
+    connection
+  );
+
+  if (!availabilityCheck.available) {
+    return {
+      error: {
+        status: 409,
+        message: `Cannot allocate: Personnel availability is ${availabilityCheck.averageAvailability}%, but ${allocation_percentage}% allocation requested.`,
+        hint: `The person is only ${availabilityCheck.averageAvailability}% available during this period. Either reduce the allocation percentage or update their availability.`,
+        conflicts: availabilityCheck.conflicts,
+      },
+    };
+  }
 
-    if (existingAllocations.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: {
-          message:
-            'This person is already allocated to this project during the specified dates.',
-          hint: 'Check the project team roster or update the existing allocation instead of creating a new one.',
+  const sameProjectAllocation = overlappingAllocations.find(
+    (allocation) =>
+      allocation.project_id === Number(project_id) &&
+      !isReleasedAllocation(allocation)
+  );
+
+  if (sameProjectAllocation) {
+    return {
+      error: {
+        status: 409,
+        message:
+          'This person is already allocated to this project during the specified dates.',
+        hint: 'Check the project team roster or update the existing allocation instead of creating a new one.',
+        details: {
+          competingAllocations: [
+            formatCompetingAllocation(sameProjectAllocation),
+          ],
         },
-      });
-    }
+      },
+    };
+  }
 
-    const [overlappingAllocations] = await pool.execute(
-      `SELECT allocation_percentage, start_date, end_date 
-       FROM project_allocations 
-       WHERE personnel_id = ? 
-       AND start_date <= ? 
-       AND end_date >= ?`,
-      [personnel_id, end_date, start_date]
-    );
+  const availabilityPeriods = await lockAvailabilityPeriods(
+    connection,
+    personnel_id,
+    start_date,
+    end_date
+  );
+  const capacity = checkAllocationCapacity(
+    overlappingAllocations,
+    start_date,
+    end_date,
+    allocation_percentage,
+    availabilityPeriods
+  );
+  const capacityCheck = evaluateCapacity(capacity, {
+    status: allocation_status,
+    personName: personnel[0].name,
+    requested: allocation_percentage,
+  });
+
+  if (capacityCheck.error) {
+    return {
+      error: {
+        status: 409,
+        message: `Over-allocation detected: This would result in ${capacity.totalAllocation}% total allocation (exceeds ${capacity.lowestAvailability}% limit).`,
+        hint: `Current allocations: ${capacity.currentAllocation}% + Requested: ${allocation_percentage}% = ${capacity.totalAllocation}%. Consider reducing allocation percentage, adjusting dates or booking the person as tentative.`,
+        details: capacityCheck.error,
+      },
+    };
+  }
 
-    if (overlappingAllocations.length > 0) {
-      let maxConcurrentAllocation = allocation_percentage;
+  const [result] = await connection.execute(
+    'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, role_in_project, phase_id, allocation_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      project_id,
+      personnel_id,
+      allocation_percentage,
+      start_date,
+      end_date,
+      role_in_project || null,
+      phase_id || null,
+      allocation_status,
+    ]
+  );
+
+  const [createdAllocation] = await connection.execute(
+    `${ALLOCATION_DETAILS_QUERY} WHERE pa.id = ?`,
+    [result.insertId]
+  );
+
+  await recordAudit(
+    {
+      user,
+      entity: AUDIT_ENTITIES.ALLOCATION,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: createdAllocation[0],
+    },
+    connection
+  );
+
+  const emails = await notifyAllocatedPerson(connection, {
+    event: NOTIFICATION_EVENTS.ALLOCATION_CREATED,
+    title: `You have been allocated to ${createdAllocation[0].project_name}`,
+    allocation: createdAllocation[0],
+    user,
+  });
+
+  await detectAllocationConflicts(connection, [personnel_id]);
+
+  return {
+    allocation: createdAllocation[0],
+    warnings: capacityCheck.warnings,
+    emails,
+  };
+};
 
-      for (const existingAlloc of overlappingAllocations) {
-        const overlapStart = new Date(
-          Math.max(new Date(start_date), new Date(existingAlloc.start_date))
-        );
-        const overlapEnd = new Date(
-          Math.min(new Date(end_date), new Date(existingAlloc.end_date))
-        );
+const createProjectAllocation = async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-        if (overlapStart <= overlapEnd) {
-          maxConcurrentAllocation += existingAlloc.allocation_percentage;
-        }
-      }
+    const result = await createAllocation(connection, req.body || {}, req.user);
 
-      if (maxConcurrentAllocation > 100) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: `Over-allocation detected: This would result in ${maxConcurrentAllocation}% total allocation (exceeds 100% limit).`,
-            hint: `Current allocations: ${maxConcurrentAllocation - allocation_percentage}% + Requested: ${allocation_percentage}% = ${maxConcurrentAllocation}%. Consider reducing allocation percentage or adjusting dates.`,
-            details: {
-              currentAllocation:
-                maxConcurrentAllocation - allocation_percentage,
-              requestedAllocation: allocation_percentage,
-              totalAllocation: maxConcurrentAllocation,
-              maxAllowed: 100,
-            },
-          },
-        });
-      }
+    if (result.error) {
+      await connection.rollback();
+      return allocationErrorResponse(res, result.error);
     }
 
-    const [result] = await pool.execute(
-      'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, role_in_project) VALUES (?, ?, ?, ?, ?, ?)',
-      [
-        project_id,
-        personnel_id,
-        allocation_percentage,
-        start_date,
-        end_date,
-        role_in_project || null,
-      ]
-    );
-
-    const [createdAllocation] = await pool.execute(
-      `SELECT 
-        pa.*,
-        p.project_name,
-        p2.name as personnel_name
-      FROM project_allocations pa
-      INNER JOIN projects p ON pa.project_id = p.id
-      INNER JOIN personnel p2 ON pa.personnel_id = p2.id
-      WHERE pa.id = ?`,
-      [result.insertId]
-    );
+    await connection.commit();
+    await sendNotificationEmails(result.emails);
 
     res.status(201).json({
       success: true,
       message: 'Project allocation created successfully',
-      data: createdAllocation[0],
+      data: result.allocation,
+      warnings: result.warnings,
     });
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return lockConflictResponse(res);
+    }
     next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
@@ -212,6 +436,21 @@ const getPersonnelUtilization = async (req, res, next) => {
     const { id } = req.params;
     const { start_date, end_date } = req.query;
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      id,
+      allocationPermissions.canViewAllocation,
+      allocationPermissions.canViewOwnAllocations
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own utilization.',
+        },
+      });
+    }
+
     // Validate personnel exists
     const [personnel] = await pool.execute(
       'SELECT id, name, role_title FROM personnel WHERE id = ?',
@@ -246,67 +485,39 @@ const getPersonnelUtilization = async (req, res, next) => {
 
     const [allocations] = await pool.execute(query, params);
 
-    let utilizationPercentage = 0;
-    let totalAllocatedDays = 0;
-    let totalDays = 0;
+    // Without a range, measure from the earliest to the latest allocation
+    // that has not ended yet
+    let rangeStart = start_date && end_date ? start_date : null;
+    let rangeEnd = start_date && end_date ? end_date : null;
 
-    if (start_date && end_date) {
-      totalDays =
-        Math.ceil(
-          (new Date(end_date) - new Date(start_date)) / (1000 * 60 * 60 * 24)
-        ) + 1;
-
-      let weightedSum = 0;
-
-      allocations.forEach((allocation) => {
-        const periodStart = new Date(
-          Math.max(new Date(start_date), new Date(allocation.start_date))
-        );
-        const periodEnd = new Date(
-          Math.min(new Date(end_date), new Date(allocation.end_date))
-        );
-        const periodDays =
-          Math.ceil((periodEnd - periodStart) / (1000 * 60 * 60 * 24)) + 1;
-
-        weightedSum += periodDays * allocation.allocation_percentage;
-        totalAllocatedDays += periodDays;
-      });
-
-      if (totalDays > 0) {
-        utilizationPercentage = Math.round(weightedSum / totalDays);
-      }
-    } else {
-      const now = new Date();
+    if (!rangeStart) {
+      const today = formatDate(new Date());
       const relevantAllocations = allocations.filter(
-        (a) => new Date(a.end_date) >= now
+        (a) => formatDate(a.end_date) >= today
       );
 
       if (relevantAllocations.length > 0) {
-        const minStart = new Date(
-          Math.min(...relevantAllocations.map((a) => new Date(a.start_date)))
-        );
-        const maxEnd = new Date(
-          Math.max(...relevantAllocations.map((a) => new Date(a.end_date)))
-        );
-        totalDays = Math.ceil((maxEnd - minStart) / (1000 * 60 * 60 * 24)) + 1;
-
-        let weightedSum = 0;
-        relevantAllocations.forEach((allocation) => {
-          const periodStart = new Date(allocation.start_date);
-          const periodEnd = new Date(allocation.end_date);
-          const periodDays =
-            Math.ceil((periodEnd - periodStart) / (1000 * 60 * 60 * 24)) + 1;
-
-          weightedSum += periodDays * allocation.allocation_percentage;
-          totalAllocatedDays += periodDays;
-        });
-
-        if (totalDays > 0) {
-          utilizationPercentage = Math.round(weightedSum / totalDays);
-        }
+        rangeStart = relevantAllocations
+          .map((a) => formatDate(a.start_date))
+          .sort()[0];
+        rangeEnd = relevantAllocations
+          .map((a) => formatDate(a.end_date))
+          .sort()
+          .pop();
       }
     }
 
+    const summary = rangeStart
+      ? summarizeCapacity(
+          buildCapacityTimeline({
+            from: rangeStart,
+            to: rangeEnd,
+            allocations,
+          })
+        )
+      : null;
+    const utilizationPercentage = summary ? summary.average_allocated : 0;
+
     res.status(200).json({
       success: true,
       personnel_id: parseInt(id),
@@ -315,9 +526,12 @@ const getPersonnelUtilization = async (req, res, next) => {
       allocations: allocations,
       utilization: {
         percentage: utilizationPercentage,
-        total_allocated_days: totalAllocatedDays,
-        total_days: totalDays || null,
+        peak_percentage: summary ? summary.peak_allocated : 0,
+        total_allocated_days: summary ? summary.allocated_days : 0,
+        total_days: summary ? summary.total_days : null,
+        working_days: summary ? summary.working_days : null,
         available_capacity: 100 - utilizationPercentage,
+        tentative_percentage: summary ? summary.average_tentative : 0,
       },
     });
   } catch (error) {
@@ -357,12 +571,16 @@ const getProjectTeam = async (req, res, next) => {
         pa.start_date,
         pa.end_date,
         pa.role_in_project,
+        pa.allocation_status,
+        pa.phase_id,
+        ph.phase_name,
         pa.created_at,
         pa.updated_at,
         proj.project_name
       FROM project_allocations pa
       INNER JOIN personnel p ON pa.personnel_id = p.id
       INNER JOIN projects proj ON pa.project_id = proj.id
+      LEFT JOIN project_phases ph ON pa.phase_id = ph.id
       WHERE pa.project_id = ?
       ORDER BY pa.created_at DESC`,
       [id]
@@ -381,14 +599,24 @@ const getProjectTeam = async (req, res, next) => {
 };
 
 const updateProjectAllocation = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
-    const { allocation_percentage, start_date, end_date, role_in_project } =
-      req.body;
+    const {
+      allocation_percentage,
+      start_date,
+      end_date,
+      role_in_project,
+      phase_id,
+      allocation_status,
+    } = req.body;
 
     // Validate allocation exists
     const [existingAllocations] = await pool.execute(
-      'SELECT * FROM project_allocations WHERE id = ?',
+      `SELECT pa.*, p.name as personnel_name
+       FROM project_allocations pa
+       INNER JOIN personnel p ON pa.personnel_id = p.id
+       WHERE pa.id = ?`,
       [id]
     );
 
@@ -402,6 +630,29 @@ const updateProjectAllocation = async (req, res, next) => {
     }
 
     const existing = existingAllocations[0];
+
+    if (
+      allocation_status !== undefined &&
+      allocation_status !== existing.allocation_status
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'allocation_status cannot be changed with an update',
+          hint: 'Use POST /api/allocations/:id/status or /api/allocations/bulk-status.',
+        },
+      });
+    }
+
+    if (isReleasedAllocation(existing)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Released allocations cannot be changed',
+          hint: 'Create a new allocation to book the person again.',
+        },
+      });
+    }
     const finalStartDate = start_date || existing.start_date;
     const finalEndDate = end_date || existing.end_date;
     const finalAllocationPercentage =
@@ -451,61 +702,6 @@ const updateProjectAllocation = async (req, res, next) => {
           },
         });
       }
-
-      if (start_date || end_date || allocation_percentage !== undefined) {
-        const availabilityCheck = await checkAvailabilityConflicts(
-          existing.personnel_id,
-          finalStartDate,
-          finalEndDate,
-          finalAllocationPercentage
-        );
-
-        if (!availabilityCheck.available) {
-          return res.status(409).json({
-            success: false,
-            error: {
-              message: `Personnel is not available for the requested period. Average availability: ${availabilityCheck.averageAvailability}%, Required: ${finalAllocationPercentage}%`,
-              conflicts: availabilityCheck.conflicts,
-            },
-          });
-        }
-      }
-    }
-
-    if (start_date || end_date || allocation_percentage !== undefined) {
-      const [overlappingAllocations] = await pool.execute(
-        `SELECT allocation_percentage, start_date, end_date 
-         FROM project_allocations 
-         WHERE personnel_id = ? 
-         AND id != ?
-         AND start_date <= ? 
-         AND end_date >= ?`,
-        [existing.personnel_id, id, finalEndDate, finalStartDate]
-      );
-
-      let maxConcurrentAllocation = finalAllocationPercentage;
-
-      for (const existingAlloc of overlappingAllocations) {
-        const overlapStart = new Date(
-          Math.max(new Date(finalStartDate), new Date(existingAlloc.start_date))
-        );
-        const overlapEnd = new Date(
-          Math.min(new Date(finalEndDate), new Date(existingAlloc.end_date))
-        );
-
-        if (overlapStart <= overlapEnd) {
-          maxConcurrentAllocation += existingAlloc.allocation_percentage;
-        }
-      }
-
-      if (maxConcurrentAllocation > 100) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: `Total allocation would exceed 100%. Current allocations (${maxConcurrentAllocation - finalAllocationPercentage}%) plus updated allocation (${finalAllocationPercentage}%) would total ${maxConcurrentAllocation}%.`,
-          },
-        });
-      }
     }
 
     const updateFields = [];
@@ -527,6 +723,10 @@ const updateProjectAllocation = async (req, res, next) => {
       updateFields.push('role_in_project = ?');
       updateParams.push(role_in_project);
     }
+    if (phase_id !== undefined) {
+      updateFields.push('phase_id = ?');
+      updateParams.push(phase_id || null);
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({
@@ -539,40 +739,489 @@ const updateProjectAllocation = async (req, res, next) => {
 
     updateParams.push(id);
 
-    await pool.execute(
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const overlappingAllocations = await lockPersonnelAllocations(
+      connection,
+      existing.personnel_id,
+      finalStartDate,
+      finalEndDate,
+      id
+    );
+
+    // Re-read under the lock so the audit snapshot matches what we overwrite
+    const [lockedAllocations] = await connection.execute(
+      'SELECT * FROM project_allocations WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (overlappingAllocations === null || lockedAllocations.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project allocation not found',
+        },
+      });
+    }
+
+    if (start_date || end_date) {
+      const availabilityCheck = await checkAvailabilityConflicts(
+        existing.personnel_id,
+        finalStartDate,
+        finalEndDate,
+        finalAllocationPercentage,
+        connection
+      );
+
+      if (!availabilityCheck.available) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: `Personnel is not available for the requested period. Average availability: ${availabilityCheck.averageAvailability}%, Required: ${finalAllocationPercentage}%`,
+            conflicts: availabilityCheck.conflicts,
+          },
+        });
+      }
+    }
+
+    // Re-check the phase when attaching to one or when moving an allocation
+    // that is already attached
+    const finalPhaseId = phase_id !== undefined ? phase_id : existing.phase_id;
+    if (finalPhaseId && (phase_id !== undefined || start_date || end_date)) {
+      const phaseCheck = await checkAllocationPhase(
+        {
+          projectId: existing.project_id,
+          phaseId: finalPhaseId,
+          startDate: finalStartDate,
+          endDate: finalEndDate,
+        },
+        connection
+      );
+
+      if (phaseCheck.error) {
+        await connection.rollback();
+        return allocationErrorResponse(res, phaseCheck.error);
+      }
+    }
+
+    let warnings = [];
+    if (start_date || end_date || allocation_percentage !== undefined) {
+      const availabilityPeriods = await lockAvailabilityPeriods(
+        connection,
+        existing.personnel_id,
+        finalStartDate,
+        finalEndDate
+      );
+      const capacity = checkAllocationCapacity(
+        overlappingAllocations,
+        finalStartDate,
+        finalEndDate,
+        finalAllocationPercentage,
+        availabilityPeriods
+      );
+      const capacityCheck = evaluateCapacity(capacity, {
+        status: lockedAllocations[0].allocation_status,
+        personName: existing.personnel_name,
+        requested: finalAllocationPercentage,
+      });
+
+      if (capacityCheck.error) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: `Total allocation would exceed ${capacity.lowestAvailability}%. Current allocations (${capacity.currentAllocation}%) plus updated allocation (${finalAllocationPercentage}%) would total ${capacity.totalAllocation}%.`,
+            details: capacityCheck.error,
+          },
+        });
+      }
+      warnings = capacityCheck.warnings;
+    }
+
+    await connection.execute(
       `UPDATE project_allocations SET ${updateFields.join(', ')} WHERE id = ?`,
       updateParams
     );
 
-    const [updatedAllocation] = await pool.execute(
-      `SELECT 
-        pa.*,
-        p.project_name,
-        p2.name as personnel_name
-      FROM project_allocations pa
-      INNER JOIN projects p ON pa.project_id = p.id
-      INNER JOIN personnel p2 ON pa.personnel_id = p2.id
-      WHERE pa.id = ?`,
+    const [updatedAllocation] = await connection.execute(
+      `${ALLOCATION_DETAILS_QUERY} WHERE pa.id = ?`,
       [id]
     );
 
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.ALLOCATION,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.UPDATE,
+        before: lockedAllocations[0],
+        after: updatedAllocation[0],
+      },
+      connection
+    );
+
+    const emails = await notifyAllocatedPerson(connection, {
+      event: NOTIFICATION_EVENTS.ALLOCATION_UPDATED,
+      title: `Your allocation to ${updatedAllocation[0].project_name} has changed`,
+      allocation: updatedAllocation[0],
+      user: req.user,
+    });
+
+    await detectAllocationConflicts(connection, [existing.personnel_id]);
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
+
     res.status(200).json({
       success: true,
       message: 'Allocation updated successfully',
       data: updatedAllocation[0],
+      warnings,
     });
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return lockConflictResponse(res);
+    }
     next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
+const MAX_BULK_STATUS_CHANGES = 100;
+
+// Moves one allocation to `status` inside the caller's transaction. Confirming
+// has to fit next to the person's other confirmed allocations (unless the
+// project is on hold, in which case resuming checks it). Releasing reopens the
+// role slot the allocation filled, if any. Returns
+// { allocation, warnings, emails } or { error } with the HTTP status to
+// answer with; send the emails once the transaction has committed.
+const applyAllocationStatus = async (connection, { id, status, user }) => {
+  const [allocations] = await connection.execute(
+    'SELECT personnel_id, start_date, end_date FROM project_allocations WHERE id = ?',
+    [id]
+  );
+
+  if (allocations.length === 0) {
+    return {
+      error: {
+        status: 404,
+        message: 'Project allocation not found',
+        details: { allocationId: Number(id) },
+      },
+    };
+  }
+
+  const overlappingAllocations = await lockPersonnelAllocations(
+    connection,
+    allocations[0].personnel_id,
+    allocations[0].start_date,
+    allocations[0].end_date,
+    id
+  );
+
+  const [lockedAllocations] = await connection.execute(
+    `SELECT pa.*, p.name as personnel_name
+     FROM project_allocations pa
+     INNER JOIN personnel p ON pa.personnel_id = p.id
+     WHERE pa.id = ? FOR UPDATE`,
+    [id]
+  );
+
+  if (overlappingAllocations === null || lockedAllocations.length === 0) {
+    return {
+      error: {
+        status: 404,
+        message: 'Project allocation not found',
+        details: { allocationId: Number(id) },
+      },
+    };
+  }
+
+  const { personnel_name: personName, ...allocation } = lockedAllocations[0];
+
+  if (!canChangeAllocationStatus(allocation.allocation_status, status)) {
+    return {
+      error: {
+        status: 409,
+        message: `Cannot change allocation status from ${allocation.allocation_status} to ${status}`,
+        details: {
+          allocationId: allocation.id,
+          currentStatus: allocation.allocation_status,
+          requestedStatus: status,
+        },
+      },
+    };
+  }
+
+  let warnings = [];
+  if (status !== ALLOCATION_STATUSES.RELEASED && !allocation.paused_at) {
+    const availabilityPeriods = await lockAvailabilityPeriods(
+      connection,
+      allocation.personnel_id,
+      allocation.start_date,
+      allocation.end_date
+    );
+    const capacity = checkAllocationCapacity(
+      overlappingAllocations,
+      allocation.start_date,
+      allocation.end_date,
+      allocation.allocation_percentage,
+      availabilityPeriods
+    );
+    const capacityCheck = evaluateCapacity(capacity, {
+      status,
+      personName,
+      requested: allocation.allocation_percentage,
+    });
+
+    if (capacityCheck.error) {
+      return {
+        error: {
+          status: 409,
+          message: `Cannot confirm: ${personName} would be at ${capacity.totalAllocation}% allocation (exceeds ${capacity.lowestAvailability}% limit).`,
+          hint: 'Release or shorten a competing allocation first.',
+          details: { allocationId: allocation.id, ...capacityCheck.error },
+        },
+      };
+    }
+    warnings = capacityCheck.warnings.map((warning) => ({
+      allocationId: allocation.id,
+      ...warning,
+    }));
+  }
+
+  await connection.execute(
+    'UPDATE project_allocations SET allocation_status = ? WHERE id = ?',
+    [status, allocation.id]
+  );
+
+  const updated = { ...allocation, allocation_status: status };
+
+  if (status === ALLOCATION_STATUSES.RELEASED) {
+    await reopenRoleSlotsForAllocation(connection, allocation.id, user);
+  }
+
+  await recordAudit(
+    {
+      user,
+      entity: AUDIT_ENTITIES.ALLOCATION,
+      entityId: allocation.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: allocation,
+      after: updated,
+    },
+    connection
+  );
+
+  const [details] = await connection.execute(
+    `${ALLOCATION_DETAILS_QUERY} WHERE pa.id = ?`,
+    [allocation.id]
+  );
+  const emails = await notifyAllocatedPerson(
+    connection,
+    status === ALLOCATION_STATUSES.RELEASED
+      ? {
+          event: NOTIFICATION_EVENTS.ALLOCATION_REMOVED,
+          title: `You have been released from ${details[0].project_name}`,
+          allocation: details[0],
+          user,
+        }
+      : {
+          event: NOTIFICATION_EVENTS.ALLOCATION_UPDATED,
+          title: `Your allocation to ${details[0].project_name} is now ${status}`,
+          allocation: details[0],
+          user,
+        }
+  );
+
+  await detectAllocationConflicts(connection, [allocation.personnel_id]);
+
+  return { allocation: updated, warnings, emails };
+};
+
+const invalidStatusResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message:
+        'Invalid status. Must be one of: proposed, tentative, confirmed, released',
+    },
+  });
+};
+
+const changeAllocationStatus = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { status } = req.body || {};
+
+    if (!isValidAllocationStatus(status)) {
+      return invalidStatusResponse(res);
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const result = await applyAllocationStatus(connection, {
+      id,
+      status,
+      user: req.user,
+    });
+
+    if (result.error) {
+      await connection.rollback();
+      return allocationErrorResponse(res, result.error);
+    }
+
+    const [allocation] = await connection.execute(
+      `${ALLOCATION_DETAILS_QUERY} WHERE pa.id = ?`,
+      [id]
+    );
+
+    await connection.commit();
+    await sendNotificationEmails(result.emails);
+
+    res.status(200).json({
+      success: true,
+      message: `Allocation ${status}`,
+      data: allocation[0],
+      warnings: result.warnings,
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return lockConflictResponse(res);
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+// All or nothing: one allocation that cannot move rolls back the whole batch
+const bulkChangeAllocationStatus = async (req, res, next) => {
+  let connection;
+  try {
+    const { allocation_ids, status } = req.body || {};
+
+    if (!isValidAllocationStatus(status)) {
+      return invalidStatusResponse(res);
+    }
+
+    if (
+      !Array.isArray(allocation_ids) ||
+      allocation_ids.length === 0 ||
+      allocation_ids.some((id) => !Number.isInteger(Number(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'allocation_ids must be a non-empty array of ids',
+        },
+      });
+    }
+
+    const ids = [...new Set(allocation_ids.map(Number))];
+
+    if (ids.length > MAX_BULK_STATUS_CHANGES) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `At most ${MAX_BULK_STATUS_CHANGES} allocations can be changed at once`,
+        },
+      });
+    }
+
+    // Work person by person so concurrent batches take locks in the same order
+    const [allocations] = await pool.execute(
+      `SELECT id, personnel_id FROM project_allocations
+       WHERE id IN (${ids.map(() => '?').join(',')})
+       ORDER BY personnel_id ASC, id ASC`,
+      ids
+    );
+
+    if (allocations.length !== ids.length) {
+      const foundIds = allocations.map((allocation) => allocation.id);
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'One or more allocations were not found',
+          details: {
+            allocationIds: ids.filter((id) => !foundIds.includes(id)),
+          },
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const warnings = [];
+    const emails = [];
+    for (const { id } of allocations) {
+      const result = await applyAllocationStatus(connection, {
+        id,
+        status,
+        user: req.user,
+      });
+
+      if (result.error) {
+        await connection.rollback();
+        return allocationErrorResponse(res, result.error);
+      }
+
+      warnings.push(...result.warnings);
+      emails.push(...result.emails);
+    }
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
+
+    res.status(200).json({
+      success: true,
+      message: `${allocations.length} allocation(s) ${status}`,
+      updated_allocation_ids: allocations.map((allocation) => allocation.id),
+      warnings,
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return lockConflictResponse(res);
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+// Runs in one transaction so the role slot reopening can lock its rows and a
+// failing conflict scan rolls the delete back instead of answering with an
+// error after the allocation is already gone
 const deleteProjectAllocation = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
 
     // Validate allocation exists
     const [existingAllocations] = await pool.execute(
-      'SELECT id FROM project_allocations WHERE id = ?',
+      'SELECT * FROM project_allocations WHERE id = ?',
       [id]
     );
 
@@ -585,14 +1234,87 @@ const deleteProjectAllocation = async (req, res, next) => {
       });
     }
 
-    await pool.execute('DELETE FROM project_allocations WHERE id = ?', [id]);
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockPersonnelAllocations(
+      connection,
+      existingAllocations[0].personnel_id,
+      existingAllocations[0].start_date,
+      existingAllocations[0].end_date
+    );
+
+    // Re-read under the lock so the audit snapshot matches what we delete
+    const [lockedAllocations] = await connection.execute(
+      'SELECT * FROM project_allocations WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (lockedAllocations.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project allocation not found',
+        },
+      });
+    }
+
+    const [details] = await connection.execute(
+      `${ALLOCATION_DETAILS_QUERY} WHERE pa.id = ?`,
+      [id]
+    );
+
+    await reopenRoleSlotsForAllocation(
+      connection,
+      lockedAllocations[0].id,
+      req.user
+    );
+    await connection.execute('DELETE FROM project_allocations WHERE id = ?', [
+      id,
+    ]);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.ALLOCATION,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.DELETE,
+        before: lockedAllocations[0],
+      },
+      connection
+    );
+
+    const emails = await notifyAllocatedPerson(connection, {
+      event: NOTIFICATION_EVENTS.ALLOCATION_REMOVED,
+      title: `You have been removed from ${details[0].project_name}`,
+      allocation: details[0],
+      user: req.user,
+    });
+
+    await detectAllocationConflicts(connection, [
+      lockedAllocations[0].personnel_id,
+    ]);
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
 
     res.status(200).json({
       success: true,
       message: 'Allocation deleted successfully',
     });
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return lockConflictResponse(res);
+    }
     next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
@@ -600,6 +1322,21 @@ const getPersonnelAllocations = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      id,
+      allocationPermissions.canViewAllocation,
+      allocationPermissions.canViewOwnAllocations
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own allocations.',
+        },
+      });
+    }
+
     // Validate personnel exists
     const [personnel] = await pool.execute(
       'SELECT id, name FROM personnel WHERE id = ?',
@@ -625,6 +1362,7 @@ const getPersonnelAllocations = async (req, res, next) => {
         pa.start_date,
         pa.end_date,
         pa.role_in_project,
+        pa.allocation_status,
         pa.created_at,
         pa.updated_at
       FROM project_allocations pa
@@ -667,11 +1405,14 @@ const getTeamUtilization = async (req, res, next) => {
         pa.allocation_percentage,
         pa.start_date,
         pa.end_date,
-        pa.role_in_project
+        pa.role_in_project,
+        pa.allocation_status
       FROM personnel p
       LEFT JOIN project_allocations pa ON p.id = pa.personnel_id
         AND pa.end_date >= ?
         AND pa.start_date <= ?
+        AND pa.paused_at IS NULL
+        AND pa.allocation_status != 'released'
       LEFT JOIN projects pr ON pa.project_id = pr.id
       ORDER BY p.name, pa.start_date`,
       [startDateStr, endDateStr]
@@ -700,33 +1441,32 @@ const getTeamUtilization = async (req, res, next) => {
           start_date: row.start_date,
           end_date: row.end_date,
           role_in_project: row.role_in_project,
+          allocation_status: row.allocation_status,
         });
       }
     });
 
     const utilizationData = Array.from(personnelMap.values()).map((person) => {
-      if (person.allocations.length === 0) {
-        return {
-          ...person,
-          total_utilization: 0,
-          utilization_by_month: generateEmptyMonths(startDateStr, endDateStr),
-        };
-      }
-
-      const utilizationByMonth = calculateUtilizationByMonth(
-        person.allocations,
-        startDateStr,
-        endDateStr
-      );
+      const timeline = buildCapacityTimeline({
+        from: startDateStr,
+        to: endDateStr,
+        allocations: person.allocations,
+      });
 
-      const avgUtilization =
-        utilizationByMonth.reduce((sum, month) => sum + month.utilization, 0) /
-        utilizationByMonth.length;
+      const summary = summarizeCapacity(timeline);
 
+      // Tentative bookings are a separate layer on top of the confirmed
+      // utilization; they conflict when confirming all of them would
+      // over-allocate the person
       return {
         ...person,
-        total_utilization: Math.round(avgUtilization),
-        utilization_by_month: utilizationByMonth,
+        total_utilization: summary.average_allocated,
+        tentative_utilization: summary.average_tentative,
+        peak_with_tentative: summary.peak_with_tentative,
+        tentative_conflict:
+          summary.average_tentative > 0 &&
+          summary.peak_with_tentative > MAX_ALLOCATION,
+        utilization_by_month: summarizeCapacityByMonth(timeline),
       };
     });
 
@@ -743,64 +1483,187 @@ const getTeamUtilization = async (req, res, next) => {
   }
 };
 
-function generateEmptyMonths(startDate, endDate) {
-  const months = [];
-  const current = new Date(startDate);
-  const end = new Date(endDate);
-
-  while (current <= end) {
-    months.push({
-      month: current.toISOString().slice(0, 7), // YYYY-MM format
-      month_label: current.toLocaleDateString('en-US', {
-        month: 'short',
-        year: 'numeric',
-      }),
-      utilization: 0,
-    });
-    current.setMonth(current.getMonth() + 1);
-  }
+// People booked below `threshold` percent today or within the next `horizon`
+// weeks: when they become free, what rolls off before then, their strongest
+// skills and projects with unmet requirements they could fill
+const getBench = async (req, res, next) => {
+  try {
+    const horizonWeeks =
+      req.query.horizon !== undefined
+        ? Number(req.query.horizon)
+        : DEFAULT_HORIZON_WEEKS;
+    const threshold =
+      req.query.threshold !== undefined
+        ? Number(req.query.threshold)
+        : DEFAULT_BENCH_THRESHOLD;
 
-  return months;
-}
+    if (
+      !Number.isInteger(horizonWeeks) ||
+      horizonWeeks < 1 ||
+      horizonWeeks > MAX_HORIZON_WEEKS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `horizon must be a number of weeks between 1 and ${MAX_HORIZON_WEEKS}`,
+        },
+      });
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'threshold must be an integer between 1 and 100',
+        },
+      });
+    }
 
-function calculateUtilizationByMonth(allocations, startDate, endDate) {
-  const months = [];
-  const current = new Date(startDate);
-  const end = new Date(endDate);
+    const startDate = formatDate(new Date());
+    const endDate = addDays(startDate, horizonWeeks * 7 - 1);
 
-  while (current <= end) {
-    const monthStart = new Date(current.getFullYear(), current.getMonth(), 1);
-    const monthEnd = new Date(current.getFullYear(), current.getMonth() + 1, 0);
+    const [personnel] = await pool.execute(
+      'SELECT id, name, email, role_title, experience_level, profile_image_url FROM personnel ORDER BY name'
+    );
+    const timelines = await getCapacityTimelines(
+      personnel.map((person) => person.id),
+      startDate,
+      endDate
+    );
 
-    let monthUtilization = 0;
+    const benched = personnel
+      .map((person) => {
+        const timeline = timelines.get(person.id);
+        return {
+          person,
+          currentDay: timeline.find((day) => day.working_day) || timeline[0],
+          freeFrom: findFreeFrom(timeline, threshold),
+        };
+      })
+      .filter((entry) => entry.freeFrom);
+
+    let data = [];
+
+    if (benched.length > 0) {
+      const personnelIds = benched.map((entry) => entry.person.id);
+      const placeholders = personnelIds.map(() => '?').join(',');
+
+      const [skills] = await pool.execute(
+        `SELECT 
+          ps.personnel_id,
+          ps.skill_id,
+          s.skill_name,
+          ps.proficiency_level,
+          ps.years_of_experience,
+          ps.verified_at
+        FROM personnel_skills ps
+        INNER JOIN skills s ON ps.skill_id = s.id
+        WHERE ps.personnel_id IN (${placeholders})`,
+        personnelIds
+      );
 
-    allocations.forEach((allocation) => {
-      const allocStart = new Date(allocation.start_date);
-      const allocEnd = new Date(allocation.end_date);
+      const [allocations] = await pool.execute(
+        `SELECT 
+          pa.id,
+          pa.personnel_id,
+          pa.project_id,
+          proj.project_name,
+          pa.allocation_percentage,
+          pa.start_date,
+          pa.end_date,
+          pa.allocation_status,
+          pa.paused_at
+        FROM project_allocations pa
+        INNER JOIN projects proj ON pa.project_id = proj.id
+        WHERE pa.personnel_id IN (${placeholders})
+          AND pa.allocation_status != 'released'
+          AND pa.end_date >= ?
+          AND pa.start_date <= ?`,
+        [...personnelIds, startDate, endDate]
+      );
 
-      if (allocStart <= monthEnd && allocEnd >= monthStart) {
-        monthUtilization += allocation.allocation_percentage;
-      }
-    });
+      const unmetRequirements = await getUnmetProjectRequirements();
 
-    months.push({
-      month: current.toISOString().slice(0, 7), // YYYY-MM format
-      month_label: current.toLocaleDateString('en-US', {
-        month: 'short',
-        year: 'numeric',
-      }),
-      utilization: Math.min(monthUtilization, 200), // Cap at 200% for display
-    });
+      data = benched.map(({ person, currentDay, freeFrom }) => {
+        const personSkills = skills.filter(
+          (skill) => skill.personnel_id === person.id
+        );
+        const personAllocations = allocations.filter(
+          (allocation) => allocation.personnel_id === person.id
+        );
 
-    current.setMonth(current.getMonth() + 1);
-  }
+        // Firm bookings that end before the person becomes free
+        const rollingOff = personAllocations.filter(
+          (allocation) =>
+            !isSoftAllocation(allocation) &&
+            !allocation.paused_at &&
+            formatDate(allocation.end_date) < freeFrom.date
+        );
+
+        return {
+          personnel_id: person.id,
+          name: person.name,
+          email: person.email,
+          role_title: person.role_title,
+          experience_level: person.experience_level,
+          profile_image_url: person.profile_image_url,
+          current_allocation: currentDay.allocated,
+          on_bench_now: freeFrom.date === currentDay.date,
+          free_from: freeFrom.date,
+          free_capacity: freeFrom.remaining,
+          rolling_off: rollingOff.map((allocation) => ({
+            allocation_id: allocation.id,
+            project_id: allocation.project_id,
+            project_name: allocation.project_name,
+            allocation_percentage: allocation.allocation_percentage,
+            end_date: formatDate(allocation.end_date),
+          })),
+          top_skills: pickTopSkills(personSkills).map((skill) => ({
+            skill_id: skill.skill_id,
+            skill_name: skill.skill_name,
+            proficiency_level: skill.proficiency_level,
+            years_of_experience: skill.years_of_experience,
+            verified: Boolean(skill.verified_at),
+          })),
+          suggested_projects: suggestProjects(personSkills, unmetRequirements, {
+            freeFrom: freeFrom.date,
+            excludeProjectIds: personAllocations.map(
+              (allocation) => allocation.project_id
+            ),
+          }),
+        };
+      });
+
+      data.sort(
+        (a, b) =>
+          a.free_from.localeCompare(b.free_from) ||
+          a.current_allocation - b.current_allocation ||
+          a.name.localeCompare(b.name)
+      );
+    }
 
-  return months;
-}
+    res.status(200).json({
+      success: true,
+      horizon_weeks: horizonWeeks,
+      threshold,
+      date_range: {
+        start: startDate,
+        end: endDate,
+      },
+      summary: {
+        on_bench_now: data.filter((person) => person.on_bench_now).length,
+        rolling_off: data.filter((person) => !person.on_bench_now).length,
+      },
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 const getAllAllocations = async (req, res, next) => {
   try {
-    const { project_id, personnel_id } = req.query;
+    const { where, params } = buildAllocationFilters(req.query);
 
     let query = `SELECT 
       pa.id,
@@ -810,6 +1673,9 @@ const getAllAllocations = async (req, res, next) => {
       pa.start_date,
       pa.end_date,
       pa.role_in_project,
+      pa.allocation_status,
+      pa.phase_id,
+      ph.phase_name,
       pa.created_at,
       pa.updated_at,
       proj.project_name,
@@ -817,19 +1683,7 @@ const getAllAllocations = async (req, res, next) => {
     FROM project_allocations pa
     INNER JOIN projects proj ON pa.project_id = proj.id
     INNER JOIN personnel p ON pa.personnel_id = p.id
-    WHERE 1=1`;
-
-    const params = [];
-
-    if (project_id) {
-      query += ' AND pa.project_id = ?';
-      params.push(project_id);
-    }
-
-    if (personnel_id) {
-      query += ' AND pa.personnel_id = ?';
-      params.push(personnel_id);
-    }
+    LEFT JOIN project_phases ph ON pa.phase_id = ph.id${where}`;
 
     query += ' ORDER BY pa.created_at DESC';
 
@@ -857,6 +1711,9 @@ const getAllocationById = async (req, res, next) => {
         pa.start_date,
         pa.end_date,
         pa.role_in_project,
+        pa.allocation_status,
+        pa.phase_id,
+        ph.phase_name,
         pa.created_at,
         pa.updated_at,
         proj.project_name,
@@ -864,6 +1721,7 @@ const getAllocationById = async (req, res, next) => {
       FROM project_allocations pa
       INNER JOIN projects proj ON pa.project_id = proj.id
       INNER JOIN personnel p ON pa.personnel_id = p.id
+      LEFT JOIN project_phases ph ON pa.phase_id = ph.id
       WHERE pa.id = ?`,
       [id]
     );
@@ -877,6 +1735,21 @@ const getAllocationById = async (req, res, next) => {
       });
     }
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      allocations[0].personnel_id,
+      allocationPermissions.canViewAllocation,
+      allocationPermissions.canViewOwnAllocations
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own allocations.',
+        },
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: allocations[0],
@@ -894,6 +1767,10 @@ module.exports = {
   getProjectTeam,
   updateProjectAllocation,
   deleteProjectAllocation,
+  changeAllocationStatus,
+  bulkChangeAllocationStatus,
   getPersonnelAllocations,
   getTeamUtilization,
+  getBench,
+  createAllocation,
 };
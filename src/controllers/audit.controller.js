@@ -0,0 +1,134 @@
+const { pool } = require('../config/database');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const { parsePagination } = require('../utils/helpers');
+
+const VALID_ENTITIES = Object.values(AUDIT_ENTITIES);
+const VALID_ACTIONS = Object.values(AUDIT_ACTIONS);
+
+const parseAuditData = (data) => {
+  if (data === null || data === undefined) return null;
+  return typeof data === 'string' ? JSON.parse(data) : data;
+};
+
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { entity, entity_id, actor_user_id, action, from, to } = req.query;
+    const { page, limit, offset } = parsePagination(req.query, 20);
+
+    if (entity && !VALID_ENTITIES.includes(entity)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid entity. Must be one of: ${VALID_ENTITIES.join(', ')}`,
+        },
+      });
+    }
+
+    if (action && !VALID_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid action. Must be one of: ${VALID_ACTIONS.join(', ')}`,
+        },
+      });
+    }
+
+    for (const [name, value] of [
+      ['from', from],
+      ['to', to],
+    ]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Invalid ${name} date format`,
+            hint: 'Please use YYYY-MM-DD format (e.g., 2025-01-15)',
+          },
+        });
+      }
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (entity) {
+      conditions.push('al.entity = ?');
+      params.push(entity);
+    }
+
+    if (entity_id) {
+      conditions.push('al.entity_id = ?');
+      params.push(parseInt(entity_id));
+    }
+
+    if (actor_user_id) {
+      conditions.push('al.actor_user_id = ?');
+      params.push(parseInt(actor_user_id));
+    }
+
+    if (action) {
+      conditions.push('al.action = ?');
+      params.push(action);
+    }
+
+    if (from) {
+      conditions.push('al.created_at >= ?');
+      params.push(from);
+    }
+
+    // `to` is inclusive of the whole day
+    if (to) {
+      conditions.push('al.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(to);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countResult] = await pool.execute(
+      `SELECT COUNT(*) as total FROM audit_logs al ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    const [logs] = await pool.execute(
+      `SELECT 
+        al.id,
+        al.actor_user_id,
+        u.email as actor_email,
+        al.entity,
+        al.entity_id,
+        al.action,
+        al.before_data,
+        al.after_data,
+        al.created_at
+      FROM audit_logs al
+      LEFT JOIN users u ON al.actor_user_id = u.id
+      ${whereClause}
+      ORDER BY al.created_at DESC, al.id DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      data: logs.map((log) => ({
+        ...log,
+        before_data: parseAuditData(log.before_data),
+        after_data: parseAuditData(log.after_data),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
@@ -1,6 +1,45 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} = require('../utils/tokens');
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  getResetUrl,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  generateTemporaryPassword,
+} = require('../utils/passwordReset');
+const { sendEmail } = require('../utils/mailer');
+const { getPasswordError } = require('../validators/auth.validator');
+
+const REFRESH_ERROR_MESSAGES = {
+  invalid: 'Invalid refresh token',
+  expired: 'Refresh token has expired. Please log in again',
+  reused:
+    'Refresh token has already been used. All sessions from this login have been signed out',
+};
+
+const RESET_ERROR_MESSAGES = {
+  invalid: 'Invalid password reset token',
+  used: 'This password reset link has already been used',
+  expired: 'This password reset link has expired. Please request a new one',
+};
+
+const jwtSecretMissingResponse = (res) => {
+  // eslint-disable-next-line no-console
+  console.error('JWT_SECRET is not configured in environment variables');
+  return res.status(500).json({
+    success: false,
+    error: 'Server configuration error',
+    message: 'Authentication service is not properly configured',
+  });
+};
 
 const register = async (req, res, next) => {
   try {
@@ -25,11 +64,12 @@ const register = async (req, res, next) => {
       });
     }
 
-    if (password.length < 6) {
+    const passwordError = getPasswordError(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Password must be at least 6 characters long',
+          message: passwordError,
         },
       });
     }
@@ -102,7 +142,7 @@ const login = async (req, res, next) => {
     }
 
     const [users] = await pool.execute(
-      'SELECT id, email, password, role, approval_status FROM users WHERE email = ?',
+      'SELECT id, email, password, role, approval_status, token_version, must_change_password FROM users WHERE email = ?',
       [email]
     );
 
@@ -149,40 +189,25 @@ const login = async (req, res, next) => {
       });
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-
-    if (!jwtSecret) {
-      // eslint-disable-next-line no-console
-      console.error('JWT_SECRET is not configured in environment variables');
-      return res.status(500).json({
-        success: false,
-        error: 'Server configuration error',
-        message: 'Authentication service is not properly configured',
-      });
+    if (!process.env.JWT_SECRET) {
+      return jwtSecretMissingResponse(res);
     }
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        approval_status: user.approval_status,
-      },
-      jwtSecret,
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      }
-    );
+    const token = signAccessToken(user);
+    const { token: refreshToken } = await issueRefreshToken(user.id);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token: token,
+      refreshToken: refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: {
         id: user.id,
         email: user.email,
         role: user.role,
         approval_status: user.approval_status,
+        must_change_password: Boolean(user.must_change_password),
       },
     });
   } catch (error) {
@@ -190,12 +215,121 @@ const login = async (req, res, next) => {
   }
 };
 
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'refreshToken is required',
+        },
+      });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return jwtSecretMissingResponse(res);
+    }
+
+    const rotation = await rotateRefreshToken(refreshToken);
+
+    if (rotation.error) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: REFRESH_ERROR_MESSAGES[rotation.error],
+        },
+      });
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id, email, role, approval_status, token_version FROM users WHERE id = ?',
+      [rotation.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: REFRESH_ERROR_MESSAGES.invalid,
+        },
+      });
+    }
+
+    const user = users[0];
+
+    if (user.approval_status !== 'approved') {
+      await revokeAllUserTokens(user.id);
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            user.approval_status === 'pending'
+              ? 'Your account is pending admin approval'
+              : 'Your account has been rejected',
+          status: user.approval_status,
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: signAccessToken(user),
+      refreshToken: rotation.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ends the session that owns the refresh token. Works with an expired access
+// token, so it does not sit behind authenticateToken.
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'refreshToken is required',
+        },
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllUserTokens(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getCurrentUser = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
     const [users] = await pool.execute(
-      `SELECT u.id, u.email, u.role, u.approval_status, u.profile_image_url, u.created_at, u.updated_at,
+      `SELECT u.id, u.email, u.role, u.approval_status, u.profile_image_url, u.must_change_password,
+              u.created_at, u.updated_at,
               p.id as personnel_id, p.name, p.role_title, p.experience_level, 
               p.profile_image_url as personnel_profile_image_url, p.bio
        FROM users u
@@ -223,6 +357,7 @@ const getCurrentUser = async (req, res, next) => {
         role: userData.role,
         approval_status: userData.approval_status,
         profile_image_url: userData.profile_image_url,
+        must_change_password: Boolean(userData.must_change_password),
         created_at: userData.created_at,
         updated_at: userData.updated_at,
         personnel: userData.personnel_id
@@ -302,7 +437,7 @@ const updateProfile = async (req, res, next) => {
     }
 
     if (newPassword) {
-      if (!currentPassword) {
+      if (!currentPassword || typeof currentPassword !== 'string') {
         return res.status(400).json({
           success: false,
           error: {
@@ -325,11 +460,12 @@ const updateProfile = async (req, res, next) => {
         });
       }
 
-      if (newPassword.length < 6) {
+      const passwordError = getPasswordError(newPassword);
+      if (passwordError) {
         return res.status(400).json({
           success: false,
           error: {
-            message: 'Password must be at least 6 characters long',
+            message: passwordError,
           },
         });
       }
@@ -337,14 +473,15 @@ const updateProfile = async (req, res, next) => {
       const saltRounds = 10;
       const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-      await pool.execute('UPDATE users SET password = ? WHERE id = ?', [
-        hashedPassword,
-        userId,
-      ]);
+      await pool.execute(
+        'UPDATE users SET password = ?, must_change_password = FALSE WHERE id = ?',
+        [hashedPassword, userId]
+      );
     }
 
     const [updatedUsers] = await pool.execute(
-      `SELECT u.id, u.email, u.role, u.approval_status, u.profile_image_url, u.created_at, u.updated_at,
+      `SELECT u.id, u.email, u.role, u.approval_status, u.profile_image_url, u.must_change_password,
+              u.created_at, u.updated_at,
               p.id as personnel_id, p.name, p.role_title, p.experience_level, 
               p.profile_image_url as personnel_profile_image_url, p.bio
        FROM users u
@@ -364,6 +501,7 @@ const updateProfile = async (req, res, next) => {
         role: userData.role,
         approval_status: userData.approval_status,
         profile_image_url: userData.profile_image_url,
+        must_change_password: Boolean(userData.must_change_password),
         created_at: userData.created_at,
         updated_at: userData.updated_at,
         personnel: userData.personnel_id
@@ -383,9 +521,210 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
+// Always answers the same way so the endpoint cannot be used to find out
+// which emails have accounts
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Email is required',
+        },
+      });
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id, email, approval_status FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length > 0 && users[0].approval_status !== 'rejected') {
+      const user = users[0];
+      const token = await createPasswordResetToken(user.id);
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Reset your password',
+          text:
+            `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+            `${getResetUrl(token)}\n\n` +
+            'If you did not ask for a password reset you can ignore this email.',
+        });
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  let connection;
+
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== 'string' || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'token and newPassword are required',
+        },
+      });
+    }
+
+    const passwordError = getPasswordError(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: passwordError,
+        },
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const reset = await consumePasswordResetToken(token, connection);
+
+    if (reset.error) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: RESET_ERROR_MESSAGES[reset.error],
+        },
+      });
+    }
+
+    await connection.execute(
+      'UPDATE users SET password = ?, must_change_password = FALSE WHERE id = ?',
+      [hashedPassword, reset.userId]
+    );
+
+    // Whoever knew the old password should not stay signed in
+    await revokeAllUserTokens(reset.userId, connection);
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password',
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Sets a temporary password (generated unless one is supplied), emails it to
+// the user and makes them choose a new one after logging in
+const adminResetPassword = async (req, res, next) => {
+  let connection;
+
+  try {
+    const { id } = req.params;
+    const { temporaryPassword } = req.body || {};
+
+    const passwordError =
+      temporaryPassword !== undefined &&
+      getPasswordError(temporaryPassword, 'Temporary password');
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: passwordError,
+        },
+      });
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id, email, role, approval_status FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    const user = users[0];
+    const password = temporaryPassword || generateTemporaryPassword();
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'UPDATE users SET password = ?, must_change_password = TRUE WHERE id = ?',
+      [hashedPassword, user.id]
+    );
+    await connection.execute(
+      'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    await revokeAllUserTokens(user.id, connection);
+
+    // Sent before committing so a delivery failure does not leave the user
+    // with a password nobody knows
+    await sendEmail({
+      to: user.email,
+      subject: 'Your password has been reset',
+      text:
+        `An administrator has reset your password. Your temporary password is: ${password}\n\n` +
+        'You will be asked to choose a new password after logging in.',
+    });
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message:
+        'Password reset. The user has been emailed a temporary password and must change it at next login',
+      data: {
+        id: user.id,
+        email: user.email,
+        must_change_password: true,
+      },
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
   getCurrentUser,
   updateProfile,
+  forgotPassword,
+  resetPassword,
+  adminResetPassword,
 };
@@ -1,6 +1,32 @@
 const { pool } = require('../config/database');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  buildCapacityTimeline,
+  summarizeCapacity,
+} = require('../utils/capacity');
+const { detectAllocationConflicts } = require('../utils/allocationAlerts');
+const { hasPersonnelPermission } = require('../utils/controllerHelpers');
+const { availabilityPermissions } = require('../utils/permissions');
+
+// Availability writes lock the personnel row like allocation writes do, so
+// they apply one at a time per person and never change the periods an
+// allocation capacity check is reading. The conflict scan runs in the same
+// transaction, so a failing scan rolls the change back instead of leaving it
+// saved behind an error.
+const lockPersonnel = async (connection, personnelId) => {
+  const [personnel] = await connection.execute(
+    'SELECT id FROM personnel WHERE id = ? FOR UPDATE',
+    [personnelId]
+  );
+  return personnel.length > 0;
+};
 
 const setPersonnelAvailability = async (req, res, next) => {
+  let connection;
   try {
     const {
       personnel_id,
@@ -20,6 +46,21 @@ const setPersonnelAvailability = async (req, res, next) => {
       });
     }
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      personnel_id,
+      availabilityPermissions.canSetAvailability,
+      availabilityPermissions.canManageOwnAvailability
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only set your own availability.',
+        },
+      });
+    }
+
     if (availability_percentage < 0 || availability_percentage > 100) {
       return res.status(400).json({
         success: false,
@@ -62,12 +103,11 @@ const setPersonnelAvailability = async (req, res, next) => {
       });
     }
 
-    const [personnel] = await pool.execute(
-      'SELECT id FROM personnel WHERE id = ?',
-      [personnel_id]
-    );
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    if (personnel.length === 0) {
+    if (!(await lockPersonnel(connection, personnel_id))) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         error: {
@@ -76,7 +116,7 @@ const setPersonnelAvailability = async (req, res, next) => {
       });
     }
 
-    const [overlapping] = await pool.execute(
+    const [overlapping] = await connection.execute(
       `SELECT id FROM personnel_availability 
        WHERE personnel_id = ? 
        AND start_date <= ? 
@@ -85,6 +125,7 @@ const setPersonnelAvailability = async (req, res, next) => {
     );
 
     if (overlapping.length > 0) {
+      await connection.rollback();
       return res.status(409).json({
         success: false,
         error: {
@@ -95,7 +136,7 @@ const setPersonnelAvailability = async (req, res, next) => {
       });
     }
 
-    const [result] = await pool.execute(
+    const [result] = await connection.execute(
       'INSERT INTO personnel_availability (personnel_id, start_date, end_date, availability_percentage, notes) VALUES (?, ?, ?, ?, ?)',
       [
         personnel_id,
@@ -106,18 +147,36 @@ const setPersonnelAvailability = async (req, res, next) => {
       ]
     );
 
-    const [createdAvailability] = await pool.execute(
+    const [createdAvailability] = await connection.execute(
       'SELECT * FROM personnel_availability WHERE id = ?',
       [result.insertId]
     );
 
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.AVAILABILITY,
+        entityId: result.insertId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: createdAvailability[0],
+      },
+      connection
+    );
+
+    await detectAllocationConflicts(connection, [personnel_id]);
+
+    await connection.commit();
+
     res.status(201).json({
       success: true,
       message: 'Availability period created successfully',
       data: createdAvailability[0],
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -126,6 +185,21 @@ const getPersonnelAvailability = async (req, res, next) => {
     const { personnelId } = req.params;
     const { start_date, end_date } = req.query;
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      personnelId,
+      availabilityPermissions.canViewAvailability,
+      availabilityPermissions.canManageOwnAvailability
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own availability.',
+        },
+      });
+    }
+
     const [personnel] = await pool.execute(
       'SELECT id, name FROM personnel WHERE id = ?',
       [personnelId]
@@ -205,6 +279,7 @@ const getPersonnelAvailability = async (req, res, next) => {
 };
 
 const updatePersonnelAvailability = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
     const { start_date, end_date, availability_percentage, notes } = req.body;
@@ -225,6 +300,21 @@ const updatePersonnelAvailability = async (req, res, next) => {
     }
 
     const existing = existingAvailability[0];
+
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      existing.personnel_id,
+      availabilityPermissions.canUpdateAvailability,
+      availabilityPermissions.canManageOwnAvailability
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only update your own availability.',
+        },
+      });
+    }
     const finalStartDate = start_date || existing.start_date;
     const finalEndDate = end_date || existing.end_date;
 
@@ -272,26 +362,6 @@ const updatePersonnelAvailability = async (req, res, next) => {
           },
         });
       }
-
-      // Check for overlapping periods (excluding current period)
-      const [overlapping] = await pool.execute(
-        `SELECT id FROM personnel_availability 
-         WHERE personnel_id = ? 
-         AND id != ?
-         AND start_date <= ? 
-         AND end_date >= ?`,
-        [existing.personnel_id, id, finalEndDate, finalStartDate]
-      );
-
-      if (overlapping.length > 0) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message:
-              'Updated availability period would overlap with existing availability periods',
-          },
-        });
-      }
     }
 
     // Build update query dynamically
@@ -326,35 +396,99 @@ const updatePersonnelAvailability = async (req, res, next) => {
 
     updateParams.push(id);
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockPersonnel(connection, existing.personnel_id);
+
+    // Re-read under the lock so the audit snapshot matches what we overwrite
+    const [lockedAvailability] = await connection.execute(
+      'SELECT * FROM personnel_availability WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (lockedAvailability.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Availability period not found',
+        },
+      });
+    }
+
+    if (start_date || end_date) {
+      // Check for overlapping periods (excluding current period)
+      const [overlapping] = await connection.execute(
+        `SELECT id FROM personnel_availability 
+         WHERE personnel_id = ? 
+         AND id != ?
+         AND start_date <= ? 
+         AND end_date >= ?`,
+        [existing.personnel_id, id, finalEndDate, finalStartDate]
+      );
+
+      if (overlapping.length > 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          error: {
+            message:
+              'Updated availability period would overlap with existing availability periods',
+          },
+        });
+      }
+    }
+
     // Execute update
-    await pool.execute(
+    await connection.execute(
       `UPDATE personnel_availability SET ${updateFields.join(', ')} WHERE id = ?`,
       updateParams
     );
 
     // Fetch updated availability period
-    const [updatedAvailability] = await pool.execute(
+    const [updatedAvailability] = await connection.execute(
       'SELECT * FROM personnel_availability WHERE id = ?',
       [id]
     );
 
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.AVAILABILITY,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.UPDATE,
+        before: lockedAvailability[0],
+        after: updatedAvailability[0],
+      },
+      connection
+    );
+
+    await detectAllocationConflicts(connection, [existing.personnel_id]);
+
+    await connection.commit();
+
     res.status(200).json({
       success: true,
       message: 'Availability period updated successfully',
       data: updatedAvailability[0],
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 const deletePersonnelAvailability = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
 
     // Validate availability period exists
     const [existingAvailability] = await pool.execute(
-      'SELECT id FROM personnel_availability WHERE id = ?',
+      'SELECT * FROM personnel_availability WHERE id = ?',
       [id]
     );
 
@@ -367,15 +501,58 @@ const deletePersonnelAvailability = async (req, res, next) => {
       });
     }
 
+    const personnelId = existingAvailability[0].personnel_id;
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await lockPersonnel(connection, personnelId);
+
+    const [lockedAvailability] = await connection.execute(
+      'SELECT * FROM personnel_availability WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (lockedAvailability.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Availability period not found',
+        },
+      });
+    }
+
     // Delete availability period
-    await pool.execute('DELETE FROM personnel_availability WHERE id = ?', [id]);
+    await connection.execute(
+      'DELETE FROM personnel_availability WHERE id = ?',
+      [id]
+    );
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.AVAILABILITY,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.DELETE,
+        before: lockedAvailability[0],
+      },
+      connection
+    );
+
+    await detectAllocationConflicts(connection, [personnelId]);
+
+    await connection.commit();
 
     res.status(200).json({
       success: true,
       message: 'Availability period deleted successfully',
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -383,10 +560,11 @@ const checkAvailabilityConflicts = async (
   personnelId,
   startDate,
   endDate,
-  requiredPercentage
+  requiredPercentage,
+  connection = pool
 ) => {
   // Get overlapping availability periods
-  const [availabilityPeriods] = await pool.execute(
+  const [availabilityPeriods] = await connection.execute(
     `SELECT * FROM personnel_availability 
      WHERE personnel_id = ? 
      AND start_date <= ? 
@@ -404,28 +582,13 @@ const checkAvailabilityConflicts = async (
     };
   }
 
-  // Calculate average availability for the date range
-  const totalDays =
-    Math.ceil(
-      (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)
-    ) + 1;
-  let weightedSum = 0;
-  let coveredDays = 0;
+  // Average availability over the working days of the date range
+  const { average_availability: averageAvailability } = summarizeCapacity(
+    buildCapacityTimeline({ from: startDate, to: endDate, availabilityPeriods })
+  );
   const conflicts = [];
 
   availabilityPeriods.forEach((period) => {
-    const periodStart = new Date(
-      Math.max(new Date(startDate), new Date(period.start_date))
-    );
-    const periodEnd = new Date(
-      Math.min(new Date(endDate), new Date(period.end_date))
-    );
-    const periodDays =
-      Math.ceil((periodEnd - periodStart) / (1000 * 60 * 60 * 24)) + 1;
-
-    weightedSum += periodDays * period.availability_percentage;
-    coveredDays += periodDays;
-
     // Check for conflicts where availability is less than required
     if (period.availability_percentage < requiredPercentage) {
       conflicts.push({
@@ -440,9 +603,6 @@ const checkAvailabilityConflicts = async (
     }
   });
 
-  const averageAvailability =
-    coveredDays > 0 ? Math.round(weightedSum / totalDays) : 100;
-
   return {
     available: averageAvailability >= requiredPercentage,
     averageAvailability: averageAvailability,
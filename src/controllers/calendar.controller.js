@@ -0,0 +1,246 @@
+const { pool } = require('../config/database');
+const { buildCalendar } = require('../utils/icalendar');
+const {
+  CALENDAR_FEED_TYPES,
+  canAccessFeed,
+  issueCalendarFeedToken,
+  findCalendarFeedToken,
+  getPersonnelFeedEvents,
+  getProjectFeedEvents,
+} = require('../utils/calendarFeeds');
+const {
+  checkPermission,
+  userManagementPermissions,
+} = require('../utils/permissions');
+
+const FEED_RESOURCES = {
+  [CALENDAR_FEED_TYPES.PERSONNEL]: {
+    query: 'SELECT id, name FROM personnel WHERE id = ?',
+    path: 'personnel',
+    notFound: 'Personnel not found',
+    getName: (personnel) => `${personnel.name} - Allocations`,
+    getEvents: (personnel) => getPersonnelFeedEvents(personnel.id),
+  },
+  [CALENDAR_FEED_TYPES.PROJECT]: {
+    query:
+      'SELECT id, project_name, start_date, end_date FROM projects WHERE id = ?',
+    path: 'projects',
+    notFound: 'Project not found',
+    getName: (project) => `${project.project_name} - Team`,
+    getEvents: (project, user) => getProjectFeedEvents(project, user),
+  },
+};
+
+const findFeedResource = async (feedType, id) => {
+  const [rows] = await pool.execute(FEED_RESOURCES[feedType].query, [id]);
+  return rows[0] || null;
+};
+
+const getFeedUrl = (req, feedType, resourceId, token) =>
+  `${req.protocol}://${req.get('host')}/api/calendar/${FEED_RESOURCES[feedType].path}/${resourceId}.ics?token=${token}`;
+
+const createFeedToken = (feedType) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { label } = req.body || {};
+
+    const resource = await findFeedResource(feedType, id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: FEED_RESOURCES[feedType].notFound,
+        },
+      });
+    }
+
+    if (!(await canAccessFeed(req.user, feedType, resource.id))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only subscribe to calendars you are allowed to view.',
+        },
+      });
+    }
+
+    const { id: tokenId, token } = await issueCalendarFeedToken({
+      user: req.user,
+      feedType,
+      resourceId: resource.id,
+      label: label ? String(label).trim().slice(0, 255) : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        'Calendar feed created. Keep the URL private; it is not shown again.',
+      data: {
+        id: tokenId,
+        feed_type: feedType,
+        resource_id: resource.id,
+        label: label || null,
+        url: getFeedUrl(req, feedType, resource.id, token),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getFeedTokens = async (req, res, next) => {
+  try {
+    const [tokens] = await pool.execute(
+      `SELECT
+        cft.id,
+        cft.feed_type,
+        cft.resource_id,
+        COALESCE(p.name, proj.project_name) as resource_name,
+        cft.label,
+        cft.last_used_at,
+        cft.created_at
+      FROM calendar_feed_tokens cft
+      LEFT JOIN personnel p
+        ON cft.feed_type = 'personnel' AND p.id = cft.resource_id
+      LEFT JOIN projects proj
+        ON cft.feed_type = 'project' AND proj.id = cft.resource_id
+      WHERE cft.user_id = ? AND cft.revoked_at IS NULL
+      ORDER BY cft.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Owners can revoke their own feeds; admins can revoke anyone's
+const revokeFeedToken = async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+
+    const [tokens] = await pool.execute(
+      'SELECT id, user_id, revoked_at FROM calendar_feed_tokens WHERE id = ?',
+      [tokenId]
+    );
+
+    const isAdmin = checkPermission(
+      userManagementPermissions.canManageUsers,
+      req.user
+    );
+
+    if (
+      tokens.length === 0 ||
+      (tokens[0].user_id !== req.user.id && !isAdmin)
+    ) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Calendar feed not found',
+        },
+      });
+    }
+
+    if (tokens[0].revoked_at) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Calendar feed has already been revoked',
+        },
+      });
+    }
+
+    await pool.execute(
+      'UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE id = ?',
+      [tokenId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Calendar apps cannot send an Authorization header, so feeds are
+// authenticated by the token in the URL instead of a JWT
+const getCalendarFeed = (feedType) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const feedToken = await findCalendarFeedToken(
+      req.query.token,
+      feedType,
+      id
+    );
+
+    if (
+      !feedToken ||
+      feedToken.user.approval_status !== 'approved' ||
+      !(await canAccessFeed(feedToken.user, feedType, id))
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Invalid or revoked calendar feed token',
+        },
+      });
+    }
+
+    const resource = await findFeedResource(feedType, id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: FEED_RESOURCES[feedType].notFound,
+        },
+      });
+    }
+
+    const events = await FEED_RESOURCES[feedType].getEvents(
+      resource,
+      feedToken.user
+    );
+
+    await pool.execute(
+      'UPDATE calendar_feed_tokens SET last_used_at = NOW() WHERE id = ?',
+      [feedToken.id]
+    );
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${FEED_RESOURCES[feedType].path}-${resource.id}.ics"`,
+      'Cache-Control': 'private, max-age=300',
+    });
+    res.status(200).send(
+      buildCalendar({
+        name: FEED_RESOURCES[feedType].getName(resource),
+        events,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createPersonnelFeedToken = createFeedToken(CALENDAR_FEED_TYPES.PERSONNEL);
+const createProjectFeedToken = createFeedToken(CALENDAR_FEED_TYPES.PROJECT);
+const getPersonnelCalendar = getCalendarFeed(CALENDAR_FEED_TYPES.PERSONNEL);
+const getProjectCalendar = getCalendarFeed(CALENDAR_FEED_TYPES.PROJECT);
+
+module.exports = {
+  createPersonnelFeedToken,
+  createProjectFeedToken,
+  getFeedTokens,
+  revokeFeedToken,
+  getPersonnelCalendar,
+  getProjectCalendar,
+};
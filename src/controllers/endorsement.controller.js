@@ -0,0 +1,288 @@
+const { pool } = require('../config/database');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  SKILL_CLAIM_STATUSES,
+  getSkillClaimById,
+} = require('../utils/skillClaims');
+const { recordSkillChange } = require('../utils/skillHistory');
+const { parsePagination } = require('../utils/helpers');
+const {
+  NOTIFICATION_EVENTS,
+  notifyUsers,
+  sendNotificationEmails,
+} = require('../utils/notifications');
+
+const getPendingEndorsements = async (req, res, next) => {
+  try {
+    const { personnel_id, skill_id } = req.query;
+    const { page, limit, offset } = parsePagination(req.query, 20);
+
+    const conditions = ['sc.status = ?'];
+    const params = [SKILL_CLAIM_STATUSES.PENDING];
+
+    if (personnel_id) {
+      conditions.push('sc.personnel_id = ?');
+      params.push(parseInt(personnel_id));
+    }
+
+    if (skill_id) {
+      conditions.push('sc.skill_id = ?');
+      params.push(parseInt(skill_id));
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countResult] = await pool.execute(
+      `SELECT COUNT(*) as total FROM skill_claims sc ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    // Oldest first so the queue is worked in the order claims came in
+    const [claims] = await pool.execute(
+      `SELECT
+        sc.id,
+        sc.personnel_id,
+        p.name as personnel_name,
+        p.role_title,
+        sc.skill_id,
+        s.skill_name,
+        s.category,
+        ps.proficiency_level as current_proficiency_level,
+        ps.years_of_experience as current_years_of_experience,
+        sc.proficiency_level as proposed_proficiency_level,
+        sc.years_of_experience as proposed_years_of_experience,
+        sc.proposed_by,
+        u.email as proposed_by_email,
+        sc.created_at,
+        sc.updated_at
+      FROM skill_claims sc
+      INNER JOIN personnel p ON sc.personnel_id = p.id
+      INNER JOIN skills s ON sc.skill_id = s.id
+      LEFT JOIN personnel_skills ps
+        ON ps.personnel_id = sc.personnel_id AND ps.skill_id = sc.skill_id
+      LEFT JOIN users u ON sc.proposed_by = u.id
+      ${whereClause}
+      ORDER BY sc.created_at ASC, sc.id ASC
+      LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      data: claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Writes the claimed proficiency to personnel_skills, marked as verified by
+// the reviewer
+const applySkillClaim = async (claim, reviewer, connection) => {
+  const [existingSkills] = await connection.execute(
+    'SELECT * FROM personnel_skills WHERE personnel_id = ? AND skill_id = ? FOR UPDATE',
+    [claim.personnel_id, claim.skill_id]
+  );
+  const existing = existingSkills[0] || null;
+
+  let personnelSkillId;
+
+  if (existing) {
+    personnelSkillId = existing.id;
+    await connection.execute(
+      `UPDATE personnel_skills
+       SET proficiency_level = ?, years_of_experience = ?, verified_by = ?, verified_at = NOW()
+       WHERE id = ?`,
+      [
+        claim.proficiency_level,
+        claim.years_of_experience ?? existing.years_of_experience,
+        reviewer.id,
+        existing.id,
+      ]
+    );
+  } else {
+    const [result] = await connection.execute(
+      `INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience, verified_by, verified_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [
+        claim.personnel_id,
+        claim.skill_id,
+        claim.proficiency_level,
+        claim.years_of_experience ?? 0,
+        reviewer.id,
+      ]
+    );
+    personnelSkillId = result.insertId;
+  }
+
+  const [updatedSkills] = await connection.execute(
+    'SELECT * FROM personnel_skills WHERE id = ?',
+    [personnelSkillId]
+  );
+
+  await recordSkillChange(
+    {
+      personnelId: claim.personnel_id,
+      skillId: claim.skill_id,
+      before: existing,
+      after: updatedSkills[0],
+      user: reviewer,
+      skillClaimId: claim.id,
+    },
+    connection
+  );
+
+  await recordAudit(
+    {
+      user: reviewer,
+      entity: AUDIT_ENTITIES.PERSONNEL_SKILL,
+      entityId: personnelSkillId,
+      action: existing ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+      before: existing,
+      after: updatedSkills[0],
+    },
+    connection
+  );
+};
+
+const reviewSkillClaim = (status) => async (req, res, next) => {
+  let connection;
+
+  try {
+    const { claimId } = req.params;
+    const { comment } = req.body || {};
+
+    if (
+      status === SKILL_CLAIM_STATUSES.REJECTED &&
+      (!comment || !comment.trim())
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A comment is required when rejecting a skill claim',
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [claims] = await connection.execute(
+      `SELECT sc.*, p.user_id as personnel_user_id
+       FROM skill_claims sc
+       INNER JOIN personnel p ON sc.personnel_id = p.id
+       WHERE sc.id = ?
+       FOR UPDATE`,
+      [claimId]
+    );
+
+    if (claims.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill claim not found',
+        },
+      });
+    }
+
+    const { personnel_user_id: personnelUserId, ...claim } = claims[0];
+
+    if (claim.status !== SKILL_CLAIM_STATUSES.PENDING) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Skill claim has already been ${claim.status}`,
+        },
+      });
+    }
+
+    if (personnelUserId === req.user.id) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You cannot review your own skill claim.',
+        },
+      });
+    }
+
+    if (status === SKILL_CLAIM_STATUSES.APPROVED) {
+      await applySkillClaim(claim, req.user, connection);
+    }
+
+    await connection.execute(
+      `UPDATE skill_claims
+       SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_comment = ?
+       WHERE id = ?`,
+      [status, req.user.id, comment ? comment.trim() : null, claim.id]
+    );
+
+    const updatedClaim = await getSkillClaimById(claim.id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.SKILL_CLAIM,
+        entityId: claim.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: claim,
+        after: updatedClaim,
+      },
+      connection
+    );
+
+    const emails = await notifyUsers(
+      {
+        userIds: [personnelUserId],
+        event: NOTIFICATION_EVENTS.SKILL_CLAIM_REVIEWED,
+        title: `Your ${updatedClaim.skill_name} skill claim has been ${status}`,
+        message: updatedClaim.review_comment,
+        entity: AUDIT_ENTITIES.SKILL_CLAIM,
+        entityId: claim.id,
+        data: {
+          skill_id: claim.skill_id,
+          proficiency_level: claim.proficiency_level,
+          status,
+        },
+        actor: req.user,
+      },
+      connection
+    );
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
+
+    res.status(200).json({
+      success: true,
+      message: `Skill claim ${status}`,
+      data: updatedClaim,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+const approveSkillClaim = reviewSkillClaim(SKILL_CLAIM_STATUSES.APPROVED);
+const rejectSkillClaim = reviewSkillClaim(SKILL_CLAIM_STATUSES.REJECTED);
+
+module.exports = {
+  getPendingEndorsements,
+  approveSkillClaim,
+  rejectSkillClaim,
+};
@@ -0,0 +1,337 @@
+const {
+  EXPORT_FORMATS,
+  streamQuery,
+  createExportWriter,
+} = require('../utils/exporters');
+const {
+  parseSkillFilters,
+  buildPersonnelFilters,
+  buildProjectFilters,
+  buildAllocationFilters,
+} = require('../utils/listFilters');
+const {
+  buildCapacityTimeline,
+  summarizeCapacity,
+  summarizeCapacityByMonth,
+} = require('../utils/capacity');
+const { formatDate } = require('../utils/helpers');
+
+const MAX_UTILIZATION_MONTHS = 24;
+
+const PERSONNEL_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number', width: 0.5 },
+  { key: 'name', header: 'Name', width: 1.5 },
+  { key: 'email', header: 'Email', width: 2 },
+  { key: 'role_title', header: 'Role', width: 1.5 },
+  { key: 'experience_level', header: 'Experience Level' },
+  { key: 'skills', header: 'Skills', width: 4 },
+  { key: 'created_at', header: 'Created', type: 'date' },
+];
+
+const PROJECT_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number', width: 0.5 },
+  { key: 'project_name', header: 'Project', width: 2 },
+  { key: 'status', header: 'Status' },
+  { key: 'start_date', header: 'Start Date', type: 'date' },
+  { key: 'end_date', header: 'End Date', type: 'date' },
+  { key: 'team_size', header: 'Team Size', type: 'number', width: 0.7 },
+  { key: 'required_skills', header: 'Required Skills', width: 3 },
+  { key: 'description', header: 'Description', width: 3 },
+];
+
+const ALLOCATION_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number', width: 0.5 },
+  { key: 'project_name', header: 'Project', width: 2 },
+  { key: 'personnel_name', header: 'Personnel', width: 1.5 },
+  { key: 'role_in_project', header: 'Role', width: 1.5 },
+  { key: 'phase_name', header: 'Phase', width: 1.5 },
+  { key: 'allocation_percentage', header: 'Allocation %', type: 'number' },
+  { key: 'allocation_status', header: 'Status', width: 0.8 },
+  { key: 'start_date', header: 'Start Date', type: 'date' },
+  { key: 'end_date', header: 'End Date', type: 'date' },
+];
+
+// Validates ?format= and, if all is well, streams getRows() out as a download.
+// Once the first byte is sent a failure can only abort the response.
+const sendExport = async (req, res, { name, title, columns, getRows }) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid format: ${req.query.format}`,
+        hint: `Valid formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      },
+    });
+  }
+
+  const filename = `${name}-${formatDate(new Date())}.${exportFormat.extension}`;
+
+  try {
+    res.status(200);
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const writer = createExportWriter(format, res, { title, columns });
+    await writer.start();
+
+    // Rows keep being read after a client disconnects (writes are dropped)
+    // so the query finishes and its connection goes back to the pool
+    for await (const row of getRows()) {
+      await writer.writeRow(row);
+    }
+
+    await writer.end();
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    res.destroy(error);
+  }
+};
+
+const exportPersonnel = async (req, res, next) => {
+  try {
+    const skillFilters = parseSkillFilters(req.query.skill_filters);
+    if (!skillFilters) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid skill_filters format. Must be valid JSON.',
+        },
+      });
+    }
+
+    const { joins, where, params } = buildPersonnelFilters(
+      req.query,
+      skillFilters
+    );
+
+    await sendExport(req, res, {
+      name: 'personnel',
+      title: 'Personnel',
+      columns: PERSONNEL_COLUMNS,
+      getRows: () =>
+        streamQuery(
+          `SELECT DISTINCT
+            p.id,
+            p.name,
+            p.email,
+            p.role_title,
+            p.experience_level,
+            (SELECT GROUP_CONCAT(
+                CONCAT(s.skill_name, ' (', ps.proficiency_level, ')')
+                ORDER BY s.skill_name SEPARATOR '; ')
+             FROM personnel_skills ps
+             INNER JOIN skills s ON ps.skill_id = s.id
+             WHERE ps.personnel_id = p.id) as skills,
+            p.created_at
+          FROM personnel p ${joins}${where}
+          ORDER BY p.created_at DESC`,
+          params
+        ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const exportProjects = async (req, res, next) => {
+  try {
+    const { where, params } = buildProjectFilters(req.query);
+
+    await sendExport(req, res, {
+      name: 'projects',
+      title: 'Projects',
+      columns: PROJECT_COLUMNS,
+      getRows: () =>
+        streamQuery(
+          `SELECT
+            p.id,
+            p.project_name,
+            p.status,
+            p.start_date,
+            p.end_date,
+            (SELECT COUNT(DISTINCT pa.personnel_id)
+             FROM project_allocations pa
+             WHERE pa.project_id = p.id) as team_size,
+            (SELECT GROUP_CONCAT(
+                CONCAT(s.skill_name, ' (', prs.minimum_proficiency, ')')
+                ORDER BY s.skill_name SEPARATOR '; ')
+             FROM project_required_skills prs
+             INNER JOIN skills s ON prs.skill_id = s.id
+             WHERE prs.project_id = p.id) as required_skills,
+            p.description
+          FROM projects p${where}
+          ORDER BY p.created_at DESC`,
+          params
+        ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const exportAllocations = async (req, res, next) => {
+  try {
+    const { where, params } = buildAllocationFilters(req.query);
+
+    await sendExport(req, res, {
+      name: 'allocations',
+      title: 'Allocations',
+      columns: ALLOCATION_COLUMNS,
+      getRows: () =>
+        streamQuery(
+          `SELECT
+            pa.id,
+            proj.project_name,
+            p.name as personnel_name,
+            pa.role_in_project,
+            ph.phase_name,
+            pa.allocation_percentage,
+            pa.allocation_status,
+            pa.start_date,
+            pa.end_date
+          FROM project_allocations pa
+          INNER JOIN projects proj ON pa.project_id = proj.id
+          INNER JOIN personnel p ON pa.personnel_id = p.id
+          LEFT JOIN project_phases ph ON pa.phase_id = ph.id${where}
+          ORDER BY pa.created_at DESC`,
+          params
+        ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The query returns one row per person and allocation, ordered by person, so
+// each person is summarised as soon as their last row has been read
+async function* summarizeUtilizationRows(rows, from, to) {
+  let person = null;
+
+  const summarize = () => {
+    const timeline = buildCapacityTimeline({
+      from,
+      to,
+      allocations: person.allocations,
+    });
+    const capacity = summarizeCapacity(timeline);
+    const summary = {
+      personnel_id: person.personnel_id,
+      personnel_name: person.personnel_name,
+      role_title: person.role_title,
+      experience_level: person.experience_level,
+      total_utilization: capacity.average_allocated,
+      tentative_utilization: capacity.average_tentative,
+    };
+
+    summarizeCapacityByMonth(timeline).forEach((month) => {
+      summary[`month_${month.month}`] = month.utilization;
+    });
+
+    return summary;
+  };
+
+  for await (const row of rows) {
+    if (!person || person.personnel_id !== row.personnel_id) {
+      if (person) yield summarize();
+      person = { ...row, allocations: [] };
+    }
+
+    if (row.allocation_id) {
+      person.allocations.push({
+        id: row.allocation_id,
+        allocation_percentage: row.allocation_percentage,
+        allocation_status: row.allocation_status,
+        start_date: row.start_date,
+        end_date: row.end_date,
+      });
+    }
+  }
+
+  if (person) yield summarize();
+}
+
+// Same window and figures as GET /api/allocations/utilization
+const exportUtilization = async (req, res, next) => {
+  try {
+    const months = Math.min(
+      Math.max(parseInt(req.query.months, 10) || 3, 1),
+      MAX_UTILIZATION_MONTHS
+    );
+
+    const today = new Date();
+    const endDate = new Date();
+    endDate.setMonth(endDate.getMonth() + months);
+
+    const from = today.toISOString().split('T')[0];
+    const to = endDate.toISOString().split('T')[0];
+
+    const monthColumns = summarizeCapacityByMonth(
+      buildCapacityTimeline({ from, to })
+    ).map((month) => ({
+      key: `month_${month.month}`,
+      header: month.month_label,
+      type: 'number',
+      width: 0.8,
+    }));
+
+    await sendExport(req, res, {
+      name: 'utilization',
+      title: `Utilization ${from} to ${to}`,
+      columns: [
+        { key: 'personnel_id', header: 'ID', type: 'number', width: 0.5 },
+        { key: 'personnel_name', header: 'Name', width: 1.5 },
+        { key: 'role_title', header: 'Role', width: 1.5 },
+        { key: 'experience_level', header: 'Experience Level' },
+        {
+          key: 'total_utilization',
+          header: 'Average Utilization %',
+          type: 'number',
+        },
+        {
+          key: 'tentative_utilization',
+          header: 'Average Tentative %',
+          type: 'number',
+        },
+        ...monthColumns,
+      ],
+      getRows: () =>
+        summarizeUtilizationRows(
+          streamQuery(
+            `SELECT
+              p.id as personnel_id,
+              p.name as personnel_name,
+              p.role_title,
+              p.experience_level,
+              pa.id as allocation_id,
+              pa.allocation_percentage,
+              pa.allocation_status,
+              pa.start_date,
+              pa.end_date
+            FROM personnel p
+            LEFT JOIN project_allocations pa ON p.id = pa.personnel_id
+              AND pa.end_date >= ?
+              AND pa.start_date <= ?
+              AND pa.paused_at IS NULL
+              AND pa.allocation_status != 'released'
+            ORDER BY p.name, p.id, pa.start_date`,
+            [from, to]
+          ),
+          from,
+          to
+        ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  exportPersonnel,
+  exportProjects,
+  exportAllocations,
+  exportUtilization,
+};
@@ -1,4 +1,11 @@
 const { pool } = require('../config/database');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const { revokeAllUserTokens } = require('../utils/tokens');
+const { NOTIFICATION_EVENTS, notifyUsers } = require('../utils/notifications');
 
 const getAllManagers = async (req, res, next) => {
   try {
@@ -161,6 +168,25 @@ const approveManager = async (req, res, next) => {
       [id]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.MANAGER,
+      entityId: manager.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: manager,
+      after: { ...manager, approval_status: 'approved' },
+    });
+
+    await notifyUsers({
+      userIds: [manager.id],
+      event: NOTIFICATION_EVENTS.MANAGER_APPROVED,
+      title: 'Your manager account has been approved',
+      message: 'You can now sign in and start managing projects and people.',
+      entity: AUDIT_ENTITIES.MANAGER,
+      entityId: manager.id,
+      actor: req.user,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Manager approved successfully',
@@ -209,6 +235,28 @@ const rejectManager = async (req, res, next) => {
       [id]
     );
 
+    await revokeAllUserTokens(manager.id);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.MANAGER,
+      entityId: manager.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: manager,
+      after: { ...manager, approval_status: 'rejected' },
+    });
+
+    await notifyUsers({
+      userIds: [manager.id],
+      event: NOTIFICATION_EVENTS.MANAGER_REJECTED,
+      title: 'Your manager account has been rejected',
+      message:
+        'Please contact the administrator if you think this is a mistake.',
+      entity: AUDIT_ENTITIES.MANAGER,
+      entityId: manager.id,
+      actor: req.user,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Manager rejected successfully',
@@ -228,7 +276,7 @@ const deleteManager = async (req, res, next) => {
     const { id } = req.params;
 
     const [managers] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = "manager"',
+      'SELECT id, email, role, approval_status FROM users WHERE id = ? AND role = "manager"',
       [id]
     );
 
@@ -241,8 +289,18 @@ const deleteManager = async (req, res, next) => {
       });
     }
 
+    // Refresh tokens go with the row (ON DELETE CASCADE) and access tokens
+    // stop working because authenticateToken requires the user to exist
     await pool.execute('DELETE FROM users WHERE id = ?', [id]);
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.MANAGER,
+      entityId: managers[0].id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: managers[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Manager deleted successfully',
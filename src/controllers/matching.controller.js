@@ -1,11 +1,38 @@
 const { pool } = require('../config/database');
-
-const PROFICIENCY_LEVELS = {
-  Beginner: 1,
-  Intermediate: 2,
-  Advanced: 3,
-  Expert: 4,
-};
+const {
+  scorePersonnelMatch,
+  SCORE_WEIGHTS,
+  PROFICIENCY_LEVELS,
+} = require('../utils/matchScoring');
+const {
+  buildTeamProposals,
+  TEAM_STRATEGIES,
+} = require('../utils/teamComposition');
+const { getSkillSubstitutes } = require('../utils/skillTaxonomy');
+const {
+  getCapacityTimelines,
+  summarizeCapacity,
+} = require('../utils/capacity');
+const { formatDate } = require('../utils/helpers');
+const {
+  findProjectPhase,
+  getPhaseRequiredSkills,
+  isWithinRange,
+} = require('../utils/projectPhases');
+const {
+  findProjectRoleSlot,
+  getRoleSlotRequiredSkills,
+} = require('../utils/roleSlots');
+const {
+  ALLOCATION_STATUSES,
+  isValidAllocationStatus,
+} = require('../utils/allocationStatus');
+const { sendNotificationEmails } = require('../utils/notifications');
+const { createAllocation } = require('./allocation.controller');
+const {
+  allocationPermissions,
+  checkPermission,
+} = require('../utils/permissions');
 
 const EXPERIENCE_PRIORITY = {
   Junior: 1,
@@ -13,9 +40,93 @@ const EXPERIENCE_PRIORITY = {
   Senior: 3,
 };
 
+const getProjectRequiredSkills = async (projectId) => {
+  const [requiredSkills] = await pool.execute(
+    `SELECT 
+      prs.skill_id,
+      s.skill_name,
+      prs.minimum_proficiency,
+      prs.importance_weight
+    FROM project_required_skills prs
+    INNER JOIN skills s ON prs.skill_id = s.id
+    WHERE prs.project_id = ?
+    ORDER BY s.skill_name`,
+    [projectId]
+  );
+  return requiredSkills;
+};
+
+// Requirements and dates to match against: the whole project, one of its
+// phases or one of its role slots. A slot without requirements of its own
+// uses the project's. Null when the phase or slot does not exist.
+const getMatchingScope = async (project, { phaseId, roleSlotId } = {}) => {
+  if (roleSlotId) {
+    const roleSlot = await findProjectRoleSlot(project.id, roleSlotId);
+    if (!roleSlot) return null;
+
+    const slotSkills = await getRoleSlotRequiredSkills(roleSlot.id);
+
+    return {
+      phase: null,
+      roleSlot,
+      requiredSkills:
+        slotSkills.length > 0
+          ? slotSkills
+          : await getProjectRequiredSkills(project.id),
+      startDate: roleSlot.start_date,
+      endDate: roleSlot.end_date,
+    };
+  }
+
+  if (!phaseId) {
+    return {
+      phase: null,
+      roleSlot: null,
+      requiredSkills: await getProjectRequiredSkills(project.id),
+      startDate: project.start_date,
+      endDate: project.end_date,
+    };
+  }
+
+  const phase = await findProjectPhase(project.id, phaseId);
+  if (!phase) return null;
+
+  return {
+    phase,
+    roleSlot: null,
+    requiredSkills: await getPhaseRequiredSkills(phase.id),
+    startDate: phase.start_date,
+    endDate: phase.end_date,
+  };
+};
+
+const formatPhase = (phase) =>
+  phase
+    ? {
+        id: phase.id,
+        name: phase.phase_name,
+        startDate: formatDate(phase.start_date),
+        endDate: formatDate(phase.end_date),
+      }
+    : null;
+
+const formatRoleSlot = (roleSlot) =>
+  roleSlot
+    ? {
+        id: roleSlot.id,
+        roleName: roleSlot.role_name,
+        experienceLevel: roleSlot.experience_level,
+        allocationPercentage: roleSlot.allocation_percentage,
+        startDate: formatDate(roleSlot.start_date),
+        endDate: formatDate(roleSlot.end_date),
+        status: roleSlot.slot_status,
+      }
+    : null;
+
 const findMatchingPersonnel = async (req, res, next) => {
   try {
     const project_id = req.params.id;
+    const { phase_id, role_slot_id } = req.query;
 
     const additional_filters = {};
     if (req.query.experience_level) {
@@ -26,6 +137,12 @@ const findMatchingPersonnel = async (req, res, next) => {
         req.query.availability_percentage
       );
     }
+    if (req.query.verified_only === 'true') {
+      additional_filters.verified_only = true;
+    }
+    if (req.query.related_skills === 'true') {
+      additional_filters.related_skills = true;
+    }
 
     if (!project_id) {
       return res.status(400).json({
@@ -36,6 +153,15 @@ const findMatchingPersonnel = async (req, res, next) => {
       });
     }
 
+    if (phase_id && role_slot_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Use either phase_id or role_slot_id, not both',
+        },
+      });
+    }
+
     const [projects] = await pool.execute(
       'SELECT * FROM projects WHERE id = ?',
       [project_id]
@@ -52,27 +178,45 @@ const findMatchingPersonnel = async (req, res, next) => {
 
     const project = projects[0];
 
-    const [requiredSkills] = await pool.execute(
-      `SELECT 
-        prs.skill_id,
-        s.skill_name,
-        prs.minimum_proficiency
-      FROM project_required_skills prs
-      INNER JOIN skills s ON prs.skill_id = s.id
-      WHERE prs.project_id = ?
-      ORDER BY s.skill_name`,
-      [project_id]
-    );
+    const scope = await getMatchingScope(project, {
+      phaseId: phase_id,
+      roleSlotId: role_slot_id,
+    });
+
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: role_slot_id
+            ? 'Role slot not found'
+            : 'Project phase not found',
+        },
+      });
+    }
+
+    const { phase, roleSlot, requiredSkills } = scope;
 
     if (requiredSkills.length === 0) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Project has no required skills defined',
+          message: phase
+            ? 'Phase has no required skills defined'
+            : 'Project has no required skills defined',
         },
       });
     }
 
+    // A slot asking for a level only matches that level unless overridden
+    if (roleSlot?.experience_level && !additional_filters.experience_level) {
+      additional_filters.experience_level = roleSlot.experience_level;
+    }
+
+    // Parent, sibling and related skills earn partial credit when asked for
+    const substitutesBySkillId = additional_filters.related_skills
+      ? await getSkillSubstitutes(requiredSkills.map((rs) => rs.skill_id))
+      : {};
+
     let personnelQuery = 'SELECT * FROM personnel WHERE 1=1';
     const personnelParams = [];
 
@@ -93,10 +237,13 @@ const findMatchingPersonnel = async (req, res, next) => {
           ps.personnel_id,
           ps.skill_id,
           s.skill_name,
-          ps.proficiency_level
+          ps.proficiency_level,
+          ps.years_of_experience,
+          ps.verified_at
         FROM personnel_skills ps
         INNER JOIN skills s ON ps.skill_id = s.id
-        WHERE ps.personnel_id IN (${placeholders})`,
+        WHERE ps.personnel_id IN (${placeholders})
+        ${additional_filters.verified_only ? 'AND ps.verified_at IS NOT NULL' : ''}`,
         personnelIds
       );
 
@@ -109,31 +256,25 @@ const findMatchingPersonnel = async (req, res, next) => {
           skill_id: skill.skill_id,
           skill_name: skill.skill_name,
           proficiency_level: skill.proficiency_level,
+          years_of_experience: skill.years_of_experience,
+          verified_at: skill.verified_at,
         });
       });
     }
 
-    // Get availability for project date range
+    // Remaining capacity (availability minus existing allocations) over the
+    // working days of the project or phase
     let availabilityMap = {};
-    if (personnelIds.length > 0 && project.start_date && project.end_date) {
-      const placeholders = personnelIds.map(() => '?').join(',');
-      const [availabilityData] = await pool.execute(
-        `SELECT 
-          personnel_id,
-          AVG(availability_percentage) as avg_availability,
-          MAX(availability_percentage) as max_availability
-        FROM personnel_availability
-        WHERE personnel_id IN (${placeholders})
-          AND start_date <= ?
-          AND end_date >= ?
-        GROUP BY personnel_id`,
-        [...personnelIds, project.end_date, project.start_date]
+    if (personnelIds.length > 0 && scope.startDate && scope.endDate) {
+      const timelines = await getCapacityTimelines(
+        personnelIds,
+        scope.startDate,
+        scope.endDate
       );
 
-      availabilityData.forEach((avail) => {
-        availabilityMap[avail.personnel_id] = Math.round(
-          avail.avg_availability || 0
-        );
+      timelines.forEach((timeline, personnelId) => {
+        availabilityMap[personnelId] =
+          summarizeCapacity(timeline).average_remaining;
       });
     }
 
@@ -149,51 +290,6 @@ const findMatchingPersonnel = async (req, res, next) => {
         personnelSkillsMapById[skill.skill_id] = skill;
       });
 
-      const matchingSkills = [];
-      const missingSkills = [];
-      let matchCount = 0;
-
-      for (const requiredSkill of requiredSkills) {
-        const personnelSkill = personnelSkillsMapById[requiredSkill.skill_id];
-
-        if (personnelSkill) {
-          const requiredLevel =
-            PROFICIENCY_LEVELS[requiredSkill.minimum_proficiency];
-          const personnelLevel =
-            PROFICIENCY_LEVELS[personnelSkill.proficiency_level];
-
-          if (personnelLevel >= requiredLevel) {
-            matchCount++;
-            matchingSkills.push({
-              skillName: requiredSkill.skill_name,
-              skillId: requiredSkill.skill_id,
-              required: requiredSkill.minimum_proficiency,
-              actual: personnelSkill.proficiency_level,
-              meets: true,
-            });
-          } else {
-            missingSkills.push({
-              skillName: requiredSkill.skill_name,
-              skillId: requiredSkill.skill_id,
-              required: requiredSkill.minimum_proficiency,
-              actual: personnelSkill.proficiency_level,
-              meets: false,
-            });
-          }
-        } else {
-          missingSkills.push({
-            skillName: requiredSkill.skill_name,
-            skillId: requiredSkill.skill_id,
-            required: requiredSkill.minimum_proficiency,
-            actual: null,
-            meets: false,
-          });
-        }
-      }
-
-      // Calculate match score
-      const matchScore = Math.round((matchCount / requiredSkills.length) * 100);
-
       // Get availability (default to 100 if no availability data)
       const availability = availabilityMap[personnel.id] ?? 100;
 
@@ -204,7 +300,21 @@ const findMatchingPersonnel = async (req, res, next) => {
         }
       }
 
-      if (matchCount > 0) {
+      const {
+        matchScore,
+        scoreBreakdown,
+        matchingSkills,
+        missingSkills,
+        hasAnyRequiredSkill,
+      } = scorePersonnelMatch(
+        requiredSkills,
+        personnelSkillsMapById,
+        availability,
+        substitutesBySkillId
+      );
+
+      // Anyone holding at least one required skill is ranked, even below level
+      if (hasAnyRequiredSkill) {
         matchedPersonnel.push({
           personnelId: personnel.id,
           name: personnel.name,
@@ -213,6 +323,7 @@ const findMatchingPersonnel = async (req, res, next) => {
           experienceLevel: personnel.experience_level,
           profileImageUrl: personnel.profile_image_url,
           matchScore: matchScore,
+          scoreBreakdown: scoreBreakdown,
           matchingSkills: matchingSkills,
           missingSkills: missingSkills,
           availability: availability,
@@ -242,13 +353,19 @@ const findMatchingPersonnel = async (req, res, next) => {
       skillId: rs.skill_id,
       skillName: rs.skill_name,
       minimumProficiency: rs.minimum_proficiency,
+      importanceWeight: rs.importance_weight,
     }));
 
     res.status(200).json({
       success: true,
       projectId: parseInt(project_id),
       projectName: project.project_name,
+      phase: formatPhase(phase),
+      roleSlot: formatRoleSlot(roleSlot),
       requiredSkills: formattedRequiredSkills,
+      scoreWeights: SCORE_WEIGHTS,
+      verifiedOnly: Boolean(additional_filters.verified_only),
+      relatedSkills: Boolean(additional_filters.related_skills),
       matchedPersonnel: matchedPersonnel,
     });
   } catch (error) {
@@ -256,6 +373,364 @@ const findMatchingPersonnel = async (req, res, next) => {
   }
 };
 
+const proposeTeam = async (req, res, next) => {
+  let connection = null;
+
+  try {
+    const project_id = req.params.id;
+    const {
+      strategy = 'smallest',
+      allocation_percentage = 100,
+      max_alternatives = 3,
+      create_allocations = false,
+      proposal_rank = 1,
+      verified_only = false,
+      phase_id,
+      allocation_status = ALLOCATION_STATUSES.CONFIRMED,
+    } = req.body;
+    const verifiedOnly = verified_only === true || verified_only === 'true';
+    const createAllocations =
+      create_allocations === true || create_allocations === 'true';
+
+    // Proposed or tentative allocations pencil the team in without taking
+    // their capacity
+    if (
+      !isValidAllocationStatus(allocation_status) ||
+      allocation_status === ALLOCATION_STATUSES.RELEASED
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message:
+            'Invalid allocation_status. Must be one of: proposed, tentative, confirmed',
+        },
+      });
+    }
+
+    if (!TEAM_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid strategy. Must be one of: ${TEAM_STRATEGIES.join(', ')}`,
+        },
+      });
+    }
+
+    const allocationPercentage = parseInt(allocation_percentage, 10);
+    if (
+      isNaN(allocationPercentage) ||
+      allocationPercentage < 1 ||
+      allocationPercentage > 100
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'allocation_percentage must be between 1 and 100',
+        },
+      });
+    }
+
+    const maxAlternatives = parseInt(max_alternatives, 10);
+    if (isNaN(maxAlternatives) || maxAlternatives < 0 || maxAlternatives > 10) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'max_alternatives must be between 0 and 10',
+        },
+      });
+    }
+
+    if (
+      createAllocations &&
+      !checkPermission(allocationPermissions.canCreateAllocation, req.user)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You cannot create allocations.',
+        },
+      });
+    }
+
+    const [projects] = await pool.execute(
+      'SELECT * FROM projects WHERE id = ?',
+      [project_id]
+    );
+
+    if (projects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project not found',
+        },
+      });
+    }
+
+    const project = projects[0];
+
+    const scope = await getMatchingScope(project, { phaseId: phase_id });
+
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project phase not found',
+        },
+      });
+    }
+
+    const { phase, requiredSkills } = scope;
+
+    if (requiredSkills.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: phase
+            ? 'Phase has no required skills defined'
+            : 'Project has no required skills defined',
+        },
+      });
+    }
+
+    const startDate = req.body.start_date || formatDate(scope.startDate);
+    const endDate = req.body.end_date || formatDate(scope.endDate);
+
+    if (
+      isNaN(new Date(startDate).getTime()) ||
+      isNaN(new Date(endDate).getTime())
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid date format. Use YYYY-MM-DD format',
+        },
+      });
+    }
+
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'end_date must be after start_date',
+        },
+      });
+    }
+
+    // Allocations created for a phase are attached to it, so they have to
+    // fit inside it
+    if (phase && !isWithinRange(phase, startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Dates must fall within the phase (${formatDate(phase.start_date)} to ${formatDate(phase.end_date)})`,
+        },
+      });
+    }
+
+    const requiredById = {};
+    requiredSkills.forEach((skill) => {
+      requiredById[skill.skill_id] = skill;
+    });
+
+    const meetsRequirement = (row) =>
+      PROFICIENCY_LEVELS[row.proficiency_level] >=
+      PROFICIENCY_LEVELS[requiredById[row.skill_id].minimum_proficiency];
+
+    // People already on the project during the period cover their skills
+    const [existingTeam] = await pool.execute(
+      `SELECT DISTINCT
+        pa.personnel_id,
+        p.name,
+        pa.allocation_percentage
+      FROM project_allocations pa
+      INNER JOIN personnel p ON pa.personnel_id = p.id
+      WHERE pa.project_id = ?
+        AND pa.start_date <= ?
+        AND pa.end_date >= ?
+        AND pa.allocation_status != 'released'`,
+      [project_id, endDate, startDate]
+    );
+    const existingTeamIds = existingTeam.map((member) => member.personnel_id);
+
+    const skillPlaceholders = requiredSkills.map(() => '?').join(',');
+    const [skillRows] = await pool.execute(
+      `SELECT 
+        ps.personnel_id,
+        ps.skill_id,
+        ps.proficiency_level,
+        p.name,
+        p.role_title,
+        p.experience_level
+      FROM personnel_skills ps
+      INNER JOIN personnel p ON ps.personnel_id = p.id
+      WHERE ps.skill_id IN (${skillPlaceholders})
+      ${verifiedOnly ? 'AND ps.verified_at IS NOT NULL' : ''}`,
+      requiredSkills.map((skill) => skill.skill_id)
+    );
+
+    const preCoveredSkillIds = [];
+    const candidateMap = new Map();
+
+    skillRows.filter(meetsRequirement).forEach((row) => {
+      if (existingTeamIds.includes(row.personnel_id)) {
+        if (!preCoveredSkillIds.includes(row.skill_id)) {
+          preCoveredSkillIds.push(row.skill_id);
+        }
+        return;
+      }
+
+      if (!candidateMap.has(row.personnel_id)) {
+        candidateMap.set(row.personnel_id, {
+          personnel_id: row.personnel_id,
+          name: row.name,
+          role_title: row.role_title,
+          experience_level: row.experience_level,
+          covers: [],
+          remaining_capacity: 0,
+        });
+      }
+      candidateMap.get(row.personnel_id).covers.push(row.skill_id);
+    });
+
+    const candidates = Array.from(candidateMap.values());
+
+    const timelines = await getCapacityTimelines(
+      candidates.map((candidate) => candidate.personnel_id),
+      startDate,
+      endDate
+    );
+
+    candidates.forEach((candidate) => {
+      candidate.remaining_capacity = summarizeCapacity(
+        timelines.get(candidate.personnel_id)
+      ).bookable_capacity;
+    });
+
+    const proposals = buildTeamProposals(requiredSkills, candidates, {
+      strategy,
+      allocationPercentage,
+      maxAlternatives,
+      preCoveredSkillIds,
+    });
+
+    const response = {
+      success: true,
+      projectId: parseInt(project_id),
+      projectName: project.project_name,
+      phase: formatPhase(phase),
+      strategy,
+      period: {
+        startDate,
+        endDate,
+      },
+      allocationPercentage,
+      verifiedOnly,
+      requiredSkills: requiredSkills.map((rs) => ({
+        skillId: rs.skill_id,
+        skillName: rs.skill_name,
+        minimumProficiency: rs.minimum_proficiency,
+        importanceWeight: rs.importance_weight,
+        coveredByExistingTeam: preCoveredSkillIds.includes(rs.skill_id),
+      })),
+      existingTeam: existingTeam.map((member) => ({
+        personnelId: member.personnel_id,
+        name: member.name,
+        allocationPercentage: member.allocation_percentage,
+      })),
+      proposals,
+    };
+
+    if (!createAllocations) {
+      return res.status(200).json(response);
+    }
+
+    const chosen = proposals.find(
+      (proposal) => proposal.rank === parseInt(proposal_rank, 10)
+    );
+
+    if (!chosen || chosen.members.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Proposal ${proposal_rank} has no members to allocate.`,
+          hint: 'Lower allocation_percentage, widen the date range or add people with the missing skills.',
+        },
+        proposals,
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const createdAllocationIds = [];
+    const warnings = [];
+    const emails = [];
+    // Capacity was computed outside the transaction; createAllocation checks
+    // every member again under lock
+    for (const member of chosen.members) {
+      const result = await createAllocation(
+        connection,
+        {
+          project_id,
+          personnel_id: member.personnelId,
+          allocation_percentage: allocationPercentage,
+          start_date: startDate,
+          end_date: endDate,
+          phase_id: phase ? phase.id : null,
+          allocation_status,
+        },
+        req.user
+      );
+
+      if (result.error) {
+        await connection.rollback();
+        return res.status(result.error.status).json({
+          success: false,
+          error: {
+            message: `Cannot allocate ${member.name}: ${result.error.message}`,
+            hint:
+              result.error.hint || 'Request a new team proposal and try again.',
+            details: {
+              personnelId: member.personnelId,
+              ...result.error.details,
+            },
+          },
+        });
+      }
+
+      createdAllocationIds.push(result.allocation.id);
+      warnings.push(
+        ...result.warnings.map((warning) => ({
+          personnelId: member.personnelId,
+          ...warning,
+        }))
+      );
+      emails.push(...result.emails);
+    }
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
+
+    res.status(201).json({
+      ...response,
+      message: `Created ${createdAllocationIds.length} allocations from proposal ${chosen.rank}`,
+      allocationStatus: allocation_status,
+      createdAllocationIds,
+      warnings,
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
 module.exports = {
   findMatchingPersonnel,
+  proposeTeam,
 };
@@ -0,0 +1,247 @@
+const { pool } = require('../config/database');
+const { parsePagination } = require('../utils/helpers');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  isValidNotificationEvent,
+  getNotificationPreferences,
+} = require('../utils/notifications');
+
+const formatNotification = (notification) => ({
+  ...notification,
+  data:
+    typeof notification.data === 'string'
+      ? JSON.parse(notification.data)
+      : notification.data,
+});
+
+const countUnread = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) as total FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return Number(rows[0].total);
+};
+
+const toPreferenceList = (preferences) =>
+  Object.entries(preferences).map(([event_type, channels]) => ({
+    event_type,
+    ...channels,
+  }));
+
+// The signed-in user's inbox, newest first; `unread=true` hides read ones
+const getNotifications = async (req, res, next) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, 20);
+
+    let whereClause = 'WHERE n.user_id = ?';
+    const params = [req.user.id];
+
+    if (req.query.unread === 'true') {
+      whereClause += ' AND n.read_at IS NULL';
+    }
+
+    const [countResult] = await pool.execute(
+      `SELECT COUNT(*) as total FROM notifications n ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    const [notifications] = await pool.execute(
+      `SELECT
+        n.id,
+        n.event_type,
+        n.title,
+        n.message,
+        n.entity,
+        n.entity_id,
+        n.data,
+        n.actor_user_id,
+        u.email as actor_email,
+        n.read_at,
+        n.created_at
+      FROM notifications n
+      LEFT JOIN users u ON n.actor_user_id = u.id
+      ${whereClause}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      data: notifications.map(formatNotification),
+      unread_count: await countUnread(req.user.id),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getUnreadCount = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        unread_count: await countUnread(req.user.id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Marking an already read notification again is a no-op
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [notifications] = await pool.execute(
+      'SELECT id FROM notifications WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
+
+    if (notifications.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Notification not found',
+        },
+      });
+    }
+
+    await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE id = ? AND read_at IS NULL',
+      [id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        unread_count: await countUnread(req.user.id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.affectedRows} notification(s) marked as read`,
+      data: {
+        unread_count: 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPreferences = async (req, res, next) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: toPreferenceList(preferences),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Takes a list of { event_type, in_app?, email? }; channels left out keep
+// their current setting
+const updatePreferences = async (req, res, next) => {
+  try {
+    const { preferences } = req.body || {};
+
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'preferences must be a non-empty array',
+          hint: 'e.g. [{ "event_type": "allocation_updated", "in_app": false }]',
+        },
+      });
+    }
+
+    for (const preference of preferences) {
+      if (!preference || !isValidNotificationEvent(preference.event_type)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Invalid event_type. Must be one of: ${Object.values(NOTIFICATION_EVENTS).join(', ')}`,
+          },
+        });
+      }
+
+      const invalidChannel = NOTIFICATION_CHANNELS.find(
+        (channel) =>
+          preference[channel] !== undefined &&
+          typeof preference[channel] !== 'boolean'
+      );
+      if (invalidChannel) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `${invalidChannel} must be true or false`,
+          },
+        });
+      }
+    }
+
+    const current = await getNotificationPreferences(req.user.id);
+
+    for (const preference of preferences) {
+      const channels = {
+        ...current[preference.event_type],
+        ...Object.fromEntries(
+          NOTIFICATION_CHANNELS.filter(
+            (channel) => preference[channel] !== undefined
+          ).map((channel) => [channel, preference[channel]])
+        ),
+      };
+      current[preference.event_type] = channels;
+
+      await pool.execute(
+        `INSERT INTO notification_preferences (user_id, event_type, in_app, email)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), email = VALUES(email)`,
+        [req.user.id, preference.event_type, channels.in_app, channels.email]
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: toPreferenceList(current),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+};
@@ -1,5 +1,65 @@
+const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
-const { canAccessPersonnel } = require('../utils/controllerHelpers');
+const {
+  canAccessPersonnel,
+  hasPersonnelPermission,
+} = require('../utils/controllerHelpers');
+const {
+  ROLES,
+  SELF_EDITABLE_PERSONNEL_FIELDS,
+  personnelPermissions,
+  personnelSkillsPermissions,
+  checkPermission,
+} = require('../utils/permissions');
+const { submitSkillClaim } = require('../utils/skillClaims');
+const {
+  recordSkillChange,
+  recordSkillListChanges,
+} = require('../utils/skillHistory');
+const { generateTemporaryPassword } = require('../utils/passwordReset');
+const { sendEmail } = require('../utils/mailer');
+const { getPasswordError } = require('../validators/auth.validator');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  addDays,
+  countDays,
+  getCapacityTimeline,
+  summarizeCapacity,
+  summarizeCapacityByMonth,
+} = require('../utils/capacity');
+const { formatDate } = require('../utils/helpers');
+const {
+  parseSkillFilters,
+  buildPersonnelFilters,
+} = require('../utils/listFilters');
+
+const DEFAULT_CAPACITY_WINDOW_DAYS = 90;
+const MAX_CAPACITY_WINDOW_DAYS = 366;
+
+const recordSkillClaim = async (req, res, claimData) => {
+  const { claim, created } = await submitSkillClaim({
+    ...claimData,
+    user: req.user,
+  });
+
+  await recordAudit({
+    user: req.user,
+    entity: AUDIT_ENTITIES.SKILL_CLAIM,
+    entityId: claim.id,
+    action: created ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE,
+    after: claim,
+  });
+
+  return res.status(202).json({
+    success: true,
+    message: 'Skill change submitted for manager approval',
+    data: claim,
+  });
+};
 
 const createPersonnel = async (req, res, next) => {
   try {
@@ -75,15 +135,22 @@ const createPersonnel = async (req, res, next) => {
     if (skills && skills.length > 0) {
       for (const skill of skills) {
         await pool.execute(
-          'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+          'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience, verified_by, verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
           [
             result.insertId,
             skill.skill_id,
             skill.proficiency_level,
             skill.years_of_experience || 0,
+            req.user.id,
           ]
         );
       }
+
+      await recordSkillListChanges({
+        personnelId: result.insertId,
+        after: skills,
+        user: req.user,
+      });
     }
 
     const [createdPersonnel] = await pool.execute(
@@ -105,13 +172,23 @@ const createPersonnel = async (req, res, next) => {
       [result.insertId]
     );
 
+    const personnelData = {
+      ...createdPersonnel[0],
+      skills: personnelSkills,
+    };
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: personnelData,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Personnel created successfully',
-      data: {
-        ...createdPersonnel[0],
-        skills: personnelSkills,
-      },
+      data: personnelData,
     });
   } catch (error) {
     // Handle duplicate email error from database
@@ -129,103 +206,23 @@ const createPersonnel = async (req, res, next) => {
 
 const getAllPersonnel = async (req, res, next) => {
   try {
-    const {
-      experience_level,
-      role_title,
-      search,
-      skill_filters,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    // Parse skill filters if provided
-    let parsedSkillFilters = [];
-    if (skill_filters) {
-      try {
-        parsedSkillFilters = JSON.parse(skill_filters);
-      } catch {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: 'Invalid skill_filters format. Must be valid JSON.',
-          },
-        });
-      }
-    }
-
-    let query = 'SELECT DISTINCT p.* FROM personnel p';
-    const conditions = [];
-    const params = [];
+    const { skill_filters, page = 1, limit = 10 } = req.query;
 
-    if (parsedSkillFilters.length > 0) {
-      parsedSkillFilters.forEach((filter, index) => {
-        const alias = `ps${index}`;
-        query += ` INNER JOIN personnel_skills ${alias} ON p.id = ${alias}.personnel_id`;
+    const parsedSkillFilters = parseSkillFilters(skill_filters);
+    if (!parsedSkillFilters) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid skill_filters format. Must be valid JSON.',
+        },
       });
     }
 
-    if (experience_level) {
-      conditions.push('p.experience_level = ?');
-      params.push(experience_level);
-    }
-
-    if (role_title) {
-      conditions.push('p.role_title LIKE ?');
-      params.push(`%${role_title}%`);
-    }
-
-    if (search) {
-      conditions.push('(p.name LIKE ? OR p.email LIKE ?)');
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern);
-    }
-
-    parsedSkillFilters.forEach((filter, index) => {
-      const alias = `ps${index}`;
-      const skillConditions = [];
-
-      skillConditions.push(`${alias}.skill_id = ?`);
-      params.push(filter.skill_id);
-
-      if (filter.proficiency_level) {
-        skillConditions.push(`${alias}.proficiency_level = ?`);
-        params.push(filter.proficiency_level);
-      }
-
-      if (filter.min_proficiency_level) {
-        const proficiencyLevels = [
-          'Beginner',
-          'Intermediate',
-          'Advanced',
-          'Expert',
-        ];
-        const minIndex = proficiencyLevels.indexOf(
-          filter.min_proficiency_level
-        );
-
-        if (minIndex !== -1) {
-          const validLevels = proficiencyLevels.slice(minIndex);
-          const placeholders = validLevels.map(() => '?').join(',');
-          skillConditions.push(
-            `${alias}.proficiency_level IN (${placeholders})`
-          );
-          params.push(...validLevels);
-        }
-      }
-
-      if (filter.years_of_experience) {
-        skillConditions.push(`${alias}.years_of_experience >= ?`);
-        params.push(parseFloat(filter.years_of_experience));
-      }
-
-      if (skillConditions.length > 0) {
-        conditions.push(`(${skillConditions.join(' AND ')})`);
-      }
-    });
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    const { joins, where, params } = buildPersonnelFilters(
+      req.query,
+      parsedSkillFilters
+    );
+    let query = `SELECT DISTINCT p.* FROM personnel p ${joins}${where}`;
 
     const countQuery = query.replace(
       /SELECT DISTINCT p\.\*/i,
@@ -297,6 +294,8 @@ const getPersonnelById = async (req, res, next) => {
         s.category,
         ps.proficiency_level,
         ps.years_of_experience,
+        ps.verified_by,
+        ps.verified_at,
         ps.created_at as assigned_at
       FROM personnel_skills ps
       INNER JOIN skills s ON ps.skill_id = s.id
@@ -346,6 +345,29 @@ const updatePersonnel = async (req, res, next) => {
       });
     }
 
+    if (
+      !checkPermission(personnelPermissions.canUpdatePersonnel, currentUser)
+    ) {
+      const fields = Object.keys(req.body).filter(
+        (field) => req.body[field] !== undefined
+      );
+
+      if (
+        !checkPermission(
+          personnelPermissions.canUpdateOwnProfile,
+          currentUser,
+          fields
+        )
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: `Access denied. You can only update these fields on your own profile: ${SELF_EDITABLE_PERSONNEL_FIELDS.join(', ')}`,
+          },
+        });
+      }
+    }
+
     // Validate ID exists
     const [existingPersonnel] = await pool.execute(
       'SELECT * FROM personnel WHERE id = ?',
@@ -458,6 +480,11 @@ const updatePersonnel = async (req, res, next) => {
 
     // Handle skills update if provided
     if (skills && Array.isArray(skills)) {
+      const [previousSkills] = await pool.execute(
+        'SELECT skill_id, proficiency_level, years_of_experience FROM personnel_skills WHERE personnel_id = ?',
+        [id]
+      );
+
       // Delete existing skills
       await pool.execute(
         'DELETE FROM personnel_skills WHERE personnel_id = ?',
@@ -468,16 +495,27 @@ const updatePersonnel = async (req, res, next) => {
       if (skills.length > 0) {
         for (const skill of skills) {
           await pool.execute(
-            'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+            'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience, verified_by, verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
             [
               id,
               skill.skill_id,
               skill.proficiency_level,
               skill.years_of_experience || 0,
+              req.user.id,
             ]
           );
         }
       }
+
+      await recordSkillListChanges({
+        personnelId: parseInt(id),
+        before: previousSkills,
+        after: skills.map((skill) => ({
+          ...skill,
+          years_of_experience: skill.years_of_experience || 0,
+        })),
+        user: req.user,
+      });
     }
 
     // Fetch updated personnel with skills
@@ -516,6 +554,15 @@ const updatePersonnel = async (req, res, next) => {
       updatedPersonnel[0].skills = [];
     }
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingPersonnel[0],
+      after: updatedPersonnel[0],
+    });
+
     // Return updated personnel
     res.status(200).json({
       success: true,
@@ -542,7 +589,7 @@ const deletePersonnel = async (req, res, next) => {
 
     // Validate ID exists
     const [existingPersonnel] = await pool.execute(
-      'SELECT id FROM personnel WHERE id = ?',
+      'SELECT * FROM personnel WHERE id = ?',
       [id]
     );
 
@@ -558,6 +605,14 @@ const deletePersonnel = async (req, res, next) => {
     // Delete from database (CASCADE will handle related records)
     await pool.execute('DELETE FROM personnel WHERE id = ?', [id]);
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingPersonnel[0],
+    });
+
     // Return success message
     res.status(200).json({
       success: true,
@@ -572,6 +627,16 @@ const getPersonnelSkills = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const hasAccess = await canAccessPersonnel(req.user, id);
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own skills.',
+        },
+      });
+    }
+
     // Validate personnel exists
     const [personnel] = await pool.execute(
       'SELECT id FROM personnel WHERE id = ?',
@@ -596,6 +661,8 @@ const getPersonnelSkills = async (req, res, next) => {
         s.category,
         ps.proficiency_level,
         ps.years_of_experience,
+        ps.verified_by,
+        ps.verified_at,
         ps.created_at as assigned_at
       FROM personnel_skills ps
       INNER JOIN skills s ON ps.skill_id = s.id
@@ -619,6 +686,22 @@ const assignSkillToPersonnel = async (req, res, next) => {
     const { id } = req.params; // personnel_id
     const { skill_id, proficiency_level, years_of_experience } = req.body;
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      id,
+      personnelSkillsPermissions.canAssignSkills,
+      personnelSkillsPermissions.canProposeSkillChanges
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only propose skills for your own profile.',
+        },
+      });
+    }
+
     // Validate required fields
     if (!skill_id || !proficiency_level) {
       return res.status(400).json({
@@ -692,10 +775,21 @@ const assignSkillToPersonnel = async (req, res, next) => {
       });
     }
 
+    if (
+      !checkPermission(personnelSkillsPermissions.canAssignSkills, req.user)
+    ) {
+      return recordSkillClaim(req, res, {
+        personnelId: parseInt(id),
+        skillId: skill_id,
+        proficiencyLevel: proficiency_level,
+        yearsOfExperience: years_of_experience ?? null,
+      });
+    }
+
     // Insert into personnel_skills table
     const [result] = await pool.execute(
-      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
-      [id, skill_id, proficiency_level, years_of_experience || 0]
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience, verified_by, verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [id, skill_id, proficiency_level, years_of_experience || 0, req.user.id]
     );
 
     // Fetch the created assignment with skill details
@@ -707,6 +801,8 @@ const assignSkillToPersonnel = async (req, res, next) => {
         s.skill_name,
         ps.proficiency_level,
         ps.years_of_experience,
+        ps.verified_by,
+        ps.verified_at,
         ps.created_at
       FROM personnel_skills ps
       INNER JOIN skills s ON ps.skill_id = s.id
@@ -714,6 +810,21 @@ const assignSkillToPersonnel = async (req, res, next) => {
       [result.insertId]
     );
 
+    await recordSkillChange({
+      personnelId: parseInt(id),
+      skillId: skill_id,
+      after: assignment[0],
+      user: req.user,
+    });
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL_SKILL,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: assignment[0],
+    });
+
     // Return assignment details
     res.status(201).json({
       success: true,
@@ -739,6 +850,22 @@ const updateSkillProficiency = async (req, res, next) => {
     const { personnelId, skillId } = req.params;
     const { proficiency_level, years_of_experience } = req.body;
 
+    const hasAccess = await hasPersonnelPermission(
+      req.user,
+      personnelId,
+      personnelSkillsPermissions.canUpdateSkillProficiency,
+      personnelSkillsPermissions.canProposeSkillChanges
+    );
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only propose changes to your own skills.',
+        },
+      });
+    }
+
     // Validate at least one field is provided
     if (proficiency_level === undefined && years_of_experience === undefined) {
       return res.status(400).json({
@@ -784,6 +911,22 @@ const updateSkillProficiency = async (req, res, next) => {
       });
     }
 
+    if (
+      !checkPermission(
+        personnelSkillsPermissions.canUpdateSkillProficiency,
+        req.user
+      )
+    ) {
+      return recordSkillClaim(req, res, {
+        personnelId: parseInt(personnelId),
+        skillId: parseInt(skillId),
+        proficiencyLevel:
+          proficiency_level ?? existingAssignments[0].proficiency_level,
+        yearsOfExperience:
+          years_of_experience ?? existingAssignments[0].years_of_experience,
+      });
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const updateParams = [];
@@ -797,6 +940,10 @@ const updateSkillProficiency = async (req, res, next) => {
       updateParams.push(years_of_experience);
     }
 
+    // A manager setting the level directly counts as verifying it
+    updateFields.push('verified_by = ?', 'verified_at = NOW()');
+    updateParams.push(req.user.id);
+
     // Add WHERE clause params
     updateParams.push(personnelId, skillId);
 
@@ -814,12 +961,31 @@ const updateSkillProficiency = async (req, res, next) => {
         ps.skill_id,
         ps.proficiency_level,
         ps.years_of_experience,
+        ps.verified_by,
+        ps.verified_at,
         ps.updated_at
       FROM personnel_skills ps
       WHERE ps.personnel_id = ? AND ps.skill_id = ?`,
       [personnelId, skillId]
     );
 
+    await recordSkillChange({
+      personnelId: parseInt(personnelId),
+      skillId: parseInt(skillId),
+      before: existingAssignments[0],
+      after: updatedAssignment[0],
+      user: req.user,
+    });
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL_SKILL,
+      entityId: existingAssignments[0].id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingAssignments[0],
+      after: updatedAssignment[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Skill proficiency updated successfully',
@@ -836,7 +1002,7 @@ const removeSkillFromPersonnel = async (req, res, next) => {
 
     // Validate assignment exists
     const [existingAssignments] = await pool.execute(
-      'SELECT id FROM personnel_skills WHERE personnel_id = ? AND skill_id = ?',
+      'SELECT * FROM personnel_skills WHERE personnel_id = ? AND skill_id = ?',
       [personnelId, skillId]
     );
 
@@ -855,6 +1021,21 @@ const removeSkillFromPersonnel = async (req, res, next) => {
       [personnelId, skillId]
     );
 
+    await recordSkillChange({
+      personnelId: parseInt(personnelId),
+      skillId: parseInt(skillId),
+      before: existingAssignments[0],
+      user: req.user,
+    });
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PERSONNEL_SKILL,
+      entityId: existingAssignments[0].id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingAssignments[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Skill removed from personnel successfully',
@@ -864,6 +1045,344 @@ const removeSkillFromPersonnel = async (req, res, next) => {
   }
 };
 
+const getPersonnelSkillClaims = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const hasAccess = await canAccessPersonnel(req.user, id);
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own skill claims.',
+        },
+      });
+    }
+
+    let query = `SELECT sc.*, s.skill_name, s.category
+       FROM skill_claims sc
+       INNER JOIN skills s ON sc.skill_id = s.id
+       WHERE sc.personnel_id = ?`;
+    const params = [id];
+
+    if (status) {
+      query += ' AND sc.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY sc.created_at DESC';
+
+    const [claims] = await pool.execute(query, params);
+
+    res.status(200).json({
+      success: true,
+      personnel_id: parseInt(id),
+      claims,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Every recorded change to a person's skills, newest first
+const getPersonnelSkillHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { skill_id, from, to } = req.query;
+
+    const hasAccess = await canAccessPersonnel(req.user, id);
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own skill history.',
+        },
+      });
+    }
+
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    for (const [name, value] of [
+      ['from', from],
+      ['to', to],
+    ]) {
+      if (
+        value !== undefined &&
+        (!dateFormat.test(value) || isNaN(new Date(value).getTime()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Invalid ${name} date format.`,
+            hint: 'Please use YYYY-MM-DD format (e.g., 2025-01-15)',
+          },
+        });
+      }
+    }
+
+    const [personnel] = await pool.execute(
+      'SELECT id, name FROM personnel WHERE id = ?',
+      [id]
+    );
+
+    if (personnel.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Personnel not found',
+        },
+      });
+    }
+
+    let query = `SELECT h.*, s.skill_name, s.category, u.email as changed_by_email
+       FROM personnel_skill_history h
+       INNER JOIN skills s ON h.skill_id = s.id
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.personnel_id = ?`;
+    const params = [id];
+
+    if (skill_id) {
+      query += ' AND h.skill_id = ?';
+      params.push(parseInt(skill_id));
+    }
+
+    if (from) {
+      query += ' AND h.changed_at >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      query += ' AND h.changed_at < DATE_ADD(?, INTERVAL 1 DAY)';
+      params.push(to);
+    }
+
+    query += ' ORDER BY h.changed_at DESC, h.id DESC';
+
+    const [history] = await pool.execute(query, params);
+
+    res.status(200).json({
+      success: true,
+      personnel_id: personnel[0].id,
+      name: personnel[0].name,
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Gives a personnel record its own login. The account gets the employee role
+// and a temporary password that has to be changed at first login.
+const createPersonnelAccount = async (req, res, next) => {
+  let connection;
+
+  try {
+    const { id } = req.params;
+    const { temporaryPassword } = req.body || {};
+
+    const passwordError =
+      temporaryPassword !== undefined &&
+      getPasswordError(temporaryPassword, 'Temporary password');
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: passwordError,
+        },
+      });
+    }
+
+    const [personnel] = await pool.execute(
+      'SELECT * FROM personnel WHERE id = ?',
+      [id]
+    );
+
+    if (personnel.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Personnel not found',
+        },
+      });
+    }
+
+    const person = personnel[0];
+
+    if (person.user_id) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'This personnel record already has a user account',
+        },
+      });
+    }
+
+    const [existingUsers] = await pool.execute(
+      'SELECT id FROM users WHERE email = ?',
+      [person.email]
+    );
+
+    if (existingUsers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A user account with this email already exists',
+          hint: 'Link the existing account by setting user_id on the personnel record',
+        },
+      });
+    }
+
+    const password = temporaryPassword || generateTemporaryPassword();
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `INSERT INTO users (email, password, role, approval_status, must_change_password)
+       VALUES (?, ?, ?, 'approved', TRUE)`,
+      [person.email, hashedPassword, ROLES.EMPLOYEE]
+    );
+
+    await connection.execute('UPDATE personnel SET user_id = ? WHERE id = ?', [
+      result.insertId,
+      id,
+    ]);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PERSONNEL,
+        entityId: person.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: person,
+        after: { ...person, user_id: result.insertId },
+      },
+      connection
+    );
+
+    // Sent before committing so a delivery failure does not leave an account
+    // nobody can log in to
+    await sendEmail({
+      to: person.email,
+      subject: 'Your account has been created',
+      text:
+        `An account has been created for you. Log in with this email and the temporary password: ${password}\n\n` +
+        'You will be asked to choose a new password after logging in.',
+    });
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message:
+        'Account created. A temporary password has been emailed to the employee',
+      data: {
+        user_id: result.insertId,
+        personnel_id: person.id,
+        email: person.email,
+        role: ROLES.EMPLOYEE,
+        must_change_password: true,
+      },
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+const getPersonnelCapacity = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const hasAccess = await canAccessPersonnel(currentUser, id);
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only view your own capacity.',
+        },
+      });
+    }
+
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    for (const [name, value] of [
+      ['from', req.query.from],
+      ['to', req.query.to],
+    ]) {
+      if (
+        value !== undefined &&
+        (!dateFormat.test(value) || isNaN(new Date(value).getTime()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Invalid ${name} date format.`,
+            hint: 'Please use YYYY-MM-DD format (e.g., 2025-01-15)',
+          },
+        });
+      }
+    }
+
+    const from = req.query.from || formatDate(new Date());
+    const to = req.query.to || addDays(from, DEFAULT_CAPACITY_WINDOW_DAYS - 1);
+    const rangeDays = countDays(from, to);
+
+    if (rangeDays < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'to must be on or after from',
+        },
+      });
+    }
+
+    if (rangeDays > MAX_CAPACITY_WINDOW_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Date range cannot exceed ${MAX_CAPACITY_WINDOW_DAYS} days`,
+        },
+      });
+    }
+
+    const [personnel] = await pool.execute(
+      'SELECT id, name, role_title FROM personnel WHERE id = ?',
+      [id]
+    );
+
+    if (personnel.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Personnel not found',
+        },
+      });
+    }
+
+    const timeline = await getCapacityTimeline(id, from, to);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        personnel_id: personnel[0].id,
+        personnel_name: personnel[0].name,
+        role_title: personnel[0].role_title,
+        from,
+        to,
+        summary: summarizeCapacity(timeline),
+        by_month: summarizeCapacityByMonth(timeline),
+        days: timeline,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createPersonnel,
   getAllPersonnel,
@@ -874,4 +1393,8 @@ module.exports = {
   assignSkillToPersonnel,
   updateSkillProficiency,
   removeSkillFromPersonnel,
+  getPersonnelSkillClaims,
+  getPersonnelSkillHistory,
+  createPersonnelAccount,
+  getPersonnelCapacity,
 };
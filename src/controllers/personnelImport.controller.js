@@ -0,0 +1,434 @@
+const { pool } = require('../config/database');
+const {
+  validatePersonnelRecord,
+} = require('../validators/personnel.validator');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { getSkillNameLookup } = require('../utils/skillTaxonomy');
+const { recordSkillListChanges } = require('../utils/skillHistory');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+
+const MAX_IMPORT_ROWS = 1000;
+const REQUIRED_COLUMNS = ['name', 'email', 'role_title', 'experience_level'];
+const OPTIONAL_COLUMNS = ['bio', 'profile_image_url'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Skills are written as "JavaScript:Advanced:3; React:Intermediate" - name
+// (or alias), proficiency level and optional years, separated by semicolons
+const parseSkillsCell = (cell, skillLookup) => {
+  const skills = [];
+  const errors = [];
+
+  (cell || '')
+    .split(';')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const parts = entry.split(':').map((part) => part.trim());
+      const years =
+        parts.length >= 3 && !isNaN(parseFloat(parts[parts.length - 1]))
+          ? parts.pop()
+          : undefined;
+      const proficiencyLevel = parts.length >= 2 ? parts.pop() : '';
+      const skillName = parts.join(':');
+      const skill = skillLookup.get(skillName.toLowerCase());
+
+      if (!skill) {
+        errors.push({
+          field: 'skills',
+          message: `Unknown skill: ${skillName}`,
+        });
+        return;
+      }
+
+      if (skills.some((existing) => existing.skill_id === skill.id)) {
+        errors.push({
+          field: 'skills',
+          message: `Skill listed more than once: ${skill.skill_name}`,
+        });
+        return;
+      }
+
+      skills.push({
+        skill_id: skill.id,
+        skill_name: skill.skill_name,
+        proficiency_level: proficiencyLevel,
+        ...(years !== undefined && { years_of_experience: years }),
+      });
+    });
+
+  return { skills, errors };
+};
+
+// Validates every row and decides whether it creates or updates a person.
+// Nothing is written here, so the result doubles as the dry-run preview.
+const buildImportPlan = async (records, upsert) => {
+  const skillLookup = await getSkillNameLookup();
+  const rows = [];
+
+  for (const { row, values } of records) {
+    const { skills, errors: skillErrors } = parseSkillsCell(
+      values.skills,
+      skillLookup
+    );
+
+    const fields = {};
+    [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].forEach((column) => {
+      if (values[column] !== undefined) fields[column] = values[column];
+    });
+
+    const { data, errors } = await validatePersonnelRecord({
+      ...fields,
+      skills,
+    });
+
+    rows.push({
+      row,
+      data,
+      errors: [
+        ...errors.map((error) => ({ field: error.path, message: error.msg })),
+        ...skillErrors,
+      ],
+    });
+  }
+
+  const emails = rows.map((row) => row.data.email).filter(Boolean);
+  const existingByEmail = new Map();
+
+  if (emails.length > 0) {
+    const placeholders = emails.map(() => '?').join(',');
+    const [existing] = await pool.execute(
+      `SELECT id, email FROM personnel WHERE email IN (${placeholders})`,
+      emails
+    );
+    existing.forEach((person) =>
+      existingByEmail.set(person.email.toLowerCase(), person.id)
+    );
+  }
+
+  const seenEmails = new Set();
+
+  return rows.map(({ row, data, errors }) => {
+    const email = data.email ? data.email.toLowerCase() : null;
+    const personnelId = email ? existingByEmail.get(email) || null : null;
+
+    if (email && seenEmails.has(email)) {
+      errors.push({
+        field: 'email',
+        message: 'Email appears more than once in the file',
+      });
+    }
+    if (email) seenEmails.add(email);
+
+    if (personnelId && !upsert) {
+      errors.push({
+        field: 'email',
+        message: 'Personnel with this email already exists',
+      });
+    }
+
+    let action = personnelId ? 'update' : 'create';
+    if (errors.length > 0) action = 'error';
+
+    return {
+      row,
+      action,
+      personnel_id: personnelId,
+      name: data.name,
+      email: data.email,
+      data,
+      errors,
+    };
+  });
+};
+
+const summarizePlan = (plan) => ({
+  total: plan.length,
+  create: plan.filter((row) => row.action === 'create').length,
+  update: plan.filter((row) => row.action === 'update').length,
+  errors: plan.filter((row) => row.action === 'error').length,
+});
+
+const formatPlanRow = ({ data, ...row }) => ({
+  ...row,
+  skills: data.skills.map((skill) => ({
+    skill_id: skill.skill_id,
+    skill_name: skill.skill_name,
+    proficiency_level: skill.proficiency_level,
+    years_of_experience: parseFloat(skill.years_of_experience) || 0,
+  })),
+});
+
+const createImportedPersonnel = async ({ data }, connection) => {
+  const [result] = await connection.execute(
+    'INSERT INTO personnel (name, email, role_title, experience_level, profile_image_url, bio) VALUES (?, ?, ?, ?, ?, ?)',
+    [
+      data.name,
+      data.email,
+      data.role_title,
+      data.experience_level,
+      data.profile_image_url || null,
+      data.bio || null,
+    ]
+  );
+
+  return result.insertId;
+};
+
+// Upserting overwrites the columns present in the file and adds or updates
+// the listed skills; skills that are not listed are left alone
+const updateImportedPersonnel = async ({ personnel_id, data }, connection) => {
+  const updateFields = ['name = ?', 'role_title = ?', 'experience_level = ?'];
+  const updateParams = [data.name, data.role_title, data.experience_level];
+
+  OPTIONAL_COLUMNS.forEach((column) => {
+    if (data[column] !== undefined && data[column] !== '') {
+      updateFields.push(`${column} = ?`);
+      updateParams.push(data[column]);
+    }
+  });
+
+  await connection.execute(
+    `UPDATE personnel SET ${updateFields.join(', ')} WHERE id = ?`,
+    [...updateParams, personnel_id]
+  );
+
+  return personnel_id;
+};
+
+// Imported levels are self-reported unless the importer vouches for them with
+// verify_skills=true. Without it an existing verification survives only when
+// the level stays the same; the verification columns are assigned before the
+// level so they still compare against the old value.
+const skillVerificationSql = (verifySkills) =>
+  verifySkills
+    ? {
+        values: '?, NOW()',
+        update:
+          'verified_by = VALUES(verified_by), verified_at = VALUES(verified_at)',
+      }
+    : {
+        values: 'NULL, NULL',
+        update: `verified_by = IF(proficiency_level = VALUES(proficiency_level), verified_by, NULL),
+         verified_at = IF(proficiency_level = VALUES(proficiency_level), verified_at, NULL)`,
+      };
+
+const importPersonnelRow = async (
+  planRow,
+  { user, verifySkills },
+  connection
+) => {
+  const isUpdate = planRow.action === 'update';
+
+  let before = null;
+  let previousSkills = [];
+
+  if (isUpdate) {
+    const [existing] = await connection.execute(
+      'SELECT * FROM personnel WHERE id = ? FOR UPDATE',
+      [planRow.personnel_id]
+    );
+    before = existing[0];
+
+    const [skills] = await connection.execute(
+      'SELECT skill_id, proficiency_level, years_of_experience FROM personnel_skills WHERE personnel_id = ?',
+      [planRow.personnel_id]
+    );
+    const importedSkillIds = planRow.data.skills.map((skill) => skill.skill_id);
+    previousSkills = skills.filter((skill) =>
+      importedSkillIds.includes(skill.skill_id)
+    );
+  }
+
+  const personnelId = isUpdate
+    ? await updateImportedPersonnel(planRow, connection)
+    : await createImportedPersonnel(planRow, connection);
+
+  const skills = planRow.data.skills.map((skill) => ({
+    ...skill,
+    years_of_experience: parseFloat(skill.years_of_experience) || 0,
+  }));
+
+  const verification = skillVerificationSql(verifySkills);
+
+  for (const skill of skills) {
+    await connection.execute(
+      `INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience, verified_by, verified_at)
+       VALUES (?, ?, ?, ?, ${verification.values})
+       ON DUPLICATE KEY UPDATE
+         ${verification.update},
+         proficiency_level = VALUES(proficiency_level),
+         years_of_experience = VALUES(years_of_experience)`,
+      [
+        personnelId,
+        skill.skill_id,
+        skill.proficiency_level,
+        skill.years_of_experience,
+        ...(verifySkills ? [user.id] : []),
+      ]
+    );
+  }
+
+  await recordSkillListChanges(
+    { personnelId, before: previousSkills, after: skills, user },
+    connection
+  );
+
+  const [after] = await connection.execute(
+    'SELECT * FROM personnel WHERE id = ?',
+    [personnelId]
+  );
+
+  await recordAudit(
+    {
+      user,
+      entity: AUDIT_ENTITIES.PERSONNEL,
+      entityId: personnelId,
+      action: isUpdate ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+      before,
+      after: after[0],
+    },
+    connection
+  );
+
+  return personnelId;
+};
+
+// Bulk onboarding from a CSV or XLSX file. Every row is validated first; the
+// import is all-or-nothing, and ?dry_run=true returns the per-row preview
+// without writing anything.
+const importPersonnel = async (req, res, next) => {
+  let connection;
+
+  try {
+    const options = { ...req.query, ...req.body };
+    const dryRun = isTrue(options.dry_run);
+    const upsert = isTrue(options.upsert);
+    const verifySkills = isTrue(options.verify_skills);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A CSV or XLSX file is required',
+          hint: 'Send it as multipart/form-data in the "file" field',
+        },
+      });
+    }
+
+    let spreadsheet;
+    try {
+      spreadsheet = readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Could not read the uploaded file',
+          hint: error.message,
+        },
+      });
+    }
+
+    const missingColumns = REQUIRED_COLUMNS.filter(
+      (column) => !spreadsheet.headers.includes(column)
+    );
+
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Missing required columns: ${missingColumns.join(', ')}`,
+          hint: `Expected columns: ${[...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS, 'skills'].join(', ')}`,
+        },
+      });
+    }
+
+    if (spreadsheet.records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'The file has no data rows',
+        },
+      });
+    }
+
+    if (spreadsheet.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `A single import is limited to ${MAX_IMPORT_ROWS} rows`,
+        },
+      });
+    }
+
+    const plan = await buildImportPlan(spreadsheet.records, upsert);
+    const summary = summarizePlan(plan);
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        upsert,
+        summary,
+        rows: plan.map(formatPlanRow),
+      });
+    }
+
+    if (summary.errors > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Import failed: ${summary.errors} of ${summary.total} rows have errors. Nothing was imported.`,
+          details: plan
+            .filter((row) => row.action === 'error')
+            .map(({ row, email, errors }) => ({ row, email, errors })),
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    for (const planRow of plan) {
+      planRow.personnel_id = await importPersonnelRow(
+        planRow,
+        { user: req.user, verifySkills },
+        connection
+      );
+    }
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      upsert,
+      verifySkills,
+      message: `Imported ${summary.create} new and updated ${summary.update} existing personnel`,
+      summary,
+      rows: plan.map(formatPlanRow),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message:
+            'Personnel with one of these emails was created while importing. Please retry.',
+        },
+      });
+    }
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+module.exports = {
+  importPersonnel,
+};
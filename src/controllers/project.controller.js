@@ -1,14 +1,65 @@
 const { pool } = require('../config/database');
 const { formatDate } = require('../utils/helpers');
+const { buildProjectFilters } = require('../utils/listFilters');
+const {
+  DEFAULT_IMPORTANCE_WEIGHT,
+  isValidImportanceWeight,
+  validateRequiredSkills,
+} = require('../utils/matchScoring');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const { isUserAssignedToProject } = require('../utils/controllerHelpers');
+const { isLockConflict } = require('../utils/allocationLocks');
+const { addDays, countDays } = require('../utils/capacity');
+const { copyProjectPhases } = require('../utils/projectPhases');
+const {
+  getProjectPersonnelIds,
+  detectAllocationConflicts,
+} = require('../utils/allocationAlerts');
+const {
+  NOTIFICATION_EVENTS,
+  notifyUsers,
+  sendNotificationEmails,
+} = require('../utils/notifications');
+const {
+  validateProjectDates,
+  getProjectWithRequiredSkills,
+  insertProject,
+} = require('../utils/projectCreation');
+const {
+  PROJECT_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  checkTransitionPreconditions,
+  applyTransitionSideEffects,
+  recordStatusChange,
+} = require('../utils/projectStatus');
+const {
+  projectsPermissions,
+  checkPermission,
+} = require('../utils/permissions');
+
+const invalidImportanceWeightResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'importance_weight must be an integer between 1 and 5',
+    },
+  });
+};
 
 const createProject = async (req, res, next) => {
+  let connection;
   try {
     const {
       project_name,
       description,
       start_date,
       end_date,
-      status = 'Planning',
+      status = PROJECT_STATUSES.PLANNING,
       required_skills,
     } = req.body;
 
@@ -35,145 +86,182 @@ const createProject = async (req, res, next) => {
       });
     }
 
-    const validStatuses = ['Planning', 'Active', 'Completed', 'On Hold'];
-    if (status && !validStatuses.includes(status)) {
+    const requiredSkillsError = validateRequiredSkills(
+      required_skills,
+      'project'
+    );
+    if (requiredSkillsError) {
       return res.status(400).json({
         success: false,
         error: {
-          message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+          message: requiredSkillsError,
         },
       });
     }
 
-    const startDateObj = new Date(start_date);
-    const endDateObj = new Date(end_date);
+    // Activating needs allocations, which a new project cannot have yet
+    if (status !== PROJECT_STATUSES.PLANNING) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `New projects start in ${PROJECT_STATUSES.PLANNING}`,
+          hint: 'Use POST /api/projects/:id/status to move the project on once it is staffed.',
+        },
+      });
+    }
 
-    if (isNaN(startDateObj.getTime())) {
+    const datesError = validateProjectDates(start_date, end_date);
+    if (datesError) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Invalid start_date format. Use YYYY-MM-DD format',
+          message: datesError,
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const project = await insertProject(
+      connection,
+      { project_name, description, start_date, end_date, required_skills },
+      { user: req.user }
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: project,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Copies a project's description, required skills and phases into a new
+// Planning project. Dates move with `start_date` (the original start by
+// default) so the schedule keeps its shape; allocations are not copied.
+const cloneProject = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { project_name, start_date, include_phases = true } = req.body;
+
+    const [projects] = await pool.execute(
+      'SELECT * FROM projects WHERE id = ?',
+      [id]
+    );
+
+    if (projects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project not found',
         },
       });
     }
 
-    if (isNaN(endDateObj.getTime())) {
+    const source = projects[0];
+    const newStartDate = start_date || formatDate(source.start_date);
+
+    if (isNaN(new Date(newStartDate).getTime())) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Invalid end_date format. Use YYYY-MM-DD format',
+          message: 'Invalid start_date format. Use YYYY-MM-DD format',
         },
       });
     }
 
-    if (endDateObj <= startDateObj) {
+    if (project_name !== undefined && !String(project_name).trim()) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'end_date must be after start_date',
+          message: 'project_name cannot be empty',
         },
       });
     }
 
-    const [result] = await pool.execute(
-      'INSERT INTO projects (project_name, description, start_date, end_date, status) VALUES (?, ?, ?, ?, ?)',
-      [project_name, description || null, start_date, end_date, status]
+    const offsetDays = countDays(source.start_date, newStartDate) - 1;
+
+    const [requiredSkills] = await pool.execute(
+      'SELECT skill_id, minimum_proficiency, importance_weight FROM project_required_skills WHERE project_id = ?',
+      [id]
     );
 
-    if (required_skills && required_skills.length > 0) {
-      for (const skill of required_skills) {
-        await pool.execute(
-          'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
-          [result.insertId, skill.skill_id, skill.minimum_proficiency]
-        );
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const project = await insertProject(
+      connection,
+      {
+        project_name: project_name
+          ? String(project_name).trim()
+          : `${source.project_name} (copy)`,
+        description: source.description,
+        start_date: addDays(source.start_date, offsetDays),
+        end_date: addDays(source.end_date, offsetDays),
+        required_skills: requiredSkills,
+      },
+      {
+        user: req.user,
+        reason: `Cloned from project ${source.id} (${source.project_name})`,
       }
-    }
-
-    const [createdProjects] = await pool.execute(
-      `SELECT 
-        p.*,
-        JSON_ARRAYAGG(
-          JSON_OBJECT(
-            'skill_id', prs.skill_id,
-            'skill_name', s.skill_name,
-            'minimum_proficiency', prs.minimum_proficiency
-          )
-        ) as required_skills
-      FROM projects p
-      LEFT JOIN project_required_skills prs ON p.id = prs.project_id
-      LEFT JOIN skills s ON prs.skill_id = s.id
-      WHERE p.id = ?
-      GROUP BY p.id`,
-      [result.insertId]
     );
 
-    const project = createdProjects[0];
-    if (project) {
-      project.start_date = formatDate(project.start_date);
-      project.end_date = formatDate(project.end_date);
-
-      // Parse required_skills JSON
-      if (project.required_skills) {
-        const skillsData =
-          typeof project.required_skills === 'string'
-            ? JSON.parse(project.required_skills)
-            : project.required_skills;
+    const copiedPhases = include_phases
+      ? await copyProjectPhases(connection, source.id, project.id, offsetDays)
+      : 0;
 
-        project.required_skills = Array.isArray(skillsData)
-          ? skillsData.filter((skill) => skill && skill.skill_id !== null)
-          : [];
-      } else {
-        project.required_skills = [];
-      }
-    }
+    await connection.commit();
 
     res.status(201).json({
       success: true,
-      message: 'Project created successfully',
+      message: 'Project cloned successfully',
+      cloned_from: source.id,
+      copied_phases: copiedPhases,
       data: project,
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 const getAllProjects = async (req, res, next) => {
   try {
-    const { status, search, start_date, end_date, page, limit } = req.query;
-
-    // Build base query
-    let query = 'SELECT DISTINCT p.* FROM projects p';
-    const conditions = [];
-    const params = [];
-
-    // Add status filter
-    if (status) {
-      conditions.push('p.status = ?');
-      params.push(status);
-    }
-
-    // Add search by project name
-    if (search) {
-      conditions.push('p.project_name LIKE ?');
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern);
-    }
-
-    // Add date range filtering
-    if (start_date) {
-      conditions.push('p.start_date >= ?');
-      params.push(start_date);
-    }
+    const { page, limit } = req.query;
+    let assignedToUserId = null;
+
+    // Employees only see the projects they are allocated to
+    if (!checkPermission(projectsPermissions.canViewAllProjects, req.user)) {
+      if (
+        !checkPermission(projectsPermissions.canViewAssignedProjects, req.user)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message:
+              'Access denied. You do not have permission to view projects.',
+          },
+        });
+      }
 
-    if (end_date) {
-      conditions.push('p.end_date <= ?');
-      params.push(end_date);
+      assignedToUserId = req.user.id;
     }
 
-    // Add WHERE clause if conditions exist
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    const { where, params } = buildProjectFilters(req.query, {
+      assignedToUserId,
+    });
+    let query = `SELECT DISTINCT p.* FROM projects p${where}`;
 
     // Get total count for pagination
     const countQuery = query.replace(
@@ -205,6 +293,7 @@ const getAllProjects = async (req, res, next) => {
             s.skill_name,
             s.category,
             prs.minimum_proficiency,
+            prs.importance_weight,
             prs.created_at
           FROM project_required_skills prs
           INNER JOIN skills s ON prs.skill_id = s.id
@@ -268,6 +357,21 @@ const getProjectById = async (req, res, next) => {
 
     const project = projects[0];
 
+    const canView =
+      checkPermission(projectsPermissions.canViewProject, req.user) ||
+      (checkPermission(projectsPermissions.canViewAssignedProjects, req.user) &&
+        (await isUserAssignedToProject(req.user.id, project.id)));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only view projects you are allocated to.',
+        },
+      });
+    }
+
     // Get required skills (JOIN with project_required_skills and skills)
     const [requiredSkills] = await pool.execute(
       `SELECT 
@@ -276,6 +380,7 @@ const getProjectById = async (req, res, next) => {
         s.skill_name,
         s.category,
         prs.minimum_proficiency,
+        prs.importance_weight,
         prs.created_at
       FROM project_required_skills prs
       INNER JOIN skills s ON prs.skill_id = s.id
@@ -297,6 +402,8 @@ const getProjectById = async (req, res, next) => {
         pa.start_date,
         pa.end_date,
         pa.role_in_project,
+        pa.phase_id,
+        pa.allocation_status,
         pa.created_at,
         pa.updated_at
       FROM project_allocations pa
@@ -306,12 +413,27 @@ const getProjectById = async (req, res, next) => {
       [id]
     );
 
+    // Phase requirements and teams are served by /projects/:id/phases
+    const [phases] = await pool.execute(
+      `SELECT id, phase_name, phase_type, start_date, end_date
+      FROM project_phases
+      WHERE project_id = ?
+      ORDER BY start_date ASC, id ASC`,
+      [id]
+    );
+
     // Format dates to YYYY-MM-DD and combine project data with required skills and allocated personnel
     const projectData = {
       ...project,
       start_date: formatDate(project.start_date),
       end_date: formatDate(project.end_date),
+      allowed_transitions: getAllowedTransitions(project.status),
       required_skills: requiredSkills,
+      phases: phases.map((phase) => ({
+        ...phase,
+        start_date: formatDate(phase.start_date),
+        end_date: formatDate(phase.end_date),
+      })),
       allocated_personnel: allocatedPersonnel.map((person) => ({
         ...person,
         start_date: formatDate(person.start_date),
@@ -329,6 +451,7 @@ const getProjectById = async (req, res, next) => {
 };
 
 const updateProject = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
     const {
@@ -392,21 +515,56 @@ const updateProject = async (req, res, next) => {
           },
         });
       }
-    }
 
-    // Validate status if provided
-    if (status) {
-      const validStatuses = ['Planning', 'Active', 'Completed', 'On Hold'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
+      // Phases and milestones have to stay inside the project
+      const [phasesOutside] = await pool.execute(
+        'SELECT id, phase_name, start_date, end_date FROM project_phases WHERE project_id = ? AND (start_date < ? OR end_date > ?)',
+        [id, formatDate(finalStartDate), formatDate(finalEndDate)]
+      );
+
+      if (phasesOutside.length > 0) {
+        return res.status(409).json({
           success: false,
           error: {
-            message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+            message: `${phasesOutside.length} phase(s) would fall outside the new project dates.`,
+            hint: 'Move or delete those phases before changing the project dates.',
+            details: {
+              phases: phasesOutside.map((phase) => ({
+                id: phase.id,
+                phase_name: phase.phase_name,
+                start_date: formatDate(phase.start_date),
+                end_date: formatDate(phase.end_date),
+              })),
+            },
           },
         });
       }
     }
 
+    const requiredSkillsError =
+      Array.isArray(required_skills) &&
+      validateRequiredSkills(required_skills, 'project');
+    if (requiredSkillsError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: requiredSkillsError,
+        },
+      });
+    }
+
+    // Status changes have preconditions and side effects, so they go through
+    // the status endpoint
+    if (status !== undefined && status !== existingProject.status) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'status cannot be changed with a project update',
+          hint: 'Use POST /api/projects/:id/status with the new status and a reason.',
+        },
+      });
+    }
+
     // Build update query dynamically (only update provided fields)
     const updateFields = [];
     const updateParams = [];
@@ -427,10 +585,6 @@ const updateProject = async (req, res, next) => {
       updateFields.push('end_date = ?');
       updateParams.push(end_date);
     }
-    if (status !== undefined) {
-      updateFields.push('status = ?');
-      updateParams.push(status);
-    }
 
     // If no fields to update
     if (updateFields.length === 0) {
@@ -445,8 +599,13 @@ const updateProject = async (req, res, next) => {
     // Add id to params for WHERE clause
     updateParams.push(id);
 
+    // The conflict scan shares the transaction so a failing scan rolls the
+    // update back instead of answering with an error after it happened
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Execute update
-    await pool.execute(
+    await connection.execute(
       `UPDATE projects SET ${updateFields.join(', ')} WHERE id = ?`,
       updateParams
     );
@@ -454,7 +613,7 @@ const updateProject = async (req, res, next) => {
     // Handle required_skills update if provided
     if (required_skills && Array.isArray(required_skills)) {
       // Delete existing required skills
-      await pool.execute(
+      await connection.execute(
         'DELETE FROM project_required_skills WHERE project_id = ?',
         [id]
       );
@@ -462,71 +621,65 @@ const updateProject = async (req, res, next) => {
       // Insert new required skills
       if (required_skills.length > 0) {
         for (const skill of required_skills) {
-          await pool.execute(
-            'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
-            [id, skill.skill_id, skill.minimum_proficiency]
+          await connection.execute(
+            'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+            [
+              id,
+              skill.skill_id,
+              skill.minimum_proficiency,
+              skill.importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+            ]
           );
         }
       }
     }
 
     // Fetch updated project with required skills
-    const [updatedProjects] = await pool.execute(
-      `SELECT 
-        p.*,
-        JSON_ARRAYAGG(
-          JSON_OBJECT(
-            'skill_id', prs.skill_id,
-            'skill_name', s.skill_name,
-            'minimum_proficiency', prs.minimum_proficiency
-          )
-        ) as required_skills
-      FROM projects p
-      LEFT JOIN project_required_skills prs ON p.id = prs.project_id
-      LEFT JOIN skills s ON prs.skill_id = s.id
-      WHERE p.id = ?
-      GROUP BY p.id`,
-      [id]
+    const project = await getProjectWithRequiredSkills(id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existingProjects[0],
+        after: project,
+      },
+      connection
     );
 
-    // Format dates to YYYY-MM-DD
-    const project = updatedProjects[0];
-    if (project) {
-      project.start_date = formatDate(project.start_date);
-      project.end_date = formatDate(project.end_date);
-
-      // Parse required_skills JSON
-      if (project.required_skills) {
-        const skillsData =
-          typeof project.required_skills === 'string'
-            ? JSON.parse(project.required_skills)
-            : project.required_skills;
-
-        project.required_skills = Array.isArray(skillsData)
-          ? skillsData.filter((skill) => skill && skill.skill_id !== null)
-          : [];
-      } else {
-        project.required_skills = [];
-      }
+    // Moving the project can leave allocations outside its dates
+    if (start_date || end_date) {
+      await detectAllocationConflicts(
+        connection,
+        await getProjectPersonnelIds(connection, id)
+      );
     }
 
+    await connection.commit();
+
     res.status(200).json({
       success: true,
       message: 'Project updated successfully',
       data: project,
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 const deleteProject = async (req, res, next) => {
+  let connection;
   try {
     const { id } = req.params;
 
     // Check if project exists
     const [existingProjects] = await pool.execute(
-      'SELECT id FROM projects WHERE id = ?',
+      'SELECT * FROM projects WHERE id = ?',
       [id]
     );
 
@@ -539,22 +692,47 @@ const deleteProject = async (req, res, next) => {
       });
     }
 
+    // The conflict scan shares the transaction so a failing scan rolls the
+    // delete back instead of answering with an error after it happened
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const personnelIds = await getProjectPersonnelIds(connection, id);
+
     // Delete project (CASCADE handles related records in project_required_skills and project_allocations)
-    await pool.execute('DELETE FROM projects WHERE id = ?', [id]);
+    await connection.execute('DELETE FROM projects WHERE id = ?', [id]);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.DELETE,
+        before: existingProjects[0],
+      },
+      connection
+    );
+
+    await detectAllocationConflicts(connection, personnelIds);
+
+    await connection.commit();
 
     res.status(200).json({
       success: true,
       message: 'Project deleted successfully',
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 const addRequiredSkillToProject = async (req, res, next) => {
   try {
     const { id } = req.params; // project_id
-    const { skill_id, minimum_proficiency } = req.body;
+    const { skill_id, minimum_proficiency, importance_weight } = req.body;
 
     // Validate required fields
     if (!skill_id || !minimum_proficiency) {
@@ -584,6 +762,10 @@ const addRequiredSkillToProject = async (req, res, next) => {
       });
     }
 
+    if (!isValidImportanceWeight(importance_weight)) {
+      return invalidImportanceWeightResponse(res);
+    }
+
     // Validate project exists
     const [projects] = await pool.execute(
       'SELECT id FROM projects WHERE id = ?',
@@ -631,8 +813,13 @@ const addRequiredSkillToProject = async (req, res, next) => {
 
     // Insert into project_required_skills table
     const [result] = await pool.execute(
-      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
-      [id, skill_id, minimum_proficiency]
+      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [
+        id,
+        skill_id,
+        minimum_proficiency,
+        importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+      ]
     );
 
     // Fetch the created assignment with skill details
@@ -644,6 +831,7 @@ const addRequiredSkillToProject = async (req, res, next) => {
         s.skill_name,
         s.category,
         prs.minimum_proficiency,
+        prs.importance_weight,
         prs.created_at
       FROM project_required_skills prs
       INNER JOIN skills s ON prs.skill_id = s.id
@@ -651,6 +839,14 @@ const addRequiredSkillToProject = async (req, res, next) => {
       [result.insertId]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_REQUIRED_SKILL,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: assignment[0],
+    });
+
     // Return assignment details
     res.status(201).json({
       success: true,
@@ -674,14 +870,15 @@ const addRequiredSkillToProject = async (req, res, next) => {
 const updateRequiredSkill = async (req, res, next) => {
   try {
     const { projectId, skillId } = req.params;
-    const { minimum_proficiency } = req.body;
+    const { minimum_proficiency, importance_weight } = req.body;
 
-    // Validate required field
-    if (!minimum_proficiency) {
+    // Validate at least one field is provided
+    if (!minimum_proficiency && importance_weight === undefined) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Missing required field: minimum_proficiency is required',
+          message:
+            'Missing required field: minimum_proficiency or importance_weight is required',
         },
       });
     }
@@ -693,7 +890,10 @@ const updateRequiredSkill = async (req, res, next) => {
       'Advanced',
       'Expert',
     ];
-    if (!validProficiencyLevels.includes(minimum_proficiency)) {
+    if (
+      minimum_proficiency &&
+      !validProficiencyLevels.includes(minimum_proficiency)
+    ) {
       return res.status(400).json({
         success: false,
         error: {
@@ -703,6 +903,13 @@ const updateRequiredSkill = async (req, res, next) => {
       });
     }
 
+    if (
+      importance_weight === null ||
+      !isValidImportanceWeight(importance_weight)
+    ) {
+      return invalidImportanceWeightResponse(res);
+    }
+
     // Validate assignment exists
     const [existingAssignments] = await pool.execute(
       'SELECT * FROM project_required_skills WHERE project_id = ? AND skill_id = ?',
@@ -718,10 +925,23 @@ const updateRequiredSkill = async (req, res, next) => {
       });
     }
 
-    // Update minimum_proficiency
+    const updateFields = [];
+    const updateParams = [];
+
+    if (minimum_proficiency) {
+      updateFields.push('minimum_proficiency = ?');
+      updateParams.push(minimum_proficiency);
+    }
+    if (importance_weight !== undefined) {
+      updateFields.push('importance_weight = ?');
+      updateParams.push(importance_weight);
+    }
+
+    updateParams.push(projectId, skillId);
+
     await pool.execute(
-      'UPDATE project_required_skills SET minimum_proficiency = ? WHERE project_id = ? AND skill_id = ?',
-      [minimum_proficiency, projectId, skillId]
+      `UPDATE project_required_skills SET ${updateFields.join(', ')} WHERE project_id = ? AND skill_id = ?`,
+      updateParams
     );
 
     // Fetch updated assignment with skill details
@@ -733,6 +953,7 @@ const updateRequiredSkill = async (req, res, next) => {
         s.skill_name,
         s.category,
         prs.minimum_proficiency,
+        prs.importance_weight,
         prs.created_at
       FROM project_required_skills prs
       INNER JOIN skills s ON prs.skill_id = s.id
@@ -740,6 +961,15 @@ const updateRequiredSkill = async (req, res, next) => {
       [projectId, skillId]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_REQUIRED_SKILL,
+      entityId: existingAssignments[0].id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingAssignments[0],
+      after: updatedAssignment[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Required skill updated successfully',
@@ -756,7 +986,7 @@ const removeRequiredSkill = async (req, res, next) => {
 
     // Validate assignment exists
     const [existingAssignments] = await pool.execute(
-      'SELECT id FROM project_required_skills WHERE project_id = ? AND skill_id = ?',
+      'SELECT * FROM project_required_skills WHERE project_id = ? AND skill_id = ?',
       [projectId, skillId]
     );
 
@@ -775,6 +1005,14 @@ const removeRequiredSkill = async (req, res, next) => {
       [projectId, skillId]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_REQUIRED_SKILL,
+      entityId: existingAssignments[0].id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingAssignments[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Required skill removed from project successfully',
@@ -784,8 +1022,258 @@ const removeRequiredSkill = async (req, res, next) => {
   }
 };
 
+const changeProjectStatus = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const validStatuses = Object.values(PROJECT_STATUSES);
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+        },
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'reason is required',
+          hint: 'Every status change is recorded together with its reason.',
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [projects] = await connection.execute(
+      'SELECT * FROM projects WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (projects.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project not found',
+        },
+      });
+    }
+
+    const project = projects[0];
+    const allowedTransitions = getAllowedTransitions(project.status);
+
+    if (!canTransition(project.status, status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: {
+          message:
+            project.status === status
+              ? `Project is already ${status}.`
+              : `Cannot change project status from ${project.status} to ${status}.`,
+          hint:
+            allowedTransitions.length > 0
+              ? `From ${project.status} the project can move to: ${allowedTransitions.join(', ')}.`
+              : `${project.status} projects cannot change status.`,
+          details: {
+            currentStatus: project.status,
+            requestedStatus: status,
+            allowedTransitions,
+          },
+        },
+      });
+    }
+
+    const unmetPreconditions = await checkTransitionPreconditions(
+      connection,
+      project,
+      status
+    );
+
+    if (unmetPreconditions.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Project cannot move to ${status} yet.`,
+          hint: `${unmetPreconditions.join('. ')}.`,
+          details: {
+            currentStatus: project.status,
+            requestedStatus: status,
+            unmetPreconditions,
+          },
+        },
+      });
+    }
+
+    const personnelIds = await getProjectPersonnelIds(connection, project.id);
+    // Collected before completing releases the bookings that have not started
+    const [teamMembers] = await connection.execute(
+      "SELECT DISTINCT personnel_id FROM project_allocations WHERE project_id = ? AND allocation_status != 'released'",
+      [project.id]
+    );
+    const affectedAllocations = await applyTransitionSideEffects(connection, {
+      project,
+      status,
+      user: req.user,
+    });
+
+    await connection.execute('UPDATE projects SET status = ? WHERE id = ?', [
+      status,
+      project.id,
+    ]);
+
+    await recordStatusChange(
+      {
+        projectId: project.id,
+        fromStatus: project.status,
+        toStatus: status,
+        reason: reason.trim(),
+        affectedAllocations,
+        user: req.user,
+      },
+      connection
+    );
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT,
+        entityId: project.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: project,
+        after: { ...project, status },
+      },
+      connection
+    );
+
+    const emails = await notifyUsers(
+      {
+        personnelIds: teamMembers.map((member) => member.personnel_id),
+        event: NOTIFICATION_EVENTS.PROJECT_STATUS_CHANGED,
+        title: `${project.project_name} is now ${status}`,
+        message: reason.trim(),
+        entity: AUDIT_ENTITIES.PROJECT,
+        entityId: project.id,
+        data: { from_status: project.status, to_status: status },
+        actor: req.user,
+      },
+      connection
+    );
+
+    await detectAllocationConflicts(connection, personnelIds);
+
+    await connection.commit();
+    await sendNotificationEmails(emails);
+
+    res.status(200).json({
+      success: true,
+      message: `Project status changed to ${status}`,
+      data: {
+        project_id: project.id,
+        from_status: project.status,
+        to_status: status,
+        reason: reason.trim(),
+        affected_allocations: affectedAllocations,
+        allowed_transitions: getAllowedTransitions(status),
+      },
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (isLockConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message:
+            'Allocations of this project are being changed. Please try again.',
+        },
+      });
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+const getProjectStatusHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [projects] = await pool.execute(
+      'SELECT id, project_name, status FROM projects WHERE id = ?',
+      [id]
+    );
+
+    if (projects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project not found',
+        },
+      });
+    }
+
+    const project = projects[0];
+
+    const canView =
+      checkPermission(projectsPermissions.canViewProject, req.user) ||
+      (checkPermission(projectsPermissions.canViewAssignedProjects, req.user) &&
+        (await isUserAssignedToProject(req.user.id, project.id)));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only view projects you are allocated to.',
+        },
+      });
+    }
+
+    const [history] = await pool.execute(
+      `SELECT
+        psh.id,
+        psh.from_status,
+        psh.to_status,
+        psh.reason,
+        psh.affected_allocations,
+        psh.changed_by,
+        u.email as changed_by_email,
+        psh.created_at
+      FROM project_status_history psh
+      LEFT JOIN users u ON psh.changed_by = u.id
+      WHERE psh.project_id = ?
+      ORDER BY psh.created_at DESC, psh.id DESC`,
+      [id]
+    );
+
+    res.status(200).json({
+      success: true,
+      project_id: project.id,
+      project_name: project.project_name,
+      current_status: project.status,
+      allowed_transitions: getAllowedTransitions(project.status),
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createProject,
+  cloneProject,
   getAllProjects,
   getProjectById,
   updateProject,
@@ -793,4 +1281,6 @@ module.exports = {
   addRequiredSkillToProject,
   updateRequiredSkill,
   removeRequiredSkill,
+  changeProjectStatus,
+  getProjectStatusHistory,
 };
@@ -0,0 +1,816 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('../utils/helpers');
+const {
+  PROFICIENCY_LEVELS,
+  DEFAULT_IMPORTANCE_WEIGHT,
+  isValidImportanceWeight,
+  validateRequiredSkills,
+} = require('../utils/matchScoring');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  PHASE_TYPES,
+  findProjectPhase,
+  isWithinRange,
+} = require('../utils/projectPhases');
+const { isUserAssignedToProject } = require('../utils/controllerHelpers');
+const {
+  projectsPermissions,
+  checkPermission,
+} = require('../utils/permissions');
+
+const MAX_PHASE_NAME_LENGTH = 255;
+
+const PHASE_SKILL_SELECT = `SELECT
+    pprs.id,
+    pprs.phase_id,
+    pprs.skill_id,
+    s.skill_name,
+    s.category,
+    pprs.minimum_proficiency,
+    pprs.importance_weight,
+    pprs.created_at
+  FROM project_phase_required_skills pprs
+  INNER JOIN skills s ON pprs.skill_id = s.id`;
+
+const projectNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Project not found',
+    },
+  });
+};
+
+const phaseNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Project phase not found',
+    },
+  });
+};
+
+const badRequestResponse = (res, message, hint) => {
+  return res.status(400).json({
+    success: false,
+    error: hint ? { message, hint } : { message },
+  });
+};
+
+const findProject = async (id) => {
+  const [projects] = await pool.execute(
+    'SELECT id, project_name, start_date, end_date FROM projects WHERE id = ?',
+    [id]
+  );
+  return projects[0] || null;
+};
+
+// Returns an error message, or null when the dates are valid. Phases must
+// sit inside the project; milestones are a single day.
+const validatePhaseDates = (project, phaseType, startDate, endDate) => {
+  if (isNaN(new Date(startDate).getTime())) {
+    return 'Invalid start_date format. Use YYYY-MM-DD format';
+  }
+
+  if (isNaN(new Date(endDate).getTime())) {
+    return 'Invalid end_date format. Use YYYY-MM-DD format';
+  }
+
+  if (phaseType === PHASE_TYPES.MILESTONE) {
+    if (formatDate(startDate) !== formatDate(endDate)) {
+      return 'A milestone is a single day: end_date must equal start_date';
+    }
+  } else if (new Date(endDate) <= new Date(startDate)) {
+    return 'end_date must be after start_date';
+  }
+
+  if (!isWithinRange(project, startDate, endDate)) {
+    return `Dates must fall within the project (${formatDate(project.start_date)} to ${formatDate(project.end_date)})`;
+  }
+
+  return null;
+};
+
+// Inserts the requirements inside the caller's transaction. Returns false
+// when one of the skills does not exist.
+const insertPhaseRequiredSkills = async (
+  connection,
+  phaseId,
+  requiredSkills
+) => {
+  if (requiredSkills.length === 0) return true;
+
+  const skillIds = requiredSkills.map((skill) => skill.skill_id);
+  const [skills] = await connection.execute(
+    `SELECT id FROM skills WHERE id IN (${skillIds.map(() => '?').join(',')})`,
+    skillIds
+  );
+
+  if (skills.length !== skillIds.length) return false;
+
+  for (const skill of requiredSkills) {
+    await connection.execute(
+      'INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [
+        phaseId,
+        skill.skill_id,
+        skill.minimum_proficiency,
+        skill.importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+      ]
+    );
+  }
+
+  return true;
+};
+
+// Phases of a project (or a single one) with their requirements and the
+// allocations attached to them
+const getPhaseDetails = async (projectId, phaseId = null) => {
+  const [phases] = await pool.execute(
+    `SELECT * FROM project_phases
+     WHERE project_id = ?${phaseId ? ' AND id = ?' : ''}
+     ORDER BY start_date ASC, id ASC`,
+    phaseId ? [projectId, phaseId] : [projectId]
+  );
+
+  if (phases.length === 0) return [];
+
+  const phaseIds = phases.map((phase) => phase.id);
+  const placeholders = phaseIds.map(() => '?').join(',');
+
+  const [requiredSkills] = await pool.execute(
+    `${PHASE_SKILL_SELECT}
+     WHERE pprs.phase_id IN (${placeholders})
+     ORDER BY s.skill_name`,
+    phaseIds
+  );
+
+  const [allocations] = await pool.execute(
+    `SELECT
+      pa.id,
+      pa.phase_id,
+      pa.personnel_id,
+      p.name as personnel_name,
+      pa.allocation_percentage,
+      pa.start_date,
+      pa.end_date,
+      pa.role_in_project
+    FROM project_allocations pa
+    INNER JOIN personnel p ON pa.personnel_id = p.id
+    WHERE pa.phase_id IN (${placeholders})
+    ORDER BY pa.start_date ASC`,
+    phaseIds
+  );
+
+  return phases.map((phase) => ({
+    ...phase,
+    start_date: formatDate(phase.start_date),
+    end_date: formatDate(phase.end_date),
+    required_skills: requiredSkills.filter(
+      (skill) => skill.phase_id === phase.id
+    ),
+    allocations: allocations
+      .filter((allocation) => allocation.phase_id === phase.id)
+      .map((allocation) => ({
+        ...allocation,
+        start_date: formatDate(allocation.start_date),
+        end_date: formatDate(allocation.end_date),
+      })),
+  }));
+};
+
+const getProjectPhases = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const project = await findProject(id);
+
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const canView =
+      checkPermission(projectsPermissions.canViewProject, req.user) ||
+      (checkPermission(projectsPermissions.canViewAssignedProjects, req.user) &&
+        (await isUserAssignedToProject(req.user.id, project.id)));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            'Access denied. You can only view projects you are allocated to.',
+        },
+      });
+    }
+
+    const phases = await getPhaseDetails(project.id);
+
+    res.status(200).json({
+      success: true,
+      project_id: project.id,
+      project_name: project.project_name,
+      data: phases,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createProjectPhase = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const {
+      phase_name,
+      phase_type = PHASE_TYPES.PHASE,
+      description,
+      start_date,
+      required_skills = [],
+    } = req.body;
+    const isMilestone = phase_type === PHASE_TYPES.MILESTONE;
+    const end_date = req.body.end_date || (isMilestone ? start_date : null);
+
+    if (!Object.values(PHASE_TYPES).includes(phase_type)) {
+      return badRequestResponse(
+        res,
+        `Invalid phase_type. Must be one of: ${Object.values(PHASE_TYPES).join(', ')}`
+      );
+    }
+
+    if (
+      typeof phase_name !== 'string' ||
+      !phase_name.trim() ||
+      !start_date ||
+      !end_date
+    ) {
+      return badRequestResponse(
+        res,
+        'Missing required fields: phase_name, start_date, and end_date are required',
+        'Milestones only need a start_date.'
+      );
+    }
+
+    if (phase_name.trim().length > MAX_PHASE_NAME_LENGTH) {
+      return badRequestResponse(
+        res,
+        `phase_name must be at most ${MAX_PHASE_NAME_LENGTH} characters`
+      );
+    }
+
+    const skillsError = validateRequiredSkills(required_skills, 'phase');
+    if (skillsError) {
+      return badRequestResponse(res, skillsError);
+    }
+
+    if (isMilestone && required_skills.length > 0) {
+      return badRequestResponse(
+        res,
+        'Milestones cannot have required skills',
+        'Add the skills to the phase that delivers the milestone instead.'
+      );
+    }
+
+    const project = await findProject(id);
+
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const datesError = validatePhaseDates(
+      project,
+      phase_type,
+      start_date,
+      end_date
+    );
+    if (datesError) {
+      return badRequestResponse(res, datesError);
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO project_phases (project_id, phase_name, phase_type, description, start_date, end_date) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        project.id,
+        phase_name.trim(),
+        phase_type,
+        description || null,
+        start_date,
+        end_date,
+      ]
+    );
+
+    const skillsExist = await insertPhaseRequiredSkills(
+      connection,
+      result.insertId,
+      required_skills
+    );
+
+    if (!skillsExist) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill not found',
+        },
+      });
+    }
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_PHASE,
+        entityId: result.insertId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: {
+          project_id: project.id,
+          phase_name: phase_name.trim(),
+          phase_type,
+          description: description || null,
+          start_date,
+          end_date,
+          required_skills,
+        },
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    const [phase] = await getPhaseDetails(project.id, result.insertId);
+
+    res.status(201).json({
+      success: true,
+      message: `Project ${phase_type} created successfully`,
+      data: phase,
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+const updateProjectPhase = async (req, res, next) => {
+  let connection;
+  try {
+    const { id, phaseId } = req.params;
+    const { phase_name, phase_type, description, start_date, required_skills } =
+      req.body;
+
+    const existing = await findProjectPhase(id, phaseId);
+
+    if (!existing) {
+      return phaseNotFoundResponse(res);
+    }
+
+    const isMilestone = existing.phase_type === PHASE_TYPES.MILESTONE;
+
+    if (phase_type !== undefined && phase_type !== existing.phase_type) {
+      return badRequestResponse(
+        res,
+        'phase_type cannot be changed',
+        'Delete the entry and create a new one instead.'
+      );
+    }
+
+    if (
+      phase_name !== undefined &&
+      (typeof phase_name !== 'string' || !phase_name.trim())
+    ) {
+      return badRequestResponse(res, 'phase_name cannot be empty');
+    }
+
+    if (
+      phase_name !== undefined &&
+      phase_name.trim().length > MAX_PHASE_NAME_LENGTH
+    ) {
+      return badRequestResponse(
+        res,
+        `phase_name must be at most ${MAX_PHASE_NAME_LENGTH} characters`
+      );
+    }
+
+    if (required_skills !== undefined) {
+      if (isMilestone) {
+        return badRequestResponse(
+          res,
+          'Milestones cannot have required skills'
+        );
+      }
+
+      const skillsError = validateRequiredSkills(required_skills, 'phase');
+      if (skillsError) {
+        return badRequestResponse(res, skillsError);
+      }
+    }
+
+    // Moving a milestone moves both ends of it
+    const end_date =
+      req.body.end_date || (isMilestone ? start_date : undefined);
+    const finalStartDate = start_date || existing.start_date;
+    const finalEndDate = end_date || existing.end_date;
+
+    if (start_date || end_date) {
+      const project = await findProject(id);
+      const datesError = validatePhaseDates(
+        project,
+        existing.phase_type,
+        finalStartDate,
+        finalEndDate
+      );
+      if (datesError) {
+        return badRequestResponse(res, datesError);
+      }
+
+      const [attachedAllocations] = await pool.execute(
+        'SELECT id, start_date, end_date FROM project_allocations WHERE phase_id = ?',
+        [existing.id]
+      );
+      const outsideAllocations = attachedAllocations.filter(
+        (allocation) =>
+          !isWithinRange(
+            { start_date: finalStartDate, end_date: finalEndDate },
+            allocation.start_date,
+            allocation.end_date
+          )
+      );
+
+      if (outsideAllocations.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: `${outsideAllocations.length} allocation(s) attached to this phase fall outside the new dates.`,
+            hint: 'Adjust or detach those allocations before moving the phase.',
+            details: {
+              allocationIds: outsideAllocations.map(
+                (allocation) => allocation.id
+              ),
+            },
+          },
+        });
+      }
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (phase_name !== undefined) {
+      updateFields.push('phase_name = ?');
+      updateParams.push(phase_name.trim());
+    }
+    if (description !== undefined) {
+      updateFields.push('description = ?');
+      updateParams.push(description);
+    }
+    if (start_date) {
+      updateFields.push('start_date = ?');
+      updateParams.push(start_date);
+    }
+    if (end_date) {
+      updateFields.push('end_date = ?');
+      updateParams.push(end_date);
+    }
+
+    if (updateFields.length === 0 && required_skills === undefined) {
+      return badRequestResponse(res, 'No fields provided to update');
+    }
+
+    const [beforeSkills] = await pool.execute(
+      `${PHASE_SKILL_SELECT} WHERE pprs.phase_id = ?`,
+      [existing.id]
+    );
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    if (updateFields.length > 0) {
+      await connection.execute(
+        `UPDATE project_phases SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateParams, existing.id]
+      );
+    }
+
+    if (required_skills !== undefined) {
+      await connection.execute(
+        'DELETE FROM project_phase_required_skills WHERE phase_id = ?',
+        [existing.id]
+      );
+
+      const skillsExist = await insertPhaseRequiredSkills(
+        connection,
+        existing.id,
+        required_skills
+      );
+
+      if (!skillsExist) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Skill not found',
+          },
+        });
+      }
+    }
+
+    await connection.commit();
+
+    const [phase] = await getPhaseDetails(id, existing.id);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_PHASE,
+      entityId: existing.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: { ...existing, required_skills: beforeSkills },
+      after: phase,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Project ${existing.phase_type} updated successfully`,
+      data: phase,
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+const deleteProjectPhase = async (req, res, next) => {
+  try {
+    const { id, phaseId } = req.params;
+
+    const existing = await findProjectPhase(id, phaseId);
+
+    if (!existing) {
+      return phaseNotFoundResponse(res);
+    }
+
+    // Attached allocations stay on the project, just without a phase
+    const [result] = await pool.execute(
+      'UPDATE project_allocations SET phase_id = NULL WHERE phase_id = ?',
+      [existing.id]
+    );
+    await pool.execute('DELETE FROM project_phases WHERE id = ?', [
+      existing.id,
+    ]);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_PHASE,
+      entityId: existing.id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: existing,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Project ${existing.phase_type} deleted successfully`,
+      detached_allocations: result.affectedRows,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const addPhaseRequiredSkill = async (req, res, next) => {
+  try {
+    const { id, phaseId } = req.params;
+    const { skill_id, minimum_proficiency, importance_weight } = req.body;
+
+    const validationError = validateRequiredSkills(
+      [{ skill_id, minimum_proficiency, importance_weight }],
+      'phase'
+    );
+    if (validationError) {
+      return badRequestResponse(res, validationError);
+    }
+
+    const phase = await findProjectPhase(id, phaseId);
+
+    if (!phase) {
+      return phaseNotFoundResponse(res);
+    }
+
+    if (phase.phase_type === PHASE_TYPES.MILESTONE) {
+      return badRequestResponse(res, 'Milestones cannot have required skills');
+    }
+
+    const [skills] = await pool.execute('SELECT id FROM skills WHERE id = ?', [
+      skill_id,
+    ]);
+
+    if (skills.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill not found',
+        },
+      });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [
+        phase.id,
+        skill_id,
+        minimum_proficiency,
+        importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+      ]
+    );
+
+    const [requirement] = await pool.execute(
+      `${PHASE_SKILL_SELECT} WHERE pprs.id = ?`,
+      [result.insertId]
+    );
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_PHASE_REQUIRED_SKILL,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: requirement[0],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Required skill added to phase successfully',
+      data: requirement[0],
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Skill is already required for this phase',
+        },
+      });
+    }
+    next(error);
+  }
+};
+
+const updatePhaseRequiredSkill = async (req, res, next) => {
+  try {
+    const { id, phaseId, skillId } = req.params;
+    const { minimum_proficiency, importance_weight } = req.body;
+
+    if (!minimum_proficiency && importance_weight === undefined) {
+      return badRequestResponse(
+        res,
+        'Missing required field: minimum_proficiency or importance_weight is required'
+      );
+    }
+
+    if (minimum_proficiency && !PROFICIENCY_LEVELS[minimum_proficiency]) {
+      return badRequestResponse(
+        res,
+        'Invalid minimum_proficiency. Must be one of: Beginner, Intermediate, Advanced, Expert'
+      );
+    }
+
+    if (
+      importance_weight === null ||
+      !isValidImportanceWeight(importance_weight)
+    ) {
+      return badRequestResponse(
+        res,
+        'importance_weight must be an integer between 1 and 5'
+      );
+    }
+
+    const phase = await findProjectPhase(id, phaseId);
+
+    if (!phase) {
+      return phaseNotFoundResponse(res);
+    }
+
+    const [existingRequirements] = await pool.execute(
+      'SELECT * FROM project_phase_required_skills WHERE phase_id = ? AND skill_id = ?',
+      [phase.id, skillId]
+    );
+
+    if (existingRequirements.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Phase required skill not found',
+        },
+      });
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (minimum_proficiency) {
+      updateFields.push('minimum_proficiency = ?');
+      updateParams.push(minimum_proficiency);
+    }
+    if (importance_weight !== undefined) {
+      updateFields.push('importance_weight = ?');
+      updateParams.push(importance_weight);
+    }
+
+    await pool.execute(
+      `UPDATE project_phase_required_skills SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateParams, existingRequirements[0].id]
+    );
+
+    const [requirement] = await pool.execute(
+      `${PHASE_SKILL_SELECT} WHERE pprs.id = ?`,
+      [existingRequirements[0].id]
+    );
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_PHASE_REQUIRED_SKILL,
+      entityId: existingRequirements[0].id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingRequirements[0],
+      after: requirement[0],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Phase required skill updated successfully',
+      data: requirement[0],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removePhaseRequiredSkill = async (req, res, next) => {
+  try {
+    const { id, phaseId, skillId } = req.params;
+
+    const phase = await findProjectPhase(id, phaseId);
+
+    if (!phase) {
+      return phaseNotFoundResponse(res);
+    }
+
+    const [existingRequirements] = await pool.execute(
+      'SELECT * FROM project_phase_required_skills WHERE phase_id = ? AND skill_id = ?',
+      [phase.id, skillId]
+    );
+
+    if (existingRequirements.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Phase required skill not found',
+        },
+      });
+    }
+
+    await pool.execute(
+      'DELETE FROM project_phase_required_skills WHERE id = ?',
+      [existingRequirements[0].id]
+    );
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_PHASE_REQUIRED_SKILL,
+      entityId: existingRequirements[0].id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingRequirements[0],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Required skill removed from phase successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjectPhases,
+  createProjectPhase,
+  updateProjectPhase,
+  deleteProjectPhase,
+  addPhaseRequiredSkill,
+  updatePhaseRequiredSkill,
+  removePhaseRequiredSkill,
+};
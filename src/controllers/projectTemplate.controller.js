@@ -0,0 +1,604 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('../utils/helpers');
+const {
+  DEFAULT_IMPORTANCE_WEIGHT,
+  validateRequiredSkills,
+} = require('../utils/matchScoring');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const { addDays } = require('../utils/capacity');
+const { insertProject } = require('../utils/projectCreation');
+const { insertRoleSlot, getRoleSlotDetails } = require('../utils/roleSlots');
+
+const MAX_NAME_LENGTH = 255;
+const MIN_DURATION_DAYS = 2;
+
+const isInteger = (value, min, max = Infinity) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max;
+};
+
+const templateNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Project template not found',
+    },
+  });
+};
+
+const badRequestResponse = (res, message, hint) => {
+  return res.status(400).json({
+    success: false,
+    error: hint ? { message, hint } : { message },
+  });
+};
+
+const duplicateNameResponse = (res) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Project template name already exists',
+    },
+  });
+};
+
+const getTemplateById = async (id, connection = pool) => {
+  const [templates] = await connection.execute(
+    'SELECT * FROM project_templates WHERE id = ?',
+    [id]
+  );
+
+  if (templates.length === 0) return null;
+
+  const [requiredSkills] = await connection.execute(
+    `SELECT
+      ptrs.skill_id,
+      s.skill_name,
+      s.category,
+      ptrs.minimum_proficiency,
+      ptrs.importance_weight
+    FROM project_template_required_skills ptrs
+    INNER JOIN skills s ON ptrs.skill_id = s.id
+    WHERE ptrs.template_id = ?
+    ORDER BY s.skill_name`,
+    [id]
+  );
+
+  const [roleSlots] = await connection.execute(
+    `SELECT id, role_name, allocation_percentage, start_offset_days, duration_days, notes
+    FROM project_template_role_slots
+    WHERE template_id = ?
+    ORDER BY start_offset_days ASC, id ASC`,
+    [id]
+  );
+
+  return {
+    ...templates[0],
+    required_skills: requiredSkills,
+    role_slots: roleSlots,
+  };
+};
+
+// Returns an error message, or null when the fields are valid. On update only
+// the fields present are checked.
+const validateTemplateFields = (
+  { template_name, duration_days },
+  isUpdate = false
+) => {
+  if (!isUpdate || template_name !== undefined) {
+    if (typeof template_name !== 'string' || !template_name.trim()) {
+      return 'template_name is required';
+    }
+
+    if (template_name.trim().length > MAX_NAME_LENGTH) {
+      return `template_name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (
+    (!isUpdate || duration_days !== undefined) &&
+    !isInteger(duration_days, MIN_DURATION_DAYS)
+  ) {
+    return `duration_days must be an integer of at least ${MIN_DURATION_DAYS}`;
+  }
+
+  return null;
+};
+
+// Role slots are placed by days from the project start. Without a
+// duration_days a slot runs until the project ends. Returns an error message,
+// or null when every slot fits inside the template's duration.
+const validateRoleSlots = (roleSlots, durationDays) => {
+  if (!Array.isArray(roleSlots)) {
+    return 'role_slots must be an array';
+  }
+
+  for (const slot of roleSlots) {
+    if (!slot || typeof slot.role_name !== 'string' || !slot.role_name.trim()) {
+      return 'Each role slot needs a role_name';
+    }
+
+    if (slot.role_name.trim().length > MAX_NAME_LENGTH) {
+      return `role_name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+
+    if (
+      slot.allocation_percentage !== undefined &&
+      !isInteger(slot.allocation_percentage, 1, 100)
+    ) {
+      return 'allocation_percentage must be an integer between 1 and 100';
+    }
+
+    const offset = Number(slot.start_offset_days || 0);
+    if (!isInteger(offset, 0, durationDays - 1)) {
+      return `start_offset_days must be an integer between 0 and ${durationDays - 1}`;
+    }
+
+    if (slot.duration_days !== undefined && slot.duration_days !== null) {
+      if (!isInteger(slot.duration_days, 1)) {
+        return 'Role slot duration_days must be a positive integer';
+      }
+
+      if (offset + Number(slot.duration_days) > durationDays) {
+        return `Role slot "${slot.role_name.trim()}" must end within the template's ${durationDays} days`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Replaces the template's requirements and role slots with the given ones
+// (either may be omitted to keep the current ones). Returns false when one of
+// the skills does not exist.
+const replaceTemplateDetails = async (
+  connection,
+  templateId,
+  { requiredSkills, roleSlots }
+) => {
+  if (requiredSkills !== undefined) {
+    await connection.execute(
+      'DELETE FROM project_template_required_skills WHERE template_id = ?',
+      [templateId]
+    );
+
+    if (requiredSkills.length > 0) {
+      const skillIds = requiredSkills.map((skill) => skill.skill_id);
+      const [skills] = await connection.execute(
+        `SELECT id FROM skills WHERE id IN (${skillIds.map(() => '?').join(',')})`,
+        skillIds
+      );
+
+      if (skills.length !== skillIds.length) return false;
+    }
+
+    for (const skill of requiredSkills) {
+      await connection.execute(
+        'INSERT INTO project_template_required_skills (template_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+        [
+          templateId,
+          skill.skill_id,
+          skill.minimum_proficiency,
+          skill.importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+        ]
+      );
+    }
+  }
+
+  if (roleSlots !== undefined) {
+    await connection.execute(
+      'DELETE FROM project_template_role_slots WHERE template_id = ?',
+      [templateId]
+    );
+
+    for (const slot of roleSlots) {
+      await connection.execute(
+        'INSERT INTO project_template_role_slots (template_id, role_name, allocation_percentage, start_offset_days, duration_days, notes) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          templateId,
+          slot.role_name.trim(),
+          slot.allocation_percentage !== undefined
+            ? Number(slot.allocation_percentage)
+            : 100,
+          Number(slot.start_offset_days || 0),
+          slot.duration_days !== undefined && slot.duration_days !== null
+            ? Number(slot.duration_days)
+            : null,
+          slot.notes || null,
+        ]
+      );
+    }
+  }
+
+  return true;
+};
+
+// Role slots with real dates for a project starting on `startDate`
+const scheduleRoleSlots = (roleSlots, startDate, endDate) =>
+  roleSlots.map((slot) => {
+    const slotStart = addDays(startDate, slot.start_offset_days);
+
+    return {
+      role_name: slot.role_name,
+      allocation_percentage: slot.allocation_percentage,
+      start_date: slotStart,
+      end_date:
+        slot.duration_days === null
+          ? endDate
+          : addDays(slotStart, slot.duration_days - 1),
+      notes: slot.notes,
+    };
+  });
+
+const getAllProjectTemplates = async (req, res, next) => {
+  try {
+    const [templates] = await pool.execute(
+      `SELECT
+        pt.*,
+        (SELECT COUNT(*) FROM project_template_required_skills ptrs WHERE ptrs.template_id = pt.id) as required_skill_count,
+        (SELECT COUNT(*) FROM project_template_role_slots ptrsl WHERE ptrsl.template_id = pt.id) as role_slot_count
+      FROM project_templates pt
+      ORDER BY pt.template_name ASC`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getProjectTemplateById = async (req, res, next) => {
+  try {
+    const template = await getTemplateById(req.params.id);
+
+    if (!template) {
+      return templateNotFoundResponse(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createProjectTemplate = async (req, res, next) => {
+  let connection;
+  try {
+    const {
+      template_name,
+      description,
+      duration_days,
+      required_skills = [],
+      role_slots = [],
+    } = req.body || {};
+
+    const validationError =
+      validateTemplateFields({ template_name, duration_days }) ||
+      validateRequiredSkills(required_skills, 'template') ||
+      validateRoleSlots(role_slots, Number(duration_days));
+    if (validationError) {
+      return badRequestResponse(res, validationError);
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO project_templates (template_name, description, duration_days, created_by) VALUES (?, ?, ?, ?)',
+      [
+        template_name.trim(),
+        description || null,
+        Number(duration_days),
+        req.user.id,
+      ]
+    );
+
+    const skillsExist = await replaceTemplateDetails(
+      connection,
+      result.insertId,
+      { requiredSkills: required_skills, roleSlots: role_slots }
+    );
+
+    if (!skillsExist) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'One or more required skills were not found',
+        },
+      });
+    }
+
+    const template = await getTemplateById(result.insertId, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_TEMPLATE,
+        entityId: result.insertId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: template,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// required_skills and role_slots, when given, replace the current lists
+const updateProjectTemplate = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const {
+      template_name,
+      description,
+      duration_days,
+      required_skills,
+      role_slots,
+    } = req.body || {};
+
+    const existingTemplate = await getTemplateById(id);
+
+    if (!existingTemplate) {
+      return templateNotFoundResponse(res);
+    }
+
+    const finalDuration =
+      duration_days !== undefined
+        ? Number(duration_days)
+        : existingTemplate.duration_days;
+
+    const validationError =
+      validateTemplateFields({ template_name, duration_days }, true) ||
+      (required_skills !== undefined &&
+        validateRequiredSkills(required_skills, 'template')) ||
+      validateRoleSlots(
+        role_slots !== undefined ? role_slots : existingTemplate.role_slots,
+        finalDuration
+      );
+    if (validationError) {
+      return badRequestResponse(
+        res,
+        validationError,
+        role_slots === undefined && duration_days !== undefined
+          ? 'Shortening a template also requires adjusting its role_slots.'
+          : undefined
+      );
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (template_name !== undefined) {
+      updateFields.push('template_name = ?');
+      updateParams.push(template_name.trim());
+    }
+    if (description !== undefined) {
+      updateFields.push('description = ?');
+      updateParams.push(description);
+    }
+    if (duration_days !== undefined) {
+      updateFields.push('duration_days = ?');
+      updateParams.push(finalDuration);
+    }
+
+    if (
+      updateFields.length === 0 &&
+      required_skills === undefined &&
+      role_slots === undefined
+    ) {
+      return badRequestResponse(res, 'No fields provided to update');
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    if (updateFields.length > 0) {
+      await connection.execute(
+        `UPDATE project_templates SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateParams, id]
+      );
+    }
+
+    const skillsExist = await replaceTemplateDetails(connection, id, {
+      requiredSkills: required_skills,
+      roleSlots: role_slots,
+    });
+
+    if (!skillsExist) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'One or more required skills were not found',
+        },
+      });
+    }
+
+    const template = await getTemplateById(id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_TEMPLATE,
+        entityId: parseInt(id),
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existingTemplate,
+        after: template,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Projects already created from the template are not affected
+const deleteProjectTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingTemplate = await getTemplateById(id);
+
+    if (!existingTemplate) {
+      return templateNotFoundResponse(res);
+    }
+
+    await pool.execute('DELETE FROM project_templates WHERE id = ?', [id]);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_TEMPLATE,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingTemplate,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project template deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Creates a Planning project that starts on `start_date` and runs for the
+// template's duration, with the template's description and required skills.
+// Each template role slot becomes an open role slot on the project, ready for
+// the staffing board.
+const createProjectFromTemplate = async (req, res, next) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { project_name, description, start_date } = req.body || {};
+
+    if (
+      typeof project_name !== 'string' ||
+      !project_name.trim() ||
+      !start_date
+    ) {
+      return badRequestResponse(
+        res,
+        'Missing required fields: project_name and start_date are required',
+        'The end date follows from the template duration.'
+      );
+    }
+
+    if (isNaN(new Date(start_date).getTime())) {
+      return badRequestResponse(
+        res,
+        'Invalid start_date format. Use YYYY-MM-DD format'
+      );
+    }
+
+    const template = await getTemplateById(id);
+
+    if (!template) {
+      return templateNotFoundResponse(res);
+    }
+
+    const startDate = formatDate(start_date);
+    const endDate = addDays(startDate, template.duration_days - 1);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const project = await insertProject(
+      connection,
+      {
+        project_name: project_name.trim(),
+        description:
+          description !== undefined ? description : template.description,
+        start_date: startDate,
+        end_date: endDate,
+        required_skills: template.required_skills,
+      },
+      {
+        user: req.user,
+        reason: `Created from template ${template.id} (${template.template_name})`,
+      }
+    );
+
+    const scheduledSlots = scheduleRoleSlots(
+      template.role_slots,
+      startDate,
+      endDate
+    );
+    for (const slot of scheduledSlots) {
+      await insertRoleSlot(connection, project.id, slot, req.user);
+    }
+
+    const roleSlots = await getRoleSlotDetails(
+      'WHERE rs.project_id = ?',
+      [project.id],
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created from template successfully',
+      template_id: template.id,
+      data: {
+        ...project,
+        role_slots: roleSlots,
+      },
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+module.exports = {
+  getAllProjectTemplates,
+  getProjectTemplateById,
+  createProjectTemplate,
+  updateProjectTemplate,
+  deleteProjectTemplate,
+  createProjectFromTemplate,
+};
@@ -0,0 +1,341 @@
+const { pool } = require('../config/database');
+const {
+  getSkillGapAnalysis,
+  getSkillDemandVsSupply,
+  getProjectReadinessScore,
+  getPersonnelCompetencyMatrix,
+  getPersonnelWorkloadAnalysis,
+  getPersonnelUtilizationTrend,
+  getSkillGrowthHistory,
+} = require('../queries/complexQueries');
+const { parsePagination, paginateRows } = require('../utils/helpers');
+const { getSkillCategoryNames } = require('../utils/skillCategories');
+const {
+  summarizeSkillGrowth,
+  summarizeSkillGrowthByMonth,
+} = require('../utils/skillHistory');
+
+const VALID_PROJECT_STATUSES = ['Planning', 'Active', 'Completed', 'On Hold'];
+
+const VALID_SUPPLY_STATUSES = [
+  'Critical Shortage',
+  'Shortage',
+  'Balanced',
+  'Surplus',
+];
+
+const VALID_READINESS_STATUSES = [
+  'No Requirements Defined',
+  'Ready',
+  'Nearly Ready',
+  'Not Ready',
+];
+
+const VALID_ALLOCATION_STATUSES = [
+  'Over-allocated',
+  'Fully allocated',
+  'Partially allocated',
+  'Not allocated',
+];
+
+const VALID_EXPERIENCE_LEVELS = ['Junior', 'Mid-Level', 'Senior'];
+
+const invalidFilter = (res, name, validValues) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: `Invalid ${name}. Must be one of: ${validValues.join(', ')}`,
+    },
+  });
+};
+
+const getSkillGapReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { only_gaps } = req.query;
+
+    const [projects] = await pool.execute(
+      'SELECT id, project_name, status FROM projects WHERE id = ?',
+      [id]
+    );
+
+    if (projects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Project not found',
+        },
+      });
+    }
+
+    let rows = await getSkillGapAnalysis(id);
+
+    if (only_gaps === 'true') {
+      rows = rows.filter(
+        (row) => Number(row.personnel_meeting_requirement) === 0
+      );
+    }
+
+    const { data, pagination } = paginateRows(rows, parsePagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      project_id: parseInt(id),
+      project_name: projects[0].project_name,
+      project_status: projects[0].status,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSkillDemandVsSupplyReport = async (req, res, next) => {
+  try {
+    const { category, supply_status } = req.query;
+
+    if (category) {
+      const validCategories = await getSkillCategoryNames();
+      if (!validCategories.includes(category)) {
+        return invalidFilter(res, 'category', validCategories);
+      }
+    }
+
+    if (supply_status && !VALID_SUPPLY_STATUSES.includes(supply_status)) {
+      return invalidFilter(res, 'supply_status', VALID_SUPPLY_STATUSES);
+    }
+
+    let rows = await getSkillDemandVsSupply({ category });
+
+    if (supply_status) {
+      rows = rows.filter((row) => row.supply_status === supply_status);
+    }
+
+    const { data, pagination } = paginateRows(rows, parsePagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getProjectReadinessReport = async (req, res, next) => {
+  try {
+    const { project_id, status, readiness_status } = req.query;
+
+    if (status && !VALID_PROJECT_STATUSES.includes(status)) {
+      return invalidFilter(res, 'status', VALID_PROJECT_STATUSES);
+    }
+
+    if (
+      readiness_status &&
+      !VALID_READINESS_STATUSES.includes(readiness_status)
+    ) {
+      return invalidFilter(res, 'readiness_status', VALID_READINESS_STATUSES);
+    }
+
+    let rows = await getProjectReadinessScore(project_id || null, { status });
+
+    if (readiness_status) {
+      rows = rows.filter((row) => row.readiness_status === readiness_status);
+    }
+
+    const { data, pagination } = paginateRows(rows, parsePagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getCompetencyMatrixReport = async (req, res, next) => {
+  try {
+    const { personnel_id, category, experience_level } = req.query;
+
+    if (category) {
+      const validCategories = await getSkillCategoryNames();
+      if (!validCategories.includes(category)) {
+        return invalidFilter(res, 'category', validCategories);
+      }
+    }
+
+    if (
+      experience_level &&
+      !VALID_EXPERIENCE_LEVELS.includes(experience_level)
+    ) {
+      return invalidFilter(res, 'experience_level', VALID_EXPERIENCE_LEVELS);
+    }
+
+    const rows = await getPersonnelCompetencyMatrix(personnel_id || null, {
+      category,
+      experience_level,
+    });
+
+    // One entry per person, so pagination never splits someone's skills
+    const personnelMap = new Map();
+
+    rows.forEach((row) => {
+      if (!personnelMap.has(row.personnel_id)) {
+        personnelMap.set(row.personnel_id, {
+          personnel_id: row.personnel_id,
+          name: row.name,
+          email: row.email,
+          role_title: row.role_title,
+          experience_level: row.experience_level,
+          skills: [],
+        });
+      }
+
+      personnelMap.get(row.personnel_id).skills.push({
+        skill_category: row.skill_category,
+        skill_name: row.skill_name,
+        proficiency_level: row.proficiency_level,
+        years_of_experience: row.years_of_experience,
+      });
+    });
+
+    const { data, pagination } = paginateRows(
+      Array.from(personnelMap.values()),
+      parsePagination(req.query)
+    );
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getWorkloadReport = async (req, res, next) => {
+  try {
+    const { allocation_status } = req.query;
+
+    if (
+      allocation_status &&
+      !VALID_ALLOCATION_STATUSES.includes(allocation_status)
+    ) {
+      return invalidFilter(res, 'allocation_status', VALID_ALLOCATION_STATUSES);
+    }
+
+    let rows = await getPersonnelWorkloadAnalysis();
+
+    if (allocation_status) {
+      rows = rows.filter((row) => row.allocation_status === allocation_status);
+    }
+
+    const { data, pagination } = paginateRows(rows, parsePagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getUtilizationTrendReport = async (req, res, next) => {
+  try {
+    const { months = 12, personnel_id } = req.query;
+
+    const monthsValue = parseInt(months, 10);
+    if (isNaN(monthsValue) || monthsValue < 1 || monthsValue > 36) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'months must be a number between 1 and 36',
+        },
+      });
+    }
+
+    const rows = await getPersonnelUtilizationTrend(
+      monthsValue,
+      personnel_id || null
+    );
+
+    const { data, pagination } = paginateRows(rows, parsePagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      months: monthsValue,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSkillGrowthReport = async (req, res, next) => {
+  try {
+    const { months = 12, personnel_id, category, experience_level } = req.query;
+
+    const monthsValue = parseInt(months, 10);
+    if (isNaN(monthsValue) || monthsValue < 1 || monthsValue > 36) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'months must be a number between 1 and 36',
+        },
+      });
+    }
+
+    if (category) {
+      const validCategories = await getSkillCategoryNames();
+      if (!validCategories.includes(category)) {
+        return invalidFilter(res, 'category', validCategories);
+      }
+    }
+
+    if (
+      experience_level &&
+      !VALID_EXPERIENCE_LEVELS.includes(experience_level)
+    ) {
+      return invalidFilter(res, 'experience_level', VALID_EXPERIENCE_LEVELS);
+    }
+
+    const rows = await getSkillGrowthHistory(monthsValue, {
+      personnelId: personnel_id || null,
+      category,
+      experience_level,
+    });
+
+    const { data, pagination } = paginateRows(
+      summarizeSkillGrowth(rows),
+      parsePagination(req.query)
+    );
+
+    res.status(200).json({
+      success: true,
+      months: monthsValue,
+      summary: summarizeSkillGrowthByMonth(rows),
+      data,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSkillGapReport,
+  getSkillDemandVsSupplyReport,
+  getProjectReadinessReport,
+  getCompetencyMatrixReport,
+  getWorkloadReport,
+  getUtilizationTrendReport,
+  getSkillGrowthReport,
+};
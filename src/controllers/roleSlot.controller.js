@@ -0,0 +1,792 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('../utils/helpers');
+const { validateRequiredSkills } = require('../utils/matchScoring');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const { isWithinRange } = require('../utils/projectPhases');
+const { PROJECT_STATUSES } = require('../utils/projectStatus');
+const { isLockConflict } = require('../utils/allocationLocks');
+const {
+  ROLE_SLOT_STATUSES,
+  lockProjectRoleSlot,
+  getRoleSlotDetails,
+  insertRoleSlotRequiredSkills,
+  insertRoleSlot,
+  refreshRoleSlotStatus,
+} = require('../utils/roleSlots');
+const { createAllocation } = require('./allocation.controller');
+const { sendNotificationEmails } = require('../utils/notifications');
+
+const MAX_ROLE_NAME_LENGTH = 255;
+const MAX_CANDIDATES_PER_REQUEST = 20;
+const VALID_EXPERIENCE_LEVELS = ['Junior', 'Mid-Level', 'Senior'];
+
+const projectNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Project not found',
+    },
+  });
+};
+
+const slotNotFoundResponse = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Role slot not found',
+    },
+  });
+};
+
+const slotFilledResponse = (res, hint) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Role slot is already filled',
+      hint,
+    },
+  });
+};
+
+const badRequestResponse = (res, message, hint) => {
+  return res.status(400).json({
+    success: false,
+    error: hint ? { message, hint } : { message },
+  });
+};
+
+// Answers with an { error } returned by createAllocation
+const allocationErrorResponse = (
+  res,
+  { status, message, hint, details, conflicts }
+) => {
+  const error = { message };
+  if (hint) error.hint = hint;
+  if (details) error.details = details;
+  if (conflicts) error.conflicts = conflicts;
+
+  return res.status(status).json({
+    success: false,
+    error,
+  });
+};
+
+const findProject = async (id) => {
+  const [projects] = await pool.execute(
+    'SELECT id, project_name, start_date, end_date FROM projects WHERE id = ?',
+    [id]
+  );
+  return projects[0] || null;
+};
+
+const getSlotDetails = async (slotId, connection = pool) => {
+  const [slot] = await getRoleSlotDetails(
+    'WHERE rs.id = ?',
+    [slotId],
+    connection
+  );
+  return slot || null;
+};
+
+// Returns an error message, or null when the fields are valid. On update only
+// the fields present are checked; the dates always are, against the project.
+const validateRoleSlotFields = (
+  { role_name, experience_level, allocation_percentage, startDate, endDate },
+  project,
+  isUpdate = false
+) => {
+  if (!isUpdate || role_name !== undefined) {
+    if (typeof role_name !== 'string' || !role_name.trim()) {
+      return 'role_name is required';
+    }
+
+    if (role_name.trim().length > MAX_ROLE_NAME_LENGTH) {
+      return `role_name must be at most ${MAX_ROLE_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (
+    experience_level !== undefined &&
+    experience_level !== null &&
+    !VALID_EXPERIENCE_LEVELS.includes(experience_level)
+  ) {
+    return `Invalid experience_level. Must be one of: ${VALID_EXPERIENCE_LEVELS.join(', ')}`;
+  }
+
+  if (allocation_percentage !== undefined) {
+    const percentage = Number(allocation_percentage);
+    if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+      return 'allocation_percentage must be an integer between 1 and 100';
+    }
+  }
+
+  if (isNaN(new Date(startDate).getTime())) {
+    return 'Invalid start_date format. Use YYYY-MM-DD format';
+  }
+
+  if (isNaN(new Date(endDate).getTime())) {
+    return 'Invalid end_date format. Use YYYY-MM-DD format';
+  }
+
+  if (new Date(endDate) <= new Date(startDate)) {
+    return 'end_date must be after start_date';
+  }
+
+  if (!isWithinRange(project, startDate, endDate)) {
+    return `Dates must fall within the project (${formatDate(project.start_date)} to ${formatDate(project.end_date)})`;
+  }
+
+  return null;
+};
+
+const getProjectRoleSlots = async (req, res, next) => {
+  try {
+    const project = await findProject(req.params.id);
+
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const slots = await getRoleSlotDetails('WHERE rs.project_id = ?', [
+      project.id,
+    ]);
+
+    res.status(200).json({
+      success: true,
+      project_id: project.id,
+      project_name: project.project_name,
+      data: slots,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Dates default to the project's
+const createProjectRoleSlot = async (req, res, next) => {
+  let connection;
+  try {
+    const {
+      role_name,
+      experience_level,
+      allocation_percentage,
+      start_date,
+      end_date,
+      notes,
+      required_skills = [],
+    } = req.body || {};
+
+    const project = await findProject(req.params.id);
+
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const startDate = start_date || formatDate(project.start_date);
+    const endDate = end_date || formatDate(project.end_date);
+
+    const validationError =
+      validateRoleSlotFields(
+        {
+          role_name,
+          experience_level,
+          allocation_percentage,
+          startDate,
+          endDate,
+        },
+        project
+      ) || validateRequiredSkills(required_skills, 'role slot');
+    if (validationError) {
+      return badRequestResponse(res, validationError);
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const slotId = await insertRoleSlot(
+      connection,
+      project.id,
+      {
+        role_name: role_name.trim(),
+        experience_level,
+        allocation_percentage,
+        start_date: startDate,
+        end_date: endDate,
+        notes,
+      },
+      req.user
+    );
+
+    const skillsExist = await insertRoleSlotRequiredSkills(
+      connection,
+      slotId,
+      required_skills
+    );
+
+    if (!skillsExist) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill not found',
+        },
+      });
+    }
+
+    const slot = await getSlotDetails(slotId, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: slotId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: slot,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role slot created successfully',
+      data: slot,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// required_skills, when given, replaces the current list. A filled slot's
+// dates and percentage belong to its allocation and cannot change here.
+const updateProjectRoleSlot = async (req, res, next) => {
+  let connection;
+  try {
+    const { id, slotId } = req.params;
+    const {
+      role_name,
+      experience_level,
+      allocation_percentage,
+      start_date,
+      end_date,
+      notes,
+      required_skills,
+    } = req.body || {};
+
+    const existing = await getSlotDetails(slotId);
+
+    if (!existing || existing.project_id !== Number(id)) {
+      return slotNotFoundResponse(res);
+    }
+
+    if (
+      existing.slot_status === ROLE_SLOT_STATUSES.FILLED &&
+      (allocation_percentage !== undefined || start_date || end_date)
+    ) {
+      return slotFilledResponse(
+        res,
+        'Change the allocation that fills the slot instead.'
+      );
+    }
+
+    const project = await findProject(id);
+
+    const validationError =
+      validateRoleSlotFields(
+        {
+          role_name,
+          experience_level,
+          allocation_percentage,
+          startDate: start_date || existing.start_date,
+          endDate: end_date || existing.end_date,
+        },
+        project,
+        true
+      ) ||
+      (required_skills !== undefined &&
+        validateRequiredSkills(required_skills, 'role slot'));
+    if (validationError) {
+      return badRequestResponse(res, validationError);
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (role_name !== undefined) {
+      updateFields.push('role_name = ?');
+      updateParams.push(role_name.trim());
+    }
+    if (experience_level !== undefined) {
+      updateFields.push('experience_level = ?');
+      updateParams.push(experience_level);
+    }
+    if (allocation_percentage !== undefined) {
+      updateFields.push('allocation_percentage = ?');
+      updateParams.push(Number(allocation_percentage));
+    }
+    if (start_date) {
+      updateFields.push('start_date = ?');
+      updateParams.push(start_date);
+    }
+    if (end_date) {
+      updateFields.push('end_date = ?');
+      updateParams.push(end_date);
+    }
+    if (notes !== undefined) {
+      updateFields.push('notes = ?');
+      updateParams.push(notes);
+    }
+
+    if (updateFields.length === 0 && required_skills === undefined) {
+      return badRequestResponse(res, 'No fields provided to update');
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    if (updateFields.length > 0) {
+      await connection.execute(
+        `UPDATE project_role_slots SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateParams, existing.id]
+      );
+    }
+
+    if (required_skills !== undefined) {
+      await connection.execute(
+        'DELETE FROM project_role_slot_required_skills WHERE slot_id = ?',
+        [existing.id]
+      );
+
+      const skillsExist = await insertRoleSlotRequiredSkills(
+        connection,
+        existing.id,
+        required_skills
+      );
+
+      if (!skillsExist) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Skill not found',
+          },
+        });
+      }
+    }
+
+    const slot = await getSlotDetails(existing.id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: existing.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existing,
+        after: slot,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role slot updated successfully',
+      data: slot,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// The allocation of a filled slot stays on the project
+const deleteProjectRoleSlot = async (req, res, next) => {
+  try {
+    const { id, slotId } = req.params;
+
+    const existing = await getSlotDetails(slotId);
+
+    if (!existing || existing.project_id !== Number(id)) {
+      return slotNotFoundResponse(res);
+    }
+
+    await pool.execute('DELETE FROM project_role_slots WHERE id = ?', [
+      existing.id,
+    ]);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+      entityId: existing.id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: existing,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role slot deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Adds people to the slot's shortlist; those already on it are kept as they
+// are. The first candidates move the slot to candidates_proposed.
+const proposeRoleSlotCandidates = async (req, res, next) => {
+  let connection;
+  try {
+    const { id, slotId } = req.params;
+    const { personnel_ids, notes } = req.body || {};
+
+    if (
+      !Array.isArray(personnel_ids) ||
+      personnel_ids.length === 0 ||
+      personnel_ids.some(
+        (personnelId) => !Number.isInteger(Number(personnelId))
+      )
+    ) {
+      return badRequestResponse(
+        res,
+        'personnel_ids must be a non-empty array of ids',
+        'Use GET /api/matching/projects/:id/personnel?role_slot_id= to find candidates.'
+      );
+    }
+
+    const personnelIds = [...new Set(personnel_ids.map(Number))];
+
+    if (personnelIds.length > MAX_CANDIDATES_PER_REQUEST) {
+      return badRequestResponse(
+        res,
+        `At most ${MAX_CANDIDATES_PER_REQUEST} candidates can be proposed at once`
+      );
+    }
+
+    const [personnel] = await pool.execute(
+      `SELECT id FROM personnel WHERE id IN (${personnelIds.map(() => '?').join(',')})`,
+      personnelIds
+    );
+
+    if (personnel.length !== personnelIds.length) {
+      const foundIds = personnel.map((person) => person.id);
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'One or more personnel were not found',
+          details: {
+            personnelIds: personnelIds.filter(
+              (personnelId) => !foundIds.includes(personnelId)
+            ),
+          },
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const existing = await lockProjectRoleSlot(connection, id, slotId);
+
+    if (!existing) {
+      await connection.rollback();
+      return slotNotFoundResponse(res);
+    }
+
+    if (existing.slot_status === ROLE_SLOT_STATUSES.FILLED) {
+      await connection.rollback();
+      return slotFilledResponse(
+        res,
+        'Release the allocation that fills the slot to reopen it.'
+      );
+    }
+
+    let added = 0;
+    for (const personnelId of personnelIds) {
+      const [result] = await connection.execute(
+        'INSERT IGNORE INTO project_role_slot_candidates (slot_id, personnel_id, notes, proposed_by) VALUES (?, ?, ?, ?)',
+        [existing.id, personnelId, notes || null, req.user.id]
+      );
+      added += result.affectedRows;
+    }
+
+    await refreshRoleSlotStatus(connection, existing);
+    const slot = await getSlotDetails(existing.id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: slot.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existing,
+        after: slot,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: `${added} candidate(s) proposed`,
+      data: slot,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+const removeRoleSlotCandidate = async (req, res, next) => {
+  let connection;
+  try {
+    const { id, slotId, personnelId } = req.params;
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const existing = await lockProjectRoleSlot(connection, id, slotId);
+
+    if (!existing) {
+      await connection.rollback();
+      return slotNotFoundResponse(res);
+    }
+
+    const [result] = await connection.execute(
+      'DELETE FROM project_role_slot_candidates WHERE slot_id = ? AND personnel_id = ?',
+      [existing.id, personnelId]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Candidate not found on this role slot',
+        },
+      });
+    }
+
+    await refreshRoleSlotStatus(connection, existing);
+    const slot = await getSlotDetails(existing.id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: slot.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existing,
+        after: slot,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: 'Candidate removed from role slot',
+      data: slot,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Books the person for the slot's dates and percentage through the same path
+// as POST /api/allocations, so every availability and capacity check applies.
+// The person does not have to be one of the proposed candidates.
+const fillRoleSlot = async (req, res, next) => {
+  let connection;
+  try {
+    const { id, slotId } = req.params;
+    const { personnel_id, allocation_status } = req.body || {};
+
+    if (!personnel_id) {
+      return badRequestResponse(res, 'personnel_id is required');
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const existing = await lockProjectRoleSlot(connection, id, slotId);
+
+    if (!existing) {
+      await connection.rollback();
+      return slotNotFoundResponse(res);
+    }
+
+    if (existing.slot_status === ROLE_SLOT_STATUSES.FILLED) {
+      await connection.rollback();
+      return slotFilledResponse(
+        res,
+        'Release the allocation that fills the slot to reopen it.'
+      );
+    }
+
+    const result = await createAllocation(
+      connection,
+      {
+        project_id: existing.project_id,
+        personnel_id,
+        allocation_percentage: existing.allocation_percentage,
+        start_date: formatDate(existing.start_date),
+        end_date: formatDate(existing.end_date),
+        role_in_project: existing.role_name,
+        allocation_status,
+      },
+      req.user
+    );
+
+    if (result.error) {
+      await connection.rollback();
+      return allocationErrorResponse(res, result.error);
+    }
+
+    await connection.execute(
+      'UPDATE project_role_slots SET slot_status = ?, allocation_id = ? WHERE id = ?',
+      [ROLE_SLOT_STATUSES.FILLED, result.allocation.id, existing.id]
+    );
+
+    const slot = await getSlotDetails(existing.id, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: existing.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: existing,
+        after: slot,
+      },
+      connection
+    );
+
+    await connection.commit();
+    await sendNotificationEmails(result.emails);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role slot filled successfully',
+      data: slot,
+      allocation: result.allocation,
+      warnings: result.warnings,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (isLockConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message:
+            'Another allocation change for this person is in progress. Please try again.',
+        },
+      });
+    }
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// The board of slots still to staff across all projects that are not
+// completed, soonest first. status=all includes filled slots.
+const getStaffingRequests = async (req, res, next) => {
+  try {
+    const { status, project_id, skill_id, from, to } = req.query;
+
+    if (
+      status &&
+      status !== 'all' &&
+      !Object.values(ROLE_SLOT_STATUSES).includes(status)
+    ) {
+      return badRequestResponse(
+        res,
+        `Invalid status. Must be one of: ${Object.values(ROLE_SLOT_STATUSES).join(', ')}, all`
+      );
+    }
+
+    const conditions = ['p.status != ?'];
+    const params = [PROJECT_STATUSES.COMPLETED];
+
+    if (!status) {
+      conditions.push('rs.slot_status != ?');
+      params.push(ROLE_SLOT_STATUSES.FILLED);
+    } else if (status !== 'all') {
+      conditions.push('rs.slot_status = ?');
+      params.push(status);
+    }
+
+    if (project_id) {
+      conditions.push('rs.project_id = ?');
+      params.push(project_id);
+    }
+
+    if (skill_id) {
+      conditions.push(
+        'rs.id IN (SELECT slot_id FROM project_role_slot_required_skills WHERE skill_id = ?)'
+      );
+      params.push(skill_id);
+    }
+
+    // Slots overlapping the window
+    if (from) {
+      conditions.push('rs.end_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('rs.start_date <= ?');
+      params.push(to);
+    }
+
+    const slots = await getRoleSlotDetails(
+      `WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    const summary = Object.fromEntries(
+      Object.values(ROLE_SLOT_STATUSES).map((slotStatus) => [
+        slotStatus,
+        slots.filter((slot) => slot.slot_status === slotStatus).length,
+      ])
+    );
+
+    res.status(200).json({
+      success: true,
+      data: slots,
+      summary,
+      total: slots.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjectRoleSlots,
+  createProjectRoleSlot,
+  updateProjectRoleSlot,
+  deleteProjectRoleSlot,
+  proposeRoleSlotCandidates,
+  removeRoleSlotCandidate,
+  fillRoleSlot,
+  getStaffingRequests,
+};
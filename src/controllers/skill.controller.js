@@ -1,8 +1,64 @@
 const { pool } = require('../config/database');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+const {
+  buildSkillTree,
+  wouldCreateCycle,
+  getAliasesBySkillId,
+  getRelatedSkills,
+} = require('../utils/skillTaxonomy');
+const { getSkillCategoryNames } = require('../utils/skillCategories');
+const { planSkillMerge, applySkillMerge } = require('../utils/skillMerge');
+
+const SKILL_LIST_VIEWS = ['flat', 'tree'];
+
+const skillExists = async (id) => {
+  const [skills] = await pool.execute('SELECT id FROM skills WHERE id = ?', [
+    id,
+  ]);
+  return skills.length > 0;
+};
+
+// Skill names and aliases share one namespace so a lookup by name is never
+// ambiguous
+const findAliasOwner = async (name) => {
+  const [owners] = await pool.execute(
+    `SELECT s.id, s.skill_name
+     FROM skill_aliases sa
+     INNER JOIN skills s ON sa.skill_id = s.id
+     WHERE sa.alias = ?`,
+    [name]
+  );
+  return owners[0] || null;
+};
+
+const aliasConflictResponse = (res, name, owner) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Skill name already exists as an alias',
+      hint: `"${name}" is an alias of ${owner.skill_name}`,
+    },
+  });
+};
+
+const withAliases = async (skills) => {
+  const aliasesBySkillId = await getAliasesBySkillId(
+    skills.map((skill) => skill.id)
+  );
+
+  return skills.map((skill) => ({
+    ...skill,
+    aliases: (aliasesBySkillId.get(skill.id) || []).map((alias) => alias.alias),
+  }));
+};
 
 const createSkill = async (req, res, next) => {
   try {
-    const { skill_name, category, description } = req.body;
+    const { skill_name, category, description, parent_id } = req.body;
 
     if (!skill_name || !category) {
       return res.status(400).json({
@@ -14,13 +70,7 @@ const createSkill = async (req, res, next) => {
       });
     }
 
-    const validCategories = [
-      'Programming Language',
-      'Framework',
-      'Tool',
-      'Soft Skill',
-      'Other',
-    ];
+    const validCategories = await getSkillCategoryNames();
     if (!validCategories.includes(category)) {
       return res.status(400).json({
         success: false,
@@ -44,9 +94,27 @@ const createSkill = async (req, res, next) => {
       });
     }
 
+    const aliasOwner = await findAliasOwner(skill_name);
+    if (aliasOwner) {
+      return aliasConflictResponse(res, skill_name, aliasOwner);
+    }
+
+    if (
+      parent_id !== undefined &&
+      parent_id !== null &&
+      !(await skillExists(parent_id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Parent skill not found',
+        },
+      });
+    }
+
     const [result] = await pool.execute(
-      'INSERT INTO skills (skill_name, category, description) VALUES (?, ?, ?)',
-      [skill_name, category, description || null]
+      'INSERT INTO skills (skill_name, category, description, parent_id) VALUES (?, ?, ?, ?)',
+      [skill_name, category, description || null, parent_id ?? null]
     );
 
     const [createdSkill] = await pool.execute(
@@ -54,6 +122,14 @@ const createSkill = async (req, res, next) => {
       [result.insertId]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: createdSkill[0],
+    });
+
     res.status(201).json({
       success: true,
       message: 'Skill created successfully',
@@ -73,9 +149,20 @@ const createSkill = async (req, res, next) => {
   }
 };
 
+// Returns a flat list by default; ?view=tree nests skills under their
+// parents and is never paginated
 const getAllSkills = async (req, res, next) => {
   try {
-    const { category, search, page, limit } = req.query;
+    const { category, search, page, limit, view = 'flat' } = req.query;
+
+    if (!SKILL_LIST_VIEWS.includes(view)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid view. Must be one of: ${SKILL_LIST_VIEWS.join(', ')}`,
+        },
+      });
+    }
 
     let query = 'SELECT * FROM skills';
     const conditions = [];
@@ -87,15 +174,27 @@ const getAllSkills = async (req, res, next) => {
     }
 
     if (search) {
-      conditions.push('skill_name LIKE ?');
+      conditions.push(
+        '(skill_name LIKE ? OR id IN (SELECT skill_id FROM skill_aliases WHERE alias LIKE ?))'
+      );
       const searchPattern = `%${search}%`;
-      params.push(searchPattern);
+      params.push(searchPattern, searchPattern);
     }
 
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
 
+    if (view === 'tree') {
+      query += ' ORDER BY skill_name ASC';
+      const [skills] = await pool.execute(query, params);
+
+      return res.status(200).json({
+        success: true,
+        data: buildSkillTree(await withAliases(skills)),
+      });
+    }
+
     if (page && limit) {
       const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as total');
       const [countResult] = await pool.execute(countQuery, params);
@@ -112,7 +211,7 @@ const getAllSkills = async (req, res, next) => {
 
       res.status(200).json({
         success: true,
-        data: skills,
+        data: await withAliases(skills),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -126,7 +225,7 @@ const getAllSkills = async (req, res, next) => {
 
       res.status(200).json({
         success: true,
-        data: skills,
+        data: await withAliases(skills),
       });
     }
   } catch (error) {
@@ -151,9 +250,27 @@ const getSkillById = async (req, res, next) => {
       });
     }
 
+    const skill = skills[0];
+
+    const [parents] = await pool.execute(
+      'SELECT id, skill_name, category FROM skills WHERE id = ?',
+      [skill.parent_id]
+    );
+    const [children] = await pool.execute(
+      'SELECT id, skill_name, category FROM skills WHERE parent_id = ? ORDER BY skill_name',
+      [skill.id]
+    );
+    const aliasesBySkillId = await getAliasesBySkillId([skill.id]);
+
     res.status(200).json({
       success: true,
-      data: skills[0],
+      data: {
+        ...skill,
+        parent: parents[0] || null,
+        children,
+        aliases: aliasesBySkillId.get(skill.id) || [],
+        related_skills: await getRelatedSkills(skill.id),
+      },
     });
   } catch (error) {
     next(error);
@@ -163,7 +280,7 @@ const getSkillById = async (req, res, next) => {
 const updateSkill = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { skill_name, category, description } = req.body;
+    const { skill_name, category, description, parent_id } = req.body;
 
     const [existingSkills] = await pool.execute(
       'SELECT * FROM skills WHERE id = ?',
@@ -195,16 +312,35 @@ const updateSkill = async (req, res, next) => {
           },
         });
       }
+
+      const aliasOwner = await findAliasOwner(skill_name);
+      if (aliasOwner && aliasOwner.id !== existingSkill.id) {
+        return aliasConflictResponse(res, skill_name, aliasOwner);
+      }
+    }
+
+    if (parent_id !== undefined && parent_id !== null) {
+      if (!(await skillExists(parent_id))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Parent skill not found',
+          },
+        });
+      }
+
+      if (await wouldCreateCycle(id, parent_id)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Invalid parent_id: a skill cannot be nested under itself',
+          },
+        });
+      }
     }
 
     if (category) {
-      const validCategories = [
-        'Programming Language',
-        'Framework',
-        'Tool',
-        'Soft Skill',
-        'Other',
-      ];
+      const validCategories = await getSkillCategoryNames();
       if (!validCategories.includes(category)) {
         return res.status(400).json({
           success: false,
@@ -230,6 +366,10 @@ const updateSkill = async (req, res, next) => {
       updateFields.push('description = ?');
       updateParams.push(description);
     }
+    if (parent_id !== undefined) {
+      updateFields.push('parent_id = ?');
+      updateParams.push(parent_id);
+    }
 
     // If no fields to update
     if (updateFields.length === 0) {
@@ -253,6 +393,15 @@ const updateSkill = async (req, res, next) => {
       [id]
     );
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingSkill,
+      after: updatedSkills[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Skill updated successfully',
@@ -277,7 +426,7 @@ const deleteSkill = async (req, res, next) => {
     const { id } = req.params;
 
     const [existingSkills] = await pool.execute(
-      'SELECT id FROM skills WHERE id = ?',
+      'SELECT * FROM skills WHERE id = ?',
       [id]
     );
 
@@ -306,8 +455,43 @@ const deleteSkill = async (req, res, next) => {
       });
     }
 
+    // Deleting would cascade these requirements away without a trace
+    const [requirements] = await pool.execute(
+      `SELECT
+        (SELECT COUNT(*) FROM project_phase_required_skills WHERE skill_id = ?) as project_phases,
+        (SELECT COUNT(*) FROM project_template_required_skills WHERE skill_id = ?) as project_templates,
+        (SELECT COUNT(*) FROM project_role_slot_required_skills WHERE skill_id = ?) as project_role_slots`,
+      [id, id, id]
+    );
+
+    const requirementUsage = Object.fromEntries(
+      Object.entries(requirements[0])
+        .map(([owner, count]) => [owner, Number(count)])
+        .filter(([, count]) => count > 0)
+    );
+
+    if (Object.keys(requirementUsage).length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message:
+            'Cannot delete skill: It is still required by project phases, templates or role slots.',
+          hint: `Merge it into another skill with POST /api/skills/${id}/merge-into/:targetId, or remove those requirements first`,
+          details: requirementUsage,
+        },
+      });
+    }
+
     await pool.execute('DELETE FROM skills WHERE id = ?', [id]);
 
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingSkills[0],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Skill deleted successfully',
@@ -317,10 +501,319 @@ const deleteSkill = async (req, res, next) => {
   }
 };
 
+const addSkillAlias = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const alias =
+      typeof req.body?.alias === 'string' ? req.body.alias.trim() : '';
+
+    if (!alias) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'alias is required',
+        },
+      });
+    }
+
+    if (!(await skillExists(id))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill not found',
+        },
+      });
+    }
+
+    const [nameMatches] = await pool.execute(
+      'SELECT id FROM skills WHERE skill_name = ?',
+      [alias]
+    );
+
+    if (nameMatches.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Alias matches an existing skill name',
+        },
+      });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO skill_aliases (skill_id, alias) VALUES (?, ?)',
+      [id, alias]
+    );
+
+    const createdAlias = { id: result.insertId, skill_id: parseInt(id), alias };
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL_ALIAS,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: createdAlias,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alias added successfully',
+      data: createdAlias,
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Alias already exists',
+        },
+      });
+    }
+    next(error);
+  }
+};
+
+const removeSkillAlias = async (req, res, next) => {
+  try {
+    const { id, aliasId } = req.params;
+
+    const [aliases] = await pool.execute(
+      'SELECT * FROM skill_aliases WHERE id = ? AND skill_id = ?',
+      [aliasId, id]
+    );
+
+    if (aliases.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Alias not found',
+        },
+      });
+    }
+
+    await pool.execute('DELETE FROM skill_aliases WHERE id = ?', [aliasId]);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL_ALIAS,
+      entityId: parseInt(aliasId),
+      action: AUDIT_ACTIONS.DELETE,
+      before: aliases[0],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Alias removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Related links are symmetric, so each pair is stored once with the lower id
+// first
+const getRelatedPair = (skillId, relatedSkillId) => {
+  const ids = [parseInt(skillId), parseInt(relatedSkillId)];
+  return [Math.min(...ids), Math.max(...ids)];
+};
+
+const addRelatedSkill = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const relatedSkillId = parseInt(req.body?.related_skill_id);
+
+    if (isNaN(relatedSkillId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'related_skill_id is required',
+        },
+      });
+    }
+
+    if (relatedSkillId === parseInt(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A skill cannot be related to itself',
+        },
+      });
+    }
+
+    if (!(await skillExists(id))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill not found',
+        },
+      });
+    }
+
+    if (!(await skillExists(relatedSkillId))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Related skill not found',
+        },
+      });
+    }
+
+    const [skillId, otherSkillId] = getRelatedPair(id, relatedSkillId);
+
+    await pool.execute(
+      'INSERT INTO related_skills (skill_id, related_skill_id) VALUES (?, ?)',
+      [skillId, otherSkillId]
+    );
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.RELATED_SKILL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.CREATE,
+      after: { skill_id: skillId, related_skill_id: otherSkillId },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Related skill added successfully',
+      data: await getRelatedSkills(id),
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Skills are already related',
+        },
+      });
+    }
+    next(error);
+  }
+};
+
+const removeRelatedSkill = async (req, res, next) => {
+  try {
+    const { id, relatedSkillId } = req.params;
+    const [skillId, otherSkillId] = getRelatedPair(id, relatedSkillId);
+
+    const [result] = await pool.execute(
+      'DELETE FROM related_skills WHERE skill_id = ? AND related_skill_id = ?',
+      [skillId, otherSkillId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Related skill link not found',
+        },
+      });
+    }
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.RELATED_SKILL,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.DELETE,
+      before: { skill_id: skillId, related_skill_id: otherSkillId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Related skill removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Consolidates a duplicate skill into another one. With ?dry_run=true the
+// impact is returned without changing anything.
+const mergeSkill = async (req, res, next) => {
+  let connection;
+
+  try {
+    const { id, targetId } = req.params;
+    const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true;
+
+    if (parseInt(id) === parseInt(targetId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A skill cannot be merged into itself',
+        },
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [skills] = await connection.execute(
+      'SELECT * FROM skills WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+      [id, targetId]
+    );
+    const source = skills.find((skill) => skill.id === parseInt(id));
+    const target = skills.find((skill) => skill.id === parseInt(targetId));
+
+    if (!source || !target) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: source ? 'Target skill not found' : 'Skill not found',
+        },
+      });
+    }
+
+    const plan = await planSkillMerge(source, target, connection);
+
+    if (dryRun) {
+      await connection.rollback();
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: plan,
+      });
+    }
+
+    await applySkillMerge(source, target, req.user, connection);
+
+    await recordAudit(
+      {
+        user: req.user,
+        entity: AUDIT_ENTITIES.SKILL,
+        entityId: source.id,
+        action: AUDIT_ACTIONS.DELETE,
+        before: source,
+        after: plan,
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      dryRun: false,
+      message: `Skill merged into ${target.skill_name} successfully`,
+      data: plan,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
 module.exports = {
   createSkill,
   getAllSkills,
   getSkillById,
   updateSkill,
   deleteSkill,
+  addSkillAlias,
+  removeSkillAlias,
+  addRelatedSkill,
+  removeRelatedSkill,
+  mergeSkill,
 };
@@ -0,0 +1,273 @@
+const { pool } = require('../config/database');
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+} = require('../utils/auditLogger');
+
+const MAX_CATEGORY_NAME_LENGTH = 100;
+
+const CATEGORY_WITH_USAGE_QUERY = `
+  SELECT sc.*, COUNT(s.id) as skill_count
+  FROM skill_categories sc
+  LEFT JOIN skills s ON s.category = sc.name`;
+
+const getCategoryById = async (id) => {
+  const [categories] = await pool.execute(
+    `${CATEGORY_WITH_USAGE_QUERY} WHERE sc.id = ? GROUP BY sc.id`,
+    [id]
+  );
+  return categories[0] || null;
+};
+
+// Returns an error message, or null when the fields are valid. On update only
+// the fields present are checked.
+const validateCategoryFields = ({ name, display_order }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required';
+    }
+
+    if (name.trim().length > MAX_CATEGORY_NAME_LENGTH) {
+      return `name must be at most ${MAX_CATEGORY_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (
+    display_order !== undefined &&
+    (!Number.isInteger(Number(display_order)) || Number(display_order) < 0)
+  ) {
+    return 'display_order must be a non-negative integer';
+  }
+
+  return null;
+};
+
+const duplicateNameResponse = (res) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Skill category name already exists',
+    },
+  });
+};
+
+const getAllSkillCategories = async (req, res, next) => {
+  try {
+    const [categories] = await pool.execute(
+      `${CATEGORY_WITH_USAGE_QUERY}
+       GROUP BY sc.id
+       ORDER BY sc.display_order ASC, sc.name ASC`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: categories,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSkillCategoryById = async (req, res, next) => {
+  try {
+    const category = await getCategoryById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill category not found',
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createSkillCategory = async (req, res, next) => {
+  try {
+    const { name, description, display_order } = req.body || {};
+
+    const validationError = validateCategoryFields({ name, display_order });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO skill_categories (name, description, display_order) VALUES (?, ?, ?)',
+      [name.trim(), description || null, Number(display_order) || 0]
+    );
+
+    const createdCategory = await getCategoryById(result.insertId);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL_CATEGORY,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: createdCategory,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill category created successfully',
+      data: createdCategory,
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  }
+};
+
+// Renaming is safe: the foreign key on skills.category cascades the new name
+const updateSkillCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, display_order } = req.body || {};
+
+    const existingCategory = await getCategoryById(id);
+
+    if (!existingCategory) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill category not found',
+        },
+      });
+    }
+
+    const validationError = validateCategoryFields(
+      { name, display_order },
+      true
+    );
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (name !== undefined) {
+      updateFields.push('name = ?');
+      updateParams.push(name.trim());
+    }
+    if (description !== undefined) {
+      updateFields.push('description = ?');
+      updateParams.push(description);
+    }
+    if (display_order !== undefined) {
+      updateFields.push('display_order = ?');
+      updateParams.push(Number(display_order));
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'No fields provided to update',
+        },
+      });
+    }
+
+    updateParams.push(id);
+
+    await pool.execute(
+      `UPDATE skill_categories SET ${updateFields.join(', ')} WHERE id = ?`,
+      updateParams
+    );
+
+    const updatedCategory = await getCategoryById(id);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL_CATEGORY,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.UPDATE,
+      before: existingCategory,
+      after: updatedCategory,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Skill category updated successfully',
+      data: updatedCategory,
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  }
+};
+
+const deleteSkillCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingCategory = await getCategoryById(id);
+
+    if (!existingCategory) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Skill category not found',
+        },
+      });
+    }
+
+    const usageCount = existingCategory.skill_count;
+
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Cannot delete skill category: It is currently used by ${usageCount} skills. Please move those skills to another category before deleting.`,
+        },
+      });
+    }
+
+    await pool.execute('DELETE FROM skill_categories WHERE id = ?', [id]);
+
+    await recordAudit({
+      user: req.user,
+      entity: AUDIT_ENTITIES.SKILL_CATEGORY,
+      entityId: parseInt(id),
+      action: AUDIT_ACTIONS.DELETE,
+      before: existingCategory,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Skill category deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllSkillCategories,
+  getSkillCategoryById,
+  createSkillCategory,
+  updateSkillCategory,
+  deleteSkillCategory,
+};
@@ -1,70 +1,76 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { checkPermission } = require('../utils/permissions');
 
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
+// Users flagged with must_change_password (after an admin reset) are held
+// back everywhere except the routes built with allowPasswordChangeRequired,
+// which let them read their profile and set a new password.
+const authenticate = ({ allowPasswordChangeRequired = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
 
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Access denied. No token provided.',
-        },
-      });
-    }
+      if (!authHeader) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. No token provided.',
+          },
+        });
+      }
 
-    const token = authHeader.split(' ')[1];
+      const token = authHeader.split(' ')[1];
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Access denied. Invalid token format.',
-        },
-      });
-    }
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. Invalid token format.',
+          },
+        });
+      }
 
-    const jwtSecret = process.env.JWT_SECRET;
+      const jwtSecret = process.env.JWT_SECRET;
 
-    if (!jwtSecret) {
-      // eslint-disable-next-line no-console
-      console.error('JWT_SECRET is not set in environment variables');
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Server configuration error',
-        },
-      });
-    }
+      if (!jwtSecret) {
+        // eslint-disable-next-line no-console
+        console.error('JWT_SECRET is not set in environment variables');
+        return res.status(500).json({
+          success: false,
+          error: {
+            message: 'Server configuration error',
+          },
+        });
+      }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(token, jwtSecret);
-    } catch {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Invalid or expired token',
-        },
-      });
-    }
+      let decoded;
+      try {
+        decoded = jwt.verify(token, jwtSecret);
+      } catch {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Invalid or expired token',
+          },
+        });
+      }
 
-    try {
       const [users] = await pool.execute(
-        'SELECT id, email, role, approval_status FROM users WHERE id = ?',
+        'SELECT id, email, role, approval_status, token_version, must_change_password FROM users WHERE id = ?',
         [decoded.id]
       );
 
-      if (users.length === 0) {
-        // User not found in DB - use token data as fallback for resilience
-        req.user = {
-          id: decoded.id,
-          email: decoded.email,
-          role: decoded.role,
-          approval_status: decoded.approval_status,
-        };
-        return next();
+      // Deleted users and tokens from before a "log out all sessions" are rejected
+      if (
+        users.length === 0 ||
+        (decoded.token_version || 0) !== users[0].token_version
+      ) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Invalid or expired token',
+          },
+        });
       }
 
       const user = users[0];
@@ -82,26 +88,33 @@ const authenticateToken = async (req, res, next) => {
         });
       }
 
+      if (user.must_change_password && !allowPasswordChangeRequired) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'You must change your password before continuing',
+            hint: 'Set a new password with PUT /api/auth/me',
+            status: 'password_change_required',
+          },
+        });
+      }
+
       req.user = user;
 
       next();
-    } catch (dbError) {
-      // eslint-disable-next-line no-console
-      console.error('Database error during authentication:', dbError);
-      req.user = {
-        id: decoded.id,
-        email: decoded.email,
-        role: decoded.role,
-        approval_status: decoded.approval_status,
-      };
-      next();
+    } catch (error) {
+      // Pass error to error handling middleware
+      next(error);
     }
-  } catch (error) {
-    // Pass error to error handling middleware
-    next(error);
-  }
+  };
 };
 
+const authenticateToken = authenticate();
+
+const authenticateTokenAllowingPasswordChange = authenticate({
+  allowPasswordChangeRequired: true,
+});
+
 const requireRole = (role) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -150,6 +163,32 @@ const requireAnyRole = (roles) => {
   };
 };
 
+const requirePermission = (permissionFunction, message) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Authentication required',
+        },
+      });
+    }
+
+    if (!checkPermission(permissionFunction, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message:
+            message ||
+            'Access denied. You do not have permission to perform this action.',
+        },
+      });
+    }
+
+    next();
+  };
+};
+
 const isAdmin = (user) => {
   return user && user.role === 'admin';
 };
@@ -166,8 +205,10 @@ const canModifyResource = (user, resourceOwnerId) => {
 
 module.exports = {
   authenticateToken,
+  authenticateTokenAllowingPasswordChange,
   requireRole,
   requireAnyRole,
+  requirePermission,
   isAdmin,
   isManagerOrAdmin,
   canModifyResource,
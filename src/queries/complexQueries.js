@@ -1,4 +1,9 @@
 const { pool } = require('../config/database');
+const {
+  getCapacityTimelines,
+  summarizeCapacity,
+} = require('../utils/capacity');
+const { getSkillCategoryNames } = require('../utils/skillCategories');
 
 const getPersonnelWithAvailabilityForProjectDates = async (
   projectStartDate,
@@ -121,6 +126,8 @@ const getPersonnelWorkloadAnalysis = async () => {
     FROM personnel p
     LEFT JOIN project_allocations pa ON pa.personnel_id = p.id
       AND CURDATE() BETWEEN pa.start_date AND pa.end_date
+      AND pa.paused_at IS NULL
+      AND pa.allocation_status = 'confirmed'
     LEFT JOIN projects proj ON proj.id = pa.project_id
       AND proj.status IN ('Planning', 'Active')
     GROUP BY p.id, p.name, p.email, p.role_title
@@ -170,56 +177,96 @@ const getSkillGapAnalysis = async (projectId) => {
   return results;
 };
 
-const getAvailablePersonnelForDateRange = async (startDate, endDate) => {
+// Required skills of running and upcoming projects that nobody currently
+// allocated to the project covers at the minimum proficiency
+const getUnmetProjectRequirements = async () => {
   const query = `
     SELECT 
-      p.id,
-      p.name,
-      p.email,
-      p.role_title,
-      p.experience_level,
-      COALESCE(avail.availability_percentage, 100) as availability_percentage,
-      COALESCE(SUM(alloc.allocation_percentage), 0) as current_allocation_percentage,
-      (COALESCE(avail.availability_percentage, 100) - COALESCE(SUM(alloc.allocation_percentage), 0)) as remaining_capacity,
-      CASE 
-        WHEN (COALESCE(avail.availability_percentage, 100) - COALESCE(SUM(alloc.allocation_percentage), 0)) > 0 
-        THEN 'Available'
-        ELSE 'Fully allocated'
-      END as availability_status
-    FROM personnel p
-    LEFT JOIN personnel_availability avail ON avail.personnel_id = p.id
-      AND ? BETWEEN avail.start_date AND avail.end_date
-      AND ? BETWEEN avail.start_date AND avail.end_date
-    LEFT JOIN project_allocations alloc ON alloc.personnel_id = p.id
-      AND (
-        (? BETWEEN alloc.start_date AND alloc.end_date)
-        OR (? BETWEEN alloc.start_date AND alloc.end_date)
-        OR (alloc.start_date BETWEEN ? AND ?)
-        OR (alloc.end_date BETWEEN ? AND ?)
+      proj.id as project_id,
+      proj.project_name,
+      proj.status,
+      proj.start_date,
+      proj.end_date,
+      prs.skill_id,
+      s.skill_name,
+      prs.minimum_proficiency,
+      prs.importance_weight
+    FROM projects proj
+    INNER JOIN project_required_skills prs ON prs.project_id = proj.id
+    INNER JOIN skills s ON s.id = prs.skill_id
+    WHERE proj.status IN ('Planning', 'Active')
+      AND proj.end_date >= CURDATE()
+      AND NOT EXISTS (
+        SELECT 1
+        FROM project_allocations pa
+        INNER JOIN personnel_skills ps ON ps.personnel_id = pa.personnel_id
+          AND ps.skill_id = prs.skill_id
+        WHERE pa.project_id = proj.id
+          AND pa.allocation_status != 'released'
+          AND pa.end_date >= CURDATE()
+          AND FIELD(ps.proficiency_level, 'Beginner', 'Intermediate', 'Advanced', 'Expert')
+            >= FIELD(prs.minimum_proficiency, 'Beginner', 'Intermediate', 'Advanced', 'Expert')
       )
-    GROUP BY p.id, p.name, p.email, p.role_title, p.experience_level, avail.availability_percentage
-    HAVING remaining_capacity > 0
-    ORDER BY remaining_capacity DESC, p.experience_level DESC
+    ORDER BY proj.start_date, proj.id, s.skill_name
   `;
 
-  const [results] = await pool.execute(query, [
-    startDate,
-    endDate,
-    startDate,
-    endDate,
-    startDate,
-    endDate,
-    startDate,
-    endDate,
-  ]);
-
+  const [results] = await pool.execute(query);
   return results;
 };
 
+const getAvailablePersonnelForDateRange = async (startDate, endDate) => {
+  const [personnel] = await pool.execute(
+    'SELECT id, name, email, role_title, experience_level FROM personnel'
+  );
+
+  const timelines = await getCapacityTimelines(
+    personnel.map((person) => person.id),
+    startDate,
+    endDate
+  );
+
+  const experienceOrder = ['Junior', 'Mid-Level', 'Senior'];
+
+  return personnel
+    .map((person) => {
+      const summary = summarizeCapacity(timelines.get(person.id));
+
+      return {
+        ...person,
+        availability_percentage: summary.average_availability,
+        current_allocation_percentage: summary.peak_allocated,
+        remaining_capacity: summary.bookable_capacity,
+        availability_status:
+          summary.bookable_capacity > 0 ? 'Available' : 'Fully allocated',
+      };
+    })
+    .filter((person) => person.remaining_capacity > 0)
+    .sort(
+      (a, b) =>
+        b.remaining_capacity - a.remaining_capacity ||
+        experienceOrder.indexOf(b.experience_level) -
+          experienceOrder.indexOf(a.experience_level)
+    );
+};
+
+// An unknown category is rejected with a 400 rather than answering with no
+// rows, which would look like nobody has skills in it
 const getTopSkilledPersonnelByCategory = async (category = null) => {
+  if (category) {
+    const validCategories = await getSkillCategoryNames();
+    if (!validCategories.includes(category)) {
+      const error = new Error(
+        `Invalid category. Must be one of: ${validCategories.join(', ')}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
   let query = `
     SELECT 
       s.category,
+      sc.display_order as category_display_order,
       p.id as personnel_id,
       p.name,
       p.role_title,
@@ -240,17 +287,18 @@ const getTopSkilledPersonnelByCategory = async (category = null) => {
     FROM personnel p
     INNER JOIN personnel_skills ps ON ps.personnel_id = p.id
     INNER JOIN skills s ON s.id = ps.skill_id
+    INNER JOIN skill_categories sc ON sc.name = s.category
   `;
 
   const params = [];
   if (category) {
-    query += ' WHERE s.category = ?';
+    query += ' WHERE sc.name = ?';
     params.push(category);
   }
 
   query += `
-    GROUP BY s.category, p.id, p.name, p.role_title, p.experience_level
-    ORDER BY s.category, proficiency_score DESC, skills_count DESC
+    GROUP BY s.category, sc.display_order, p.id, p.name, p.role_title, p.experience_level
+    ORDER BY sc.display_order, s.category, proficiency_score DESC, skills_count DESC
   `;
 
   const [results] = await pool.execute(query, params);
@@ -294,8 +342,8 @@ const getProjectTimelineWithAllocations = async (projectId = null) => {
   return results;
 };
 
-const getSkillDemandVsSupply = async () => {
-  const query = `
+const getSkillDemandVsSupply = async (filters = {}) => {
+  let query = `
     SELECT 
       s.id as skill_id,
       s.skill_name,
@@ -321,16 +369,28 @@ const getSkillDemandVsSupply = async () => {
     LEFT JOIN projects proj ON proj.id = prs.project_id 
       AND proj.status IN ('Planning', 'Active')
     LEFT JOIN personnel_skills ps ON ps.skill_id = s.id
+  `;
+
+  const params = [];
+  if (filters.category) {
+    query += ' WHERE s.category = ?';
+    params.push(filters.category);
+  }
+
+  query += `
     GROUP BY s.id, s.skill_name, s.category
     HAVING projects_requiring_skill > 0 OR personnel_with_skill > 0
     ORDER BY projects_requiring_skill DESC, personnel_with_skill ASC
   `;
 
-  const [results] = await pool.execute(query);
+  const [results] = await pool.execute(query, params);
   return results;
 };
 
-const getPersonnelCompetencyMatrix = async (personnelId = null) => {
+const getPersonnelCompetencyMatrix = async (
+  personnelId = null,
+  filters = {}
+) => {
   let query = `
     SELECT 
       p.id as personnel_id,
@@ -347,19 +407,34 @@ const getPersonnelCompetencyMatrix = async (personnelId = null) => {
     INNER JOIN skills s ON s.id = ps.skill_id
   `;
 
+  const conditions = [];
   const params = [];
   if (personnelId) {
-    query += ' WHERE p.id = ?';
+    conditions.push('p.id = ?');
     params.push(personnelId);
   }
 
+  if (filters.category) {
+    conditions.push('s.category = ?');
+    params.push(filters.category);
+  }
+
+  if (filters.experience_level) {
+    conditions.push('p.experience_level = ?');
+    params.push(filters.experience_level);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
   query += ' ORDER BY p.name, s.category, s.skill_name';
 
   const [results] = await pool.execute(query, params);
   return results;
 };
 
-const getProjectReadinessScore = async (projectId = null) => {
+const getProjectReadinessScore = async (projectId = null, filters = {}) => {
   let query = `
     SELECT 
       proj.id as project_id,
@@ -416,12 +491,22 @@ const getProjectReadinessScore = async (projectId = null) => {
       AND ps.skill_id = prs.skill_id
   `;
 
+  const conditions = [];
   const params = [];
   if (projectId) {
-    query += ' WHERE proj.id = ?';
+    conditions.push('proj.id = ?');
     params.push(projectId);
   }
 
+  if (filters.status) {
+    conditions.push('proj.status = ?');
+    params.push(filters.status);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
   query += `
     GROUP BY proj.id, proj.project_name, proj.status
     ORDER BY readiness_percentage DESC
@@ -431,8 +516,11 @@ const getProjectReadinessScore = async (projectId = null) => {
   return results;
 };
 
-const getPersonnelUtilizationTrend = async (months = 12) => {
-  const query = `
+const getPersonnelUtilizationTrend = async (
+  months = 12,
+  personnelId = null
+) => {
+  let query = `
     SELECT 
       DATE_FORMAT(pa.start_date, '%Y-%m') as month,
       p.id as personnel_id,
@@ -448,11 +536,63 @@ const getPersonnelUtilizationTrend = async (months = 12) => {
     INNER JOIN project_allocations pa ON pa.personnel_id = p.id
     INNER JOIN projects proj ON proj.id = pa.project_id
     WHERE pa.start_date >= DATE_SUB(CURDATE(), INTERVAL ? MONTH)
+  `;
+
+  const params = [months];
+  if (personnelId) {
+    query += ' AND p.id = ?';
+    params.push(personnelId);
+  }
+
+  query += `
     GROUP BY DATE_FORMAT(pa.start_date, '%Y-%m'), p.id, p.name
     ORDER BY month DESC, total_allocation DESC
   `;
 
-  const [results] = await pool.execute(query, [months]);
+  const [results] = await pool.execute(query, params);
+  return results;
+};
+
+const getSkillGrowthHistory = async (months = 12, filters = {}) => {
+  let query = `
+    SELECT 
+      h.id,
+      p.id as personnel_id,
+      p.name,
+      p.role_title,
+      p.experience_level,
+      h.skill_id,
+      s.skill_name,
+      s.category as skill_category,
+      h.change_type,
+      h.previous_proficiency_level,
+      h.proficiency_level,
+      h.changed_at
+    FROM personnel_skill_history h
+    INNER JOIN personnel p ON p.id = h.personnel_id
+    INNER JOIN skills s ON s.id = h.skill_id
+    WHERE h.changed_at >= DATE_SUB(CURDATE(), INTERVAL ? MONTH)
+  `;
+
+  const params = [months];
+  if (filters.personnelId) {
+    query += ' AND p.id = ?';
+    params.push(filters.personnelId);
+  }
+
+  if (filters.category) {
+    query += ' AND s.category = ?';
+    params.push(filters.category);
+  }
+
+  if (filters.experience_level) {
+    query += ' AND p.experience_level = ?';
+    params.push(filters.experience_level);
+  }
+
+  query += ' ORDER BY h.changed_at, h.id';
+
+  const [results] = await pool.execute(query, params);
   return results;
 };
 
@@ -462,6 +602,7 @@ module.exports = {
   getProjectAllocationSummary,
   getPersonnelWorkloadAnalysis,
   getSkillGapAnalysis,
+  getUnmetProjectRequirements,
   getAvailablePersonnelForDateRange,
   getTopSkilledPersonnelByCategory,
   getProjectTimelineWithAllocations,
@@ -469,4 +610,5 @@ module.exports = {
   getPersonnelCompetencyMatrix,
   getProjectReadinessScore,
   getPersonnelUtilizationTrend,
+  getSkillGrowthHistory,
 };
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAlerts,
+  scanAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+} = require('../controllers/alert.controller');
+const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+
+const requireAlertManager = requireAnyRole(['admin', 'manager']);
+
+// Route: GET /api/alerts
+router.get('/', authenticateToken, requireAlertManager, getAlerts);
+
+// Route: POST /api/alerts/scan
+router.post('/scan', authenticateToken, requireAlertManager, scanAlerts);
+
+// Route: POST /api/alerts/:id/acknowledge
+router.post(
+  '/:id/acknowledge',
+  authenticateToken,
+  requireAlertManager,
+  acknowledgeAlert
+);
+
+// Route: POST /api/alerts/:id/resolve
+router.post(
+  '/:id/resolve',
+  authenticateToken,
+  requireAlertManager,
+  resolveAlert
+);
+
+module.exports = router;
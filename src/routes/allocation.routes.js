@@ -8,10 +8,18 @@ const {
   getProjectTeam,
   updateProjectAllocation,
   deleteProjectAllocation,
+  changeAllocationStatus,
+  bulkChangeAllocationStatus,
   getPersonnelAllocations,
   getTeamUtilization,
+  getBench,
 } = require('../controllers/allocation.controller');
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireAnyRole,
+  requirePermission,
+} = require('../middleware/auth');
+const { allocationPermissions } = require('../utils/permissions');
 
 router.get(
   '/team/utilization',
@@ -19,6 +27,12 @@ router.get(
   requireAnyRole(['admin', 'manager']),
   getTeamUtilization
 );
+router.get(
+  '/bench',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  getBench
+);
 router.get(
   '/personnel/:id/utilization',
   authenticateToken,
@@ -32,13 +46,30 @@ router.get(
   getProjectTeam
 );
 router.get('/:id', authenticateToken, getAllocationById);
-router.get('/', authenticateToken, getAllAllocations);
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(allocationPermissions.canViewAllAllocations),
+  getAllAllocations
+);
 router.post(
   '/',
   authenticateToken,
   requireAnyRole(['admin', 'manager']),
   createProjectAllocation
 );
+router.post(
+  '/bulk-status',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  bulkChangeAllocationStatus
+);
+router.post(
+  '/:id/status',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  changeAllocationStatus
+);
 router.put(
   '/:id',
   authenticateToken,
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/audit.controller');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { systemPermissions } = require('../utils/permissions');
+
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(
+    systemPermissions.canViewSystemLogs,
+    'Access denied. Only admins can view the audit log.'
+  ),
+  getAuditLogs
+);
+
+module.exports = router;
@@ -3,14 +3,39 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
   getCurrentUser,
   updateProfile,
+  forgotPassword,
+  resetPassword,
+  adminResetPassword,
 } = require('../controllers/auth.controller');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  authenticateTokenAllowingPasswordChange,
+  requirePermission,
+} = require('../middleware/auth');
+const { userManagementPermissions } = require('../utils/permissions');
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/me', authenticateToken, getCurrentUser);
-router.put('/me', authenticateToken, updateProfile);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', authenticateTokenAllowingPasswordChange, logoutAll);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/me', authenticateTokenAllowingPasswordChange, getCurrentUser);
+router.put('/me', authenticateTokenAllowingPasswordChange, updateProfile);
+router.post(
+  '/users/:id/reset-password',
+  authenticateToken,
+  requirePermission(
+    userManagementPermissions.canResetAnyPassword,
+    'Access denied. Only admins can reset passwords.'
+  ),
+  adminResetPassword
+);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPersonnelFeedToken,
+  createProjectFeedToken,
+  getFeedTokens,
+  revokeFeedToken,
+  getPersonnelCalendar,
+  getProjectCalendar,
+} = require('../controllers/calendar.controller');
+const { authenticateToken } = require('../middleware/auth');
+
+// Feed management uses the normal JWT; the .ics feeds take ?token= instead
+router.get('/tokens', authenticateToken, getFeedTokens);
+router.delete('/tokens/:tokenId', authenticateToken, revokeFeedToken);
+router.post(
+  '/personnel/:id/tokens',
+  authenticateToken,
+  createPersonnelFeedToken
+);
+router.post('/projects/:id/tokens', authenticateToken, createProjectFeedToken);
+router.get('/personnel/:id.ics', getPersonnelCalendar);
+router.get('/projects/:id.ics', getProjectCalendar);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const {
+  exportPersonnel,
+  exportProjects,
+  exportAllocations,
+  exportUtilization,
+} = require('../controllers/export.controller');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  personnelPermissions,
+  reportsPermissions,
+} = require('../utils/permissions');
+
+const requireExportReports = requirePermission(
+  reportsPermissions.canExportReports,
+  'Access denied. You do not have permission to export reports.'
+);
+
+router.get(
+  '/personnel',
+  authenticateToken,
+  requirePermission(
+    personnelPermissions.canExportPersonnel,
+    'Access denied. You do not have permission to export personnel.'
+  ),
+  exportPersonnel
+);
+router.get(
+  '/projects',
+  authenticateToken,
+  requireExportReports,
+  exportProjects
+);
+router.get(
+  '/allocations',
+  authenticateToken,
+  requireExportReports,
+  exportAllocations
+);
+router.get(
+  '/utilization',
+  authenticateToken,
+  requireExportReports,
+  exportUtilization
+);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { findMatchingPersonnel } = require('../controllers/matching.controller');
+const {
+  findMatchingPersonnel,
+  proposeTeam,
+} = require('../controllers/matching.controller');
 const { authenticateToken, requireAnyRole } = require('../middleware/auth');
 
 // Route: GET /api/matching/projects/:id/personnel
@@ -11,4 +14,12 @@ router.get(
   findMatchingPersonnel
 );
 
+// Route: POST /api/matching/projects/:id/team-proposal
+router.post(
+  '/projects/:id/team-proposal',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  proposeTeam
+);
+
 module.exports = router;
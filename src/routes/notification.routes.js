@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+} = require('../controllers/notification.controller');
+const { authenticateToken } = require('../middleware/auth');
+
+// Every signed-in user has their own inbox and preferences
+
+// Route: GET /api/notifications
+router.get('/', authenticateToken, getNotifications);
+
+// Route: GET /api/notifications/unread-count
+router.get('/unread-count', authenticateToken, getUnreadCount);
+
+// Route: GET /api/notifications/preferences
+router.get('/preferences', authenticateToken, getPreferences);
+
+// Route: PUT /api/notifications/preferences
+router.put('/preferences', authenticateToken, updatePreferences);
+
+// Route: POST /api/notifications/read-all
+router.post('/read-all', authenticateToken, markAllNotificationsRead);
+
+// Route: POST /api/notifications/:id/read
+router.post('/:id/read', authenticateToken, markNotificationRead);
+
+module.exports = router;
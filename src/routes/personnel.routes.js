@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const {
   createPersonnel,
   getAllPersonnel,
@@ -10,12 +11,42 @@ const {
   assignSkillToPersonnel,
   updateSkillProficiency,
   removeSkillFromPersonnel,
+  getPersonnelSkillClaims,
+  getPersonnelSkillHistory,
+  createPersonnelAccount,
+  getPersonnelCapacity,
 } = require('../controllers/personnel.controller');
+const {
+  importPersonnel,
+} = require('../controllers/personnelImport.controller');
 const {
   validateCreatePersonnel,
   validateUpdatePersonnel,
 } = require('../validators/personnel.validator');
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireAnyRole,
+  requirePermission,
+} = require('../middleware/auth');
+const {
+  personnelPermissions,
+  personnelSkillsPermissions,
+} = require('../utils/permissions');
+const { getSpreadsheetType } = require('../utils/spreadsheet');
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (getSpreadsheetType(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only .csv and .xlsx files can be imported');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+});
 
 router.get(
   '/',
@@ -30,6 +61,15 @@ router.post(
   validateCreatePersonnel,
   createPersonnel
 );
+router.post(
+  '/import',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  importUpload.single('file'),
+  importPersonnel
+);
+router.get('/:id/skills/claims', authenticateToken, getPersonnelSkillClaims);
+router.get('/:id/skills/history', authenticateToken, getPersonnelSkillHistory);
 router.get('/:id/skills', authenticateToken, getPersonnelSkills);
 router.post('/:id/skills', authenticateToken, assignSkillToPersonnel);
 router.put(
@@ -40,8 +80,22 @@ router.put(
 router.delete(
   '/:personnelId/skills/:skillId',
   authenticateToken,
+  requirePermission(
+    personnelSkillsPermissions.canRemoveSkills,
+    'Access denied. Only admins and managers can remove skills.'
+  ),
   removeSkillFromPersonnel
 );
+router.post(
+  '/:id/account',
+  authenticateToken,
+  requirePermission(
+    personnelPermissions.canCreatePersonnelAccount,
+    'Access denied. Only admins and managers can create personnel accounts.'
+  ),
+  createPersonnelAccount
+);
+router.get('/:id/capacity', authenticateToken, getPersonnelCapacity);
 router.get('/:id', authenticateToken, getPersonnelById);
 router.put('/:id', authenticateToken, validateUpdatePersonnel, updatePersonnel);
 router.delete(
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   createProject,
+  cloneProject,
   getAllProjects,
   getProjectById,
   updateProject,
@@ -9,7 +10,27 @@ const {
   addRequiredSkillToProject,
   updateRequiredSkill,
   removeRequiredSkill,
+  changeProjectStatus,
+  getProjectStatusHistory,
 } = require('../controllers/project.controller');
+const {
+  getProjectPhases,
+  createProjectPhase,
+  updateProjectPhase,
+  deleteProjectPhase,
+  addPhaseRequiredSkill,
+  updatePhaseRequiredSkill,
+  removePhaseRequiredSkill,
+} = require('../controllers/projectPhase.controller');
+const {
+  getProjectRoleSlots,
+  createProjectRoleSlot,
+  updateProjectRoleSlot,
+  deleteProjectRoleSlot,
+  proposeRoleSlotCandidates,
+  removeRoleSlotCandidate,
+  fillRoleSlot,
+} = require('../controllers/roleSlot.controller');
 const { authenticateToken, requireAnyRole } = require('../middleware/auth');
 
 router.get('/', authenticateToken, getAllProjects);
@@ -37,6 +58,98 @@ router.delete(
   requireAnyRole(['admin', 'manager']),
   removeRequiredSkill
 );
+router.post(
+  '/:id/clone',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  cloneProject
+);
+router.post(
+  '/:id/status',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  changeProjectStatus
+);
+router.get('/:id/status-history', authenticateToken, getProjectStatusHistory);
+router.get('/:id/phases', authenticateToken, getProjectPhases);
+router.post(
+  '/:id/phases',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  createProjectPhase
+);
+router.put(
+  '/:id/phases/:phaseId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  updateProjectPhase
+);
+router.delete(
+  '/:id/phases/:phaseId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  deleteProjectPhase
+);
+router.post(
+  '/:id/phases/:phaseId/required-skills',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  addPhaseRequiredSkill
+);
+router.put(
+  '/:id/phases/:phaseId/required-skills/:skillId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  updatePhaseRequiredSkill
+);
+router.delete(
+  '/:id/phases/:phaseId/required-skills/:skillId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  removePhaseRequiredSkill
+);
+router.get(
+  '/:id/role-slots',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  getProjectRoleSlots
+);
+router.post(
+  '/:id/role-slots',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  createProjectRoleSlot
+);
+router.put(
+  '/:id/role-slots/:slotId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  updateProjectRoleSlot
+);
+router.delete(
+  '/:id/role-slots/:slotId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  deleteProjectRoleSlot
+);
+router.post(
+  '/:id/role-slots/:slotId/candidates',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  proposeRoleSlotCandidates
+);
+router.delete(
+  '/:id/role-slots/:slotId/candidates/:personnelId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  removeRoleSlotCandidate
+);
+router.post(
+  '/:id/role-slots/:slotId/fill',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  fillRoleSlot
+);
 router.get('/:id', authenticateToken, getProjectById);
 router.put(
   '/:id',
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllProjectTemplates,
+  getProjectTemplateById,
+  createProjectTemplate,
+  updateProjectTemplate,
+  deleteProjectTemplate,
+  createProjectFromTemplate,
+} = require('../controllers/projectTemplate.controller');
+const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+
+const requireProjectManager = requireAnyRole(['admin', 'manager']);
+
+router.get(
+  '/',
+  authenticateToken,
+  requireProjectManager,
+  getAllProjectTemplates
+);
+router.post(
+  '/',
+  authenticateToken,
+  requireProjectManager,
+  createProjectTemplate
+);
+router.post(
+  '/:id/projects',
+  authenticateToken,
+  requireProjectManager,
+  createProjectFromTemplate
+);
+router.get(
+  '/:id',
+  authenticateToken,
+  requireProjectManager,
+  getProjectTemplateById
+);
+router.put(
+  '/:id',
+  authenticateToken,
+  requireProjectManager,
+  updateProjectTemplate
+);
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireProjectManager,
+  deleteProjectTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSkillGapReport,
+  getSkillDemandVsSupplyReport,
+  getProjectReadinessReport,
+  getCompetencyMatrixReport,
+  getWorkloadReport,
+  getUtilizationTrendReport,
+  getSkillGrowthReport,
+} = require('../controllers/report.controller');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { reportsPermissions } = require('../utils/permissions');
+
+const requireFullDashboard = requirePermission(
+  reportsPermissions.canViewFullDashboard,
+  'Access denied. You do not have permission to view project reports.'
+);
+
+const requireTeamAnalytics = requirePermission(
+  reportsPermissions.canViewTeamAnalytics,
+  'Access denied. You do not have permission to view team analytics.'
+);
+
+router.get(
+  '/projects/:id/skill-gap',
+  authenticateToken,
+  requireFullDashboard,
+  getSkillGapReport
+);
+router.get(
+  '/project-readiness',
+  authenticateToken,
+  requireFullDashboard,
+  getProjectReadinessReport
+);
+router.get(
+  '/skill-demand',
+  authenticateToken,
+  requireFullDashboard,
+  getSkillDemandVsSupplyReport
+);
+router.get(
+  '/competency-matrix',
+  authenticateToken,
+  requireTeamAnalytics,
+  getCompetencyMatrixReport
+);
+router.get(
+  '/workload',
+  authenticateToken,
+  requireTeamAnalytics,
+  getWorkloadReport
+);
+router.get(
+  '/utilization-trend',
+  authenticateToken,
+  requireTeamAnalytics,
+  getUtilizationTrendReport
+);
+router.get(
+  '/skill-growth',
+  authenticateToken,
+  requireTeamAnalytics,
+  getSkillGrowthReport
+);
+
+module.exports = router;
@@ -6,10 +6,51 @@ const {
   getSkillById,
   updateSkill,
   deleteSkill,
+  addSkillAlias,
+  removeSkillAlias,
+  addRelatedSkill,
+  removeRelatedSkill,
+  mergeSkill,
 } = require('../controllers/skill.controller');
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const {
+  getPendingEndorsements,
+  approveSkillClaim,
+  rejectSkillClaim,
+} = require('../controllers/endorsement.controller');
+const {
+  authenticateToken,
+  requireAnyRole,
+  requirePermission,
+} = require('../middleware/auth');
+const { personnelSkillsPermissions } = require('../utils/permissions');
+const { validateSkillClaimReview } = require('../validators/skill.validator');
+
+const requireSkillReviewer = requirePermission(
+  personnelSkillsPermissions.canReviewSkillClaims,
+  'Access denied. Only admins and managers can review skill claims.'
+);
 
 router.get('/', authenticateToken, getAllSkills);
+router.get(
+  '/endorsements/pending',
+  authenticateToken,
+  requireSkillReviewer,
+  getPendingEndorsements
+);
+router.post(
+  '/endorsements/:claimId/approve',
+  authenticateToken,
+  requireSkillReviewer,
+  validateSkillClaimReview,
+  approveSkillClaim
+);
+router.post(
+  '/endorsements/:claimId/reject',
+  authenticateToken,
+  requireSkillReviewer,
+  validateSkillClaimReview,
+  rejectSkillClaim
+);
 router.get('/:id', authenticateToken, getSkillById);
 router.post(
   '/',
@@ -29,5 +70,35 @@ router.delete(
   requireAnyRole(['admin']),
   deleteSkill
 );
+router.post(
+  '/:id/aliases',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  addSkillAlias
+);
+router.delete(
+  '/:id/aliases/:aliasId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  removeSkillAlias
+);
+router.post(
+  '/:id/merge-into/:targetId',
+  authenticateToken,
+  requireAnyRole(['admin']),
+  mergeSkill
+);
+router.post(
+  '/:id/related',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  addRelatedSkill
+);
+router.delete(
+  '/:id/related/:relatedSkillId',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  removeRelatedSkill
+);
 
 module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllSkillCategories,
+  getSkillCategoryById,
+  createSkillCategory,
+  updateSkillCategory,
+  deleteSkillCategory,
+} = require('../controllers/skillCategory.controller');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { skillsPermissions } = require('../utils/permissions');
+
+const requireCategoryAdmin = requirePermission(
+  skillsPermissions.canManageSkillCategories,
+  'Access denied. Only admins can manage skill categories.'
+);
+
+router.get('/', authenticateToken, getAllSkillCategories);
+router.get('/:id', authenticateToken, getSkillCategoryById);
+router.post('/', authenticateToken, requireCategoryAdmin, createSkillCategory);
+router.put(
+  '/:id',
+  authenticateToken,
+  requireCategoryAdmin,
+  updateSkillCategory
+);
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireCategoryAdmin,
+  deleteSkillCategory
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getStaffingRequests } = require('../controllers/roleSlot.controller');
+const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+
+// Route: GET /api/staffing-requests
+router.get(
+  '/',
+  authenticateToken,
+  requireAnyRole(['admin', 'manager']),
+  getStaffingRequests
+);
+
+module.exports = router;
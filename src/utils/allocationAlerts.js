@@ -0,0 +1,283 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const { MAX_ALLOCATION, buildCapacityTimeline } = require('./capacity');
+const { isSoftAllocation } = require('./allocationStatus');
+
+const ALERT_TYPES = {
+  OVER_ALLOCATION: 'over_allocation',
+  UNAVAILABLE: 'unavailable',
+  OUTSIDE_PROJECT_DATES: 'outside_project_dates',
+};
+
+// Alerts stay open or acknowledged while the conflict is still detected and
+// are resolved either by a manager or by the detector once it is gone
+const ALERT_STATUSES = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+};
+
+const AUTO_RESOLUTION_NOTE = 'Conflict no longer detected';
+
+const dayRange = (days) => ({
+  start_date: days[0].date,
+  end_date: days[days.length - 1].date,
+});
+
+// Conflicts in one person's bookings from the first day of `timeline` on.
+// `allocations` are the person's non-released allocations with the project
+// dates joined in. Each conflict has a stable `conflict_key` so a later scan
+// updates the same alert instead of opening a new one.
+const findAllocationConflicts = (timeline, allocations, personName) => {
+  const conflicts = [];
+  if (allocations.length === 0) return conflicts;
+
+  const personnelId = allocations[0].personnel_id;
+  const workingDays = timeline.filter((day) => day.working_day);
+
+  const overAllocatedDays = workingDays.filter(
+    (day) => day.allocated > MAX_ALLOCATION
+  );
+  if (overAllocatedDays.length > 0) {
+    const range = dayRange(overAllocatedDays);
+    const peak = Math.max(...overAllocatedDays.map((day) => day.allocated));
+
+    conflicts.push({
+      alert_type: ALERT_TYPES.OVER_ALLOCATION,
+      conflict_key: `${ALERT_TYPES.OVER_ALLOCATION}:personnel:${personnelId}`,
+      personnel_id: personnelId,
+      project_id: null,
+      allocation_id: null,
+      ...range,
+      message: `${personName} is allocated up to ${peak}% on ${overAllocatedDays.length} working day(s) between ${range.start_date} and ${range.end_date}`,
+      details: {
+        peak_allocation: peak,
+        over_allocated_days: overAllocatedDays.length,
+        allocation_ids: [
+          ...new Set(overAllocatedDays.flatMap((day) => day.allocation_ids)),
+        ],
+      },
+    });
+  }
+
+  for (const allocation of allocations) {
+    // Only firm, running bookings take time the person does not have
+    if (!isSoftAllocation(allocation) && !allocation.paused_at) {
+      const unavailableDays = workingDays.filter(
+        (day) =>
+          day.availability === 0 && day.allocation_ids.includes(allocation.id)
+      );
+
+      if (unavailableDays.length > 0) {
+        conflicts.push({
+          alert_type: ALERT_TYPES.UNAVAILABLE,
+          conflict_key: `${ALERT_TYPES.UNAVAILABLE}:allocation:${allocation.id}`,
+          personnel_id: personnelId,
+          project_id: allocation.project_id,
+          allocation_id: allocation.id,
+          ...dayRange(unavailableDays),
+          message: `${personName} is allocated to ${allocation.project_name} on ${unavailableDays.length} working day(s) with 0% availability`,
+          details: {
+            unavailable_days: unavailableDays.length,
+            allocation_percentage: allocation.allocation_percentage,
+          },
+        });
+      }
+    }
+
+    const startDate = formatDate(allocation.start_date);
+    const endDate = formatDate(allocation.end_date);
+    const projectStartDate = formatDate(allocation.project_start_date);
+    const projectEndDate = formatDate(allocation.project_end_date);
+
+    if (startDate < projectStartDate || endDate > projectEndDate) {
+      conflicts.push({
+        alert_type: ALERT_TYPES.OUTSIDE_PROJECT_DATES,
+        conflict_key: `${ALERT_TYPES.OUTSIDE_PROJECT_DATES}:allocation:${allocation.id}`,
+        personnel_id: personnelId,
+        project_id: allocation.project_id,
+        allocation_id: allocation.id,
+        start_date: startDate,
+        end_date: endDate,
+        message: `${personName}'s allocation to ${allocation.project_name} (${startDate} to ${endDate}) runs outside the project dates (${projectStartDate} to ${projectEndDate})`,
+        details: {
+          allocation_status: allocation.allocation_status,
+          project_start_date: projectStartDate,
+          project_end_date: projectEndDate,
+        },
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Project writes change the bookings of everyone on the project; collect them
+// before allocations are removed so their alerts can be re-checked afterwards
+const getProjectPersonnelIds = async (connection, projectId) => {
+  const [rows] = await connection.execute(
+    'SELECT DISTINCT personnel_id FROM project_allocations WHERE project_id = ?',
+    [projectId]
+  );
+  return rows.map((row) => row.personnel_id);
+};
+
+// Re-checks the current and future bookings of the given people (everyone
+// when personnelIds is null) and syncs allocation_alerts: new conflicts are
+// opened, known ones refreshed and alerts whose conflict is gone resolved.
+// Pass the caller's connection to run inside its transaction.
+const detectAllocationConflicts = async (
+  connection = pool,
+  personnelIds = null
+) => {
+  const result = { checked: 0, opened: 0, updated: 0, resolved: 0 };
+  const today = formatDate(new Date());
+
+  let ids = personnelIds && [...new Set(personnelIds.map(Number))];
+  if (ids && ids.length === 0) return result;
+
+  const scope = (column) =>
+    ids ? ` AND ${column} IN (${ids.map(() => '?').join(',')})` : '';
+
+  const [allocations] = await connection.execute(
+    `SELECT
+      pa.id,
+      pa.personnel_id,
+      pa.project_id,
+      pa.allocation_percentage,
+      pa.start_date,
+      pa.end_date,
+      pa.allocation_status,
+      pa.paused_at,
+      pe.name as personnel_name,
+      p.project_name,
+      p.start_date as project_start_date,
+      p.end_date as project_end_date
+    FROM project_allocations pa
+    INNER JOIN personnel pe ON pa.personnel_id = pe.id
+    INNER JOIN projects p ON pa.project_id = p.id
+    WHERE pa.allocation_status != 'released'
+      AND pa.end_date >= ?${scope('pa.personnel_id')}
+    ORDER BY pa.personnel_id, pa.start_date, pa.id`,
+    [today, ...(ids || [])]
+  );
+
+  const [knownAlerts] = await connection.execute(
+    `SELECT id, conflict_key, personnel_id FROM allocation_alerts
+     WHERE alert_status != 'resolved'${scope('personnel_id')}`,
+    ids || []
+  );
+
+  if (!ids) {
+    ids = [
+      ...new Set([
+        ...allocations.map((allocation) => allocation.personnel_id),
+        ...knownAlerts.map((alert) => alert.personnel_id),
+      ]),
+    ];
+    if (ids.length === 0) return result;
+  }
+
+  const [availabilityPeriods] = await connection.execute(
+    `SELECT personnel_id, start_date, end_date, availability_percentage
+     FROM personnel_availability
+     WHERE end_date >= ?${scope('personnel_id')}`,
+    [today, ...ids]
+  );
+
+  const conflicts = [];
+  for (const personnelId of ids) {
+    const personAllocations = allocations.filter(
+      (allocation) => allocation.personnel_id === personnelId
+    );
+    if (personAllocations.length === 0) continue;
+
+    const timeline = buildCapacityTimeline({
+      from: today,
+      to: personAllocations.reduce(
+        (latest, allocation) =>
+          formatDate(allocation.end_date) > latest
+            ? formatDate(allocation.end_date)
+            : latest,
+        today
+      ),
+      availabilityPeriods: availabilityPeriods.filter(
+        (period) => period.personnel_id === personnelId
+      ),
+      allocations: personAllocations,
+    });
+
+    conflicts.push(
+      ...findAllocationConflicts(
+        timeline,
+        personAllocations,
+        personAllocations[0].personnel_name
+      )
+    );
+  }
+
+  const alertsByKey = new Map(
+    knownAlerts.map((alert) => [alert.conflict_key, alert])
+  );
+
+  for (const conflict of conflicts) {
+    const fields = [
+      conflict.project_id,
+      conflict.allocation_id,
+      conflict.start_date,
+      conflict.end_date,
+      conflict.message,
+      JSON.stringify(conflict.details),
+    ];
+    const existing = alertsByKey.get(conflict.conflict_key);
+
+    if (existing) {
+      await connection.execute(
+        `UPDATE allocation_alerts
+         SET project_id = ?, allocation_id = ?, start_date = ?, end_date = ?,
+             message = ?, details = ?, last_detected_at = NOW()
+         WHERE id = ?`,
+        [...fields, existing.id]
+      );
+      alertsByKey.delete(conflict.conflict_key);
+      result.updated++;
+    } else {
+      await connection.execute(
+        `INSERT INTO allocation_alerts
+          (alert_type, conflict_key, personnel_id, project_id, allocation_id,
+           start_date, end_date, message, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          conflict.alert_type,
+          conflict.conflict_key,
+          conflict.personnel_id,
+          ...fields,
+        ]
+      );
+      result.opened++;
+    }
+  }
+
+  const goneAlertIds = [...alertsByKey.values()].map((alert) => alert.id);
+  if (goneAlertIds.length > 0) {
+    await connection.execute(
+      `UPDATE allocation_alerts
+       SET alert_status = 'resolved', resolved_at = NOW(), resolved_by = NULL,
+           resolution_note = ?
+       WHERE id IN (${goneAlertIds.map(() => '?').join(',')})`,
+      [AUTO_RESOLUTION_NOTE, ...goneAlertIds]
+    );
+    result.resolved = goneAlertIds.length;
+  }
+
+  result.checked = ids.length;
+  return result;
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_STATUSES,
+  findAllocationConflicts,
+  getProjectPersonnelIds,
+  detectAllocationConflicts,
+};
@@ -0,0 +1,167 @@
+const { formatDate } = require('./helpers');
+const {
+  MAX_ALLOCATION,
+  buildCapacityTimeline,
+  getCountedDays,
+} = require('./capacity');
+
+const LOCK_CONFLICT_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+const isLockConflict = (error) => LOCK_CONFLICT_CODES.includes(error.code);
+
+// Must run inside a transaction. Locking the personnel row serialises every
+// allocation write for that person (even when they have no allocations yet,
+// where FOR UPDATE on an empty range would only take gap locks), then the
+// overlapping allocation rows are read and locked until commit/rollback.
+// Returns null when the person does not exist.
+const lockPersonnelAllocations = async (
+  connection,
+  personnelId,
+  startDate,
+  endDate,
+  excludeAllocationId = null
+) => {
+  const [personnel] = await connection.execute(
+    'SELECT id FROM personnel WHERE id = ? FOR UPDATE',
+    [personnelId]
+  );
+
+  if (personnel.length === 0) return null;
+
+  let query = `SELECT 
+      pa.id,
+      pa.project_id,
+      p.project_name,
+      pa.allocation_percentage,
+      pa.start_date,
+      pa.end_date,
+      pa.role_in_project,
+      pa.allocation_status,
+      pa.paused_at
+    FROM project_allocations pa
+    INNER JOIN projects p ON pa.project_id = p.id
+    WHERE pa.personnel_id = ?
+    AND pa.start_date <= ?
+    AND pa.end_date >= ?`;
+  const params = [personnelId, endDate, startDate];
+
+  if (excludeAllocationId) {
+    query += ' AND pa.id != ?';
+    params.push(excludeAllocationId);
+  }
+
+  query += ' ORDER BY pa.start_date ASC FOR UPDATE';
+
+  const [allocations] = await connection.execute(query, params);
+  return allocations;
+};
+
+// Call after lockPersonnelAllocations so the availability periods checked
+// against cannot change before the transaction ends
+const lockAvailabilityPeriods = async (
+  connection,
+  personnelId,
+  startDate,
+  endDate
+) => {
+  const [periods] = await connection.execute(
+    `SELECT id, start_date, end_date, availability_percentage
+     FROM personnel_availability
+     WHERE personnel_id = ?
+     AND start_date <= ?
+     AND end_date >= ?
+     FOR UPDATE`,
+    [personnelId, endDate, startDate]
+  );
+  return periods;
+};
+
+// Day-accurate check on the same timeline as the capacity endpoint: the
+// request fits when every counted day has at least that much remaining
+// (availability minus confirmed allocations). Only allocations that share an
+// over-booked day with the requested range count as competing. Proposed and
+// tentative ones that would push a day over are only reported, as
+// competingTentativeAllocations.
+const checkAllocationCapacity = (
+  overlappingAllocations,
+  startDate,
+  endDate,
+  requestedPercentage,
+  availabilityPeriods = []
+) => {
+  const requested = Number(requestedPercentage);
+  const days = getCountedDays(
+    buildCapacityTimeline({
+      from: startDate,
+      to: endDate,
+      availabilityPeriods,
+      allocations: overlappingAllocations,
+    })
+  );
+
+  const peakAllocated = days.reduce(
+    (peak, day) => Math.max(peak, day.allocated),
+    0
+  );
+  const overBookedDays = days.filter((day) => day.remaining < requested);
+  const peakWithTentative = days.reduce(
+    (peak, day) => Math.max(peak, day.allocated + day.tentative),
+    0
+  );
+  const contestedDays = days.filter(
+    (day) => day.tentative > 0 && day.remaining - day.tentative < requested
+  );
+
+  return {
+    currentAllocation: peakAllocated,
+    lowestAvailability: days.reduce(
+      (lowest, day) => Math.min(lowest, day.availability),
+      MAX_ALLOCATION
+    ),
+    totalAllocation: peakAllocated + requested,
+    exceedsCapacity: overBookedDays.length > 0,
+    competingAllocations: overlappingAllocations.filter((allocation) =>
+      overBookedDays.some((day) => day.allocation_ids.includes(allocation.id))
+    ),
+    totalWithTentative: peakWithTentative + requested,
+    competingTentativeAllocations: overlappingAllocations.filter((allocation) =>
+      contestedDays.some((day) =>
+        day.tentative_allocation_ids.includes(allocation.id)
+      )
+    ),
+  };
+};
+
+const formatCompetingAllocation = (allocation) => ({
+  id: allocation.id,
+  project_id: allocation.project_id,
+  project_name: allocation.project_name,
+  allocation_percentage: allocation.allocation_percentage,
+  start_date: formatDate(allocation.start_date),
+  end_date: formatDate(allocation.end_date),
+  role_in_project: allocation.role_in_project,
+  allocation_status: allocation.allocation_status,
+});
+
+// Warning for a booking that fits but competes with proposed or tentative
+// bookings for the same person; null when there is no such competition
+const getTentativeConflictWarning = (capacity, personName = 'This person') => {
+  if (capacity.competingTentativeAllocations.length === 0) return null;
+
+  return {
+    type: 'tentative_conflict',
+    message: `${personName} would be at ${capacity.totalWithTentative}% if every tentative booking is confirmed.`,
+    competingAllocations: capacity.competingTentativeAllocations.map(
+      formatCompetingAllocation
+    ),
+  };
+};
+
+module.exports = {
+  isLockConflict,
+  lockPersonnelAllocations,
+  lockAvailabilityPeriods,
+  checkAllocationCapacity,
+  formatCompetingAllocation,
+  getTentativeConflictWarning,
+};
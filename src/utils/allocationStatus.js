@@ -0,0 +1,54 @@
+const ALLOCATION_STATUSES = {
+  PROPOSED: 'proposed',
+  TENTATIVE: 'tentative',
+  CONFIRMED: 'confirmed',
+  RELEASED: 'released',
+};
+
+// Soft bookings pencil someone in without taking their capacity; they are
+// tracked as a separate tentative layer next to the confirmed allocations
+const SOFT_ALLOCATION_STATUSES = [
+  ALLOCATION_STATUSES.PROPOSED,
+  ALLOCATION_STATUSES.TENTATIVE,
+];
+
+// Released bookings are kept for the record but no longer count anywhere
+const ALLOCATION_STATUS_TRANSITIONS = {
+  [ALLOCATION_STATUSES.PROPOSED]: [
+    ALLOCATION_STATUSES.TENTATIVE,
+    ALLOCATION_STATUSES.CONFIRMED,
+    ALLOCATION_STATUSES.RELEASED,
+  ],
+  [ALLOCATION_STATUSES.TENTATIVE]: [
+    ALLOCATION_STATUSES.CONFIRMED,
+    ALLOCATION_STATUSES.RELEASED,
+  ],
+  [ALLOCATION_STATUSES.CONFIRMED]: [
+    ALLOCATION_STATUSES.TENTATIVE,
+    ALLOCATION_STATUSES.RELEASED,
+  ],
+  [ALLOCATION_STATUSES.RELEASED]: [],
+};
+
+const isValidAllocationStatus = (status) =>
+  Object.values(ALLOCATION_STATUSES).includes(status);
+
+const canChangeAllocationStatus = (fromStatus, toStatus) =>
+  (ALLOCATION_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Rows read without the column (or from before it existed) are firm
+const isSoftAllocation = (allocation) =>
+  SOFT_ALLOCATION_STATUSES.includes(allocation.allocation_status);
+
+const isReleasedAllocation = (allocation) =>
+  allocation.allocation_status === ALLOCATION_STATUSES.RELEASED;
+
+module.exports = {
+  ALLOCATION_STATUSES,
+  SOFT_ALLOCATION_STATUSES,
+  ALLOCATION_STATUS_TRANSITIONS,
+  isValidAllocationStatus,
+  canChangeAllocationStatus,
+  isSoftAllocation,
+  isReleasedAllocation,
+};
@@ -0,0 +1,65 @@
+const { pool } = require('../config/database');
+
+const AUDIT_ENTITIES = {
+  PERSONNEL: 'personnel',
+  PERSONNEL_SKILL: 'personnel_skill',
+  PROJECT: 'project',
+  PROJECT_REQUIRED_SKILL: 'project_required_skill',
+  PROJECT_PHASE: 'project_phase',
+  PROJECT_PHASE_REQUIRED_SKILL: 'project_phase_required_skill',
+  PROJECT_TEMPLATE: 'project_template',
+  PROJECT_ROLE_SLOT: 'project_role_slot',
+  SKILL: 'skill',
+  SKILL_CATEGORY: 'skill_category',
+  SKILL_ALIAS: 'skill_alias',
+  RELATED_SKILL: 'related_skill',
+  ALLOCATION: 'allocation',
+  AVAILABILITY: 'availability',
+  MANAGER: 'manager',
+  SKILL_CLAIM: 'skill_claim',
+};
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+const toJson = (data) => {
+  if (data === undefined || data === null) return null;
+  return JSON.stringify(data);
+};
+
+// Pass `connection` when the write runs inside a transaction so the audit
+// row commits or rolls back with it; a failure then propagates so the caller
+// rolls back instead of committing an unaudited change. Outside a transaction
+// the write has already happened, so failures are only logged.
+const recordAudit = async (
+  { user, entity, entityId, action, before = null, after = null },
+  connection = pool
+) => {
+  try {
+    await connection.execute(
+      'INSERT INTO audit_logs (actor_user_id, entity, entity_id, action, before_data, after_data) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        user ? user.id : null,
+        entity,
+        entityId || null,
+        action,
+        toJson(before),
+        toJson(after),
+      ]
+    );
+  } catch (error) {
+    if (connection !== pool) throw error;
+
+    // eslint-disable-next-line no-console
+    console.error('Error recording audit log:', error);
+  }
+};
+
+module.exports = {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  recordAudit,
+};
@@ -0,0 +1,108 @@
+const { formatDate } = require('./helpers');
+const {
+  PROFICIENCY_LEVELS,
+  DEFAULT_IMPORTANCE_WEIGHT,
+} = require('./matchScoring');
+
+const DEFAULT_BENCH_THRESHOLD = 50;
+const DEFAULT_HORIZON_WEEKS = 4;
+const MAX_HORIZON_WEEKS = 26;
+const TOP_SKILL_COUNT = 5;
+const MAX_SUGGESTED_PROJECTS = 3;
+
+// The first working day on which the person is booked below `threshold`
+// percent and still has capacity left (so days off do not count as bench
+// time). Null when that does not happen within the timeline.
+const findFreeFrom = (timeline, threshold) => {
+  const freeDay = timeline.find(
+    (day) => day.working_day && day.allocated < threshold && day.remaining > 0
+  );
+
+  return freeDay
+    ? {
+        date: freeDay.date,
+        allocated: freeDay.allocated,
+        remaining: freeDay.remaining,
+      }
+    : null;
+};
+
+// Strongest skills first: proficiency, then verified, then experience
+const pickTopSkills = (skills, count = TOP_SKILL_COUNT) =>
+  [...skills]
+    .sort(
+      (a, b) =>
+        PROFICIENCY_LEVELS[b.proficiency_level] -
+          PROFICIENCY_LEVELS[a.proficiency_level] ||
+        Number(Boolean(b.verified_at)) - Number(Boolean(a.verified_at)) ||
+        (Number(b.years_of_experience) || 0) -
+          (Number(a.years_of_experience) || 0)
+    )
+    .slice(0, count);
+
+// Projects with unmet requirements the person could take on, best fit first.
+// A requirement counts when the person holds the skill at the minimum level;
+// projects that end before the person is free or that they already work on
+// are skipped.
+const suggestProjects = (
+  personSkills,
+  unmetRequirements,
+  { freeFrom, excludeProjectIds = [], limit = MAX_SUGGESTED_PROJECTS }
+) => {
+  const levelBySkill = new Map(
+    personSkills.map((skill) => [skill.skill_id, skill.proficiency_level])
+  );
+  const byProject = new Map();
+
+  for (const requirement of unmetRequirements) {
+    if (excludeProjectIds.includes(requirement.project_id)) continue;
+    if (formatDate(requirement.end_date) < formatDate(freeFrom)) continue;
+
+    const level = levelBySkill.get(requirement.skill_id);
+    if (
+      !level ||
+      PROFICIENCY_LEVELS[level] <
+        PROFICIENCY_LEVELS[requirement.minimum_proficiency]
+    ) {
+      continue;
+    }
+
+    if (!byProject.has(requirement.project_id)) {
+      byProject.set(requirement.project_id, {
+        project_id: requirement.project_id,
+        project_name: requirement.project_name,
+        status: requirement.status,
+        start_date: formatDate(requirement.start_date),
+        end_date: formatDate(requirement.end_date),
+        fit_weight: 0,
+        skills: [],
+      });
+    }
+
+    const project = byProject.get(requirement.project_id);
+    project.fit_weight +=
+      parseInt(requirement.importance_weight, 10) || DEFAULT_IMPORTANCE_WEIGHT;
+    project.skills.push({
+      skill_id: requirement.skill_id,
+      skill_name: requirement.skill_name,
+      minimum_proficiency: requirement.minimum_proficiency,
+      proficiency_level: level,
+    });
+  }
+
+  return [...byProject.values()]
+    .sort(
+      (a, b) =>
+        b.fit_weight - a.fit_weight || a.start_date.localeCompare(b.start_date)
+    )
+    .slice(0, limit);
+};
+
+module.exports = {
+  DEFAULT_BENCH_THRESHOLD,
+  DEFAULT_HORIZON_WEEKS,
+  MAX_HORIZON_WEEKS,
+  findFreeFrom,
+  pickTopSkills,
+  suggestProjects,
+};
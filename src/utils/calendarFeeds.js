@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./tokens');
+const {
+  checkPermission,
+  allocationPermissions,
+  projectsPermissions,
+  availabilityPermissions,
+} = require('./permissions');
+const {
+  hasPersonnelPermission,
+  isUserAssignedToProject,
+} = require('./controllerHelpers');
+
+const CALENDAR_FEED_TYPES = {
+  PERSONNEL: 'personnel',
+  PROJECT: 'project',
+};
+
+// Feeds skip anything that ended longer ago than this
+const FEED_HISTORY_DAYS = 365;
+
+// Same rules as viewing the allocations in the API. Checked when a token is
+// created and again on every fetch, so a feed stops working once its owner
+// loses access.
+const canAccessFeed = async (user, feedType, resourceId) => {
+  if (feedType === CALENDAR_FEED_TYPES.PERSONNEL) {
+    return hasPersonnelPermission(
+      user,
+      resourceId,
+      allocationPermissions.canViewAllocation,
+      allocationPermissions.canViewOwnAllocations
+    );
+  }
+
+  return (
+    checkPermission(projectsPermissions.canViewProject, user) ||
+    (checkPermission(projectsPermissions.canViewAssignedProjects, user) &&
+      (await isUserAssignedToProject(user.id, resourceId)))
+  );
+};
+
+// Only the hash is stored; the raw token goes into the feed URL once
+const issueCalendarFeedToken = async ({
+  user,
+  feedType,
+  resourceId,
+  label,
+}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const [result] = await pool.execute(
+    `INSERT INTO calendar_feed_tokens (user_id, feed_type, resource_id, token_hash, label)
+     VALUES (?, ?, ?, ?, ?)`,
+    [user.id, feedType, resourceId, hashToken(token), label || null]
+  );
+
+  return { id: result.insertId, token };
+};
+
+// The active token for this feed together with its owner, or null
+const findCalendarFeedToken = async (token, feedType, resourceId) => {
+  if (!token) return null;
+
+  const [rows] = await pool.execute(
+    `SELECT cft.id, u.id as user_id, u.email, u.role, u.approval_status
+     FROM calendar_feed_tokens cft
+     INNER JOIN users u ON cft.user_id = u.id
+     WHERE cft.token_hash = ? AND cft.feed_type = ? AND cft.resource_id = ?
+       AND cft.revoked_at IS NULL`,
+    [hashToken(String(token)), feedType, resourceId]
+  );
+
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  return {
+    id: row.id,
+    user: {
+      id: row.user_id,
+      email: row.email,
+      role: row.role,
+      approval_status: row.approval_status,
+    },
+  };
+};
+
+const allocationEvent = (allocation, summary) => ({
+  uid: `allocation-${allocation.id}`,
+  start: allocation.start_date,
+  end: allocation.end_date,
+  summary,
+  description: [
+    `Project: ${allocation.project_name}`,
+    `Personnel: ${allocation.personnel_name}`,
+    `Role: ${allocation.role_in_project || 'Not specified'}`,
+    `Allocation: ${allocation.allocation_percentage}%`,
+    `Booking: ${allocation.allocation_status}`,
+    `Project status: ${allocation.project_status}`,
+  ].join('\n'),
+  categories: 'Allocation',
+  // Part-time bookings should not block the whole day in calendar apps
+  transparent: true,
+  updatedAt: allocation.updated_at,
+});
+
+const availabilityEvent = (period, summaryPrefix = '') => ({
+  uid: `availability-${period.id}`,
+  start: period.start_date,
+  end: period.end_date,
+  summary: `${summaryPrefix}${
+    period.availability_percentage === 0
+      ? 'Unavailable'
+      : `Reduced availability (${period.availability_percentage}%)`
+  }`,
+  description: [
+    `Availability: ${period.availability_percentage}%`,
+    period.notes,
+  ]
+    .filter(Boolean)
+    .join('\n'),
+  categories: 'Availability',
+  updatedAt: period.updated_at,
+});
+
+const ALLOCATION_SELECT = `SELECT
+    pa.id,
+    pa.allocation_percentage,
+    pa.start_date,
+    pa.end_date,
+    pa.role_in_project,
+    pa.allocation_status,
+    pa.updated_at,
+    proj.project_name,
+    proj.status as project_status,
+    p.name as personnel_name
+  FROM project_allocations pa
+  INNER JOIN projects proj ON pa.project_id = proj.id
+  INNER JOIN personnel p ON pa.personnel_id = p.id`;
+
+// Allocations plus time off (availability below 100%) for one person
+const getPersonnelFeedEvents = async (personnelId) => {
+  const [allocations] = await pool.execute(
+    `${ALLOCATION_SELECT}
+     WHERE pa.personnel_id = ?
+       AND pa.allocation_status != 'released'
+       AND pa.end_date >= DATE_SUB(CURDATE(), INTERVAL ${FEED_HISTORY_DAYS} DAY)
+     ORDER BY pa.start_date`,
+    [personnelId]
+  );
+
+  const [availability] = await pool.execute(
+    `SELECT id, start_date, end_date, availability_percentage, notes, updated_at
+     FROM personnel_availability
+     WHERE personnel_id = ? AND availability_percentage < 100
+       AND end_date >= DATE_SUB(CURDATE(), INTERVAL ${FEED_HISTORY_DAYS} DAY)
+     ORDER BY start_date`,
+    [personnelId]
+  );
+
+  return [
+    ...allocations.map((allocation) =>
+      allocationEvent(
+        allocation,
+        `${allocation.project_name} (${allocation.allocation_percentage}%)`
+      )
+    ),
+    ...availability.map((period) => availabilityEvent(period)),
+  ];
+};
+
+// The project's allocations plus time off within the project's dates. Owners
+// who may view everyone's availability see it for the whole team; others only
+// see their own.
+const getProjectFeedEvents = async (project, user) => {
+  const [allocations] = await pool.execute(
+    `${ALLOCATION_SELECT}
+     WHERE pa.project_id = ?
+       AND pa.allocation_status != 'released'
+       AND pa.end_date >= DATE_SUB(CURDATE(), INTERVAL ${FEED_HISTORY_DAYS} DAY)
+     ORDER BY pa.start_date`,
+    [project.id]
+  );
+
+  let availabilityQuery = `SELECT av.id, av.start_date, av.end_date,
+       av.availability_percentage, av.notes, av.updated_at,
+       p.name as personnel_name
+     FROM personnel_availability av
+     INNER JOIN personnel p ON av.personnel_id = p.id
+     WHERE av.availability_percentage < 100
+       AND av.personnel_id IN (
+         SELECT personnel_id FROM project_allocations WHERE project_id = ?
+       )
+       AND av.start_date <= ? AND av.end_date >= ?
+       AND av.end_date >= DATE_SUB(CURDATE(), INTERVAL ${FEED_HISTORY_DAYS} DAY)`;
+  const availabilityParams = [project.id, project.end_date, project.start_date];
+
+  if (!checkPermission(availabilityPermissions.canViewAvailability, user)) {
+    availabilityQuery += ' AND p.user_id = ?';
+    availabilityParams.push(user.id);
+  }
+
+  const [availability] = await pool.execute(
+    `${availabilityQuery} ORDER BY av.start_date`,
+    availabilityParams
+  );
+
+  return [
+    ...allocations.map((allocation) =>
+      allocationEvent(
+        allocation,
+        `${allocation.personnel_name}${
+          allocation.role_in_project ? ` - ${allocation.role_in_project}` : ''
+        } (${allocation.allocation_percentage}%)`
+      )
+    ),
+    ...availability.map((period) =>
+      availabilityEvent(period, `${period.personnel_name}: `)
+    ),
+  ];
+};
+
+module.exports = {
+  CALENDAR_FEED_TYPES,
+  canAccessFeed,
+  issueCalendarFeedToken,
+  findCalendarFeedToken,
+  getPersonnelFeedEvents,
+  getProjectFeedEvents,
+};
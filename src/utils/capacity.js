@@ -0,0 +1,271 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const {
+  isSoftAllocation,
+  isReleasedAllocation,
+} = require('./allocationStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday to Friday (Date#getUTCDay numbering)
+const WORKING_WEEKDAYS = [1, 2, 3, 4, 5];
+
+const DEFAULT_AVAILABILITY = 100;
+const MAX_ALLOCATION = 100;
+
+// Days are handled as YYYY-MM-DD strings stepped in UTC so DST changes and the
+// server timezone cannot shift a date by one.
+const toDayNumber = (date) => {
+  const [year, month, day] = formatDate(date).split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+const fromDayNumber = (dayNumber) =>
+  new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+const addDays = (date, days) => fromDayNumber(toDayNumber(date) + days);
+
+// Inclusive count of calendar days; zero or less when to is before from
+const countDays = (from, to) => toDayNumber(to) - toDayNumber(from) + 1;
+
+const isWorkingDay = (date) =>
+  WORKING_WEEKDAYS.includes(
+    new Date(`${formatDate(date)}T00:00:00Z`).getUTCDay()
+  );
+
+const toRange = (row) => ({
+  ...row,
+  startDay: toDayNumber(row.start_date),
+  endDay: toDayNumber(row.end_date),
+});
+
+// One entry per calendar day between from and to (inclusive). Overlapping
+// availability periods resolve to the lowest percentage; days without a period
+// count as fully available. remaining can go negative when over-allocated.
+// Only confirmed allocations take up capacity; proposed and tentative ones
+// are summed separately as `tentative`. Paused allocations (their project is
+// on hold) and released ones are left out.
+const buildCapacityTimeline = ({
+  from,
+  to,
+  availabilityPeriods = [],
+  allocations = [],
+}) => {
+  const periods = availabilityPeriods.map(toRange);
+  const active = allocations
+    .filter(
+      (allocation) => !allocation.paused_at && !isReleasedAllocation(allocation)
+    )
+    .map(toRange);
+  const booked = active.filter((allocation) => !isSoftAllocation(allocation));
+  const pencilled = active.filter(isSoftAllocation);
+  const timeline = [];
+
+  for (let day = toDayNumber(from); day <= toDayNumber(to); day++) {
+    const date = fromDayNumber(day);
+    const workingDay = isWorkingDay(date);
+
+    const availability = periods
+      .filter((period) => period.startDay <= day && period.endDay >= day)
+      .reduce(
+        (lowest, period) => Math.min(lowest, period.availability_percentage),
+        DEFAULT_AVAILABILITY
+      );
+
+    const dayAllocations = booked.filter(
+      (allocation) => allocation.startDay <= day && allocation.endDay >= day
+    );
+    const allocated = dayAllocations.reduce(
+      (sum, allocation) => sum + allocation.allocation_percentage,
+      0
+    );
+    const tentativeAllocations = pencilled.filter(
+      (allocation) => allocation.startDay <= day && allocation.endDay >= day
+    );
+    const tentative = tentativeAllocations.reduce(
+      (sum, allocation) => sum + allocation.allocation_percentage,
+      0
+    );
+
+    timeline.push({
+      date,
+      working_day: workingDay,
+      availability,
+      allocated,
+      remaining: availability - allocated,
+      tentative,
+      allocation_ids: dayAllocations.map((allocation) => allocation.id),
+      tentative_allocation_ids: tentativeAllocations.map(
+        (allocation) => allocation.id
+      ),
+    });
+  }
+
+  return timeline;
+};
+
+const average = (days, key) =>
+  days.length > 0
+    ? Math.round(days.reduce((sum, day) => sum + day[key], 0) / days.length)
+    : 0;
+
+// Only working days count; a range made up purely of weekend days falls back
+// to every day so short bookings still get a meaningful answer.
+const getCountedDays = (timeline) => {
+  const workingDays = timeline.filter((day) => day.working_day);
+  return workingDays.length > 0 ? workingDays : timeline;
+};
+
+const summarizeCapacity = (timeline) => {
+  const workingDays = timeline.filter((day) => day.working_day);
+  const days = getCountedDays(timeline);
+
+  const averageAvailability =
+    days.length > 0 ? average(days, 'availability') : DEFAULT_AVAILABILITY;
+  const peakAllocated = days.reduce(
+    (peak, day) => Math.max(peak, day.allocated),
+    0
+  );
+  const peakWithTentative = days.reduce(
+    (peak, day) => Math.max(peak, day.allocated + day.tentative),
+    0
+  );
+
+  return {
+    total_days: timeline.length,
+    working_days: workingDays.length,
+    average_availability: averageAvailability,
+    average_allocated: average(days, 'allocated'),
+    peak_allocated: peakAllocated,
+    average_remaining:
+      days.length > 0
+        ? Math.round(
+            days.reduce((sum, day) => sum + Math.max(day.remaining, 0), 0) /
+              days.length
+          )
+        : DEFAULT_AVAILABILITY,
+    allocated_days: days.filter((day) => day.allocated > 0).length,
+    over_allocated_days: days.filter((day) => day.allocated > MAX_ALLOCATION)
+      .length,
+    average_tentative: average(days, 'tentative'),
+    peak_with_tentative: peakWithTentative,
+    // What a new allocation over the whole range can take without breaking
+    // the 100% ceiling on any day or exceeding average availability
+    bookable_capacity: Math.max(
+      0,
+      Math.min(MAX_ALLOCATION - peakAllocated, averageAvailability)
+    ),
+  };
+};
+
+const summarizeCapacityByMonth = (timeline) => {
+  const months = new Map();
+
+  timeline.forEach((day) => {
+    const month = day.date.slice(0, 7);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(day);
+  });
+
+  return Array.from(months.entries()).map(([month, days]) => {
+    const summary = summarizeCapacity(days);
+
+    return {
+      month,
+      month_label: new Date(`${month}-01T00:00:00Z`).toLocaleDateString(
+        'en-US',
+        { month: 'short', year: 'numeric', timeZone: 'UTC' }
+      ),
+      working_days: summary.working_days,
+      availability: summary.average_availability,
+      utilization: summary.average_allocated,
+      peak_utilization: summary.peak_allocated,
+      remaining: summary.average_remaining,
+      tentative: summary.average_tentative,
+    };
+  });
+};
+
+// Loads availability periods and allocations overlapping the range for each
+// person and returns a Map of personnel id -> timeline. Pass `connection` to
+// read inside a transaction.
+const getCapacityTimelines = async (
+  personnelIds,
+  from,
+  to,
+  { excludeAllocationId = null, connection = pool } = {}
+) => {
+  const timelines = new Map();
+  if (personnelIds.length === 0) return timelines;
+
+  const placeholders = personnelIds.map(() => '?').join(',');
+
+  const [availabilityPeriods] = await connection.execute(
+    `SELECT id, personnel_id, start_date, end_date, availability_percentage
+     FROM personnel_availability
+     WHERE personnel_id IN (${placeholders})
+       AND start_date <= ?
+       AND end_date >= ?`,
+    [...personnelIds, to, from]
+  );
+
+  let allocationQuery = `SELECT id, personnel_id, project_id, allocation_percentage, start_date, end_date, allocation_status, paused_at
+     FROM project_allocations
+     WHERE personnel_id IN (${placeholders})
+       AND start_date <= ?
+       AND end_date >= ?`;
+  const allocationParams = [...personnelIds, to, from];
+
+  if (excludeAllocationId) {
+    allocationQuery += ' AND id != ?';
+    allocationParams.push(excludeAllocationId);
+  }
+
+  const [allocations] = await connection.execute(
+    allocationQuery,
+    allocationParams
+  );
+
+  personnelIds.forEach((personnelId) => {
+    const id = Number(personnelId);
+    timelines.set(
+      id,
+      buildCapacityTimeline({
+        from,
+        to,
+        availabilityPeriods: availabilityPeriods.filter(
+          (period) => period.personnel_id === id
+        ),
+        allocations: allocations.filter(
+          (allocation) => allocation.personnel_id === id
+        ),
+      })
+    );
+  });
+
+  return timelines;
+};
+
+const getCapacityTimeline = async (personnelId, from, to, options) => {
+  const timelines = await getCapacityTimelines(
+    [personnelId],
+    from,
+    to,
+    options
+  );
+  return timelines.get(Number(personnelId));
+};
+
+module.exports = {
+  WORKING_WEEKDAYS,
+  MAX_ALLOCATION,
+  addDays,
+  countDays,
+  isWorkingDay,
+  buildCapacityTimeline,
+  getCountedDays,
+  summarizeCapacity,
+  summarizeCapacityByMonth,
+  getCapacityTimelines,
+  getCapacityTimeline,
+};
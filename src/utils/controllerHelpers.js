@@ -1,4 +1,5 @@
 const { pool } = require('../config/database');
+const { checkPermission } = require('./permissions');
 
 const getPersonnelUserId = async (personnelId) => {
   try {
@@ -25,6 +26,22 @@ const canAccessPersonnel = async (user, personnelId) => {
   return personnelUserId === user.id;
 };
 
+// True when the user holds the team-wide permission, or holds the
+// self-service one and the personnel record is linked to their account
+const hasPersonnelPermission = async (
+  user,
+  personnelId,
+  anyPermission,
+  ownPermission
+) => {
+  if (!user) return false;
+  if (checkPermission(anyPermission, user)) return true;
+  if (!ownPermission || !checkPermission(ownPermission, user)) return false;
+
+  const personnelUserId = await getPersonnelUserId(personnelId);
+  return personnelUserId === user.id;
+};
+
 const isUserAssignedToProject = async (userId, projectId) => {
   try {
     const [rows] = await pool.execute(
@@ -59,6 +76,7 @@ const getPersonnelIdForUser = async (userId) => {
 module.exports = {
   getPersonnelUserId,
   canAccessPersonnel,
+  hasPersonnelPermission,
   isUserAssignedToProject,
   getPersonnelIdForUser,
 };
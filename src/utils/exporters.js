@@ -0,0 +1,506 @@
+const { once } = require('events');
+const zlib = require('zlib');
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+  },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+  },
+};
+
+// Streams a query's rows one at a time instead of buffering the result set.
+// Use with for await...of.
+const streamQuery = (sql, params = []) =>
+  pool.pool.query(sql, params).stream({ highWaterMark: 100 });
+
+// Writes to the response while honouring backpressure, and keeps a byte count
+// (the PDF cross-reference table needs offsets). Resolves early if the client
+// goes away so a stalled download cannot hold the export open.
+const createOutput = (stream) => {
+  let bytesWritten = 0;
+
+  return {
+    get bytesWritten() {
+      return bytesWritten;
+    },
+    write: async (chunk) => {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      bytesWritten += buffer.length;
+
+      if (stream.destroyed) return;
+      if (!stream.write(buffer)) {
+        await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+      }
+    },
+  };
+};
+
+const formatCellValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return column.type === 'date' ? formatDate(value) : value.toISOString();
+  }
+  return value;
+};
+
+const isNumericCell = (value, column) =>
+  column.type === 'number' && value !== '' && !isNaN(Number(value));
+
+// CSV
+
+const escapeCsvValue = (value) => {
+  let text = String(value);
+
+  // Spreadsheet apps run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = (stream, { columns }) => {
+  const output = createOutput(stream);
+  const writeLine = (values) =>
+    output.write(`${values.map(escapeCsvValue).join(',')}\r\n`);
+
+  return {
+    start: () => writeLine(columns.map((column) => column.header)),
+    writeRow: (row) =>
+      writeLine(
+        columns.map((column) => formatCellValue(row[column.key], column))
+      ),
+    end: async () => {},
+  };
+};
+
+// XLSX - a zip archive whose worksheet entry is deflated while it streams
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const ZIP_DATA_DESCRIPTOR_FLAG = 0x0008;
+const ZIP_DEFLATE = 8;
+
+const createZipWriter = (output) => {
+  const entries = [];
+  const modified = toDosDateTime(new Date());
+
+  const localHeader = (name, flags, crc, compressedSize, size) => {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(ZIP_DEFLATE, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(name.length, 26);
+    return Buffer.concat([header, name]);
+  };
+
+  return {
+    addFile: async (fileName, content) => {
+      const name = Buffer.from(fileName);
+      const data = Buffer.from(content);
+      const compressed = zlib.deflateRawSync(data);
+      const entry = {
+        name,
+        flags: 0,
+        offset: output.bytesWritten,
+        crc: crc32(data),
+        compressedSize: compressed.length,
+        size: data.length,
+      };
+
+      entries.push(entry);
+      await output.write(
+        localHeader(name, 0, entry.crc, entry.compressedSize, entry.size)
+      );
+      await output.write(compressed);
+    },
+
+    // Sizes and CRC are unknown until the entry ends, so they follow the
+    // data in a descriptor and are repeated in the central directory
+    startStreamedFile: async (fileName) => {
+      const name = Buffer.from(fileName);
+      const entry = {
+        name,
+        flags: ZIP_DATA_DESCRIPTOR_FLAG,
+        offset: output.bytesWritten,
+        crc: 0,
+        compressedSize: 0,
+        size: 0,
+      };
+      const deflate = zlib.createDeflateRaw();
+
+      entries.push(entry);
+      await output.write(localHeader(name, entry.flags, 0, 0, 0));
+
+      const flushed = (async () => {
+        for await (const chunk of deflate) {
+          entry.compressedSize += chunk.length;
+          await output.write(chunk);
+        }
+      })();
+
+      return {
+        write: async (content) => {
+          const data = Buffer.from(content);
+          entry.crc = crc32(data, entry.crc);
+          entry.size += data.length;
+          if (!deflate.write(data)) await once(deflate, 'drain');
+        },
+        end: async () => {
+          deflate.end();
+          await flushed;
+
+          const descriptor = Buffer.alloc(16);
+          descriptor.writeUInt32LE(0x08074b50, 0);
+          descriptor.writeUInt32LE(entry.crc, 4);
+          descriptor.writeUInt32LE(entry.compressedSize, 8);
+          descriptor.writeUInt32LE(entry.size, 12);
+          await output.write(descriptor);
+        },
+      };
+    },
+
+    end: async () => {
+      const directoryOffset = output.bytesWritten;
+
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(entry.flags, 8);
+        header.writeUInt16LE(ZIP_DEFLATE, 10);
+        header.writeUInt16LE(modified.time, 12);
+        header.writeUInt16LE(modified.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        await output.write(Buffer.concat([header, entry.name]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(output.bytesWritten - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await output.write(end);
+    },
+  };
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS =
+  'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const escapeXml = (value) =>
+  String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+// Sheet names are limited to 31 characters and cannot contain []:*?/\
+const toSheetName = (title) =>
+  title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+
+const createXlsxWriter = (stream, { title, columns }) => {
+  const output = createOutput(stream);
+  const zip = createZipWriter(output);
+  let sheet;
+  let rowNumber = 0;
+
+  const writeSheetRow = (values, isNumeric = () => false) => {
+    rowNumber += 1;
+    const cells = values.map((value, index) => {
+      const ref = `${columnLetter(index)}${rowNumber}`;
+      if (value === '') return `<c r="${ref}"/>`;
+      if (isNumeric(value, index)) {
+        return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+
+    return sheet.write(`<row r="${rowNumber}">${cells.join('')}</row>`);
+  };
+
+  return {
+    start: async () => {
+      await zip.addFile(
+        '[Content_Types].xml',
+        `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`
+      );
+      await zip.addFile(
+        '_rels/.rels',
+        `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+      );
+      await zip.addFile(
+        'xl/workbook.xml',
+        `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets><sheet name="${escapeXml(toSheetName(title))}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+      );
+      await zip.addFile(
+        'xl/_rels/workbook.xml.rels',
+        `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+      );
+
+      sheet = await zip.startStreamedFile('xl/worksheets/sheet1.xml');
+      await sheet.write(
+        `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`
+      );
+      await writeSheetRow(columns.map((column) => column.header));
+    },
+    writeRow: (row) =>
+      writeSheetRow(
+        columns.map((column) => formatCellValue(row[column.key], column)),
+        (value, index) => isNumericCell(value, columns[index])
+      ),
+    end: async () => {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.end();
+    },
+  };
+};
+
+// PDF - a landscape A4 table. Each page is written as soon as it is full and
+// the cross-reference table is built from the byte offsets at the end.
+
+const PDF_PAGE = { width: 842, height: 595, margin: 36 };
+const PDF_FONT_SIZE = 8;
+const PDF_ROW_HEIGHT = 12;
+// Rough average Helvetica glyph width, as a share of the font size
+const PDF_CHAR_WIDTH = 0.5;
+
+// The standard fonts only cover Latin-1, so anything else is replaced
+const toPdfText = (value) =>
+  String(value)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+const fitText = (value, width) => {
+  const text = String(value);
+  const maxChars = Math.floor(width / (PDF_FONT_SIZE * PDF_CHAR_WIDTH));
+  return text.length > maxChars
+    ? `${text.slice(0, Math.max(maxChars - 3, 1))}...`
+    : text;
+};
+
+const createPdfWriter = (stream, { title, columns }) => {
+  const output = createOutput(stream);
+  // 1: catalog, 2: page tree, 3-4: fonts; pages take ids from 5 on
+  const offsets = [];
+  const pageIds = [];
+  let nextId = 5;
+  let pageLines = [];
+  let cursorY;
+
+  const tableWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+  const totalWeight = columns.reduce(
+    (sum, column) => sum + (column.width || 1),
+    0
+  );
+  let x = PDF_PAGE.margin;
+  const columnLayout = columns.map((column) => {
+    const width = (tableWidth * (column.width || 1)) / totalWeight;
+    const layout = { x, width };
+    x += width;
+    return layout;
+  });
+
+  const writeObject = async (id, body) => {
+    offsets[id] = output.bytesWritten;
+    await output.write(Buffer.from(`${id} 0 obj\n${body}\nendobj\n`, 'latin1'));
+  };
+
+  const text = (font, size, textX, textY, value) =>
+    `BT /${font} ${size} Tf ${textX.toFixed(2)} ${textY.toFixed(2)} Td (${toPdfText(value)}) Tj ET`;
+
+  const rowLines = (values, font) =>
+    values.map((value, index) =>
+      text(
+        font,
+        PDF_FONT_SIZE,
+        columnLayout[index].x + 2,
+        cursorY,
+        fitText(value, columnLayout[index].width - 4)
+      )
+    );
+
+  const startPage = () => {
+    cursorY = PDF_PAGE.height - PDF_PAGE.margin - 12;
+    pageLines = [text('F2', 12, PDF_PAGE.margin, cursorY, title)];
+
+    cursorY -= PDF_ROW_HEIGHT * 2;
+    pageLines.push(
+      ...rowLines(
+        columns.map((column) => column.header),
+        'F2'
+      )
+    );
+
+    const ruleY = (cursorY - 3).toFixed(2);
+    pageLines.push(
+      `0.5 w ${PDF_PAGE.margin} ${ruleY} m ${PDF_PAGE.width - PDF_PAGE.margin} ${ruleY} l S`
+    );
+    cursorY -= PDF_ROW_HEIGHT + 2;
+  };
+
+  const flushPage = async () => {
+    pageLines.push(
+      text(
+        'F1',
+        PDF_FONT_SIZE,
+        PDF_PAGE.width - PDF_PAGE.margin - 40,
+        PDF_PAGE.margin / 2,
+        `Page ${pageIds.length + 1}`
+      )
+    );
+
+    const content = Buffer.from(pageLines.join('\n'), 'latin1');
+    const contentId = nextId++;
+    const pageId = nextId++;
+
+    offsets[contentId] = output.bytesWritten;
+    await output.write(
+      Buffer.from(
+        `${contentId} 0 obj\n<< /Length ${content.length} >>\nstream\n`,
+        'latin1'
+      )
+    );
+    await output.write(content);
+    await output.write(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+
+    await writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+    pageIds.push(pageId);
+  };
+
+  return {
+    start: async () => {
+      await output.write(
+        Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')
+      );
+      await writeObject(
+        3,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+      );
+      await writeObject(
+        4,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+      );
+      startPage();
+    },
+    writeRow: async (row) => {
+      if (cursorY < PDF_PAGE.margin) {
+        await flushPage();
+        startPage();
+      }
+
+      pageLines.push(
+        ...rowLines(
+          columns.map((column) => formatCellValue(row[column.key], column)),
+          'F1'
+        )
+      );
+      cursorY -= PDF_ROW_HEIGHT;
+    },
+    end: async () => {
+      await flushPage();
+
+      await writeObject(
+        2,
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+      );
+      await writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+
+      const xrefOffset = output.bytesWritten;
+      const xref = ['xref', `0 ${nextId}`, '0000000000 65535 f '];
+      for (let id = 1; id < nextId; id++) {
+        xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n `);
+      }
+
+      await output.write(
+        Buffer.from(
+          `${xref.join('\n')}\ntrailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+          'latin1'
+        )
+      );
+    },
+  };
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  xlsx: createXlsxWriter,
+  pdf: createPdfWriter,
+};
+
+// columns: [{ key, header, type?: 'date' | 'number', width? }] - width is a
+// relative weight used for PDF column sizing
+const createExportWriter = (format, stream, options) =>
+  WRITERS[format](stream, options);
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamQuery,
+  createExportWriter,
+};
@@ -18,6 +18,35 @@ const formatDate = (date) => {
   return `${year}-${month}-${day}`;
 };
 
+const parsePagination = (query, defaultLimit = 10, maxLimit = 100) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+  };
+};
+
+// Paginate rows that were already aggregated in SQL (GROUP BY reports)
+const paginateRows = (rows, { page, limit, offset }) => {
+  return {
+    data: rows.slice(offset, offset + limit),
+    pagination: {
+      page,
+      limit,
+      total: rows.length,
+      totalPages: Math.ceil(rows.length / limit),
+    },
+  };
+};
+
 module.exports = {
   formatDate,
+  parsePagination,
+  paginateRows,
 };
@@ -0,0 +1,97 @@
+const { formatDate } = require('./helpers');
+const { addDays } = require('./capacity');
+
+const PRODUCT_ID = '-//Skills Management//Calendar Feed//EN';
+const UID_DOMAIN = 'skills-management';
+const MAX_LINE_OCTETS = 75;
+
+// RFC 5545 3.3.11: backslashes, semicolons, commas and newlines are escaped
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits between characters so multi-byte UTF-8 sequences stay whole.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toDateValue = (date) => formatDate(date).replace(/-/g, '');
+
+const toTimestamp = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// Events are all-day: start and end are inclusive dates (as stored on
+// allocations and availability) and DTEND is written as the day after
+const buildEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  categories,
+  transparent = false,
+  updatedAt,
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${toTimestamp(updatedAt || new Date())}`,
+    `DTSTART;VALUE=DATE:${toDateValue(start)}`,
+    `DTEND;VALUE=DATE:${toDateValue(addDays(end, 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories) lines.push(`CATEGORIES:${escapeText(categories)}`);
+  if (updatedAt) lines.push(`LAST-MODIFIED:${toTimestamp(updatedAt)}`);
+  lines.push(`TRANSP:${transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+const buildCalendar = ({ name, events }) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+};
@@ -0,0 +1,170 @@
+const { PROFICIENCY_LEVELS } = require('./matchScoring');
+
+// Filter building shared by the list endpoints and their exports, so both
+// always select the same rows. Each builder returns the JOINs, a WHERE
+// clause (empty when unfiltered) and the params in order.
+
+const toWhereClause = (conditions) =>
+  conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+// skill_filters is a JSON array of { skill_id, proficiency_level,
+// min_proficiency_level, years_of_experience }; null when it is not valid JSON
+const parseSkillFilters = (value) => {
+  if (!value) return [];
+
+  try {
+    const filters = JSON.parse(value);
+    return Array.isArray(filters) ? filters : null;
+  } catch {
+    return null;
+  }
+};
+
+const buildPersonnelFilters = (
+  { experience_level, role_title, search },
+  skillFilters = []
+) => {
+  const joins = [];
+  const conditions = [];
+  const params = [];
+
+  skillFilters.forEach((filter, index) => {
+    const alias = `ps${index}`;
+    joins.push(
+      `INNER JOIN personnel_skills ${alias} ON p.id = ${alias}.personnel_id`
+    );
+  });
+
+  if (experience_level) {
+    conditions.push('p.experience_level = ?');
+    params.push(experience_level);
+  }
+
+  if (role_title) {
+    conditions.push('p.role_title LIKE ?');
+    params.push(`%${role_title}%`);
+  }
+
+  if (search) {
+    conditions.push('(p.name LIKE ? OR p.email LIKE ?)');
+    const searchPattern = `%${search}%`;
+    params.push(searchPattern, searchPattern);
+  }
+
+  skillFilters.forEach((filter, index) => {
+    const alias = `ps${index}`;
+    const skillConditions = [];
+
+    skillConditions.push(`${alias}.skill_id = ?`);
+    params.push(filter.skill_id);
+
+    if (filter.proficiency_level) {
+      skillConditions.push(`${alias}.proficiency_level = ?`);
+      params.push(filter.proficiency_level);
+    }
+
+    if (filter.min_proficiency_level) {
+      const proficiencyLevels = Object.keys(PROFICIENCY_LEVELS);
+      const minIndex = proficiencyLevels.indexOf(filter.min_proficiency_level);
+
+      if (minIndex !== -1) {
+        const validLevels = proficiencyLevels.slice(minIndex);
+        const placeholders = validLevels.map(() => '?').join(',');
+        skillConditions.push(`${alias}.proficiency_level IN (${placeholders})`);
+        params.push(...validLevels);
+      }
+    }
+
+    if (filter.years_of_experience) {
+      skillConditions.push(`${alias}.years_of_experience >= ?`);
+      params.push(parseFloat(filter.years_of_experience));
+    }
+
+    conditions.push(`(${skillConditions.join(' AND ')})`);
+  });
+
+  return {
+    joins: joins.join(' '),
+    where: toWhereClause(conditions),
+    params,
+  };
+};
+
+// Pass assignedToUserId to limit the list to projects the user is allocated to
+const buildProjectFilters = (
+  { status, search, start_date, end_date },
+  { assignedToUserId } = {}
+) => {
+  const conditions = [];
+  const params = [];
+
+  if (assignedToUserId) {
+    conditions.push(
+      `p.id IN (SELECT pa.project_id FROM project_allocations pa
+                INNER JOIN personnel pe ON pa.personnel_id = pe.id
+                WHERE pe.user_id = ?)`
+    );
+    params.push(assignedToUserId);
+  }
+
+  if (status) {
+    conditions.push('p.status = ?');
+    params.push(status);
+  }
+
+  if (search) {
+    conditions.push('p.project_name LIKE ?');
+    params.push(`%${search}%`);
+  }
+
+  if (start_date) {
+    conditions.push('p.start_date >= ?');
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    conditions.push('p.end_date <= ?');
+    params.push(end_date);
+  }
+
+  return { joins: '', where: toWhereClause(conditions), params };
+};
+
+const buildAllocationFilters = ({
+  project_id,
+  personnel_id,
+  phase_id,
+  allocation_status,
+}) => {
+  const conditions = [];
+  const params = [];
+
+  if (project_id) {
+    conditions.push('pa.project_id = ?');
+    params.push(project_id);
+  }
+
+  if (personnel_id) {
+    conditions.push('pa.personnel_id = ?');
+    params.push(personnel_id);
+  }
+
+  if (phase_id) {
+    conditions.push('pa.phase_id = ?');
+    params.push(phase_id);
+  }
+
+  if (allocation_status) {
+    conditions.push('pa.allocation_status = ?');
+    params.push(allocation_status);
+  }
+
+  return { joins: '', where: toWhereClause(conditions), params };
+};
+
+module.exports = {
+  parseSkillFilters,
+  buildPersonnelFilters,
+  buildProjectFilters,
+  buildAllocationFilters,
+};
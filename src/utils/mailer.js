@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_FROM = 'no-reply@skills-management.local';
+
+// Only these environments fall back to printing mail when EMAIL_TRANSPORT is
+// unset; anywhere else a missing transport would silently swallow passwords
+const LOCAL_ENVIRONMENTS = ['development', 'test'];
+
+const getOutboxFile = () =>
+  process.env.EMAIL_OUTBOX_FILE ||
+  path.join(os.tmpdir(), 'skills-management-outbox.log');
+
+// Local stand-ins: console prints the message, file appends it as one JSON
+// line so tests and developers can read what would have been sent. Real
+// providers are added with registerTransport and picked via EMAIL_TRANSPORT;
+// the stand-ins still work everywhere when selected explicitly.
+const transports = {
+  console: async (message) => {
+    // eslint-disable-next-line no-console
+    console.log(
+      `[email] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+  },
+  file: async (message) => {
+    const outboxFile = getOutboxFile();
+    await fs.mkdir(path.dirname(outboxFile), { recursive: true });
+    await fs.appendFile(outboxFile, `${JSON.stringify(message)}\n`);
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const getTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV)) return 'console';
+
+  throw new Error(
+    'No email transport configured: set EMAIL_TRANSPORT to send email'
+  );
+};
+
+// The transport is resolved on every send so it can be switched through the
+// environment without restarting (tests rely on this)
+const sendEmail = async ({ to, subject, text }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    sent_at: new Date().toISOString(),
+  };
+
+  await transport(message);
+
+  return message;
+};
+
+module.exports = {
+  getOutboxFile,
+  registerTransport,
+  sendEmail,
+};
@@ -0,0 +1,245 @@
+const PROFICIENCY_LEVELS = {
+  Beginner: 1,
+  Intermediate: 2,
+  Advanced: 3,
+  Expert: 4,
+};
+
+// Share of the final score each component contributes (must add up to 1)
+const SCORE_WEIGHTS = {
+  skills: 0.6,
+  experience: 0.2,
+  availability: 0.2,
+};
+
+// Years of hands-on experience that earn full credit for a requirement level
+const TARGET_YEARS_BY_PROFICIENCY = {
+  Beginner: 0.5,
+  Intermediate: 2,
+  Advanced: 4,
+  Expert: 6,
+};
+
+const DEFAULT_IMPORTANCE_WEIGHT = 3;
+
+// A missing weight falls back to the default; anything else must be 1-5
+const isValidImportanceWeight = (weight) => {
+  if (weight === undefined || weight === null) return true;
+  const value = Number(weight);
+  return Number.isInteger(value) && value >= 1 && value <= 5;
+};
+
+// Returns an error message, or null when every requirement is usable.
+// `owner` names what the skills are required for (phase, template, ...).
+const validateRequiredSkills = (requiredSkills, owner) => {
+  if (!Array.isArray(requiredSkills)) {
+    return 'required_skills must be an array';
+  }
+
+  for (const skill of requiredSkills) {
+    if (
+      !skill ||
+      !skill.skill_id ||
+      !PROFICIENCY_LEVELS[skill.minimum_proficiency]
+    ) {
+      return 'Each required skill needs a skill_id and a minimum_proficiency of Beginner, Intermediate, Advanced or Expert';
+    }
+
+    if (!isValidImportanceWeight(skill.importance_weight)) {
+      return 'importance_weight must be an integer between 1 and 5';
+    }
+  }
+
+  const skillIds = requiredSkills.map((skill) => Number(skill.skill_id));
+  if (new Set(skillIds).size !== skillIds.length) {
+    return `Each skill can only be required once per ${owner}`;
+  }
+
+  return null;
+};
+
+// Share of the credit a stand-in skill earns when the required skill itself
+// is missing. A parent covers the general ground of its children; siblings
+// and related skills only overlap with it.
+const RELATED_SKILL_CREDIT = {
+  parent: 0.6,
+  sibling: 0.4,
+  related: 0.4,
+};
+
+// Each level below the requirement removes a third of the skill's credit,
+// so someone one level short still earns 67% instead of nothing.
+const getProficiencyCredit = (requiredLevel, actualLevel) => {
+  const required = PROFICIENCY_LEVELS[requiredLevel];
+  const actual = PROFICIENCY_LEVELS[actualLevel];
+
+  if (!required || !actual) return 0;
+  if (actual >= required) return 1;
+
+  return Math.max(0, 1 - (required - actual) / 3);
+};
+
+const getExperienceCredit = (requiredLevel, yearsOfExperience) => {
+  const targetYears = TARGET_YEARS_BY_PROFICIENCY[requiredLevel] || 1;
+  const years = parseFloat(yearsOfExperience) || 0;
+
+  return Math.min(years / targetYears, 1);
+};
+
+const toPercent = (value) => Math.round(value * 100);
+
+// The stand-in skill the person holds that earns the most credit for a
+// missing requirement, or null
+const getBestSubstitute = (requiredSkill, personnelSkillsById, substitutes) => {
+  let best = null;
+
+  (substitutes || []).forEach(({ skill_id, relation }) => {
+    const personnelSkill = personnelSkillsById[skill_id];
+    if (!personnelSkill) return;
+
+    const factor = RELATED_SKILL_CREDIT[relation] || 0;
+    const credit =
+      getProficiencyCredit(
+        requiredSkill.minimum_proficiency,
+        personnelSkill.proficiency_level
+      ) * factor;
+
+    if (!best || credit > best.credit) {
+      best = { personnelSkill, relation, factor, credit };
+    }
+  });
+
+  return best;
+};
+
+// Scores one person against a project's required skills. personnelSkillsById
+// holds the person's skills keyed by skill_id; availability is 0-100.
+// substitutesBySkillId (from getSkillSubstitutes) enables partial credit for
+// parent, sibling and related skills.
+const scorePersonnelMatch = (
+  requiredSkills,
+  personnelSkillsById,
+  availability,
+  substitutesBySkillId = {}
+) => {
+  const matchingSkills = [];
+  const missingSkills = [];
+  let totalWeight = 0;
+  let proficiencyPoints = 0;
+  let experiencePoints = 0;
+  let hasAnyRequiredSkill = false;
+
+  for (const requiredSkill of requiredSkills) {
+    const weight =
+      parseInt(requiredSkill.importance_weight, 10) ||
+      DEFAULT_IMPORTANCE_WEIGHT;
+    const personnelSkill = personnelSkillsById[requiredSkill.skill_id];
+    const substitute = personnelSkill
+      ? null
+      : getBestSubstitute(
+          requiredSkill,
+          personnelSkillsById,
+          substitutesBySkillId[requiredSkill.skill_id]
+        );
+    const creditedSkill = personnelSkill || substitute?.personnelSkill;
+    const creditFactor = substitute ? substitute.factor : 1;
+
+    const proficiencyCredit = creditedSkill
+      ? getProficiencyCredit(
+          requiredSkill.minimum_proficiency,
+          creditedSkill.proficiency_level
+        ) * creditFactor
+      : 0;
+    const experienceCredit = creditedSkill
+      ? getExperienceCredit(
+          requiredSkill.minimum_proficiency,
+          creditedSkill.years_of_experience
+        ) * creditFactor
+      : 0;
+
+    if (creditedSkill) hasAnyRequiredSkill = true;
+
+    totalWeight += weight;
+    proficiencyPoints += proficiencyCredit * weight;
+    experiencePoints += experienceCredit * weight;
+
+    const skillResult = {
+      skillName: requiredSkill.skill_name,
+      skillId: requiredSkill.skill_id,
+      required: requiredSkill.minimum_proficiency,
+      actual: personnelSkill ? personnelSkill.proficiency_level : null,
+      yearsOfExperience: personnelSkill
+        ? parseFloat(personnelSkill.years_of_experience) || 0
+        : null,
+      importanceWeight: weight,
+      verified: personnelSkill ? Boolean(personnelSkill.verified_at) : null,
+      matchedVia: substitute
+        ? {
+            skillId: substitute.personnelSkill.skill_id,
+            skillName: substitute.personnelSkill.skill_name,
+            relation: substitute.relation,
+            actual: substitute.personnelSkill.proficiency_level,
+          }
+        : null,
+      proficiencyCredit: toPercent(proficiencyCredit),
+      experienceCredit: toPercent(experienceCredit),
+      meets: proficiencyCredit === 1,
+    };
+
+    if (skillResult.meets) {
+      matchingSkills.push(skillResult);
+    } else {
+      missingSkills.push(skillResult);
+    }
+  }
+
+  const skillsScore = totalWeight > 0 ? proficiencyPoints / totalWeight : 0;
+  const experienceScore = totalWeight > 0 ? experiencePoints / totalWeight : 0;
+  const availabilityScore =
+    Math.min(Math.max(availability ?? 100, 0), 100) / 100;
+
+  const scoreBreakdown = {
+    skills: {
+      score: toPercent(skillsScore),
+      weight: SCORE_WEIGHTS.skills,
+      points: toPercent(skillsScore * SCORE_WEIGHTS.skills),
+    },
+    experience: {
+      score: toPercent(experienceScore),
+      weight: SCORE_WEIGHTS.experience,
+      points: toPercent(experienceScore * SCORE_WEIGHTS.experience),
+    },
+    availability: {
+      score: toPercent(availabilityScore),
+      weight: SCORE_WEIGHTS.availability,
+      points: toPercent(availabilityScore * SCORE_WEIGHTS.availability),
+    },
+  };
+
+  const matchScore = toPercent(
+    skillsScore * SCORE_WEIGHTS.skills +
+      experienceScore * SCORE_WEIGHTS.experience +
+      availabilityScore * SCORE_WEIGHTS.availability
+  );
+
+  return {
+    matchScore,
+    scoreBreakdown,
+    matchingSkills,
+    missingSkills,
+    hasAnyRequiredSkill,
+  };
+};
+
+module.exports = {
+  PROFICIENCY_LEVELS,
+  SCORE_WEIGHTS,
+  TARGET_YEARS_BY_PROFICIENCY,
+  DEFAULT_IMPORTANCE_WEIGHT,
+  RELATED_SKILL_CREDIT,
+  isValidImportanceWeight,
+  validateRequiredSkills,
+  getProficiencyCredit,
+  getExperienceCredit,
+  scorePersonnelMatch,
+};
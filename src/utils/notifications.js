@@ -0,0 +1,186 @@
+const { pool } = require('../config/database');
+const { sendEmail } = require('./mailer');
+
+const NOTIFICATION_EVENTS = {
+  MANAGER_APPROVED: 'manager_approved',
+  MANAGER_REJECTED: 'manager_rejected',
+  ALLOCATION_CREATED: 'allocation_created',
+  ALLOCATION_UPDATED: 'allocation_updated',
+  ALLOCATION_REMOVED: 'allocation_removed',
+  PROJECT_STATUS_CHANGED: 'project_status_changed',
+  SKILL_CLAIM_REVIEWED: 'skill_claim_reviewed',
+};
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+// A rejected manager cannot sign in to read their inbox, so they are always
+// told by email and nothing else
+const EMAIL_ONLY_EVENTS = [NOTIFICATION_EVENTS.MANAGER_REJECTED];
+
+// Everything lands in the inbox unless the user opts out. Account decisions
+// are emailed as well.
+const DEFAULT_PREFERENCES = Object.fromEntries(
+  Object.values(NOTIFICATION_EVENTS).map((event) => [
+    event,
+    {
+      in_app: !EMAIL_ONLY_EVENTS.includes(event),
+      email: [
+        NOTIFICATION_EVENTS.MANAGER_APPROVED,
+        NOTIFICATION_EVENTS.MANAGER_REJECTED,
+      ].includes(event),
+    },
+  ])
+);
+
+const isValidNotificationEvent = (event) =>
+  Object.values(NOTIFICATION_EVENTS).includes(event);
+
+// Effective settings for every event, stored choices over the defaults
+const getNotificationPreferences = async (userId, connection = pool) => {
+  const [rows] = await connection.execute(
+    'SELECT event_type, in_app, email FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+
+  const preferences = Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([event, channels]) => [
+      event,
+      { ...channels },
+    ])
+  );
+
+  rows.forEach((row) => {
+    if (preferences[row.event_type]) {
+      preferences[row.event_type] = {
+        in_app: Boolean(row.in_app),
+        email: Boolean(row.email),
+      };
+    }
+  });
+
+  return preferences;
+};
+
+// Users linked to the given personnel records; people without an account
+// are skipped
+const getPersonnelUserIds = async (personnelIds, connection = pool) => {
+  if (personnelIds.length === 0) return [];
+
+  const [rows] = await connection.execute(
+    `SELECT DISTINCT user_id FROM personnel
+     WHERE id IN (${personnelIds.map(() => '?').join(',')}) AND user_id IS NOT NULL`,
+    personnelIds
+  );
+  return rows.map((row) => row.user_id);
+};
+
+// Sends emails collected by notifyUsers. Delivery failures are logged and
+// never fail the request.
+const sendNotificationEmails = async (emails = []) => {
+  for (const email of emails) {
+    try {
+      await sendEmail(email);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to send notification email:', error.message);
+    }
+  }
+};
+
+// Delivers one event to each user (or to the accounts of the given
+// personnel) according to their preferences. The actor is never told about
+// their own change. Like audit logging this never fails the request.
+// Pass the caller's transaction as `connection` to store the inbox entries
+// inside it; the emails are then returned instead of sent, and the caller
+// sends them with sendNotificationEmails once it has committed, so a slow
+// mail server never holds locks and a rollback sends nothing.
+const notifyUsers = async (
+  {
+    userIds = [],
+    personnelIds = [],
+    event,
+    title,
+    message = null,
+    entity = null,
+    entityId = null,
+    data = null,
+    actor = null,
+  },
+  connection = pool
+) => {
+  const emails = [];
+
+  try {
+    const personnelUserIds = await getPersonnelUserIds(
+      personnelIds,
+      connection
+    );
+    const recipients = [
+      ...new Set([...userIds, ...personnelUserIds].filter(Boolean).map(Number)),
+    ].filter((userId) => !actor || userId !== actor.id);
+    if (recipients.length === 0) return emails;
+
+    const [users] = await connection.execute(
+      `SELECT u.id, u.email, np.in_app, np.email as email_enabled
+       FROM users u
+       LEFT JOIN notification_preferences np
+         ON np.user_id = u.id AND np.event_type = ?
+       WHERE u.id IN (${recipients.map(() => '?').join(',')})`,
+      [event, ...recipients]
+    );
+
+    for (const user of users) {
+      const preference =
+        user.in_app === null || EMAIL_ONLY_EVENTS.includes(event)
+          ? DEFAULT_PREFERENCES[event]
+          : {
+              in_app: Boolean(user.in_app),
+              email: Boolean(user.email_enabled),
+            };
+
+      if (preference.in_app) {
+        await connection.execute(
+          `INSERT INTO notifications
+            (user_id, event_type, title, message, entity, entity_id, data, actor_user_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            user.id,
+            event,
+            title,
+            message,
+            entity,
+            entityId || null,
+            data ? JSON.stringify(data) : null,
+            actor ? actor.id : null,
+          ]
+        );
+      }
+
+      if (preference.email) {
+        emails.push({
+          to: user.email,
+          subject: title,
+          text: message ? `${title}\n\n${message}` : title,
+        });
+      }
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error creating notifications:', error);
+  }
+
+  if (connection !== pool) return emails;
+
+  await sendNotificationEmails(emails);
+  return [];
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_PREFERENCES,
+  isValidNotificationEvent,
+  getNotificationPreferences,
+  notifyUsers,
+  sendNotificationEmails,
+};
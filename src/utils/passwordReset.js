@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./tokens');
+
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const getResetUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+// Issuing a new link drops any unused ones so only the latest email works.
+// Only the hash is stored. Links are always requested by the user themselves;
+// admins reset with a temporary password instead.
+const createPasswordResetToken = async (userId, connection = pool) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await connection.execute(
+    'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  await connection.execute(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ${PASSWORD_RESET_TTL_MINUTES} MINUTE))`,
+    [userId, hashToken(token)]
+  );
+
+  return token;
+};
+
+// Marks the token used and returns { userId }, or { error } with the reason
+// it cannot be used. Call inside a transaction together with the password
+// update so a failed update leaves the token usable.
+const consumePasswordResetToken = async (token, connection) => {
+  const [rows] = await connection.execute(
+    `SELECT id, user_id, used_at, expires_at <= NOW() as expired
+     FROM password_reset_tokens
+     WHERE token_hash = ?
+     FOR UPDATE`,
+    [hashToken(token)]
+  );
+
+  if (rows.length === 0) return { error: 'invalid' };
+
+  const resetToken = rows[0];
+
+  if (resetToken.used_at) return { error: 'used' };
+  if (resetToken.expired) return { error: 'expired' };
+
+  await connection.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
+    [resetToken.id]
+  );
+
+  return { userId: resetToken.user_id };
+};
+
+const generateTemporaryPassword = () =>
+  crypto.randomBytes(9).toString('base64url');
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  getResetUrl,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  generateTemporaryPassword,
+};
@@ -1,8 +1,12 @@
 const ROLES = {
   ADMIN: 'admin',
   MANAGER: 'manager',
+  EMPLOYEE: 'employee',
 };
 
+// Fields an employee may change on their own personnel record
+const SELF_EDITABLE_PERSONNEL_FIELDS = ['bio'];
+
 const personnelPermissions = {
   // View permissions
   canViewAllPersonnel: (user) => {
@@ -32,6 +36,19 @@ const personnelPermissions = {
   canExportPersonnel: (user) => {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
   },
+
+  // Self-service - ownership of the record is checked by the caller
+  canUpdateOwnProfile: (user, fields = []) => {
+    return (
+      user.role === ROLES.EMPLOYEE &&
+      fields.every((field) => SELF_EDITABLE_PERSONNEL_FIELDS.includes(field))
+    );
+  },
+
+  // Login accounts for personnel are created with the employee role
+  canCreatePersonnelAccount: (user) => {
+    return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
+  },
 };
 
 const skillsPermissions = {
@@ -54,6 +71,11 @@ const skillsPermissions = {
   canDeleteSkill: (user) => {
     return user.role === ROLES.ADMIN;
   },
+
+  // Categories are shared by every skill, so only admins change them
+  canManageSkillCategories: (user) => {
+    return user.role === ROLES.ADMIN;
+  },
 };
 
 const personnelSkillsPermissions = {
@@ -68,6 +90,16 @@ const personnelSkillsPermissions = {
   canRemoveSkills: (user) => {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
   },
+
+  // Employees cannot change their skills directly; their changes are stored
+  // as pending claims
+  canProposeSkillChanges: (user) => {
+    return user.role === ROLES.EMPLOYEE;
+  },
+
+  canReviewSkillClaims: (user) => {
+    return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
+  },
 };
 
 const projectsPermissions = {
@@ -80,6 +112,11 @@ const projectsPermissions = {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
   },
 
+  // Employees only see projects they are allocated to
+  canViewAssignedProjects: (user) => {
+    return user.role === ROLES.EMPLOYEE;
+  },
+
   // Create permissions
   canCreateProject: (user) => {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
@@ -135,6 +172,10 @@ const availabilityPermissions = {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
   },
 
+  canManageOwnAvailability: (user) => {
+    return user.role === ROLES.EMPLOYEE;
+  },
+
   // Delete permissions
   canDeleteAvailability: (user) => {
     // Only ADMIN can delete availability periods
@@ -153,6 +194,10 @@ const allocationPermissions = {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
   },
 
+  canViewOwnAllocations: (user) => {
+    return user.role === ROLES.EMPLOYEE;
+  },
+
   // Create permissions
   canCreateAllocation: (user) => {
     return user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
@@ -240,6 +285,7 @@ const checkPermission = (permissionFunction, user, ...args) => {
 
 module.exports = {
   ROLES,
+  SELF_EDITABLE_PERSONNEL_FIELDS,
   personnelPermissions,
   skillsPermissions,
   personnelSkillsPermissions,
@@ -0,0 +1,132 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const { DEFAULT_IMPORTANCE_WEIGHT } = require('./matchScoring');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS, recordAudit } = require('./auditLogger');
+const { PROJECT_STATUSES, recordStatusChange } = require('./projectStatus');
+
+// Returns an error message, or null when the project dates are usable
+const validateProjectDates = (startDate, endDate) => {
+  if (isNaN(new Date(startDate).getTime())) {
+    return 'Invalid start_date format. Use YYYY-MM-DD format';
+  }
+
+  if (isNaN(new Date(endDate).getTime())) {
+    return 'Invalid end_date format. Use YYYY-MM-DD format';
+  }
+
+  if (new Date(endDate) <= new Date(startDate)) {
+    return 'end_date must be after start_date';
+  }
+
+  return null;
+};
+
+// The project row with its required skills, as returned after a write
+const getProjectWithRequiredSkills = async (projectId, connection = pool) => {
+  const [projects] = await connection.execute(
+    `SELECT
+      p.*,
+      JSON_ARRAYAGG(
+        JSON_OBJECT(
+          'skill_id', prs.skill_id,
+          'skill_name', s.skill_name,
+          'minimum_proficiency', prs.minimum_proficiency,
+          'importance_weight', prs.importance_weight
+        )
+      ) as required_skills
+    FROM projects p
+    LEFT JOIN project_required_skills prs ON p.id = prs.project_id
+    LEFT JOIN skills s ON prs.skill_id = s.id
+    WHERE p.id = ?
+    GROUP BY p.id`,
+    [projectId]
+  );
+
+  const project = projects[0];
+  if (!project) return null;
+
+  project.start_date = formatDate(project.start_date);
+  project.end_date = formatDate(project.end_date);
+
+  // Parse required_skills JSON
+  if (project.required_skills) {
+    const skillsData =
+      typeof project.required_skills === 'string'
+        ? JSON.parse(project.required_skills)
+        : project.required_skills;
+
+    project.required_skills = Array.isArray(skillsData)
+      ? skillsData.filter((skill) => skill && skill.skill_id !== null)
+      : [];
+  } else {
+    project.required_skills = [];
+  }
+
+  return project;
+};
+
+// Creates a project in Planning with its required skills, the first status
+// history entry and the audit row. New, cloned and template-based projects
+// all go through here, inside the caller's transaction.
+const insertProject = async (
+  connection,
+  { project_name, description, start_date, end_date, required_skills = [] },
+  { user, reason = 'Project created' }
+) => {
+  const [result] = await connection.execute(
+    'INSERT INTO projects (project_name, description, start_date, end_date, status) VALUES (?, ?, ?, ?, ?)',
+    [
+      project_name,
+      description || null,
+      start_date,
+      end_date,
+      PROJECT_STATUSES.PLANNING,
+    ]
+  );
+
+  await recordStatusChange(
+    {
+      projectId: result.insertId,
+      toStatus: PROJECT_STATUSES.PLANNING,
+      reason,
+      user,
+    },
+    connection
+  );
+
+  for (const skill of required_skills) {
+    await connection.execute(
+      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [
+        result.insertId,
+        skill.skill_id,
+        skill.minimum_proficiency,
+        skill.importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+      ]
+    );
+  }
+
+  const project = await getProjectWithRequiredSkills(
+    result.insertId,
+    connection
+  );
+
+  await recordAudit(
+    {
+      user,
+      entity: AUDIT_ENTITIES.PROJECT,
+      entityId: result.insertId,
+      action: AUDIT_ACTIONS.CREATE,
+      after: project,
+    },
+    connection
+  );
+
+  return project;
+};
+
+module.exports = {
+  validateProjectDates,
+  getProjectWithRequiredSkills,
+  insertProject,
+};
@@ -0,0 +1,126 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const { addDays } = require('./capacity');
+
+// Milestones are single-day markers; only phases carry skill requirements
+// and allocations
+const PHASE_TYPES = {
+  PHASE: 'phase',
+  MILESTONE: 'milestone',
+};
+
+const findProjectPhase = async (projectId, phaseId, connection = pool) => {
+  const [phases] = await connection.execute(
+    'SELECT * FROM project_phases WHERE id = ? AND project_id = ?',
+    [phaseId, projectId]
+  );
+  return phases[0] || null;
+};
+
+// Same shape as the project-wide requirements so matching can use either
+const getPhaseRequiredSkills = async (phaseId) => {
+  const [requiredSkills] = await pool.execute(
+    `SELECT
+      pprs.skill_id,
+      s.skill_name,
+      pprs.minimum_proficiency,
+      pprs.importance_weight
+    FROM project_phase_required_skills pprs
+    INNER JOIN skills s ON pprs.skill_id = s.id
+    WHERE pprs.phase_id = ?
+    ORDER BY s.skill_name`,
+    [phaseId]
+  );
+  return requiredSkills;
+};
+
+const isWithinRange = (range, startDate, endDate) =>
+  formatDate(startDate) >= formatDate(range.start_date) &&
+  formatDate(endDate) <= formatDate(range.end_date);
+
+// An allocation can only attach to a phase of its own project and has to
+// fit inside the phase's dates. Returns { phase } or { error }.
+const checkAllocationPhase = async (
+  { projectId, phaseId, startDate, endDate },
+  connection = pool
+) => {
+  const phase = await findProjectPhase(projectId, phaseId, connection);
+
+  if (!phase) {
+    return {
+      error: {
+        status: 404,
+        message: 'Project phase not found',
+        hint: 'phase_id must belong to the same project as the allocation.',
+      },
+    };
+  }
+
+  if (phase.phase_type !== PHASE_TYPES.PHASE) {
+    return {
+      error: {
+        status: 400,
+        message: 'Allocations cannot be attached to a milestone',
+      },
+    };
+  }
+
+  if (!isWithinRange(phase, startDate, endDate)) {
+    return {
+      error: {
+        status: 400,
+        message: `Allocation dates must fall within the phase (${formatDate(phase.start_date)} to ${formatDate(phase.end_date)}).`,
+        hint: 'Adjust the allocation dates or attach it to another phase.',
+      },
+    };
+  }
+
+  return { phase };
+};
+
+// Copies every phase and milestone with its requirements onto another
+// project, moved by `offsetDays`. Allocations stay behind. Runs inside the
+// caller's transaction and returns the number of phases copied.
+const copyProjectPhases = async (
+  connection,
+  fromProjectId,
+  toProjectId,
+  offsetDays
+) => {
+  const [phases] = await connection.execute(
+    'SELECT * FROM project_phases WHERE project_id = ? ORDER BY start_date ASC, id ASC',
+    [fromProjectId]
+  );
+
+  for (const phase of phases) {
+    const [result] = await connection.execute(
+      'INSERT INTO project_phases (project_id, phase_name, phase_type, description, start_date, end_date) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        toProjectId,
+        phase.phase_name,
+        phase.phase_type,
+        phase.description,
+        addDays(phase.start_date, offsetDays),
+        addDays(phase.end_date, offsetDays),
+      ]
+    );
+
+    await connection.execute(
+      `INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency, importance_weight)
+       SELECT ?, skill_id, minimum_proficiency, importance_weight
+       FROM project_phase_required_skills WHERE phase_id = ?`,
+      [result.insertId, phase.id]
+    );
+  }
+
+  return phases.length;
+};
+
+module.exports = {
+  PHASE_TYPES,
+  findProjectPhase,
+  getPhaseRequiredSkills,
+  isWithinRange,
+  checkAllocationPhase,
+  copyProjectPhases,
+};
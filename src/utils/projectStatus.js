@@ -0,0 +1,292 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS, recordAudit } = require('./auditLogger');
+const {
+  lockPersonnelAllocations,
+  lockAvailabilityPeriods,
+  checkAllocationCapacity,
+} = require('./allocationLocks');
+const { ALLOCATION_STATUSES } = require('./allocationStatus');
+
+const PROJECT_STATUSES = {
+  PLANNING: 'Planning',
+  ACTIVE: 'Active',
+  ON_HOLD: 'On Hold',
+  COMPLETED: 'Completed',
+};
+
+// Where a project can go from each status. Completed is final.
+const PROJECT_STATUS_TRANSITIONS = {
+  [PROJECT_STATUSES.PLANNING]: [
+    PROJECT_STATUSES.ACTIVE,
+    PROJECT_STATUSES.ON_HOLD,
+  ],
+  [PROJECT_STATUSES.ACTIVE]: [
+    PROJECT_STATUSES.ON_HOLD,
+    PROJECT_STATUSES.COMPLETED,
+  ],
+  [PROJECT_STATUSES.ON_HOLD]: [
+    PROJECT_STATUSES.PLANNING,
+    PROJECT_STATUSES.ACTIVE,
+    PROJECT_STATUSES.COMPLETED,
+  ],
+  [PROJECT_STATUSES.COMPLETED]: [],
+};
+
+const getAllowedTransitions = (status) =>
+  PROJECT_STATUS_TRANSITIONS[status] || [];
+
+const canTransition = (fromStatus, toStatus) =>
+  getAllowedTransitions(fromStatus).includes(toStatus);
+
+// Leaving On Hold for anything but Completed resumes the paused allocations
+const resumesAllocations = (fromStatus, toStatus) =>
+  fromStatus === PROJECT_STATUSES.ON_HOLD &&
+  toStatus !== PROJECT_STATUSES.COMPLETED;
+
+// Returns what still stands in the way of moving the project to `status`
+// (empty when nothing does). Runs inside the transaction that applies the
+// change so the allocations it checks are locked.
+const checkTransitionPreconditions = async (connection, project, status) => {
+  const unmet = [];
+
+  if (status === PROJECT_STATUSES.ACTIVE) {
+    const [skills] = await connection.execute(
+      'SELECT COUNT(*) as total FROM project_required_skills WHERE project_id = ?',
+      [project.id]
+    );
+    if (Number(skills[0].total) === 0) {
+      unmet.push('The project needs at least one required skill');
+    }
+
+    const [allocations] = await connection.execute(
+      "SELECT COUNT(*) as total FROM project_allocations WHERE project_id = ? AND allocation_status != 'released'",
+      [project.id]
+    );
+    if (Number(allocations[0].total) === 0) {
+      unmet.push('The project needs at least one allocation');
+    }
+  }
+
+  // Paused allocations freed their capacity, which may have been booked by
+  // other projects in the meantime
+  if (resumesAllocations(project.status, status)) {
+    const [paused] = await connection.execute(
+      `SELECT pa.*, p.name as personnel_name
+       FROM project_allocations pa
+       INNER JOIN personnel p ON pa.personnel_id = p.id
+       WHERE pa.project_id = ? AND pa.paused_at IS NOT NULL
+       ORDER BY pa.personnel_id`,
+      [project.id]
+    );
+
+    for (const allocation of paused) {
+      const overlappingAllocations = await lockPersonnelAllocations(
+        connection,
+        allocation.personnel_id,
+        allocation.start_date,
+        allocation.end_date,
+        allocation.id
+      );
+      const availabilityPeriods = await lockAvailabilityPeriods(
+        connection,
+        allocation.personnel_id,
+        allocation.start_date,
+        allocation.end_date
+      );
+      const capacity = checkAllocationCapacity(
+        overlappingAllocations || [],
+        allocation.start_date,
+        allocation.end_date,
+        allocation.allocation_percentage,
+        availabilityPeriods
+      );
+
+      if (capacity.exceedsCapacity) {
+        unmet.push(
+          `Resuming would put ${allocation.personnel_name} at ${capacity.totalAllocation}% allocation`
+        );
+      }
+    }
+  }
+
+  return unmet;
+};
+
+const auditAllocationChanges = async (
+  connection,
+  user,
+  changes,
+  action = AUDIT_ACTIONS.UPDATE
+) => {
+  for (const { before, after } of changes) {
+    await recordAudit(
+      {
+        user,
+        entity: AUDIT_ENTITIES.ALLOCATION,
+        entityId: before.id,
+        action,
+        before,
+        after,
+      },
+      connection
+    );
+  }
+};
+
+// Completing ends every allocation still running today and releases the ones
+// that have not started, keeping them for the record. Paused allocations end
+// on the day they were paused instead, or are released if that was before
+// they started. Going On Hold pauses the current and future ones; leaving On
+// Hold resumes them. Returns how many allocations were touched.
+const applyTransitionSideEffects = async (
+  connection,
+  { project, status, user }
+) => {
+  const today = formatDate(new Date());
+
+  if (status === PROJECT_STATUSES.COMPLETED) {
+    const [openAllocations] = await connection.execute(
+      'SELECT * FROM project_allocations WHERE project_id = ? AND (end_date > ? OR paused_at IS NOT NULL) AND allocation_status != ? FOR UPDATE',
+      [project.id, today, ALLOCATION_STATUSES.RELEASED]
+    );
+
+    const getEndDate = (allocation) =>
+      allocation.paused_at ? formatDate(allocation.paused_at) : today;
+    const notStarted = openAllocations.filter(
+      (allocation) => formatDate(allocation.start_date) > getEndDate(allocation)
+    );
+    const running = openAllocations.filter(
+      (allocation) =>
+        formatDate(allocation.start_date) <= getEndDate(allocation)
+    );
+
+    for (const allocation of notStarted) {
+      await connection.execute(
+        'UPDATE project_allocations SET allocation_status = ?, paused_at = NULL WHERE id = ?',
+        [ALLOCATION_STATUSES.RELEASED, allocation.id]
+      );
+    }
+    for (const allocation of running) {
+      await connection.execute(
+        'UPDATE project_allocations SET end_date = ?, paused_at = NULL WHERE id = ?',
+        [getEndDate(allocation), allocation.id]
+      );
+    }
+
+    await auditAllocationChanges(
+      connection,
+      user,
+      notStarted.map((allocation) => ({
+        before: allocation,
+        after: {
+          ...allocation,
+          allocation_status: ALLOCATION_STATUSES.RELEASED,
+          paused_at: null,
+        },
+      }))
+    );
+    await auditAllocationChanges(
+      connection,
+      user,
+      running.map((allocation) => ({
+        before: allocation,
+        after: {
+          ...allocation,
+          end_date: getEndDate(allocation),
+          paused_at: null,
+        },
+      }))
+    );
+
+    return openAllocations.length;
+  }
+
+  if (status === PROJECT_STATUSES.ON_HOLD) {
+    const [runningAllocations] = await connection.execute(
+      'SELECT * FROM project_allocations WHERE project_id = ? AND end_date >= ? AND paused_at IS NULL FOR UPDATE',
+      [project.id, today]
+    );
+
+    if (runningAllocations.length > 0) {
+      const pausedAt = new Date();
+      await connection.execute(
+        `UPDATE project_allocations SET paused_at = ?
+         WHERE id IN (${runningAllocations.map(() => '?').join(',')})`,
+        [pausedAt, ...runningAllocations.map((allocation) => allocation.id)]
+      );
+
+      await auditAllocationChanges(
+        connection,
+        user,
+        runningAllocations.map((allocation) => ({
+          before: allocation,
+          after: { ...allocation, paused_at: pausedAt },
+        }))
+      );
+    }
+
+    return runningAllocations.length;
+  }
+
+  if (resumesAllocations(project.status, status)) {
+    const [pausedAllocations] = await connection.execute(
+      'SELECT * FROM project_allocations WHERE project_id = ? AND paused_at IS NOT NULL FOR UPDATE',
+      [project.id]
+    );
+
+    await connection.execute(
+      'UPDATE project_allocations SET paused_at = NULL WHERE project_id = ? AND paused_at IS NOT NULL',
+      [project.id]
+    );
+
+    await auditAllocationChanges(
+      connection,
+      user,
+      pausedAllocations.map((allocation) => ({
+        before: allocation,
+        after: { ...allocation, paused_at: null },
+      }))
+    );
+
+    return pausedAllocations.length;
+  }
+
+  return 0;
+};
+
+const recordStatusChange = async (
+  {
+    projectId,
+    fromStatus = null,
+    toStatus,
+    reason,
+    affectedAllocations = 0,
+    user,
+  },
+  connection = pool
+) => {
+  await connection.execute(
+    `INSERT INTO project_status_history
+      (project_id, from_status, to_status, reason, affected_allocations, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      projectId,
+      fromStatus,
+      toStatus,
+      reason,
+      affectedAllocations,
+      user ? user.id : null,
+    ]
+  );
+};
+
+module.exports = {
+  PROJECT_STATUSES,
+  PROJECT_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  checkTransitionPreconditions,
+  applyTransitionSideEffects,
+  recordStatusChange,
+};
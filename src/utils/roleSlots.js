@@ -0,0 +1,242 @@
+const { pool } = require('../config/database');
+const { formatDate } = require('./helpers');
+const { DEFAULT_IMPORTANCE_WEIGHT } = require('./matchScoring');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS, recordAudit } = require('./auditLogger');
+
+// A slot is open until candidates are proposed for it and filled once one of
+// them is allocated. Losing the allocation sends it back.
+const ROLE_SLOT_STATUSES = {
+  OPEN: 'open',
+  CANDIDATES_PROPOSED: 'candidates_proposed',
+  FILLED: 'filled',
+};
+
+const ROLE_SLOT_SELECT = `SELECT
+    rs.*,
+    p.project_name,
+    p.status as project_status,
+    pa.personnel_id as filled_by_personnel_id,
+    pe.name as filled_by_name
+  FROM project_role_slots rs
+  INNER JOIN projects p ON rs.project_id = p.id
+  LEFT JOIN project_allocations pa ON rs.allocation_id = pa.id
+  LEFT JOIN personnel pe ON pa.personnel_id = pe.id`;
+
+const findProjectRoleSlot = async (projectId, slotId, connection = pool) => {
+  const [slots] = await connection.execute(
+    'SELECT * FROM project_role_slots WHERE id = ? AND project_id = ?',
+    [slotId, projectId]
+  );
+  return slots[0] || null;
+};
+
+// Locks the slot for the rest of the caller's transaction
+const lockProjectRoleSlot = async (connection, projectId, slotId) => {
+  const [slots] = await connection.execute(
+    'SELECT * FROM project_role_slots WHERE id = ? AND project_id = ? FOR UPDATE',
+    [slotId, projectId]
+  );
+  return slots[0] || null;
+};
+
+// Same shape as the project-wide requirements so matching can use either
+const getRoleSlotRequiredSkills = async (slotId) => {
+  const [requiredSkills] = await pool.execute(
+    `SELECT
+      rsrs.skill_id,
+      s.skill_name,
+      rsrs.minimum_proficiency,
+      rsrs.importance_weight
+    FROM project_role_slot_required_skills rsrs
+    INNER JOIN skills s ON rsrs.skill_id = s.id
+    WHERE rsrs.slot_id = ?
+    ORDER BY s.skill_name`,
+    [slotId]
+  );
+  return requiredSkills;
+};
+
+// Slots matching `where` (a clause on the ROLE_SLOT_SELECT aliases) with
+// their requirements and proposed candidates
+const getRoleSlotDetails = async (where, params, connection = pool) => {
+  const [slots] = await connection.execute(
+    `${ROLE_SLOT_SELECT} ${where} ORDER BY rs.start_date ASC, rs.id ASC`,
+    params
+  );
+
+  if (slots.length === 0) return [];
+
+  const slotIds = slots.map((slot) => slot.id);
+  const placeholders = slotIds.map(() => '?').join(',');
+
+  const [requiredSkills] = await connection.execute(
+    `SELECT
+      rsrs.slot_id,
+      rsrs.skill_id,
+      s.skill_name,
+      s.category,
+      rsrs.minimum_proficiency,
+      rsrs.importance_weight
+    FROM project_role_slot_required_skills rsrs
+    INNER JOIN skills s ON rsrs.skill_id = s.id
+    WHERE rsrs.slot_id IN (${placeholders})
+    ORDER BY s.skill_name`,
+    slotIds
+  );
+
+  const [candidates] = await connection.execute(
+    `SELECT
+      rsc.slot_id,
+      rsc.personnel_id,
+      pe.name as personnel_name,
+      pe.role_title,
+      pe.experience_level,
+      rsc.notes,
+      rsc.proposed_by,
+      rsc.created_at
+    FROM project_role_slot_candidates rsc
+    INNER JOIN personnel pe ON rsc.personnel_id = pe.id
+    WHERE rsc.slot_id IN (${placeholders})
+    ORDER BY rsc.created_at ASC, rsc.id ASC`,
+    slotIds
+  );
+
+  return slots.map((slot) => ({
+    ...slot,
+    start_date: formatDate(slot.start_date),
+    end_date: formatDate(slot.end_date),
+    required_skills: requiredSkills.filter(
+      (skill) => skill.slot_id === slot.id
+    ),
+    candidates: candidates.filter((candidate) => candidate.slot_id === slot.id),
+  }));
+};
+
+// Inserts the requirements inside the caller's transaction. Returns false
+// when one of the skills does not exist.
+const insertRoleSlotRequiredSkills = async (
+  connection,
+  slotId,
+  requiredSkills
+) => {
+  if (requiredSkills.length === 0) return true;
+
+  const skillIds = requiredSkills.map((skill) => skill.skill_id);
+  const [skills] = await connection.execute(
+    `SELECT id FROM skills WHERE id IN (${skillIds.map(() => '?').join(',')})`,
+    skillIds
+  );
+
+  if (skills.length !== skillIds.length) return false;
+
+  for (const skill of requiredSkills) {
+    await connection.execute(
+      'INSERT INTO project_role_slot_required_skills (slot_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [
+        slotId,
+        skill.skill_id,
+        skill.minimum_proficiency,
+        skill.importance_weight || DEFAULT_IMPORTANCE_WEIGHT,
+      ]
+    );
+  }
+
+  return true;
+};
+
+// Returns the new slot's id
+const insertRoleSlot = async (
+  connection,
+  projectId,
+  {
+    role_name,
+    experience_level,
+    allocation_percentage,
+    start_date,
+    end_date,
+    notes,
+  },
+  user
+) => {
+  const [result] = await connection.execute(
+    'INSERT INTO project_role_slots (project_id, role_name, experience_level, allocation_percentage, start_date, end_date, notes, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      projectId,
+      role_name,
+      experience_level || null,
+      allocation_percentage !== undefined ? Number(allocation_percentage) : 100,
+      start_date,
+      end_date,
+      notes || null,
+      user ? user.id : null,
+    ]
+  );
+  return result.insertId;
+};
+
+// The status an unfilled slot should have given its candidate list
+const getUnfilledStatus = async (connection, slotId) => {
+  const [candidates] = await connection.execute(
+    'SELECT COUNT(*) as count FROM project_role_slot_candidates WHERE slot_id = ?',
+    [slotId]
+  );
+  return candidates[0].count > 0
+    ? ROLE_SLOT_STATUSES.CANDIDATES_PROPOSED
+    : ROLE_SLOT_STATUSES.OPEN;
+};
+
+// Moves an unfilled slot between open and candidates_proposed after its
+// candidates changed. Returns the slot's status.
+const refreshRoleSlotStatus = async (connection, slot) => {
+  if (slot.slot_status === ROLE_SLOT_STATUSES.FILLED) return slot.slot_status;
+
+  const slotStatus = await getUnfilledStatus(connection, slot.id);
+  await connection.execute(
+    'UPDATE project_role_slots SET slot_status = ? WHERE id = ?',
+    [slotStatus, slot.id]
+  );
+  return slotStatus;
+};
+
+// A slot whose allocation is released or deleted needs staffing again.
+// Returns the ids of the reopened slots.
+const reopenRoleSlotsForAllocation = async (connection, allocationId, user) => {
+  const [slots] = await connection.execute(
+    'SELECT * FROM project_role_slots WHERE allocation_id = ? FOR UPDATE',
+    [allocationId]
+  );
+
+  for (const slot of slots) {
+    const slotStatus = await getUnfilledStatus(connection, slot.id);
+    await connection.execute(
+      'UPDATE project_role_slots SET allocation_id = NULL, slot_status = ? WHERE id = ?',
+      [slotStatus, slot.id]
+    );
+
+    await recordAudit(
+      {
+        user,
+        entity: AUDIT_ENTITIES.PROJECT_ROLE_SLOT,
+        entityId: slot.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: slot,
+        after: { ...slot, allocation_id: null, slot_status: slotStatus },
+      },
+      connection
+    );
+  }
+
+  return slots.map((slot) => slot.id);
+};
+
+module.exports = {
+  ROLE_SLOT_STATUSES,
+  findProjectRoleSlot,
+  lockProjectRoleSlot,
+  getRoleSlotRequiredSkills,
+  getRoleSlotDetails,
+  insertRoleSlotRequiredSkills,
+  insertRoleSlot,
+  refreshRoleSlotStatus,
+  reopenRoleSlotsForAllocation,
+};
@@ -0,0 +1,14 @@
+const { pool } = require('../config/database');
+
+// Category names in display order, for validating skill writes and filters
+const getSkillCategoryNames = async (connection = pool) => {
+  const [categories] = await connection.execute(
+    'SELECT name FROM skill_categories ORDER BY display_order, name'
+  );
+
+  return categories.map((category) => category.name);
+};
+
+module.exports = {
+  getSkillCategoryNames,
+};
@@ -0,0 +1,87 @@
+const { pool } = require('../config/database');
+
+const SKILL_CLAIM_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+const getSkillClaimById = async (claimId, connection = pool) => {
+  const [claims] = await connection.execute(
+    `SELECT sc.*, s.skill_name, s.category
+     FROM skill_claims sc
+     INNER JOIN skills s ON sc.skill_id = s.id
+     WHERE sc.id = ?`,
+    [claimId]
+  );
+
+  return claims[0] || null;
+};
+
+// Keeps one pending claim per person and skill: proposing again before a
+// review replaces the earlier proposal. The personnel row is locked first so
+// two concurrent proposals cannot both find no pending claim and insert one
+// each (the personnel_skills row may not exist yet, so it cannot be the
+// lock). Returns { claim, created }.
+const submitSkillClaim = async ({
+  personnelId,
+  skillId,
+  proficiencyLevel,
+  yearsOfExperience = null,
+  user,
+}) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'SELECT id FROM personnel WHERE id = ? FOR UPDATE',
+      [personnelId]
+    );
+
+    const [pendingClaims] = await connection.execute(
+      'SELECT id FROM skill_claims WHERE personnel_id = ? AND skill_id = ? AND status = ? FOR UPDATE',
+      [personnelId, skillId, SKILL_CLAIM_STATUSES.PENDING]
+    );
+
+    let claimId;
+
+    if (pendingClaims.length > 0) {
+      claimId = pendingClaims[0].id;
+      await connection.execute(
+        'UPDATE skill_claims SET proficiency_level = ?, years_of_experience = ?, proposed_by = ? WHERE id = ?',
+        [proficiencyLevel, yearsOfExperience, user ? user.id : null, claimId]
+      );
+    } else {
+      const [result] = await connection.execute(
+        `INSERT INTO skill_claims (personnel_id, skill_id, proficiency_level, years_of_experience, proposed_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          personnelId,
+          skillId,
+          proficiencyLevel,
+          yearsOfExperience,
+          user ? user.id : null,
+        ]
+      );
+      claimId = result.insertId;
+    }
+
+    const claim = await getSkillClaimById(claimId, connection);
+    await connection.commit();
+
+    return { claim, created: pendingClaims.length === 0 };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  SKILL_CLAIM_STATUSES,
+  getSkillClaimById,
+  submitSkillClaim,
+};
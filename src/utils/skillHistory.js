@@ -0,0 +1,212 @@
+const { pool } = require('../config/database');
+const { PROFICIENCY_LEVELS } = require('./matchScoring');
+const { formatDate } = require('./helpers');
+
+const SKILL_CHANGE_TYPES = {
+  ADDED: 'added',
+  UPDATED: 'updated',
+  REMOVED: 'removed',
+};
+
+const toYears = (value) =>
+  value === null || value === undefined ? null : parseFloat(value);
+
+// Records one change to a person's skill. before/after are personnel_skills
+// shaped rows, null when the skill is being added or removed. Updates that
+// leave both level and years unchanged are not recorded.
+const recordSkillChange = async (
+  {
+    personnelId,
+    skillId,
+    before = null,
+    after = null,
+    user = null,
+    skillClaimId = null,
+  },
+  connection = pool
+) => {
+  if (!before && !after) return;
+
+  let changeType = SKILL_CHANGE_TYPES.UPDATED;
+  if (!before) changeType = SKILL_CHANGE_TYPES.ADDED;
+  if (!after) changeType = SKILL_CHANGE_TYPES.REMOVED;
+
+  if (
+    changeType === SKILL_CHANGE_TYPES.UPDATED &&
+    before.proficiency_level === after.proficiency_level &&
+    toYears(before.years_of_experience) === toYears(after.years_of_experience)
+  ) {
+    return;
+  }
+
+  await connection.execute(
+    `INSERT INTO personnel_skill_history (
+      personnel_id, skill_id, change_type,
+      previous_proficiency_level, proficiency_level,
+      previous_years_of_experience, years_of_experience,
+      skill_claim_id, changed_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      personnelId,
+      skillId,
+      changeType,
+      before ? before.proficiency_level : null,
+      after ? after.proficiency_level : null,
+      before ? toYears(before.years_of_experience) : null,
+      after ? toYears(after.years_of_experience) : null,
+      skillClaimId,
+      user ? user.id : null,
+    ]
+  );
+};
+
+// For writes that replace a person's whole skill list at once
+const recordSkillListChanges = async (
+  { personnelId, before = [], after = [], user = null },
+  connection = pool
+) => {
+  const beforeBySkillId = new Map(
+    before.map((skill) => [Number(skill.skill_id), skill])
+  );
+  const afterSkillIds = new Set(after.map((skill) => Number(skill.skill_id)));
+
+  for (const skill of after) {
+    await recordSkillChange(
+      {
+        personnelId,
+        skillId: skill.skill_id,
+        before: beforeBySkillId.get(Number(skill.skill_id)) || null,
+        after: skill,
+        user,
+      },
+      connection
+    );
+  }
+
+  for (const skill of before) {
+    if (afterSkillIds.has(Number(skill.skill_id))) continue;
+
+    await recordSkillChange(
+      { personnelId, skillId: skill.skill_id, before: skill, user },
+      connection
+    );
+  }
+};
+
+const getLevel = (proficiencyLevel) =>
+  PROFICIENCY_LEVELS[proficiencyLevel] || 0;
+
+// Level steps gained by an update (negative when a level was lowered);
+// additions and removals are counted separately
+const getLevelChange = (entry) =>
+  entry.change_type === SKILL_CHANGE_TYPES.UPDATED
+    ? getLevel(entry.proficiency_level) -
+      getLevel(entry.previous_proficiency_level)
+    : 0;
+
+const emptyGrowth = () => ({
+  skills_added: 0,
+  skills_removed: 0,
+  level_ups: 0,
+  level_downs: 0,
+  levels_gained: 0,
+});
+
+const addToGrowth = (growth, entry) => {
+  const levelChange = getLevelChange(entry);
+
+  if (entry.change_type === SKILL_CHANGE_TYPES.ADDED) growth.skills_added++;
+  if (entry.change_type === SKILL_CHANGE_TYPES.REMOVED) growth.skills_removed++;
+  if (levelChange > 0) growth.level_ups++;
+  if (levelChange < 0) growth.level_downs++;
+  growth.levels_gained += levelChange;
+};
+
+const getMonth = (entry) => formatDate(entry.changed_at).slice(0, 7);
+
+// Turns history rows (oldest first, joined with personnel and skill names)
+// into one growth summary per person, most improved first. improved_skills
+// compares each skill's level before the first change in the rows with its
+// level after the last one.
+const summarizeSkillGrowth = (rows) => {
+  const people = new Map();
+
+  rows.forEach((entry) => {
+    if (!people.has(entry.personnel_id)) {
+      people.set(entry.personnel_id, {
+        personnel_id: entry.personnel_id,
+        name: entry.name,
+        role_title: entry.role_title,
+        experience_level: entry.experience_level,
+        ...emptyGrowth(),
+        skills: new Map(),
+        months: new Map(),
+      });
+    }
+
+    const person = people.get(entry.personnel_id);
+    addToGrowth(person, entry);
+
+    const month = getMonth(entry);
+    if (!person.months.has(month)) {
+      person.months.set(month, { month, ...emptyGrowth() });
+    }
+    addToGrowth(person.months.get(month), entry);
+
+    if (!person.skills.has(entry.skill_id)) {
+      person.skills.set(entry.skill_id, {
+        skill_id: entry.skill_id,
+        skill_name: entry.skill_name,
+        from: entry.previous_proficiency_level,
+      });
+    }
+    person.skills.get(entry.skill_id).to = entry.proficiency_level;
+  });
+
+  return Array.from(people.values())
+    .map(({ skills, months, ...person }) => ({
+      ...person,
+      improved_skills: Array.from(skills.values()).filter(
+        (skill) => skill.to && getLevel(skill.to) > getLevel(skill.from)
+      ),
+      by_month: Array.from(months.values()),
+    }))
+    .sort(
+      (a, b) =>
+        b.levels_gained - a.levels_gained ||
+        b.skills_added - a.skills_added ||
+        a.name.localeCompare(b.name)
+    );
+};
+
+// Team totals per month, for charting upskilling over time
+const summarizeSkillGrowthByMonth = (rows) => {
+  const months = new Map();
+
+  rows.forEach((entry) => {
+    const month = getMonth(entry);
+    if (!months.has(month)) {
+      months.set(month, { month, ...emptyGrowth(), people: new Set() });
+    }
+
+    const summary = months.get(month);
+    addToGrowth(summary, entry);
+    if (getLevelChange(entry) > 0) summary.people.add(entry.personnel_id);
+  });
+
+  return Array.from(months.values())
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(({ people, ...summary }) => ({
+      ...summary,
+      people_leveled_up: people.size,
+    }));
+};
+
+module.exports = {
+  SKILL_CHANGE_TYPES,
+  recordSkillChange,
+  recordSkillListChanges,
+  getLevelChange,
+  summarizeSkillGrowth,
+  summarizeSkillGrowthByMonth,
+};
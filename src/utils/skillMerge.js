@@ -0,0 +1,364 @@
+const { PROFICIENCY_LEVELS } = require('./matchScoring');
+const { SKILL_CLAIM_STATUSES } = require('./skillClaims');
+const { recordSkillChange } = require('./skillHistory');
+
+const getLevel = (proficiencyLevel) =>
+  PROFICIENCY_LEVELS[proficiencyLevel] || 0;
+
+// When both skills are on the same record, the row with the higher level is
+// kept; ties keep the target's row
+const pickKept = (sourceLevel, targetLevel) =>
+  getLevel(sourceLevel) > getLevel(targetLevel) ? 'source' : 'target';
+
+const countRows = async (connection, query, params) => {
+  const [rows] = await connection.execute(query, params);
+  return rows[0].count;
+};
+
+// Requirement lists hold one row per owner and skill, so they all merge the
+// same way: the higher minimum wins when an owner requires both skills
+const REQUIREMENT_TABLES = [
+  {
+    table: 'project_required_skills',
+    ownerColumn: 'project_id',
+    ownerTable: 'projects',
+    ownerName: 'project_name',
+  },
+  {
+    table: 'project_phase_required_skills',
+    ownerColumn: 'phase_id',
+    ownerTable: 'project_phases',
+    ownerName: 'phase_name',
+  },
+  {
+    table: 'project_template_required_skills',
+    ownerColumn: 'template_id',
+    ownerTable: 'project_templates',
+    ownerName: 'template_name',
+  },
+  {
+    table: 'project_role_slot_required_skills',
+    ownerColumn: 'slot_id',
+    ownerTable: 'project_role_slots',
+    ownerName: 'role_name',
+  },
+];
+
+const planRequiredSkills = async (
+  { table, ownerColumn, ownerTable, ownerName },
+  source,
+  target,
+  connection
+) => {
+  const [rows] = await connection.execute(
+    `SELECT
+      src.${ownerColumn},
+      o.${ownerName},
+      src.minimum_proficiency as source_minimum,
+      tgt.minimum_proficiency as target_minimum
+    FROM ${table} src
+    INNER JOIN ${ownerTable} o ON o.id = src.${ownerColumn}
+    LEFT JOIN ${table} tgt
+      ON tgt.${ownerColumn} = src.${ownerColumn} AND tgt.skill_id = ?
+    WHERE src.skill_id = ?
+    ORDER BY o.${ownerName}`,
+    [target.id, source.id]
+  );
+
+  const merged = rows
+    .filter((row) => row.target_minimum)
+    .map((row) => ({
+      ...row,
+      kept: pickKept(row.source_minimum, row.target_minimum),
+    }));
+
+  return { moved: rows.length - merged.length, merged };
+};
+
+// Everything a merge of source into target would touch. Read-only, so it
+// doubles as the dry-run preview; run it on the merge's connection so the
+// counts match what is applied.
+const planSkillMerge = async (source, target, connection) => {
+  const [personnelSkills] = await connection.execute(
+    `SELECT
+      src.personnel_id,
+      p.name,
+      src.proficiency_level as source_proficiency,
+      tgt.proficiency_level as target_proficiency
+    FROM personnel_skills src
+    INNER JOIN personnel p ON p.id = src.personnel_id
+    LEFT JOIN personnel_skills tgt
+      ON tgt.personnel_id = src.personnel_id AND tgt.skill_id = ?
+    WHERE src.skill_id = ?
+    ORDER BY p.name`,
+    [target.id, source.id]
+  );
+
+  const mergedPersonnel = personnelSkills
+    .filter((row) => row.target_proficiency)
+    .map((row) => ({
+      ...row,
+      kept: pickKept(row.source_proficiency, row.target_proficiency),
+    }));
+
+  const requirements = {};
+  for (const requirementTable of REQUIREMENT_TABLES) {
+    requirements[requirementTable.table] = await planRequiredSkills(
+      requirementTable,
+      source,
+      target,
+      connection
+    );
+  }
+
+  const claimCount = await countRows(
+    connection,
+    'SELECT COUNT(*) as count FROM skill_claims WHERE skill_id = ?',
+    [source.id]
+  );
+  const supersededClaims = await countRows(
+    connection,
+    `SELECT COUNT(*) as count FROM skill_claims src
+     WHERE src.skill_id = ? AND src.status = ?
+       AND EXISTS (
+         SELECT 1 FROM skill_claims tgt
+         WHERE tgt.skill_id = ? AND tgt.personnel_id = src.personnel_id
+           AND tgt.status = ?
+       )`,
+    [
+      source.id,
+      SKILL_CLAIM_STATUSES.PENDING,
+      target.id,
+      SKILL_CLAIM_STATUSES.PENDING,
+    ]
+  );
+
+  return {
+    source: {
+      id: source.id,
+      skill_name: source.skill_name,
+      category: source.category,
+    },
+    target: {
+      id: target.id,
+      skill_name: target.skill_name,
+      category: target.category,
+    },
+    personnel_skills: {
+      moved: personnelSkills.length - mergedPersonnel.length,
+      merged: mergedPersonnel,
+    },
+    ...requirements,
+    skill_claims: {
+      moved: claimCount - supersededClaims,
+      superseded: supersededClaims,
+    },
+    history_entries: await countRows(
+      connection,
+      'SELECT COUNT(*) as count FROM personnel_skill_history WHERE skill_id = ?',
+      [source.id]
+    ),
+    aliases: {
+      moved: await countRows(
+        connection,
+        'SELECT COUNT(*) as count FROM skill_aliases WHERE skill_id = ?',
+        [source.id]
+      ),
+      added: source.skill_name,
+    },
+    related_skills: await countRows(
+      connection,
+      `SELECT COUNT(*) as count FROM related_skills
+       WHERE (skill_id = ? OR related_skill_id = ?)
+         AND skill_id != ? AND related_skill_id != ?`,
+      [source.id, source.id, target.id, target.id]
+    ),
+    child_skills: await countRows(
+      connection,
+      'SELECT COUNT(*) as count FROM skills WHERE parent_id = ? AND id != ?',
+      [source.id, target.id]
+    ),
+  };
+};
+
+const mergePersonnelSkills = async (source, target, user, connection) => {
+  const [collisions] = await connection.execute(
+    `SELECT src.id as source_row_id, src.personnel_id,
+       src.proficiency_level as source_level,
+       src.years_of_experience as source_years,
+       src.verified_by as source_verified_by,
+       src.verified_at as source_verified_at,
+       tgt.id as target_row_id,
+       tgt.proficiency_level, tgt.years_of_experience
+     FROM personnel_skills src
+     INNER JOIN personnel_skills tgt
+       ON tgt.personnel_id = src.personnel_id AND tgt.skill_id = ?
+     WHERE src.skill_id = ?`,
+    [target.id, source.id]
+  );
+
+  for (const row of collisions) {
+    if (pickKept(row.source_level, row.proficiency_level) === 'source') {
+      await connection.execute(
+        `UPDATE personnel_skills
+         SET proficiency_level = ?, years_of_experience = ?, verified_by = ?, verified_at = ?
+         WHERE id = ?`,
+        [
+          row.source_level,
+          row.source_years,
+          row.source_verified_by,
+          row.source_verified_at,
+          row.target_row_id,
+        ]
+      );
+
+      await recordSkillChange(
+        {
+          personnelId: row.personnel_id,
+          skillId: target.id,
+          before: row,
+          after: {
+            proficiency_level: row.source_level,
+            years_of_experience: row.source_years,
+          },
+          user,
+        },
+        connection
+      );
+    }
+
+    await connection.execute('DELETE FROM personnel_skills WHERE id = ?', [
+      row.source_row_id,
+    ]);
+  }
+
+  await connection.execute(
+    'UPDATE personnel_skills SET skill_id = ? WHERE skill_id = ?',
+    [target.id, source.id]
+  );
+};
+
+const mergeRequiredSkills = async (
+  { table, ownerColumn },
+  source,
+  target,
+  connection
+) => {
+  const [collisions] = await connection.execute(
+    `SELECT src.id as source_row_id, src.minimum_proficiency as source_minimum,
+       src.importance_weight as source_weight,
+       tgt.id as target_row_id, tgt.minimum_proficiency as target_minimum
+     FROM ${table} src
+     INNER JOIN ${table} tgt
+       ON tgt.${ownerColumn} = src.${ownerColumn} AND tgt.skill_id = ?
+     WHERE src.skill_id = ?`,
+    [target.id, source.id]
+  );
+
+  for (const row of collisions) {
+    if (pickKept(row.source_minimum, row.target_minimum) === 'source') {
+      await connection.execute(
+        `UPDATE ${table} SET minimum_proficiency = ?, importance_weight = ? WHERE id = ?`,
+        [row.source_minimum, row.source_weight, row.target_row_id]
+      );
+    }
+
+    await connection.execute(`DELETE FROM ${table} WHERE id = ?`, [
+      row.source_row_id,
+    ]);
+  }
+
+  await connection.execute(
+    `UPDATE ${table} SET skill_id = ? WHERE skill_id = ?`,
+    [target.id, source.id]
+  );
+};
+
+// Only one pending claim per person and skill is allowed, so a pending claim
+// on the source loses to one already pending on the target
+const mergeSkillClaims = async (source, target, user, connection) => {
+  await connection.execute(
+    `UPDATE skill_claims src
+     INNER JOIN skill_claims tgt
+       ON tgt.personnel_id = src.personnel_id AND tgt.skill_id = ? AND tgt.status = ?
+     SET src.status = ?, src.reviewed_by = ?, src.reviewed_at = NOW(), src.review_comment = ?
+     WHERE src.skill_id = ? AND src.status = ?`,
+    [
+      target.id,
+      SKILL_CLAIM_STATUSES.PENDING,
+      SKILL_CLAIM_STATUSES.REJECTED,
+      user.id,
+      `Superseded by the pending ${target.skill_name} claim when ${source.skill_name} was merged into it`,
+      source.id,
+      SKILL_CLAIM_STATUSES.PENDING,
+    ]
+  );
+
+  await connection.execute(
+    'UPDATE skill_claims SET skill_id = ? WHERE skill_id = ?',
+    [target.id, source.id]
+  );
+};
+
+const mergeTaxonomy = async (source, target, connection) => {
+  await connection.execute(
+    'UPDATE skill_aliases SET skill_id = ? WHERE skill_id = ?',
+    [target.id, source.id]
+  );
+
+  await connection.execute(
+    `INSERT IGNORE INTO related_skills (skill_id, related_skill_id)
+     SELECT LEAST(?, other_id), GREATEST(?, other_id)
+     FROM (
+       SELECT IF(skill_id = ?, related_skill_id, skill_id) as other_id
+       FROM related_skills
+       WHERE skill_id = ? OR related_skill_id = ?
+     ) links
+     WHERE other_id != ?`,
+    [target.id, target.id, source.id, source.id, source.id, target.id]
+  );
+
+  // The target takes over the source's place in the hierarchy if it was
+  // nested directly under it
+  if (target.parent_id === source.id) {
+    await connection.execute('UPDATE skills SET parent_id = ? WHERE id = ?', [
+      source.parent_id,
+      target.id,
+    ]);
+  }
+
+  await connection.execute(
+    'UPDATE skills SET parent_id = ? WHERE parent_id = ? AND id != ?',
+    [target.id, source.id, target.id]
+  );
+};
+
+// Re-points everything from source to target, deletes source and keeps its
+// name as an alias of target. Call inside a transaction with both skill rows
+// locked.
+const applySkillMerge = async (source, target, user, connection) => {
+  await mergePersonnelSkills(source, target, user, connection);
+  for (const requirementTable of REQUIREMENT_TABLES) {
+    await mergeRequiredSkills(requirementTable, source, target, connection);
+  }
+  await mergeSkillClaims(source, target, user, connection);
+
+  await connection.execute(
+    'UPDATE personnel_skill_history SET skill_id = ? WHERE skill_id = ?',
+    [target.id, source.id]
+  );
+
+  await mergeTaxonomy(source, target, connection);
+
+  await connection.execute('DELETE FROM skills WHERE id = ?', [source.id]);
+
+  await connection.execute(
+    'INSERT INTO skill_aliases (skill_id, alias) VALUES (?, ?)',
+    [target.id, source.skill_name]
+  );
+};
+
+module.exports = {
+  planSkillMerge,
+  applySkillMerge,
+};
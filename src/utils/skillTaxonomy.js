@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+
+const SKILL_RELATIONS = {
+  PARENT: 'parent',
+  SIBLING: 'sibling',
+  RELATED: 'related',
+};
+
+// Nests a flat skill list under parent_id. Skills whose parent is not in the
+// list (e.g. filtered out by a search) become roots so nothing is dropped.
+const buildSkillTree = (skills) => {
+  const nodes = new Map(
+    skills.map((skill) => [skill.id, { ...skill, children: [] }])
+  );
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// True when making parentId the parent of skillId would loop back to skillId
+const wouldCreateCycle = async (skillId, parentId, connection = pool) => {
+  const visited = new Set();
+  let currentId = parentId ? Number(parentId) : null;
+
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === Number(skillId)) return true;
+    visited.add(currentId);
+
+    const [rows] = await connection.execute(
+      'SELECT parent_id FROM skills WHERE id = ?',
+      [currentId]
+    );
+    currentId = rows.length > 0 ? rows[0].parent_id : null;
+  }
+
+  return false;
+};
+
+// Looks a skill up by its name or one of its aliases, case-insensitively
+const findSkillByNameOrAlias = async (name, connection = pool) => {
+  const [skills] = await connection.execute(
+    `SELECT s.* FROM skills s
+     WHERE LOWER(s.skill_name) = LOWER(?)
+       OR s.id IN (SELECT skill_id FROM skill_aliases WHERE LOWER(alias) = LOWER(?))
+     LIMIT 1`,
+    [name, name]
+  );
+
+  return skills[0] || null;
+};
+
+// Lower-cased skill names and aliases -> { id, skill_name }, for resolving
+// many names at once (e.g. during an import)
+const getSkillNameLookup = async (connection = pool) => {
+  const [skills] = await connection.execute(
+    'SELECT id, skill_name FROM skills'
+  );
+  const [aliases] = await connection.execute(
+    'SELECT skill_id, alias FROM skill_aliases'
+  );
+
+  const skillsById = new Map(skills.map((skill) => [skill.id, skill]));
+  const lookup = new Map(
+    skills.map((skill) => [skill.skill_name.toLowerCase(), skill])
+  );
+
+  aliases.forEach(({ skill_id, alias }) => {
+    if (skillsById.has(skill_id)) {
+      lookup.set(alias.toLowerCase(), skillsById.get(skill_id));
+    }
+  });
+
+  return lookup;
+};
+
+const getAliasesBySkillId = async (skillIds, connection = pool) => {
+  const aliasesBySkillId = new Map();
+  if (skillIds.length === 0) return aliasesBySkillId;
+
+  const placeholders = skillIds.map(() => '?').join(',');
+  const [aliases] = await connection.execute(
+    `SELECT id, skill_id, alias FROM skill_aliases
+     WHERE skill_id IN (${placeholders})
+     ORDER BY alias`,
+    skillIds
+  );
+
+  aliases.forEach(({ skill_id, ...alias }) => {
+    if (!aliasesBySkillId.has(skill_id)) aliasesBySkillId.set(skill_id, []);
+    aliasesBySkillId.get(skill_id).push(alias);
+  });
+
+  return aliasesBySkillId;
+};
+
+const getRelatedSkills = async (skillId, connection = pool) => {
+  const [related] = await connection.execute(
+    `SELECT s.id, s.skill_name, s.category
+     FROM related_skills rs
+     INNER JOIN skills s
+       ON s.id = IF(rs.skill_id = ?, rs.related_skill_id, rs.skill_id)
+     WHERE rs.skill_id = ? OR rs.related_skill_id = ?
+     ORDER BY s.skill_name`,
+    [skillId, skillId, skillId]
+  );
+
+  return related;
+};
+
+// For each skill, the skills that can stand in for it when matching: its
+// parent, its siblings and anything explicitly related. Returns
+// { [skillId]: [{ skill_id, relation }] } with the closest relation kept
+// when a skill is linked more than one way.
+const getSkillSubstitutes = async (skillIds, connection = pool) => {
+  const substitutes = {};
+  if (skillIds.length === 0) return substitutes;
+
+  const placeholders = skillIds.map(() => '?').join(',');
+
+  const [parents] = await connection.execute(
+    `SELECT id as skill_id, parent_id as substitute_id
+     FROM skills
+     WHERE id IN (${placeholders}) AND parent_id IS NOT NULL`,
+    skillIds
+  );
+
+  const [siblings] = await connection.execute(
+    `SELECT s.id as skill_id, sibling.id as substitute_id
+     FROM skills s
+     INNER JOIN skills sibling
+       ON sibling.parent_id = s.parent_id AND sibling.id != s.id
+     WHERE s.id IN (${placeholders})`,
+    skillIds
+  );
+
+  const [related] = await connection.execute(
+    `SELECT skill_id, related_skill_id as substitute_id
+     FROM related_skills WHERE skill_id IN (${placeholders})
+     UNION
+     SELECT related_skill_id as skill_id, skill_id as substitute_id
+     FROM related_skills WHERE related_skill_id IN (${placeholders})`,
+    [...skillIds, ...skillIds]
+  );
+
+  [
+    [parents, SKILL_RELATIONS.PARENT],
+    [siblings, SKILL_RELATIONS.SIBLING],
+    [related, SKILL_RELATIONS.RELATED],
+  ].forEach(([rows, relation]) => {
+    rows.forEach(({ skill_id, substitute_id }) => {
+      if (!substitutes[skill_id]) substitutes[skill_id] = [];
+      if (
+        substitutes[skill_id].some(
+          (substitute) => substitute.skill_id === substitute_id
+        )
+      ) {
+        return;
+      }
+      substitutes[skill_id].push({ skill_id: substitute_id, relation });
+    });
+  });
+
+  return substitutes;
+};
+
+module.exports = {
+  SKILL_RELATIONS,
+  buildSkillTree,
+  wouldCreateCycle,
+  findSkillByNameOrAlias,
+  getSkillNameLookup,
+  getAliasesBySkillId,
+  getRelatedSkills,
+  getSkillSubstitutes,
+};
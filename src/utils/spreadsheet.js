@@ -0,0 +1,318 @@
+const path = require('path');
+const zlib = require('zlib');
+
+const SPREADSHEET_TYPES = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+};
+
+const getSpreadsheetType = (filename = '') =>
+  SPREADSHEET_TYPES[path.extname(filename).toLowerCase()] || null;
+
+// RFC 4180: quoted fields may contain commas, line breaks and "" escapes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Limits for uploaded workbooks. Only the few parts readXlsx needs are ever
+// extracted, and together they may not inflate past the total, so entries
+// that share the same compressed data cannot multiply the cost.
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_ZIP_ENTRY_SIZE = 32 * 1024 * 1024;
+const MAX_ZIP_TOTAL_SIZE = 64 * 1024 * 1024;
+
+const toMegabytes = (bytes) => bytes / (1024 * 1024);
+
+// Deflated entries are never inflated past the size the central directory
+// declares for them
+const inflateEntry = (name, data, uncompressedSize) => {
+  let inflated;
+  try {
+    inflated = zlib.inflateRawSync(data, {
+      maxOutputLength: Math.max(uncompressedSize, 1),
+    });
+  } catch {
+    throw new Error(`${name} is corrupt or larger than it claims to be`);
+  }
+
+  if (inflated.length !== uncompressedSize) {
+    throw new Error(`${name} is corrupt or larger than it claims to be`);
+  }
+
+  return inflated;
+};
+
+// Lists the entries of a zip archive as a name -> location map without
+// extracting anything
+const readZipDirectory = (buffer) => {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Not a valid XLSX file');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    throw new Error(`The workbook has more than ${MAX_ZIP_ENTRIES} parts`);
+  }
+
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const directory = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Not a valid XLSX file');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    directory[name] = {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return directory;
+};
+
+// Opens a zip archive (stored or deflated entries) and returns a reader that
+// extracts one entry by name on demand, or null when it is missing
+const openZip = (buffer) => {
+  const directory = readZipDirectory(buffer);
+  const extracted = new Map();
+  let extractedSize = 0;
+
+  return (name) => {
+    if (extracted.has(name)) return extracted.get(name);
+
+    const entry = directory[name];
+    if (!entry) return null;
+
+    const { method, compressedSize, uncompressedSize, localOffset } = entry;
+
+    if (uncompressedSize > MAX_ZIP_ENTRY_SIZE) {
+      throw new Error(
+        `${name} is larger than ${toMegabytes(MAX_ZIP_ENTRY_SIZE)} MB when uncompressed`
+      );
+    }
+
+    extractedSize += uncompressedSize;
+    if (extractedSize > MAX_ZIP_TOTAL_SIZE) {
+      throw new Error(
+        `The workbook is larger than ${toMegabytes(MAX_ZIP_TOTAL_SIZE)} MB when uncompressed`
+      );
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content = null;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      content = inflateEntry(name, data, uncompressedSize);
+    }
+
+    extracted.set(name, content);
+    return content;
+  };
+};
+
+const decodeXml = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&amp;/g, '&');
+
+// Concatenates every <t> run, which covers plain and rich-text strings
+const readText = (xml) =>
+  Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g))
+    .map((match) => decodeXml(match[1]))
+    .join('');
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+const columnIndex = (cellRef) =>
+  cellRef
+    .replace(/\d+$/, '')
+    .split('')
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Path of the first worksheet in workbook order
+const getFirstSheetPath = (readEntry) => {
+  const workbook = readEntry('xl/workbook.xml')?.toString('utf8') || '';
+  const rels = readEntry('xl/_rels/workbook.xml.rels')?.toString('utf8') || '';
+
+  const sheet = workbook.match(/<sheet\s[^>]*>/);
+  const relationshipId = sheet && getAttribute(sheet[0], 'r:id');
+
+  const relationship = Array.from(rels.matchAll(/<Relationship\s[^>]*>/g))
+    .map((match) => match[0])
+    .find((tag) => getAttribute(tag, 'Id') === relationshipId);
+  const target = relationship && getAttribute(relationship, 'Target');
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+
+  return target.startsWith('/')
+    ? target.slice(1)
+    : path.posix.join('xl', target);
+};
+
+// Values of the first sheet as rows of strings. Formulas contribute their
+// cached result; dates come through as Excel serial numbers.
+const readXlsx = (buffer) => {
+  const readEntry = openZip(buffer);
+  const sheetXml = readEntry(getFirstSheetPath(readEntry))?.toString('utf8');
+
+  if (!sheetXml) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  const sharedStrings = Array.from(
+    (readEntry('xl/sharedStrings.xml')?.toString('utf8') || '').matchAll(
+      /<si>([\s\S]*?)<\/si>/g
+    )
+  ).map((match) => readText(match[1]));
+
+  return Array.from(sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)).map(
+    (rowMatch) => {
+      const row = [];
+
+      for (const cell of rowMatch[1].matchAll(
+        /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+      )) {
+        const attributes = cell[1];
+        const content = cell[2] || '';
+        const ref = getAttribute(attributes, 'r');
+        const type = getAttribute(attributes, 't');
+        const rawValue = content.match(/<v>([\s\S]*?)<\/v>/);
+        const value = rawValue ? decodeXml(rawValue[1]) : '';
+
+        let text = value;
+        if (type === 's') text = sharedStrings[parseInt(value, 10)] ?? '';
+        if (type === 'inlineStr') text = readText(content);
+        if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+
+        row[ref ? columnIndex(ref) : row.length] = text;
+      }
+
+      return Array.from(row, (value) => value ?? '');
+    }
+  );
+};
+
+const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/\s+/g, '_');
+
+// Turns an uploaded CSV or XLSX file into { headers, records }. The first row
+// holds the column names; blank rows are skipped and every record keeps the
+// spreadsheet row number it came from.
+const readSpreadsheet = (file) => {
+  const type = getSpreadsheetType(file.originalname);
+
+  if (!type) {
+    throw new Error('Only .csv and .xlsx files are supported');
+  }
+
+  const rows =
+    type === 'csv'
+      ? parseCsv(file.buffer.toString('utf8'))
+      : readXlsx(file.buffer);
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(normalizeHeader);
+  const records = [];
+
+  rows.slice(1).forEach((row, index) => {
+    if (row.every((value) => String(value).trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = String(row[column] ?? '').trim();
+    });
+
+    records.push({ row: index + 2, values });
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  getSpreadsheetType,
+  parseCsv,
+  readXlsx,
+  readSpreadsheet,
+};
@@ -0,0 +1,196 @@
+const { DEFAULT_IMPORTANCE_WEIGHT } = require('./matchScoring');
+
+const TEAM_STRATEGIES = ['smallest', 'cheapest'];
+
+// There are no rates in the schema, so seniority stands in for cost
+const COST_UNITS_BY_EXPERIENCE = {
+  Junior: 1,
+  'Mid-Level': 1.5,
+  Senior: 2,
+};
+
+const getCandidateCost = (candidate, allocationPercentage) => {
+  const units = COST_UNITS_BY_EXPERIENCE[candidate.experience_level] || 1;
+  return (units * allocationPercentage) / 100;
+};
+
+const getSkillWeight = (skill) =>
+  parseInt(skill.importance_weight, 10) || DEFAULT_IMPORTANCE_WEIGHT;
+
+const coversAll = (members, skillIds) =>
+  skillIds.every((skillId) =>
+    members.some((member) => member.covers.has(skillId))
+  );
+
+// Greedy weighted set cover: repeatedly take the candidate that covers the
+// most outstanding skill weight (per cost unit for the cheapest strategy).
+const solveGreedy = (requiredSkills, candidates, strategy, excludedIds) => {
+  const weightBySkill = new Map(
+    requiredSkills.map((skill) => [skill.skill_id, getSkillWeight(skill)])
+  );
+  const uncovered = new Set(requiredSkills.map((skill) => skill.skill_id));
+  const members = [];
+
+  while (uncovered.size > 0) {
+    let best = null;
+    let bestValue = 0;
+
+    for (const candidate of candidates) {
+      if (excludedIds.has(candidate.personnel_id)) continue;
+      if (members.includes(candidate)) continue;
+
+      let gain = 0;
+      candidate.covers.forEach((skillId) => {
+        if (uncovered.has(skillId)) gain += weightBySkill.get(skillId);
+      });
+
+      if (gain === 0) continue;
+
+      const value = strategy === 'cheapest' ? gain / candidate.cost : gain;
+
+      if (
+        !best ||
+        value > bestValue ||
+        (value === bestValue && candidate.cost < best.cost) ||
+        (value === bestValue &&
+          candidate.cost === best.cost &&
+          candidate.remaining_capacity > best.remaining_capacity)
+      ) {
+        best = candidate;
+        bestValue = value;
+      }
+    }
+
+    if (!best) break;
+
+    members.push(best);
+    best.covers.forEach((skillId) => uncovered.delete(skillId));
+  }
+
+  // Drop anyone made redundant by people picked after them
+  const coverable = requiredSkills
+    .map((skill) => skill.skill_id)
+    .filter((skillId) => !uncovered.has(skillId));
+
+  for (let i = members.length - 1; i >= 0; i--) {
+    const without = members.filter((_, index) => index !== i);
+    if (coversAll(without, coverable)) {
+      members.splice(i, 1);
+    }
+  }
+
+  return {
+    members,
+    uncoveredSkillIds: Array.from(uncovered),
+  };
+};
+
+const compareProposals = (strategy) => (a, b) => {
+  if (a.complete !== b.complete) return a.complete ? -1 : 1;
+  if (a.uncoveredSkills.length !== b.uncoveredSkills.length) {
+    return a.uncoveredSkills.length - b.uncoveredSkills.length;
+  }
+
+  if (strategy === 'cheapest' && a.totalCost !== b.totalCost) {
+    return a.totalCost - b.totalCost;
+  }
+  if (a.teamSize !== b.teamSize) return a.teamSize - b.teamSize;
+
+  return a.totalCost - b.totalCost;
+};
+
+// Builds ranked team proposals for a project's required skills. Each candidate
+// carries `covers` (skill ids met at the required level) and
+// remaining_capacity; preCoveredSkillIds are handled by the current team.
+const buildTeamProposals = (
+  requiredSkills,
+  candidates,
+  {
+    strategy = 'smallest',
+    allocationPercentage = 100,
+    maxAlternatives = 3,
+    preCoveredSkillIds = [],
+  } = {}
+) => {
+  const outstandingSkills = requiredSkills.filter(
+    (skill) => !preCoveredSkillIds.includes(skill.skill_id)
+  );
+  const skillsById = new Map(
+    requiredSkills.map((skill) => [skill.skill_id, skill])
+  );
+
+  const eligible = candidates
+    .filter((candidate) => candidate.remaining_capacity >= allocationPercentage)
+    .map((candidate) => ({
+      ...candidate,
+      covers: new Set(candidate.covers),
+      cost: getCandidateCost(candidate, allocationPercentage),
+    }));
+
+  const toProposal = ({ members, uncoveredSkillIds }) => ({
+    members: members.map((member) => ({
+      personnelId: member.personnel_id,
+      name: member.name,
+      roleTitle: member.role_title,
+      experienceLevel: member.experience_level,
+      allocationPercentage,
+      remainingCapacity: member.remaining_capacity,
+      costUnits: member.cost,
+      coversSkills: outstandingSkills
+        .filter((skill) => member.covers.has(skill.skill_id))
+        .map((skill) => ({
+          skillId: skill.skill_id,
+          skillName: skill.skill_name,
+        })),
+    })),
+    teamSize: members.length,
+    totalCost: members.reduce((sum, member) => sum + member.cost, 0),
+    complete: uncoveredSkillIds.length === 0,
+    uncoveredSkills: uncoveredSkillIds.map((skillId) => ({
+      skillId,
+      skillName: skillsById.get(skillId).skill_name,
+      minimumProficiency: skillsById.get(skillId).minimum_proficiency,
+    })),
+  });
+
+  const primary = solveGreedy(outstandingSkills, eligible, strategy, new Set());
+
+  const proposals = [toProposal(primary)];
+  const seen = new Set([
+    primary.members
+      .map((member) => member.personnel_id)
+      .sort((a, b) => a - b)
+      .join(','),
+  ]);
+
+  // Alternatives: re-solve with each primary member left out in turn
+  for (const member of primary.members) {
+    const alternative = solveGreedy(
+      outstandingSkills,
+      eligible,
+      strategy,
+      new Set([member.personnel_id])
+    );
+    const key = alternative.members
+      .map((m) => m.personnel_id)
+      .sort((a, b) => a - b)
+      .join(',');
+
+    if (alternative.members.length === 0 || seen.has(key)) continue;
+
+    seen.add(key);
+    proposals.push(toProposal(alternative));
+  }
+
+  const [best, ...alternatives] = proposals;
+
+  return [best, ...alternatives.sort(compareProposals(strategy))]
+    .slice(0, maxAlternatives + 1)
+    .map((proposal, index) => ({ rank: index + 1, ...proposal }));
+};
+
+module.exports = {
+  TEAM_STRATEGIES,
+  COST_UNITS_BY_EXPERIENCE,
+  buildTeamProposals,
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// token_version lets "log out all sessions" invalidate access tokens that
+// were issued before it, without waiting for them to expire
+const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      approval_status: user.approval_status,
+      token_version: user.token_version || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// Only the hash is stored; the raw token is returned to the client once
+const issueRefreshToken = async (
+  userId,
+  familyId = crypto.randomUUID(),
+  connection = pool
+) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const [result] = await connection.execute(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ${REFRESH_TOKEN_TTL_DAYS} DAY))`,
+    [userId, hashToken(token), familyId]
+  );
+
+  return { token, id: result.insertId };
+};
+
+// Exchanges a refresh token for a new one in the same family. Presenting a
+// token that was already rotated means it leaked, so the whole family is
+// revoked. Returns { userId, refreshToken } or { error } with a reason.
+const rotateRefreshToken = async (token) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT id, user_id, family_id, revoked_at, expires_at <= NOW() as expired
+       FROM refresh_tokens
+       WHERE token_hash = ?
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { error: 'invalid' };
+    }
+
+    const current = rows[0];
+
+    if (current.revoked_at) {
+      await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+        [current.family_id]
+      );
+      await connection.commit();
+      return { error: 'reused' };
+    }
+
+    if (current.expired) {
+      await connection.rollback();
+      return { error: 'expired' };
+    }
+
+    const replacement = await issueRefreshToken(
+      current.user_id,
+      current.family_id,
+      connection
+    );
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by_id = ? WHERE id = ?',
+      [replacement.id, current.id]
+    );
+
+    await connection.commit();
+
+    return { userId: current.user_id, refreshToken: replacement.token };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Returns true when an active token was revoked
+const revokeRefreshToken = async (token) => {
+  const [result] = await pool.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashToken(token)]
+  );
+
+  return result.affectedRows > 0;
+};
+
+// Ends every session for the user: refresh tokens stop rotating and access
+// tokens fail the token_version check in authenticateToken
+const revokeAllUserTokens = async (userId, connection = pool) => {
+  await connection.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  await connection.execute(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [userId]
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+};
@@ -0,0 +1,20 @@
+const MIN_PASSWORD_LENGTH = 6;
+
+// Returns why `password` cannot be used, or null when it is fine. Checks the
+// type first so arrays and objects from a JSON body never reach bcrypt.
+const getPasswordError = (password, label = 'Password') => {
+  if (typeof password !== 'string') {
+    return `${label} must be a string`;
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `${label} must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  getPasswordError,
+};
@@ -1,6 +1,20 @@
 const { body, validationResult } = require('express-validator');
 
-const validateCreatePersonnel = [
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+      },
+    });
+  }
+  next();
+};
+
+const createPersonnelRules = [
   body('name')
     .trim()
     .notEmpty()
@@ -64,20 +78,11 @@ const validateCreatePersonnel = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Years of experience must be a positive number'),
+];
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-        },
-      });
-    }
-    next();
-  },
+const validateCreatePersonnel = [
+  ...createPersonnelRules,
+  handleValidationErrors,
 ];
 
 const validateUpdatePersonnel = [
@@ -149,22 +154,24 @@ const validateUpdatePersonnel = [
     .isFloat({ min: 0 })
     .withMessage('Years of experience must be a positive number'),
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-        },
-      });
-    }
-    next();
-  },
+  handleValidationErrors,
 ];
 
+// Runs the create rules against a plain object such as an imported row.
+// Returns the sanitized values and the validation errors.
+const validatePersonnelRecord = async (record) => {
+  const req = { body: { ...record } };
+
+  for (const rule of createPersonnelRules) {
+    await rule.run(req);
+  }
+
+  return { data: req.body, errors: validationResult(req).array() };
+};
+
 module.exports = {
+  handleValidationErrors,
   validateCreatePersonnel,
+  validatePersonnelRecord,
   validateUpdatePersonnel,
 };
@@ -1 +1,17 @@
-module.exports = {};
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./personnel.validator');
+
+// The controller decides when a comment is required; here it only has to be
+// text if it is sent at all
+const validateSkillClaimReview = [
+  body('comment')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Comment must be a string'),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateSkillClaimReview,
+};
@@ -0,0 +1,195 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { formatDate } = require('../../src/utils/helpers');
+
+describe('Allocation Alerts API', () => {
+  let managerToken, employeeToken;
+  let testPerson, testProject, availabilityId, unavailableAlert;
+  const stamp = Date.now();
+
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+  };
+
+  const getPersonAlerts = (query = '') =>
+    request(app)
+      .get(`/api/alerts?personnel_id=${testPerson.id}${query}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `alerttest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `alerttest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    testPerson = await createTestPersonnel({
+      name: `AlertTest Person ${stamp}`,
+      email: `alerttest-person${stamp}@example.com`,
+    });
+
+    testProject = await createTestProject({
+      project_name: `AlertTest Project ${stamp}`,
+      start_date: daysFromToday(7),
+      end_date: daysFromToday(90),
+    });
+
+    const availability = await request(app)
+      .post('/api/availability')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        personnel_id: testPerson.id,
+        start_date: daysFromToday(20),
+        end_date: daysFromToday(26),
+        availability_percentage: 0,
+        notes: 'Holiday',
+      })
+      .expect(201);
+    availabilityId = availability.body.data.id;
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'AlertTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'alerttest-%'`);
+    await cleanupTestData('users', `email LIKE 'alerttest-%'`);
+  });
+
+  describe('detection on writes', () => {
+    it('should open an alert for an allocation over a 0% period', async () => {
+      await request(app)
+        .post('/api/allocations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_id: testProject.id,
+          personnel_id: testPerson.id,
+          allocation_percentage: 50,
+          start_date: daysFromToday(7),
+          end_date: daysFromToday(70),
+        })
+        .expect(201);
+
+      const response = await getPersonAlerts();
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          alert_type: 'unavailable',
+          alert_status: 'open',
+          project_id: testProject.id,
+        }),
+      ]);
+      unavailableAlert = response.body.data[0];
+    });
+
+    it('should open an alert when the project no longer covers the allocation', async () => {
+      await request(app)
+        .put(`/api/projects/${testProject.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ end_date: daysFromToday(60) })
+        .expect(200);
+
+      const response = await getPersonAlerts('&type=outside_project_dates');
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          alert_status: 'open',
+          end_date: daysFromToday(70),
+          details: expect.objectContaining({
+            project_end_date: daysFromToday(60),
+          }),
+        }),
+      ]);
+    });
+  });
+
+  describe('POST /api/alerts/:id/acknowledge', () => {
+    it('should acknowledge an open alert', async () => {
+      const response = await request(app)
+        .post(`/api/alerts/${unavailableAlert.id}/acknowledge`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.alert_status).toBe('acknowledged');
+      expect(response.body.data.acknowledged_by_email).toBe(
+        `alerttest-manager${stamp}@example.com`
+      );
+    });
+
+    it('should keep the alert acknowledged while the conflict remains', async () => {
+      await request(app)
+        .post('/api/alerts/scan')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const response = await getPersonAlerts('&type=unavailable');
+      expect(response.body.data[0]).toMatchObject({
+        id: unavailableAlert.id,
+        alert_status: 'acknowledged',
+      });
+    });
+  });
+
+  describe('POST /api/alerts/:id/resolve', () => {
+    it('should resolve the alert once the conflict is gone', async () => {
+      await request(app)
+        .delete(`/api/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const response = await getPersonAlerts('&status=resolved');
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          id: unavailableAlert.id,
+          resolved_by: null,
+          resolution_note: 'Conflict no longer detected',
+        }),
+      ]);
+    });
+
+    it('should let a manager resolve an alert', async () => {
+      const open = await getPersonAlerts('&status=open');
+
+      const response = await request(app)
+        .post(`/api/alerts/${open.body.data[0].id}/resolve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ note: 'Project end date is being extended' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        alert_status: 'resolved',
+        resolution_note: 'Project end date is being extended',
+      });
+
+      await request(app)
+        .post(`/api/alerts/${open.body.data[0].id}/resolve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/alerts', () => {
+    it('should reject an invalid type', async () => {
+      await request(app)
+        .get('/api/alerts?type=unknown')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+
+    it('should not be available to employees', async () => {
+      await request(app)
+        .get('/api/alerts')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -498,6 +498,70 @@ describe('Allocation API', () => {
     });
   });
 
+  describe('Concurrent Allocation', () => {
+    const allocate = (projectId, allocationPercentage) =>
+      request(app)
+        .post('/api/allocations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_id: projectId,
+          personnel_id: testPersonnel.id,
+          allocation_percentage: allocationPercentage,
+          start_date: '2025-05-01',
+          end_date: '2025-06-30',
+        });
+
+    it('should not exceed capacity when requests race', async () => {
+      const responses = await Promise.all([
+        allocate(testProject1.id, 60),
+        allocate(testProject2.id, 60),
+      ]);
+
+      const statuses = responses.map((response) => response.status).sort();
+      expect(statuses).toEqual([201, 409]);
+
+      const [allocations] = await pool.execute(
+        'SELECT SUM(allocation_percentage) as total FROM project_allocations WHERE personnel_id = ?',
+        [testPersonnel.id]
+      );
+      expect(Number(allocations[0].total)).toBe(60);
+    });
+
+    it('should return the competing allocation on conflict', async () => {
+      const first = await allocate(testProject1.id, 70).expect(201);
+
+      const response = await allocate(testProject2.id, 40).expect(409);
+
+      const { details } = response.body.error;
+      expect(details.totalAllocation).toBe(110);
+      expect(details.competingAllocations.length).toBe(1);
+      expect(details.competingAllocations[0].id).toBe(first.body.data.id);
+      expect(details.competingAllocations[0].project_id).toBe(testProject1.id);
+      expect(details.competingAllocations[0].allocation_percentage).toBe(70);
+    });
+
+    it('should reject an update that would exceed capacity', async () => {
+      await allocate(testProject1.id, 50).expect(201);
+      const second = await allocate(testProject2.id, 50).expect(201);
+
+      const response = await request(app)
+        .put(`/api/allocations/${second.body.data.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_percentage: 80 })
+        .expect(409);
+
+      expect(response.body.error.details.competingAllocations[0].project_id).toBe(
+        testProject1.id
+      );
+
+      const [rows] = await pool.execute(
+        'SELECT allocation_percentage FROM project_allocations WHERE id = ?',
+        [second.body.data.id]
+      );
+      expect(rows[0].allocation_percentage).toBe(50);
+    });
+  });
+
   describe('GET /api/allocations/personnel/:personnelId', () => {
     beforeEach(async () => {
       await pool.execute(
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { formatDate } = require('../../src/utils/helpers');
+
+describe('Allocation Status API', () => {
+  let managerToken;
+  let testPersonnel, firmProject, pitchProject, otherPitchProject;
+  let tentativeAllocation, proposedAllocation;
+  const stamp = Date.now();
+
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+  };
+
+  const allocate = (project, allocation_percentage, allocation_status) =>
+    request(app)
+      .post('/api/allocations')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        project_id: project.id,
+        personnel_id: testPersonnel.id,
+        allocation_percentage,
+        start_date: daysFromToday(7),
+        end_date: daysFromToday(35),
+        allocation_status,
+      });
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `allocstatustest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    testPersonnel = await createTestPersonnel({
+      name: `AllocStatusTest Person ${stamp}`,
+      email: `allocstatustest-person${stamp}@example.com`,
+    });
+
+    const projectDates = {
+      start_date: daysFromToday(0),
+      end_date: daysFromToday(90),
+    };
+    firmProject = await createTestProject({
+      project_name: `AllocStatusTest Firm ${stamp}`,
+      ...projectDates,
+    });
+    pitchProject = await createTestProject({
+      project_name: `AllocStatusTest Pitch ${stamp}`,
+      ...projectDates,
+    });
+    otherPitchProject = await createTestProject({
+      project_name: `AllocStatusTest Other Pitch ${stamp}`,
+      ...projectDates,
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'AllocStatusTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'allocstatustest-%'`);
+    await cleanupTestData('users', `email LIKE 'allocstatustest-%'`);
+  });
+
+  describe('POST /api/allocations', () => {
+    it('should default to a confirmed allocation', async () => {
+      const response = await allocate(firmProject, 60).expect(201);
+
+      expect(response.body.data.allocation_status).toBe('confirmed');
+      expect(response.body.warnings).toEqual([]);
+    });
+
+    it('should pencil someone in beyond their capacity with a warning', async () => {
+      const response = await allocate(pitchProject, 60, 'tentative').expect(
+        201
+      );
+
+      tentativeAllocation = response.body.data;
+      expect(response.body.warnings).toEqual([
+        expect.objectContaining({ type: 'over_allocation' }),
+      ]);
+    });
+
+    it('should warn when tentative bookings compete for the same person', async () => {
+      const response = await allocate(otherPitchProject, 30, 'proposed').expect(
+        201
+      );
+
+      proposedAllocation = response.body.data;
+      expect(response.body.warnings).toEqual([
+        expect.objectContaining({
+          type: 'tentative_conflict',
+          competingAllocations: [
+            expect.objectContaining({ id: tentativeAllocation.id }),
+          ],
+        }),
+      ]);
+    });
+
+    it('should not create released allocations', async () => {
+      await allocate(firmProject, 10, 'released').expect(400);
+    });
+  });
+
+  describe('GET /api/allocations/team/utilization', () => {
+    it('should report tentative bookings as a separate layer', async () => {
+      const response = await request(app)
+        .get('/api/allocations/team/utilization')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const person = response.body.data.find(
+        (row) => row.personnel_id === testPersonnel.id
+      );
+      expect(person.total_utilization).toBeGreaterThan(0);
+      expect(person.tentative_utilization).toBeGreaterThan(0);
+      expect(person.peak_with_tentative).toBe(150);
+      expect(person.tentative_conflict).toBe(true);
+    });
+  });
+
+  describe('POST /api/allocations/:id/status', () => {
+    it('should not confirm a booking that does not fit', async () => {
+      const response = await request(app)
+        .post(`/api/allocations/${tentativeAllocation.id}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'confirmed' })
+        .expect(409);
+
+      expect(response.body.error.details.totalAllocation).toBe(120);
+    });
+
+    it('should not change the status with a regular update', async () => {
+      const response = await request(app)
+        .put(`/api/allocations/${tentativeAllocation.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_status: 'confirmed' })
+        .expect(400);
+
+      expect(response.body.error.hint).toContain('/status');
+    });
+  });
+
+  describe('POST /api/allocations/bulk-status', () => {
+    it('should release bookings in bulk', async () => {
+      const response = await request(app)
+        .post('/api/allocations/bulk-status')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_ids: [tentativeAllocation.id], status: 'released' })
+        .expect(200);
+
+      expect(response.body.updated_allocation_ids).toEqual([
+        tentativeAllocation.id,
+      ]);
+    });
+
+    it('should confirm bookings in bulk once they fit', async () => {
+      const response = await request(app)
+        .post('/api/allocations/bulk-status')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_ids: [proposedAllocation.id], status: 'confirmed' })
+        .expect(200);
+
+      expect(response.body.warnings).toEqual([]);
+    });
+
+    it('should treat released as final', async () => {
+      const response = await request(app)
+        .post('/api/allocations/bulk-status')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_ids: [tentativeAllocation.id], status: 'confirmed' })
+        .expect(409);
+
+      expect(response.body.error.details).toMatchObject({
+        allocationId: tentativeAllocation.id,
+        currentStatus: 'released',
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Audit Log API', () => {
+  let adminToken, managerToken, manager;
+  let skillId;
+
+  beforeAll(async () => {
+    const admin = await createTestUser({
+      email: `audittest-admin${Date.now()}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(admin);
+
+    manager = await createTestUser({
+      email: `audittest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const createResponse = await request(app)
+      .post('/api/skills')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        skill_name: `AuditTestSkill${Date.now()}`,
+        category: 'Tool',
+      })
+      .expect(201);
+    skillId = createResponse.body.data.id;
+
+    await request(app)
+      .put(`/api/skills/${skillId}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ description: 'Updated for audit test' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('audit_logs', `entity = 'skill' AND entity_id = ${skillId}`);
+    await cleanupTestData('skills', `skill_name LIKE 'AuditTest%'`);
+    await cleanupTestData('users', `email LIKE 'audittest%'`);
+  });
+
+  describe('GET /api/audit', () => {
+    it('should record creates with the acting user', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entity: 'skill', entity_id: skillId, action: 'create' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].actor_user_id).toBe(manager.id);
+      expect(response.body.data[0].before_data).toBeNull();
+      expect(response.body.data[0].after_data.id).toBe(skillId);
+    });
+
+    it('should record before and after state for updates', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entity: 'skill', entity_id: skillId, action: 'update' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [log] = response.body.data;
+      expect(log.before_data.description).toBeNull();
+      expect(log.after_data.description).toBe('Updated for audit test');
+    });
+
+    it('should filter by actor', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ actor_user_id: manager.id })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      response.body.data.forEach((log) => {
+        expect(log.actor_email).toBe(manager.email);
+      });
+    });
+
+    it('should reject an invalid entity filter', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entity: 'invoice' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toContain('entity');
+    });
+
+    it('should deny managers', async () => {
+      await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+    });
+
+    it('should fail without token', async () => {
+      await request(app).get('/api/audit').expect(401);
+    });
+  });
+});
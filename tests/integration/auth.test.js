@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { pool } = require('../../src/config/database');
 
 describe('Authentication API', () => {
@@ -377,5 +380,306 @@ describe('Authentication API', () => {
       await cleanupTestData('users', `id = ${otherUser.id}`);
     });
   });
-});
 
+  describe('Refresh tokens and logout', () => {
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'password123' })
+        .expect(200);
+      return response.body;
+    };
+
+    beforeEach(async () => {
+      testUser = await createTestUser({
+        email: `authtest${Date.now()}@example.com`,
+        approval_status: 'approved',
+        role: 'manager',
+      });
+    });
+
+    it('should return a refresh token on login', async () => {
+      const body = await login();
+
+      expect(body).toHaveProperty('refreshToken');
+      expect(body).toHaveProperty('expiresIn');
+    });
+
+    it('should rotate the refresh token', async () => {
+      const { refreshToken } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body).toHaveProperty('token');
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the whole family when a refresh token is reused', async () => {
+      const { refreshToken } = await login();
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.error.message).toContain('already been used');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should fail to refresh without a token', async () => {
+      await request(app).post('/api/auth/refresh').send({}).expect(400);
+    });
+
+    it('should not refresh after logout', async () => {
+      const { refreshToken } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should invalidate every session on logout-all', async () => {
+      const first = await login();
+      const second = await login();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke tokens when a manager is rejected', async () => {
+      const session = await login();
+      const admin = await createTestUser({
+        email: `authtest-admin${Date.now()}@example.com`,
+        role: 'admin',
+        approval_status: 'approved',
+      });
+
+      await request(app)
+        .put(`/api/managers/${testUser.id}/reject`)
+        .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    const outboxFile = path.join(os.tmpdir(), `auth-test-outbox-${Date.now()}.log`);
+
+    const lastEmailTo = (email) => {
+      const messages = fs
+        .readFileSync(outboxFile, 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line))
+        .filter((message) => message.to === email);
+      return messages[messages.length - 1];
+    };
+
+    const resetTokenFor = (email) =>
+      lastEmailTo(email).text.match(/token=([a-f0-9]+)/)[1];
+
+    beforeAll(() => {
+      process.env.EMAIL_TRANSPORT = 'file';
+      process.env.EMAIL_OUTBOX_FILE = outboxFile;
+    });
+
+    afterAll(() => {
+      delete process.env.EMAIL_TRANSPORT;
+      delete process.env.EMAIL_OUTBOX_FILE;
+      if (fs.existsSync(outboxFile)) fs.unlinkSync(outboxFile);
+    });
+
+    beforeEach(async () => {
+      testUser = await createTestUser({
+        email: `authtest${Date.now()}@example.com`,
+        approval_status: 'approved',
+        role: 'manager',
+      });
+    });
+
+    it('should give the same answer for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'authtest-nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should reset the password with the emailed token once', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      const token = resetTokenFor(testUser.email);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'brandnew123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'brandnew123' })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'another123' })
+        .expect(400);
+
+      expect(reuse.body.error.message).toContain('already been used');
+    });
+
+    it('should store only the hash of the reset token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      const token = resetTokenFor(testUser.email);
+      const [rows] = await pool.execute(
+        'SELECT token_hash FROM password_reset_tokens WHERE user_id = ?',
+        [testUser.id]
+      );
+
+      expect(rows.length).toBe(1);
+      expect(rows[0].token_hash).not.toBe(token);
+    });
+
+    it('should reject expired reset tokens', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      await pool.execute(
+        'UPDATE password_reset_tokens SET expires_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE user_id = ?',
+        [testUser.id]
+      );
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({
+          token: resetTokenFor(testUser.email),
+          newPassword: 'brandnew123',
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('expired');
+    });
+
+    it('should force a password change after an admin reset', async () => {
+      const admin = await createTestUser({
+        email: `authtest-admin${Date.now()}@example.com`,
+        role: 'admin',
+        approval_status: 'approved',
+      });
+
+      await request(app)
+        .post(`/api/auth/users/${testUser.id}/reset-password`)
+        .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+        .send({ temporaryPassword: 'temporary123' })
+        .expect(200);
+
+      expect(lastEmailTo(testUser.email).text).toContain('temporary123');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'temporary123' })
+        .expect(200);
+
+      expect(login.body.user.must_change_password).toBe(true);
+
+      await request(app)
+        .get('/api/personnel')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(403);
+
+      await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ currentPassword: 'temporary123', newPassword: 'myown123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/personnel')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+    });
+
+    it('should reject passwords that are not strings', async () => {
+      const admin = await createTestUser({
+        email: `authtest-admin-types${Date.now()}@example.com`,
+        role: 'admin',
+        approval_status: 'approved',
+      });
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'some-token', newPassword: ['a', 'b', 'c', 'd', 'e', 'f'] })
+        .expect(400);
+      expect(reset.body.error.message).toContain('must be a string');
+
+      const adminReset = await request(app)
+        .post(`/api/auth/users/${testUser.id}/reset-password`)
+        .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+        .send({ temporaryPassword: { length: 10 } })
+        .expect(400);
+      expect(adminReset.body.error.message).toContain('must be a string');
+    });
+
+    it('should only let admins reset other users passwords', async () => {
+      await request(app)
+        .post(`/api/auth/users/${testUser.id}/reset-password`)
+        .set('Authorization', `Bearer ${generateTestToken(testUser)}`)
+        .expect(403);
+    });
+  });
+});
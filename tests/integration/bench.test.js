@@ -0,0 +1,131 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+const { formatDate } = require('../../src/utils/helpers');
+
+describe('Bench API', () => {
+  let managerToken, employeeToken;
+  let rustSkill, busyPerson, currentProject, openProject;
+  const stamp = Date.now();
+
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+  };
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `benchtest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `benchtest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    rustSkill = await createTestSkill({ skill_name: `BenchTestRust${stamp}` });
+
+    busyPerson = await createTestPersonnel({
+      name: `BenchTest Person ${stamp}`,
+      email: `benchtest-person${stamp}@example.com`,
+    });
+    await pool.execute(
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+      [busyPerson.id, rustSkill.id, 'Expert', 6]
+    );
+
+    currentProject = await createTestProject({
+      project_name: `BenchTest Current ${stamp}`,
+      start_date: daysFromToday(-30),
+      end_date: daysFromToday(60),
+      status: 'Active',
+    });
+    await pool.execute(
+      'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+      [
+        currentProject.id,
+        busyPerson.id,
+        100,
+        daysFromToday(-30),
+        daysFromToday(10),
+      ]
+    );
+
+    openProject = await createTestProject({
+      project_name: `BenchTest Open ${stamp}`,
+      start_date: daysFromToday(14),
+      end_date: daysFromToday(120),
+    });
+    await pool.execute(
+      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [openProject.id, rustSkill.id, 'Advanced', 5]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'BenchTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'benchtest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'BenchTest%'`);
+    await cleanupTestData('users', `email LIKE 'benchtest-%'`);
+  });
+
+  describe('GET /api/allocations/bench', () => {
+    it('should list people rolling off within the horizon', async () => {
+      const response = await request(app)
+        .get('/api/allocations/bench?horizon=4')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.horizon_weeks).toBe(4);
+
+      const person = response.body.data.find(
+        (row) => row.personnel_id === busyPerson.id
+      );
+      expect(person).toMatchObject({
+        current_allocation: 100,
+        on_bench_now: false,
+        rolling_off: [
+          expect.objectContaining({
+            project_id: currentProject.id,
+            end_date: daysFromToday(10),
+          }),
+        ],
+        top_skills: [expect.objectContaining({ skill_id: rustSkill.id })],
+        suggested_projects: [
+          expect.objectContaining({ project_id: openProject.id }),
+        ],
+      });
+      expect(person.free_from > daysFromToday(10)).toBe(true);
+    });
+
+    it('should leave out people who are still booked after the horizon', async () => {
+      const response = await request(app)
+        .get('/api/allocations/bench?horizon=1')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const personnelIds = response.body.data.map((row) => row.personnel_id);
+      expect(personnelIds).not.toContain(busyPerson.id);
+    });
+
+    it('should reject an invalid horizon', async () => {
+      await request(app)
+        .get('/api/allocations/bench?horizon=0')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+
+    it('should not be available to employees', async () => {
+      await request(app)
+        .get('/api/allocations/bench')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+});
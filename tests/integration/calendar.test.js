@@ -0,0 +1,212 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Calendar Feed API', () => {
+  let managerToken, employeeToken, otherEmployeeToken;
+  let testPersonnel, otherPersonnel, testProject;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const managerUser = await createTestUser({
+      email: `calendartest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(managerUser);
+
+    const employeeUser = await createTestUser({
+      email: `calendartest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employeeUser);
+
+    const otherEmployeeUser = await createTestUser({
+      email: `calendartest-other${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    otherEmployeeToken = generateTestToken(otherEmployeeUser);
+
+    testPersonnel = await createTestPersonnel({
+      name: `CalendarTest Person ${stamp}`,
+      email: `calendartest-person${stamp}@example.com`,
+      user_id: employeeUser.id,
+    });
+    otherPersonnel = await createTestPersonnel({
+      name: `CalendarTest Other ${stamp}`,
+      email: `calendartest-otherperson${stamp}@example.com`,
+      user_id: otherEmployeeUser.id,
+    });
+
+    const start = new Date();
+    const end = new Date();
+    end.setMonth(end.getMonth() + 2);
+    const startDate = start.toISOString().slice(0, 10);
+    const endDate = end.toISOString().slice(0, 10);
+
+    testProject = await createTestProject({
+      project_name: `CalendarTest Project ${stamp}`,
+      start_date: startDate,
+      end_date: endDate,
+    });
+
+    await pool.execute(
+      'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, role_in_project) VALUES (?, ?, ?, ?, ?, ?)',
+      [testProject.id, testPersonnel.id, 60, startDate, endDate, 'Tech Lead']
+    );
+    await pool.execute(
+      'INSERT INTO personnel_availability (personnel_id, start_date, end_date, availability_percentage, notes) VALUES (?, ?, ?, ?, ?)',
+      [testPersonnel.id, startDate, startDate, 0, 'Annual leave']
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'CalendarTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'calendartest-%'`);
+    await cleanupTestData('users', `email LIKE 'calendartest-%'`);
+  });
+
+  const feedPath = (url) => url.replace(/^https?:\/\/[^/]+/, '');
+
+  describe('personnel feeds', () => {
+    let feed;
+
+    it('should let an employee subscribe to their own calendar', async () => {
+      const response = await request(app)
+        .post(`/api/calendar/personnel/${testPersonnel.id}/tokens`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ label: 'Phone' })
+        .expect(201);
+
+      feed = response.body.data;
+      expect(feed.url).toMatch(
+        new RegExp(`/api/calendar/personnel/${testPersonnel.id}\\.ics\\?token=`)
+      );
+    });
+
+    it('should not let an employee subscribe to someone else', async () => {
+      await request(app)
+        .post(`/api/calendar/personnel/${testPersonnel.id}/tokens`)
+        .set('Authorization', `Bearer ${otherEmployeeToken}`)
+        .expect(403);
+    });
+
+    it('should serve allocations and time off without a JWT', async () => {
+      const response = await request(app)
+        .get(feedPath(feed.url))
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200);
+
+      const calendar = response.text.replace(/\r\n /g, '');
+      expect(calendar).toContain('BEGIN:VCALENDAR');
+      expect(calendar).toContain(`SUMMARY:CalendarTest Project ${stamp} (60%)`);
+      expect(calendar).toContain('Role: Tech Lead');
+      expect(calendar).toContain('SUMMARY:Unavailable');
+      expect(calendar).toContain('Annual leave');
+    });
+
+    it('should reject a token used for another feed', async () => {
+      const token = new URL(feed.url).searchParams.get('token');
+
+      await request(app)
+        .get(`/api/calendar/personnel/${otherPersonnel.id}.ics?token=${token}`)
+        .expect(401);
+    });
+
+    it('should list and revoke feed tokens', async () => {
+      const listResponse = await request(app)
+        .get('/api/calendar/tokens')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(listResponse.body.data).toEqual([
+        expect.objectContaining({
+          id: feed.id,
+          label: 'Phone',
+          resource_name: `CalendarTest Person ${stamp}`,
+        }),
+      ]);
+      expect(listResponse.body.data[0].token_hash).toBeUndefined();
+
+      await request(app)
+        .delete(`/api/calendar/tokens/${feed.id}`)
+        .set('Authorization', `Bearer ${otherEmployeeToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/calendar/tokens/${feed.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      await request(app).get(feedPath(feed.url)).expect(401);
+    });
+  });
+
+  describe('project feeds', () => {
+    it('should publish the team allocations to managers', async () => {
+      const tokenResponse = await request(app)
+        .post(`/api/calendar/projects/${testProject.id}/tokens`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .get(feedPath(tokenResponse.body.data.url))
+        .expect(200);
+
+      const calendar = response.text.replace(/\r\n /g, '');
+      expect(calendar).toContain(
+        `SUMMARY:CalendarTest Person ${stamp} - Tech Lead (60%)`
+      );
+      expect(calendar).toContain(
+        `SUMMARY:CalendarTest Person ${stamp}: Unavailable`
+      );
+    });
+
+    it('should only let employees subscribe to projects they are on', async () => {
+      await request(app)
+        .post(`/api/calendar/projects/${testProject.id}/tokens`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(201);
+
+      await request(app)
+        .post(`/api/calendar/projects/${testProject.id}/tokens`)
+        .set('Authorization', `Bearer ${otherEmployeeToken}`)
+        .expect(403);
+    });
+
+    it("should only show employees their own time off, not their teammates'", async () => {
+      await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+        [testProject.id, otherPersonnel.id, 40, testProject.start_date, testProject.end_date]
+      );
+      await pool.execute(
+        'INSERT INTO personnel_availability (personnel_id, start_date, end_date, availability_percentage, notes) VALUES (?, ?, ?, ?, ?)',
+        [otherPersonnel.id, testProject.start_date, testProject.start_date, 50, 'Dentist']
+      );
+
+      const tokenResponse = await request(app)
+        .post(`/api/calendar/projects/${testProject.id}/tokens`)
+        .set('Authorization', `Bearer ${otherEmployeeToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .get(feedPath(tokenResponse.body.data.url))
+        .expect(200);
+
+      const calendar = response.text.replace(/\r\n /g, '');
+      expect(calendar).toContain(
+        `SUMMARY:CalendarTest Other ${stamp}: Reduced availability (50%)`
+      );
+      expect(calendar).not.toContain('Annual leave');
+      expect(calendar).not.toContain(`CalendarTest Person ${stamp}: Unavailable`);
+    });
+
+    it('should reject a missing token', async () => {
+      await request(app)
+        .get(`/api/calendar/projects/${testProject.id}.ics`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Employee Self-Service', () => {
+  const outboxFile = path.join(os.tmpdir(), `employee-test-outbox-${Date.now()}.log`);
+  let managerToken, employeeToken;
+  let employee, ownPersonnel, otherPersonnel, testSkill, testProject;
+
+  beforeAll(async () => {
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.EMAIL_OUTBOX_FILE = outboxFile;
+
+    const manager = await createTestUser({
+      email: `employeetest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    employee = await createTestUser({
+      email: `employeetest-user${Date.now()}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    ownPersonnel = await createTestPersonnel({
+      name: 'EmployeeTest Own',
+      email: employee.email,
+      user_id: employee.id,
+    });
+
+    otherPersonnel = await createTestPersonnel({
+      name: 'EmployeeTest Other',
+      email: `employeetest-other${Date.now()}@example.com`,
+    });
+
+    testSkill = await createTestSkill({
+      skill_name: `EmployeeTest Skill ${Date.now()}`,
+    });
+
+    testProject = await createTestProject({
+      project_name: `EmployeeTest Project ${Date.now()}`,
+      start_date: '2025-03-01',
+      end_date: '2025-06-30',
+      status: 'Active',
+    });
+
+    await pool.execute(
+      `INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date)
+       VALUES (?, ?, 50, '2025-03-01', '2025-06-30')`,
+      [testProject.id, ownPersonnel.id]
+    );
+  });
+
+  afterAll(async () => {
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.EMAIL_OUTBOX_FILE;
+    if (fs.existsSync(outboxFile)) fs.unlinkSync(outboxFile);
+
+    await cleanupTestData('project_allocations', `project_id = ${testProject.id}`);
+    await cleanupTestData('personnel', `email LIKE 'employeetest%'`);
+    await cleanupTestData('projects', `project_name LIKE 'EmployeeTest%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'EmployeeTest%'`);
+    await cleanupTestData('users', `email LIKE 'employeetest%'`);
+  });
+
+  describe('Profile', () => {
+    it('should let an employee view their own profile', async () => {
+      await request(app)
+        .get(`/api/personnel/${ownPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+    });
+
+    it("should not let an employee view someone else's profile", async () => {
+      await request(app)
+        .get(`/api/personnel/${otherPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+
+    it('should not let an employee list all personnel', async () => {
+      await request(app)
+        .get('/api/personnel')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+
+    it('should let an employee update their bio', async () => {
+      const response = await request(app)
+        .put(`/api/personnel/${ownPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ bio: 'Updated by myself' })
+        .expect(200);
+
+      expect(response.body.data.bio).toBe('Updated by myself');
+    });
+
+    it('should not let an employee change other profile fields', async () => {
+      const response = await request(app)
+        .put(`/api/personnel/${ownPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ experience_level: 'Senior' })
+        .expect(403);
+
+      expect(response.body.error.message).toContain('bio');
+    });
+  });
+
+  describe('Allocations and projects', () => {
+    it('should let an employee view their own allocations and utilization', async () => {
+      await request(app)
+        .get(`/api/allocations/personnel/${ownPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/allocations/personnel/${ownPersonnel.id}/utilization`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+    });
+
+    it("should not let an employee view someone else's allocations", async () => {
+      await request(app)
+        .get(`/api/allocations/personnel/${otherPersonnel.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+
+      await request(app)
+        .get('/api/allocations')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+
+    it('should only list projects the employee is allocated to', async () => {
+      const response = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((project) => project.id)).toEqual([
+        testProject.id,
+      ]);
+    });
+  });
+
+  describe('Availability', () => {
+    afterEach(async () => {
+      await cleanupTestData(
+        'personnel_availability',
+        `personnel_id IN (${ownPersonnel.id}, ${otherPersonnel.id})`
+      );
+    });
+
+    it('should let an employee set their own availability', async () => {
+      await request(app)
+        .post('/api/availability')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({
+          personnel_id: ownPersonnel.id,
+          start_date: '2025-08-01',
+          end_date: '2025-08-15',
+          availability_percentage: 0,
+          notes: 'Vacation',
+        })
+        .expect(201);
+    });
+
+    it("should not let an employee set someone else's availability", async () => {
+      await request(app)
+        .post('/api/availability')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({
+          personnel_id: otherPersonnel.id,
+          start_date: '2025-08-01',
+          end_date: '2025-08-15',
+          availability_percentage: 0,
+        })
+        .expect(403);
+    });
+  });
+
+  describe('Skill proposals', () => {
+    afterEach(async () => {
+      await cleanupTestData('skill_claims', `personnel_id = ${ownPersonnel.id}`);
+      await cleanupTestData('personnel_skills', `personnel_id = ${ownPersonnel.id}`);
+    });
+
+    it('should store an employee skill change as a pending claim', async () => {
+      const response = await request(app)
+        .post(`/api/personnel/${ownPersonnel.id}/skills`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ skill_id: testSkill.id, proficiency_level: 'Advanced' })
+        .expect(202);
+
+      expect(response.body.data.status).toBe('pending');
+
+      const [skills] = await pool.execute(
+        'SELECT id FROM personnel_skills WHERE personnel_id = ?',
+        [ownPersonnel.id]
+      );
+      expect(skills.length).toBe(0);
+    });
+
+    it('should keep a single pending claim per skill', async () => {
+      await pool.execute(
+        'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level) VALUES (?, ?, ?)',
+        [ownPersonnel.id, testSkill.id, 'Beginner']
+      );
+
+      for (const level of ['Intermediate', 'Advanced']) {
+        await request(app)
+          .put(`/api/personnel/${ownPersonnel.id}/skills/${testSkill.id}`)
+          .set('Authorization', `Bearer ${employeeToken}`)
+          .send({ proficiency_level: level })
+          .expect(202);
+      }
+
+      const response = await request(app)
+        .get(`/api/personnel/${ownPersonnel.id}/skills/claims`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(response.body.claims.length).toBe(1);
+      expect(response.body.claims[0].proficiency_level).toBe('Advanced');
+    });
+
+    it('should not let an employee remove skills', async () => {
+      await request(app)
+        .delete(`/api/personnel/${ownPersonnel.id}/skills/${testSkill.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/personnel/:id/account', () => {
+    it('should reject a temporary password that is not a string', async () => {
+      const response = await request(app)
+        .post(`/api/personnel/${otherPersonnel.id}/account`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ temporaryPassword: 12345678 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe(
+        'Temporary password must be a string'
+      );
+    });
+
+    it('should create an employee login that must change its password', async () => {
+      const response = await request(app)
+        .post(`/api/personnel/${otherPersonnel.id}/account`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ temporaryPassword: 'welcome123' })
+        .expect(201);
+
+      expect(response.body.data.role).toBe('employee');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: otherPersonnel.email, password: 'welcome123' })
+        .expect(200);
+
+      expect(login.body.user.must_change_password).toBe(true);
+    });
+
+    it('should fail when the personnel already has an account', async () => {
+      await request(app)
+        .post(`/api/personnel/${ownPersonnel.id}/account`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(409);
+    });
+
+    it('should not let employees create accounts', async () => {
+      await request(app)
+        .post(`/api/personnel/${otherPersonnel.id}/account`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Skill Endorsement API', () => {
+  let manager, managerToken, employeeToken;
+  let employeePersonnel, testSkill;
+
+  const proposeSkill = (proficiency_level = 'Advanced') =>
+    request(app)
+      .post(`/api/personnel/${employeePersonnel.id}/skills`)
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ skill_id: testSkill.id, proficiency_level, years_of_experience: 3 })
+      .expect(202);
+
+  beforeAll(async () => {
+    manager = await createTestUser({
+      email: `endorsetest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `endorsetest-employee${Date.now()}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    employeePersonnel = await createTestPersonnel({
+      name: 'EndorseTest Employee',
+      email: employee.email,
+      user_id: employee.id,
+    });
+
+    testSkill = await createTestSkill({
+      skill_name: `EndorseTest Skill ${Date.now()}`,
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('personnel', `email LIKE 'endorsetest%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'EndorseTest%'`);
+    await cleanupTestData('users', `email LIKE 'endorsetest%'`);
+  });
+
+  afterEach(async () => {
+    await cleanupTestData('skill_claims', `personnel_id = ${employeePersonnel.id}`);
+    await cleanupTestData('personnel_skills', `personnel_id = ${employeePersonnel.id}`);
+  });
+
+  describe('GET /api/skills/endorsements/pending', () => {
+    it('should list pending claims for managers', async () => {
+      const claim = await proposeSkill();
+
+      const response = await request(app)
+        .get(`/api/skills/endorsements/pending?personnel_id=${employeePersonnel.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((c) => c.id)).toEqual([claim.body.data.id]);
+      expect(response.body.data[0].proposed_proficiency_level).toBe('Advanced');
+      expect(response.body.data[0].current_proficiency_level).toBeNull();
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should not be available to employees', async () => {
+      await request(app)
+        .get('/api/skills/endorsements/pending')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/skills/endorsements/:claimId/approve', () => {
+    it('should apply the claim and record the verifier', async () => {
+      const claim = await proposeSkill();
+
+      const response = await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ comment: 'Seen it on the last project' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('approved');
+      expect(response.body.data.reviewed_by).toBe(manager.id);
+      expect(response.body.data.review_comment).toBe('Seen it on the last project');
+
+      const [skills] = await pool.execute(
+        'SELECT proficiency_level, verified_by, verified_at FROM personnel_skills WHERE personnel_id = ? AND skill_id = ?',
+        [employeePersonnel.id, testSkill.id]
+      );
+      expect(skills[0].proficiency_level).toBe('Advanced');
+      expect(skills[0].verified_by).toBe(manager.id);
+      expect(skills[0].verified_at).not.toBeNull();
+    });
+
+    it('should not review the same claim twice', async () => {
+      const claim = await proposeSkill();
+
+      await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ comment: 'Changed my mind' })
+        .expect(409);
+    });
+
+    it('should return 404 for unknown claims', async () => {
+      await request(app)
+        .post('/api/skills/endorsements/999999/approve')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/skills/endorsements/:claimId/reject', () => {
+    it('should require a comment', async () => {
+      const claim = await proposeSkill();
+
+      await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should reject a comment that is not text', async () => {
+      const claim = await proposeSkill();
+
+      const response = await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ comment: ['Not', 'yet'] })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Validation failed');
+    });
+
+    it('should leave the skill untouched', async () => {
+      const claim = await proposeSkill('Expert');
+
+      const response = await request(app)
+        .post(`/api/skills/endorsements/${claim.body.data.id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ comment: 'Not yet at expert level' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('rejected');
+
+      const [skills] = await pool.execute(
+        'SELECT id FROM personnel_skills WHERE personnel_id = ? AND skill_id = ?',
+        [employeePersonnel.id, testSkill.id]
+      );
+      expect(skills.length).toBe(0);
+    });
+  });
+
+  it('should mark skills set directly by a manager as verified', async () => {
+    const response = await request(app)
+      .post(`/api/personnel/${employeePersonnel.id}/skills`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ skill_id: testSkill.id, proficiency_level: 'Intermediate' })
+      .expect(201);
+
+    expect(response.body.data.verified_by).toBe(manager.id);
+    expect(response.body.data.verified_at).not.toBeNull();
+  });
+});
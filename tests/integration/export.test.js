@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+const { parseCsv, readXlsx } = require('../../src/utils/spreadsheet');
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Export API', () => {
+  let managerToken, employeeToken;
+  let testSkill, seniorPersonnel, juniorPersonnel, testProject;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const managerUser = await createTestUser({
+      email: `exporttest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(managerUser);
+
+    const employeeUser = await createTestUser({
+      email: `exporttest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employeeUser);
+
+    testSkill = await createTestSkill({
+      skill_name: `ExportTest Skill ${stamp}`,
+    });
+
+    seniorPersonnel = await createTestPersonnel({
+      name: `ExportTest Senior ${stamp}`,
+      email: `exporttest-senior${stamp}@example.com`,
+      experience_level: 'Senior',
+    });
+    juniorPersonnel = await createTestPersonnel({
+      name: `ExportTest Junior ${stamp}`,
+      email: `exporttest-junior${stamp}@example.com`,
+      experience_level: 'Junior',
+    });
+
+    await pool.execute(
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+      [seniorPersonnel.id, testSkill.id, 'Expert', 5]
+    );
+
+    testProject = await createTestProject({
+      project_name: `ExportTest Project ${stamp}`,
+    });
+
+    await pool.execute(
+      'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, role_in_project) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        testProject.id,
+        seniorPersonnel.id,
+        60,
+        testProject.start_date,
+        testProject.end_date,
+        'Lead',
+      ]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'ExportTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'exporttest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'ExportTest%'`);
+    await cleanupTestData('users', `email LIKE 'exporttest-%'`);
+  });
+
+  describe('GET /api/export/personnel', () => {
+    it('should export CSV using the list filters', async () => {
+      const skillFilters = JSON.stringify([
+        { skill_id: testSkill.id, min_proficiency_level: 'Advanced' },
+      ]);
+
+      const response = await request(app)
+        .get('/api/export/personnel')
+        .query({ skill_filters: skillFilters })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(
+        /attachment; filename="personnel-\d{4}-\d{2}-\d{2}\.csv"/
+      );
+
+      const [header, ...rows] = parseCsv(response.text);
+      expect(header).toContain('Skills');
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toContain(seniorPersonnel.email);
+      expect(rows[0]).toContain(`ExportTest Skill ${stamp} (Expert)`);
+    });
+
+    it('should export XLSX', async () => {
+      const response = await request(app)
+        .get('/api/export/personnel')
+        .query({ format: 'xlsx', search: `ExportTest Junior ${stamp}` })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      const rows = readXlsx(response.body);
+      expect(rows).toHaveLength(2);
+      expect(rows[1]).toContain(juniorPersonnel.email);
+    });
+
+    it('should reject an unknown format', async () => {
+      const response = await request(app)
+        .get('/api/export/personnel?format=docx')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+
+      expect(response.body.error.hint).toMatch(/csv, xlsx, pdf/);
+    });
+
+    it('should reject employees', async () => {
+      await request(app)
+        .get('/api/export/personnel')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/export/projects', () => {
+    it('should export a PDF', async () => {
+      const response = await request(app)
+        .get('/api/export/projects')
+        .query({ format: 'pdf', search: `ExportTest Project ${stamp}` })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+
+      const pdf = response.body.toString('latin1');
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain(`ExportTest Project ${stamp}`);
+    });
+  });
+
+  describe('GET /api/export/allocations', () => {
+    it('should export allocations filtered by project', async () => {
+      const response = await request(app)
+        .get(`/api/export/allocations?project_id=${testProject.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const [, ...rows] = parseCsv(response.text);
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toEqual(
+        expect.arrayContaining([`ExportTest Senior ${stamp}`, 'Lead', '60'])
+      );
+    });
+  });
+
+  describe('GET /api/export/utilization', () => {
+    it('should export one row per person with a column per month', async () => {
+      const response = await request(app)
+        .get('/api/export/utilization?months=2')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const [header, ...rows] = parseCsv(response.text);
+      expect(header.slice(0, 5)).toEqual([
+        'ID',
+        'Name',
+        'Role',
+        'Experience Level',
+        'Average Utilization %',
+      ]);
+      expect(header.length).toBeGreaterThanOrEqual(7);
+
+      const names = rows.map((row) => row[1]);
+      expect(names).toContain(`ExportTest Senior ${stamp}`);
+      expect(names).toContain(`ExportTest Junior ${stamp}`);
+    });
+  });
+});
@@ -285,6 +285,39 @@ describe('Matching Algorithm API', () => {
       }
     });
 
+    it('should give partial credit to personnel below the required proficiency', async () => {
+      const response = await request(app)
+        .get(`/api/matching/projects/${testProject.id}/personnel`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const lowMatch = response.body.matchedPersonnel.find(
+        (p) => p.name === 'MatchTest Low Match'
+      );
+
+      expect(lowMatch).toBeDefined();
+      expect(lowMatch.matchingSkills.length).toBe(0);
+      expect(lowMatch.matchScore).toBeGreaterThan(0);
+      expect(lowMatch.missingSkills[0]).toHaveProperty('proficiencyCredit');
+    });
+
+    it('should include a per-component score breakdown', async () => {
+      const response = await request(app)
+        .get(`/api/matching/projects/${testProject.id}/personnel`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.scoreWeights).toBeDefined();
+
+      const partialMatch = response.body.matchedPersonnel.find(
+        (p) => p.name === 'MatchTest Partial Match'
+      );
+
+      expect(partialMatch.scoreBreakdown.skills).toHaveProperty('score');
+      expect(partialMatch.scoreBreakdown.experience).toHaveProperty('score');
+      expect(partialMatch.scoreBreakdown.availability.score).toBe(75);
+    });
+
     it('should return 404 for non-existent project', async () => {
       const response = await request(app)
         .get('/api/matching/projects/99999/personnel')
@@ -400,5 +433,153 @@ describe('Matching Algorithm API', () => {
       await cleanupTestData('skills', `id = ${otherSkill.id}`);
     });
   });
-});
 
+  describe('GET /api/matching/projects/:id/personnel?verified_only=true', () => {
+    afterAll(async () => {
+      await pool.execute(
+        'UPDATE personnel_skills SET verified_by = NULL, verified_at = NULL WHERE personnel_id = ?',
+        [testPersonnel1.id]
+      );
+    });
+
+    it('should only count verified skills', async () => {
+      await pool.execute(
+        'UPDATE personnel_skills SET verified_at = NOW() WHERE personnel_id = ? AND skill_id = ?',
+        [testPersonnel1.id, skill1.id]
+      );
+
+      const response = await request(app)
+        .get(`/api/matching/projects/${testProject.id}/personnel?verified_only=true`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.verifiedOnly).toBe(true);
+
+      const matched = response.body.matchedPersonnel;
+      expect(matched.map((p) => p.personnelId)).toEqual([testPersonnel1.id]);
+      expect(matched[0].matchingSkills.map((s) => s.skillId)).toEqual([skill1.id]);
+      expect(matched[0].matchingSkills[0].verified).toBe(true);
+    });
+  });
+
+  describe('GET /api/matching/projects/:id/personnel?related_skills=true', () => {
+    beforeAll(async () => {
+      await pool.execute('UPDATE skills SET parent_id = ? WHERE id = ?', [
+        skill1.id,
+        skill3.id,
+      ]);
+    });
+
+    afterAll(async () => {
+      await pool.execute('UPDATE skills SET parent_id = NULL WHERE id = ?', [
+        skill3.id,
+      ]);
+    });
+
+    it('should give partial credit for a parent skill', async () => {
+      const response = await request(app)
+        .get(`/api/matching/projects/${testProject.id}/personnel?related_skills=true`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.relatedSkills).toBe(true);
+
+      const partial = response.body.matchedPersonnel.find(
+        (p) => p.personnelId === testPersonnel2.id
+      );
+      const node = partial.missingSkills.find((s) => s.skillId === skill3.id);
+      expect(node.actual).toBeNull();
+      expect(node.matchedVia.skillId).toBe(skill1.id);
+      expect(node.matchedVia.relation).toBe('parent');
+      expect(node.proficiencyCredit).toBeGreaterThan(0);
+    });
+
+    it('should give no credit for related skills unless asked', async () => {
+      const response = await request(app)
+        .get(`/api/matching/projects/${testProject.id}/personnel`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const partial = response.body.matchedPersonnel.find(
+        (p) => p.personnelId === testPersonnel2.id
+      );
+      const node = partial.missingSkills.find((s) => s.skillId === skill3.id);
+      expect(node.matchedVia).toBeNull();
+      expect(node.proficiencyCredit).toBe(0);
+    });
+  });
+
+  describe('POST /api/matching/projects/:id/team-proposal', () => {
+    afterEach(async () => {
+      await cleanupTestData('project_allocations', `project_id = ${testProject.id}`);
+    });
+
+    it('should propose a team covering all required skills', async () => {
+      const response = await request(app)
+        .post(`/api/matching/projects/${testProject.id}/team-proposal`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_percentage: 50 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.proposals.length).toBeGreaterThan(0);
+
+      const best = response.body.proposals[0];
+      expect(best.rank).toBe(1);
+      expect(best.complete).toBe(true);
+      expect(best.members.map((m) => m.personnelId)).toContain(testPersonnel1.id);
+    });
+
+    it('should reject an unknown strategy', async () => {
+      const response = await request(app)
+        .post(`/api/matching/projects/${testProject.id}/team-proposal`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ strategy: 'fastest' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('strategy');
+    });
+
+    it('should only propose when create_allocations is the string "false"', async () => {
+      const response = await request(app)
+        .post(`/api/matching/projects/${testProject.id}/team-proposal`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_percentage: 50, create_allocations: 'false' })
+        .expect(200);
+
+      expect(response.body.createdAllocationIds).toBeUndefined();
+
+      const [rows] = await pool.execute(
+        'SELECT id FROM project_allocations WHERE project_id = ?',
+        [testProject.id]
+      );
+      expect(rows.length).toBe(0);
+    });
+
+    it('should create allocations for the chosen proposal', async () => {
+      const response = await request(app)
+        .post(`/api/matching/projects/${testProject.id}/team-proposal`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_percentage: 50, create_allocations: true })
+        .expect(201);
+
+      expect(response.body.createdAllocationIds.length).toBe(
+        response.body.proposals[0].teamSize
+      );
+
+      const [rows] = await pool.execute(
+        'SELECT personnel_id FROM project_allocations WHERE project_id = ?',
+        [testProject.id]
+      );
+      expect(rows.length).toBe(response.body.proposals[0].teamSize);
+    });
+
+    it('should return 404 for non-existent project', async () => {
+      await request(app)
+        .post('/api/matching/projects/99999/team-proposal')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({})
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Notifications API', () => {
+  const stamp = Date.now();
+  const outboxFile = path.join(
+    os.tmpdir(),
+    `notification-test-outbox-${stamp}.log`
+  );
+  let adminToken, managerToken, pendingManagerToken, employeeToken;
+  let pendingManager, employeePersonnel, testProject, allocationId;
+
+  const getInbox = (token, query = '') =>
+    request(app)
+      .get(`/api/notifications${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+  beforeAll(async () => {
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.EMAIL_OUTBOX_FILE = outboxFile;
+
+    const admin = await createTestUser({
+      email: `notificationtest-admin${stamp}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(admin);
+
+    const manager = await createTestUser({
+      email: `notificationtest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    pendingManager = await createTestUser({
+      email: `notificationtest-pending${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'pending',
+    });
+    pendingManagerToken = generateTestToken(pendingManager);
+
+    const employee = await createTestUser({
+      email: `notificationtest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    employeePersonnel = await createTestPersonnel({
+      name: `NotificationTest Employee ${stamp}`,
+      email: employee.email,
+      user_id: employee.id,
+    });
+
+    testProject = await createTestProject({
+      project_name: `NotificationTest Project ${stamp}`,
+      start_date: '2027-01-01',
+      end_date: '2027-12-31',
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.EMAIL_OUTBOX_FILE;
+    fs.rmSync(outboxFile, { force: true });
+
+    await cleanupTestData('projects', `project_name LIKE 'NotificationTest%'`);
+    await cleanupTestData('personnel', `name LIKE 'NotificationTest%'`);
+    await cleanupTestData('users', `email LIKE 'notificationtest-%'`);
+  });
+
+  describe('manager approval', () => {
+    it('should notify the manager in the inbox and by email', async () => {
+      await request(app)
+        .put(`/api/managers/${pendingManager.id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await getInbox(pendingManagerToken);
+      expect(response.body.unread_count).toBe(1);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          event_type: 'manager_approved',
+          actor_email: `notificationtest-admin${stamp}@example.com`,
+          read_at: null,
+        }),
+      ]);
+
+      const sent = fs
+        .readFileSync(outboxFile, 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(sent).toEqual([
+        expect.objectContaining({
+          to: pendingManager.email,
+          subject: 'Your manager account has been approved',
+        }),
+      ]);
+    });
+
+    it('should only email a rejected manager, who cannot sign in', async () => {
+      const rejectedManager = await createTestUser({
+        email: `notificationtest-rejected${stamp}@example.com`,
+        role: 'manager',
+        approval_status: 'pending',
+      });
+
+      await request(app)
+        .put(`/api/managers/${rejectedManager.id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [inbox] = await pool.execute(
+        'SELECT id FROM notifications WHERE user_id = ?',
+        [rejectedManager.id]
+      );
+      expect(inbox.length).toBe(0);
+
+      const sent = fs
+        .readFileSync(outboxFile, 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(sent).toContainEqual(
+        expect.objectContaining({
+          to: rejectedManager.email,
+          subject: 'Your manager account has been rejected',
+        })
+      );
+    });
+  });
+
+  describe('allocation events', () => {
+    it('should tell people they were allocated', async () => {
+      const allocation = await request(app)
+        .post('/api/allocations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_id: testProject.id,
+          personnel_id: employeePersonnel.id,
+          allocation_percentage: 50,
+          start_date: '2027-02-01',
+          end_date: '2027-05-31',
+        })
+        .expect(201);
+      allocationId = allocation.body.data.id;
+
+      const response = await getInbox(employeeToken, '?unread=true');
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          event_type: 'allocation_created',
+          title: `You have been allocated to ${testProject.project_name}`,
+          entity: 'allocation',
+          entity_id: allocationId,
+          data: { project_id: testProject.id, allocation_status: 'confirmed' },
+        }),
+      ]);
+    });
+
+    it('should respect the preferences of the user', async () => {
+      const preferences = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({
+          preferences: [{ event_type: 'allocation_updated', in_app: false }],
+        })
+        .expect(200);
+
+      expect(preferences.body.data).toContainEqual({
+        event_type: 'allocation_updated',
+        in_app: false,
+        email: false,
+      });
+
+      await request(app)
+        .put(`/api/allocations/${allocationId}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allocation_percentage: 40 })
+        .expect(200);
+
+      const response = await getInbox(employeeToken);
+      expect(
+        response.body.data.map((notification) => notification.event_type)
+      ).toEqual(['allocation_created']);
+    });
+
+    it('should reject unknown events in preferences', async () => {
+      await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ preferences: [{ event_type: 'unknown', in_app: false }] })
+        .expect(400);
+    });
+  });
+
+  describe('marking as read', () => {
+    it('should only let the owner mark a notification as read', async () => {
+      const inbox = await getInbox(employeeToken);
+      const notificationId = inbox.body.data[0].id;
+
+      await request(app)
+        .post(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .post(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(response.body.data.unread_count).toBe(0);
+    });
+
+    it('should mark everything as read', async () => {
+      await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${pendingManagerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${pendingManagerToken}`)
+        .expect(200);
+
+      expect(response.body.data.unread_count).toBe(0);
+    });
+  });
+});
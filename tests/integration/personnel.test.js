@@ -451,5 +451,135 @@ describe('Personnel API', () => {
       });
     });
   });
+
+  describe('GET /api/personnel/:id/skills/history', () => {
+    let historyPersonnel, historySkill;
+
+    beforeAll(async () => {
+      historyPersonnel = await createTestPersonnel({
+        name: 'PersonnelTest History',
+        email: `personneltest-history${Date.now()}@example.com`,
+      });
+
+      historySkill = await createTestSkill({
+        skill_name: `PersonnelTestHistory${Date.now()}`,
+      });
+    });
+
+    it('should record each skill change with who made it', async () => {
+      await request(app)
+        .post(`/api/personnel/${historyPersonnel.id}/skills`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ skill_id: historySkill.id, proficiency_level: 'Beginner' })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/personnel/${historyPersonnel.id}/skills/${historySkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ proficiency_level: 'Advanced' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/personnel/${historyPersonnel.id}/skills/${historySkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/personnel/${historyPersonnel.id}/skills/history`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.history.map((entry) => entry.change_type)).toEqual([
+        'removed',
+        'updated',
+        'added',
+      ]);
+      expect(response.body.history[1].previous_proficiency_level).toBe('Beginner');
+      expect(response.body.history[1].proficiency_level).toBe('Advanced');
+      expect(response.body.history[1].changed_by_email).toBe(managerUser.email);
+    });
+
+    it('should reject an invalid date filter', async () => {
+      await request(app)
+        .get(`/api/personnel/${historyPersonnel.id}/skills/history`)
+        .query({ from: '2025-13-45' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+
+    it('should return 404 for non-existent personnel', async () => {
+      await request(app)
+        .get('/api/personnel/999999/skills/history')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/personnel/:id/capacity', () => {
+    let capacityPersonnel, capacityProject;
+
+    beforeAll(async () => {
+      capacityPersonnel = await createTestPersonnel({
+        name: 'PersonnelTest Capacity',
+        email: `personneltest-capacity${Date.now()}@example.com`,
+      });
+      capacityProject = await createTestProject({
+        project_name: `PersonnelTest Capacity Project ${Date.now()}`,
+      });
+
+      await pool.execute(
+        'INSERT INTO personnel_availability (personnel_id, start_date, end_date, availability_percentage) VALUES (?, ?, ?, ?)',
+        [capacityPersonnel.id, '2025-03-10', '2025-03-14', 50]
+      );
+      await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+        [capacityProject.id, capacityPersonnel.id, 40, '2025-03-03', '2025-03-07']
+      );
+    });
+
+    afterAll(async () => {
+      await cleanupTestData('project_allocations', `personnel_id = ${capacityPersonnel.id}`);
+      await cleanupTestData('personnel_availability', `personnel_id = ${capacityPersonnel.id}`);
+      await cleanupTestData('projects', `project_name LIKE 'PersonnelTest%'`);
+    });
+
+    it('should return a per-day capacity timeline', async () => {
+      const response = await request(app)
+        .get(`/api/personnel/${capacityPersonnel.id}/capacity`)
+        .query({ from: '2025-03-03', to: '2025-03-16' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.days.length).toBe(14);
+      expect(data.summary.working_days).toBe(10);
+
+      const monday = data.days.find((day) => day.date === '2025-03-03');
+      expect(monday.allocated).toBe(40);
+      expect(monday.remaining).toBe(60);
+
+      const nextMonday = data.days.find((day) => day.date === '2025-03-10');
+      expect(nextMonday.availability).toBe(50);
+      expect(nextMonday.remaining).toBe(50);
+
+      const saturday = data.days.find((day) => day.date === '2025-03-08');
+      expect(saturday.working_day).toBe(false);
+    });
+
+    it('should reject a range where to is before from', async () => {
+      await request(app)
+        .get(`/api/personnel/${capacityPersonnel.id}/capacity`)
+        .query({ from: '2025-03-10', to: '2025-03-01' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+
+    it('should return 404 for non-existent personnel', async () => {
+      await request(app)
+        .get('/api/personnel/999999/capacity')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+  });
 });
 
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Personnel Import API', () => {
+  let adminToken, employeeToken;
+  let testSkill;
+  const stamp = Date.now();
+  const email = (name) => `importtest-${name}${stamp}@example.com`;
+
+  const importCsv = (csv, query = '') =>
+    request(app)
+      .post(`/api/personnel/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .attach('file', Buffer.from(csv), 'people.csv');
+
+  beforeAll(async () => {
+    const adminUser = await createTestUser({
+      email: `importtest-admin${stamp}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(adminUser);
+
+    const employeeUser = await createTestUser({
+      email: `importtest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employeeUser);
+
+    testSkill = await createTestSkill({
+      skill_name: `ImportTest Skill ${stamp}`,
+    });
+    await pool.execute(
+      'INSERT INTO skill_aliases (skill_id, alias) VALUES (?, ?)',
+      [testSkill.id, `ImportTest Alias ${stamp}`]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('personnel', `email LIKE 'importtest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'ImportTest%'`);
+    await cleanupTestData('users', `email LIKE 'importtest-%'`);
+  });
+
+  describe('POST /api/personnel/import', () => {
+    it('should preview a dry run without writing anything', async () => {
+      const csv = [
+        'name,email,role_title,experience_level,skills',
+        `Ada,${email('ada')},Engineer,Senior,ImportTest Skill ${stamp}:Expert:6`,
+        `Grace,${email('grace')},Engineer,Mid-Level,`,
+      ].join('\n');
+
+      const response = await importCsv(csv, '?dry_run=true').expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toEqual({
+        total: 2,
+        create: 2,
+        update: 0,
+        errors: 0,
+      });
+      expect(response.body.rows[0].skills[0]).toMatchObject({
+        skill_id: testSkill.id,
+        proficiency_level: 'Expert',
+        years_of_experience: 6,
+      });
+
+      const [rows] = await pool.execute(
+        'SELECT id FROM personnel WHERE email = ?',
+        [email('ada')]
+      );
+      expect(rows).toHaveLength(0);
+    });
+
+    it('should report per-row errors and import nothing', async () => {
+      const csv = [
+        'name,email,role_title,experience_level,skills',
+        `Linus,${email('linus')},Engineer,Senior,`,
+        `Bad,not-an-email,Engineer,Guru,Unknown Skill ${stamp}:Expert`,
+      ].join('\n');
+
+      const response = await importCsv(csv).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.details).toHaveLength(1);
+      expect(response.body.error.details[0].row).toBe(3);
+
+      const fields = response.body.error.details[0].errors.map(
+        (error) => error.field
+      );
+      expect(fields).toEqual(
+        expect.arrayContaining(['email', 'experience_level', 'skills'])
+      );
+
+      const [rows] = await pool.execute(
+        'SELECT id FROM personnel WHERE email = ?',
+        [email('linus')]
+      );
+      expect(rows).toHaveLength(0);
+    });
+
+    it('should import rows and their skills, resolving aliases', async () => {
+      const csv = [
+        'Name,Email,Role Title,Experience Level,Skills',
+        `Margaret,${email('margaret')},Architect,Senior,ImportTest Alias ${stamp}:Advanced:4`,
+      ].join('\n');
+
+      const response = await importCsv(csv).expect(201);
+
+      expect(response.body.summary.create).toBe(1);
+
+      const personnelId = response.body.rows[0].personnel_id;
+      const [skills] = await pool.execute(
+        'SELECT skill_id, proficiency_level, verified_by FROM personnel_skills WHERE personnel_id = ?',
+        [personnelId]
+      );
+      expect(skills).toHaveLength(1);
+      expect(skills[0].skill_id).toBe(testSkill.id);
+      expect(skills[0].proficiency_level).toBe('Advanced');
+      expect(skills[0].verified_by).toBeNull();
+
+      const [history] = await pool.execute(
+        'SELECT id FROM personnel_skill_history WHERE personnel_id = ?',
+        [personnelId]
+      );
+      expect(history).toHaveLength(1);
+    });
+
+    it('should reject existing emails unless upsert is enabled', async () => {
+      const csv = [
+        'name,email,role_title,experience_level,skills',
+        `Margaret H,${email('margaret')},Principal,Senior,ImportTest Skill ${stamp}:Expert`,
+      ].join('\n');
+
+      const rejected = await importCsv(csv).expect(400);
+      expect(rejected.body.error.details[0].errors[0].message).toMatch(
+        /already exists/
+      );
+
+      const response = await importCsv(
+        csv,
+        '?upsert=true&verify_skills=true'
+      ).expect(201);
+      expect(response.body.summary.update).toBe(1);
+
+      const [rows] = await pool.execute(
+        `SELECT p.role_title, ps.proficiency_level, ps.verified_by IS NOT NULL as verified
+         FROM personnel p
+         INNER JOIN personnel_skills ps ON ps.personnel_id = p.id
+         WHERE p.email = ?`,
+        [email('margaret')]
+      );
+      expect(rows).toEqual([
+        { role_title: 'Principal', proficiency_level: 'Expert', verified: 1 },
+      ]);
+    });
+
+    it('should reject duplicate emails within the file', async () => {
+      const csv = [
+        'name,email,role_title,experience_level',
+        `One,${email('dup')},Engineer,Junior`,
+        `Two,${email('dup')},Engineer,Junior`,
+      ].join('\n');
+
+      const response = await importCsv(csv, '?dry_run=true').expect(200);
+
+      expect(response.body.summary.errors).toBe(1);
+      expect(response.body.rows[1].action).toBe('error');
+    });
+
+    it('should require the mandatory columns', async () => {
+      const response = await importCsv('name,email\nAda,a@example.com').expect(
+        400
+      );
+
+      expect(response.body.error.message).toMatch(/role_title/);
+    });
+
+    it('should require a file', async () => {
+      await request(app)
+        .post('/api/personnel/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should reject employees', async () => {
+      await request(app)
+        .post('/api/personnel/import')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .attach('file', Buffer.from('name'), 'people.csv')
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Project Phases API', () => {
+  let managerToken, employeeToken;
+  let testProject, discoverySkill, buildSkill;
+  let analyst, developer;
+  let discoveryPhase, buildPhase;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `phasetest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `phasetest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    discoverySkill = await createTestSkill({
+      skill_name: `PhaseTestAnalysis${stamp}`,
+    });
+    buildSkill = await createTestSkill({
+      skill_name: `PhaseTestGo${stamp}`,
+    });
+
+    testProject = await createTestProject({
+      project_name: `PhaseTest Project ${stamp}`,
+      start_date: '2025-01-01',
+      end_date: '2025-12-31',
+    });
+
+    analyst = await createTestPersonnel({
+      name: `PhaseTest Analyst ${stamp}`,
+      email: `phasetest-analyst${stamp}@example.com`,
+    });
+    developer = await createTestPersonnel({
+      name: `PhaseTest Developer ${stamp}`,
+      email: `phasetest-developer${stamp}@example.com`,
+    });
+
+    await pool.execute(
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+      [analyst.id, discoverySkill.id, 'Advanced', 4]
+    );
+    await pool.execute(
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+      [developer.id, buildSkill.id, 'Expert', 6]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'PhaseTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'phasetest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'PhaseTest%'`);
+    await cleanupTestData('users', `email LIKE 'phasetest-%'`);
+  });
+
+  describe('POST /api/projects/:id/phases', () => {
+    it('should create phases with their own required skills', async () => {
+      const discoveryResponse = await request(app)
+        .post(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          phase_name: 'Discovery',
+          start_date: '2025-01-01',
+          end_date: '2025-03-31',
+          required_skills: [
+            { skill_id: discoverySkill.id, minimum_proficiency: 'Advanced' },
+          ],
+        })
+        .expect(201);
+
+      discoveryPhase = discoveryResponse.body.data;
+      expect(discoveryPhase).toMatchObject({
+        phase_name: 'Discovery',
+        phase_type: 'phase',
+        start_date: '2025-01-01',
+        end_date: '2025-03-31',
+      });
+      expect(discoveryPhase.required_skills).toEqual([
+        expect.objectContaining({
+          skill_id: discoverySkill.id,
+          minimum_proficiency: 'Advanced',
+          importance_weight: 3,
+        }),
+      ]);
+
+      const buildResponse = await request(app)
+        .post(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          phase_name: 'Build',
+          start_date: '2025-04-01',
+          end_date: '2025-09-30',
+          required_skills: [
+            {
+              skill_id: buildSkill.id,
+              minimum_proficiency: 'Advanced',
+              importance_weight: 5,
+            },
+          ],
+        })
+        .expect(201);
+
+      buildPhase = buildResponse.body.data;
+    });
+
+    it('should create single-day milestones', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          phase_name: 'Go-live',
+          phase_type: 'milestone',
+          start_date: '2025-10-01',
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        phase_type: 'milestone',
+        start_date: '2025-10-01',
+        end_date: '2025-10-01',
+      });
+    });
+
+    it('should reject phases outside the project dates', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          phase_name: 'Hypercare',
+          start_date: '2025-12-01',
+          end_date: '2026-02-28',
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('within the project');
+    });
+
+    it('should not let employees create phases', async () => {
+      await request(app)
+        .post(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({
+          phase_name: 'Rollout',
+          start_date: '2025-10-01',
+          end_date: '2025-12-31',
+        })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/projects/:id/phases', () => {
+    it('should list phases and milestones in date order', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${testProject.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((phase) => phase.phase_name)).toEqual([
+        'Discovery',
+        'Build',
+        'Go-live',
+      ]);
+    });
+  });
+
+  describe('allocations attached to a phase', () => {
+    it('should attach an allocation that fits inside the phase', async () => {
+      const response = await request(app)
+        .post('/api/allocations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_id: testProject.id,
+          personnel_id: developer.id,
+          allocation_percentage: 80,
+          start_date: '2025-04-01',
+          end_date: '2025-09-30',
+          phase_id: buildPhase.id,
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        phase_id: buildPhase.id,
+        phase_name: 'Build',
+      });
+    });
+
+    it('should reject allocations outside the phase', async () => {
+      const response = await request(app)
+        .post('/api/allocations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_id: testProject.id,
+          personnel_id: analyst.id,
+          allocation_percentage: 50,
+          start_date: '2025-03-01',
+          end_date: '2025-05-31',
+          phase_id: discoveryPhase.id,
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('within the phase');
+    });
+
+    it('should not move a phase away from its allocations', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${testProject.id}/phases/${buildPhase.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ end_date: '2025-08-31' })
+        .expect(409);
+
+      expect(response.body.error.details.allocationIds).toHaveLength(1);
+    });
+  });
+
+  describe('matching per phase', () => {
+    it('should match against the phase requirements', async () => {
+      const response = await request(app)
+        .get(
+          `/api/matching/projects/${testProject.id}/personnel?phase_id=${discoveryPhase.id}`
+        )
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.phase).toMatchObject({
+        id: discoveryPhase.id,
+        name: 'Discovery',
+      });
+      const matchedIds = response.body.matchedPersonnel.map(
+        (person) => person.personnelId
+      );
+      expect(matchedIds).toContain(analyst.id);
+      expect(matchedIds).not.toContain(developer.id);
+    });
+
+    it('should propose a team for the phase', async () => {
+      const response = await request(app)
+        .post(`/api/matching/projects/${testProject.id}/team-proposal`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ phase_id: discoveryPhase.id, allocation_percentage: 50 })
+        .expect(200);
+
+      expect(response.body.period).toEqual({
+        startDate: '2025-01-01',
+        endDate: '2025-03-31',
+      });
+      expect(response.body.proposals[0].members).toEqual([
+        expect.objectContaining({ personnelId: analyst.id }),
+      ]);
+    });
+  });
+
+  describe('DELETE /api/projects/:id/phases/:phaseId', () => {
+    it('should detach allocations when a phase is deleted', async () => {
+      const response = await request(app)
+        .delete(`/api/projects/${testProject.id}/phases/${buildPhase.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.detached_allocations).toBe(1);
+
+      const [allocations] = await pool.execute(
+        'SELECT phase_id FROM project_allocations WHERE project_id = ?',
+        [testProject.id]
+      );
+      expect(allocations).toEqual([{ phase_id: null }]);
+    });
+  });
+});
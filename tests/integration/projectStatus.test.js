@@ -0,0 +1,246 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+const { formatDate } = require('../../src/utils/helpers');
+
+describe('Project Status Lifecycle API', () => {
+  let managerToken;
+  let testProject, testSkill, testPersonnel;
+  let runningAllocationId, futureAllocationId;
+  const stamp = Date.now();
+
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+  };
+
+  const changeStatus = (status, reason = 'Test transition') =>
+    request(app)
+      .post(`/api/projects/${testProject.id}/status`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ status, reason });
+
+  const getAllocation = async (id) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM project_allocations WHERE id = ?',
+      [id]
+    );
+    return rows[0];
+  };
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `statustest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    testSkill = await createTestSkill({
+      skill_name: `StatusTestSkill${stamp}`,
+    });
+    testPersonnel = await createTestPersonnel({
+      name: `StatusTest Person ${stamp}`,
+      email: `statustest-person${stamp}@example.com`,
+    });
+    testProject = await createTestProject({
+      project_name: `StatusTest Project ${stamp}`,
+      start_date: daysFromToday(-60),
+      end_date: daysFromToday(120),
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'StatusTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'statustest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'StatusTest%'`);
+    await cleanupTestData('users', `email LIKE 'statustest-%'`);
+  });
+
+  describe('POST /api/projects/:id/status', () => {
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'Active' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('reason');
+    });
+
+    it('should reject transitions that are not allowed with 409', async () => {
+      const response = await changeStatus('Completed').expect(409);
+
+      expect(response.body.error.details).toEqual({
+        currentStatus: 'Planning',
+        requestedStatus: 'Completed',
+        allowedTransitions: ['Active', 'On Hold'],
+      });
+    });
+
+    it('should not activate a project without skills and allocations', async () => {
+      const response = await changeStatus('Active').expect(409);
+
+      expect(response.body.error.details.unmetPreconditions).toEqual([
+        'The project needs at least one required skill',
+        'The project needs at least one allocation',
+      ]);
+    });
+
+    it('should activate a staffed project', async () => {
+      await pool.execute(
+        'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+        [testProject.id, testSkill.id, 'Intermediate']
+      );
+
+      const [running] = await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+        [
+          testProject.id,
+          testPersonnel.id,
+          50,
+          daysFromToday(-30),
+          daysFromToday(30),
+        ]
+      );
+      runningAllocationId = running.insertId;
+
+      const [future] = await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+        [
+          testProject.id,
+          testPersonnel.id,
+          50,
+          daysFromToday(60),
+          daysFromToday(90),
+        ]
+      );
+      futureAllocationId = future.insertId;
+
+      const response = await changeStatus('Active', 'Team staffed').expect(200);
+
+      expect(response.body.data).toMatchObject({
+        from_status: 'Planning',
+        to_status: 'Active',
+        allowed_transitions: ['On Hold', 'Completed'],
+      });
+    });
+
+    it('should pause allocations while the project is on hold', async () => {
+      const response = await changeStatus('On Hold', 'Budget review').expect(
+        200
+      );
+
+      expect(response.body.data.affected_allocations).toBe(2);
+      expect((await getAllocation(runningAllocationId)).paused_at).not.toBe(
+        null
+      );
+    });
+
+    it('should resume paused allocations when reactivated', async () => {
+      const response = await changeStatus('Active', 'Budget approved').expect(
+        200
+      );
+
+      expect(response.body.data.affected_allocations).toBe(2);
+      expect((await getAllocation(runningAllocationId)).paused_at).toBe(null);
+    });
+
+    it('should end-date running allocations on completion', async () => {
+      const response = await changeStatus('Completed', 'Delivered').expect(200);
+
+      expect(response.body.data.affected_allocations).toBe(2);
+      expect(
+        formatDate((await getAllocation(runningAllocationId)).end_date)
+      ).toBe(daysFromToday(0));
+      expect(await getAllocation(futureAllocationId)).toMatchObject({
+        allocation_status: 'released',
+        paused_at: null,
+      });
+    });
+
+    it('should treat Completed as final', async () => {
+      const response = await changeStatus('Active').expect(409);
+
+      expect(response.body.error.details.allowedTransitions).toEqual([]);
+    });
+
+    it('should end paused allocations on the day they were paused', async () => {
+      const heldProject = await createTestProject({
+        project_name: `StatusTest Held ${stamp}`,
+        start_date: daysFromToday(-60),
+        end_date: daysFromToday(120),
+        status: 'On Hold',
+      });
+
+      const [paused] = await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, paused_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          heldProject.id,
+          testPersonnel.id,
+          50,
+          daysFromToday(-30),
+          daysFromToday(30),
+          `${daysFromToday(-10)} 12:00:00`,
+        ]
+      );
+      const [pausedBeforeStart] = await pool.execute(
+        'INSERT INTO project_allocations (project_id, personnel_id, allocation_percentage, start_date, end_date, paused_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          heldProject.id,
+          testPersonnel.id,
+          50,
+          daysFromToday(-5),
+          daysFromToday(30),
+          `${daysFromToday(-10)} 12:00:00`,
+        ]
+      );
+
+      await request(app)
+        .post(`/api/projects/${heldProject.id}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'Completed', reason: 'Cancelled' })
+        .expect(200);
+
+      const ended = await getAllocation(paused.insertId);
+      expect(formatDate(ended.end_date)).toBe(daysFromToday(-10));
+      expect(ended.paused_at).toBe(null);
+      expect(await getAllocation(pausedBeforeStart.insertId)).toMatchObject({
+        allocation_status: 'released',
+        paused_at: null,
+      });
+    });
+  });
+
+  describe('GET /api/projects/:id/status-history', () => {
+    it('should list every transition with its reason', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${testProject.id}/status-history`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.current_status).toBe('Completed');
+      expect(
+        response.body.data.map((entry) => [entry.to_status, entry.reason])
+      ).toEqual([
+        ['Completed', 'Delivered'],
+        ['Active', 'Budget approved'],
+        ['On Hold', 'Budget review'],
+        ['Active', 'Team staffed'],
+      ]);
+    });
+  });
+
+  describe('PUT /api/projects/:id', () => {
+    it('should not change the status outside the lifecycle', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${testProject.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'Planning' })
+        .expect(400);
+
+      expect(response.body.error.hint).toContain('/status');
+    });
+  });
+});
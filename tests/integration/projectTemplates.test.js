@@ -0,0 +1,232 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Project Templates & Cloning API', () => {
+  let managerToken, employeeToken;
+  let backendSkill, cloudSkill;
+  let sourceProject, template;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `templatetest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `templatetest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    backendSkill = await createTestSkill({
+      skill_name: `TemplateTestGo${stamp}`,
+    });
+    cloudSkill = await createTestSkill({
+      skill_name: `TemplateTestAWS${stamp}`,
+    });
+
+    sourceProject = await createTestProject({
+      project_name: `TemplateTest Source ${stamp}`,
+      start_date: '2025-01-01',
+      end_date: '2025-06-30',
+    });
+
+    await pool.execute(
+      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency, importance_weight) VALUES (?, ?, ?, ?)',
+      [sourceProject.id, backendSkill.id, 'Advanced', 5]
+    );
+
+    const [phase] = await pool.execute(
+      'INSERT INTO project_phases (project_id, phase_name, start_date, end_date) VALUES (?, ?, ?, ?)',
+      [sourceProject.id, 'Build', '2025-02-01', '2025-04-30']
+    );
+    await pool.execute(
+      'INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+      [phase.insertId, cloudSkill.id, 'Intermediate']
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'TemplateTest%'`);
+    await cleanupTestData(
+      'project_templates',
+      `template_name LIKE 'TemplateTest%'`
+    );
+    await cleanupTestData('skills', `skill_name LIKE 'TemplateTest%'`);
+    await cleanupTestData('users', `email LIKE 'templatetest-%'`);
+  });
+
+  describe('POST /api/projects/:id/clone', () => {
+    it('should copy skills and phases shifted to the new start date', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${sourceProject.id}/clone`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_name: `TemplateTest Clone ${stamp}`,
+          start_date: '2026-03-01',
+        })
+        .expect(201);
+
+      expect(response.body.copied_phases).toBe(1);
+      expect(response.body.data).toMatchObject({
+        project_name: `TemplateTest Clone ${stamp}`,
+        status: 'Planning',
+        start_date: '2026-03-01',
+        end_date: '2026-08-28',
+      });
+      expect(response.body.data.required_skills).toEqual([
+        expect.objectContaining({
+          skill_id: backendSkill.id,
+          minimum_proficiency: 'Advanced',
+          importance_weight: 5,
+        }),
+      ]);
+
+      const phasesResponse = await request(app)
+        .get(`/api/projects/${response.body.data.id}/phases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(phasesResponse.body.data).toEqual([
+        expect.objectContaining({
+          phase_name: 'Build',
+          start_date: '2026-04-01',
+          end_date: '2026-06-28',
+          required_skills: [
+            expect.objectContaining({ skill_id: cloudSkill.id }),
+          ],
+        }),
+      ]);
+    });
+
+    it('should not let employees clone projects', async () => {
+      await request(app)
+        .post(`/api/projects/${sourceProject.id}/clone`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({})
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/project-templates', () => {
+    it('should create a template with skills and role slots', async () => {
+      const response = await request(app)
+        .post('/api/project-templates')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          template_name: `TemplateTest Platform ${stamp}`,
+          description: 'Standard platform build',
+          duration_days: 90,
+          required_skills: [
+            { skill_id: backendSkill.id, minimum_proficiency: 'Advanced' },
+          ],
+          role_slots: [
+            { role_name: 'Tech Lead', allocation_percentage: 50 },
+            {
+              role_name: 'Backend Engineer',
+              start_offset_days: 14,
+              duration_days: 60,
+            },
+          ],
+        })
+        .expect(201);
+
+      template = response.body.data;
+      expect(template.required_skills).toEqual([
+        expect.objectContaining({
+          skill_id: backendSkill.id,
+          importance_weight: 3,
+        }),
+      ]);
+      expect(template.role_slots).toHaveLength(2);
+    });
+
+    it('should reject role slots that run past the template', async () => {
+      const response = await request(app)
+        .post('/api/project-templates')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          template_name: `TemplateTest Short ${stamp}`,
+          duration_days: 30,
+          role_slots: [
+            { role_name: 'QA', start_offset_days: 20, duration_days: 20 },
+          ],
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('must end within');
+    });
+
+    it('should reject duplicate template names', async () => {
+      await request(app)
+        .post('/api/project-templates')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          template_name: `TemplateTest Platform ${stamp}`,
+          duration_days: 30,
+        })
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/project-templates/:id/projects', () => {
+    it('should create a project with dates relative to the start date', async () => {
+      const response = await request(app)
+        .post(`/api/project-templates/${template.id}/projects`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_name: `TemplateTest From Template ${stamp}`,
+          start_date: '2026-01-01',
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        status: 'Planning',
+        description: 'Standard platform build',
+        start_date: '2026-01-01',
+        end_date: '2026-03-31',
+      });
+      expect(response.body.data.required_skills).toHaveLength(1);
+      expect(response.body.data.role_slots).toEqual([
+        expect.objectContaining({
+          role_name: 'Tech Lead',
+          slot_status: 'open',
+          allocation_percentage: 50,
+          start_date: '2026-01-01',
+          end_date: '2026-03-31',
+        }),
+        expect.objectContaining({
+          role_name: 'Backend Engineer',
+          allocation_percentage: 100,
+          start_date: '2026-01-15',
+          end_date: '2026-03-15',
+        }),
+      ]);
+
+      const historyResponse = await request(app)
+        .get(`/api/projects/${response.body.data.id}/status-history`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(historyResponse.body.data[0].reason).toContain(
+        `template ${template.id}`
+      );
+    });
+
+    it('should return 404 for an unknown template', async () => {
+      await request(app)
+        .post('/api/project-templates/999999/projects')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          project_name: `TemplateTest Missing ${stamp}`,
+          start_date: '2026-01-01',
+        })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Reports API', () => {
+  let managerToken, adminToken;
+  let testProject, testPersonnel, testSkill;
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `reporttest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const admin = await createTestUser({
+      email: `reporttest-admin${Date.now()}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(admin);
+
+    testSkill = await createTestSkill({
+      skill_name: `ReportTestGo${Date.now()}`,
+      category: 'Programming Language',
+    });
+
+    testProject = await createTestProject({
+      project_name: `ReportTest Project ${Date.now()}`,
+      status: 'Active',
+    });
+
+    await pool.execute(
+      'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+      [testProject.id, testSkill.id, 'Advanced']
+    );
+
+    testPersonnel = await createTestPersonnel({
+      name: 'ReportTest Developer',
+      email: `reporttest-dev${Date.now()}@example.com`,
+    });
+
+    await pool.execute(
+      'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+      [testPersonnel.id, testSkill.id, 'Expert', 4]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('personnel_skills', `personnel_id = ${testPersonnel.id}`);
+    await cleanupTestData('project_required_skills', `project_id = ${testProject.id}`);
+    await cleanupTestData('personnel', `email LIKE 'reporttest%'`);
+    await cleanupTestData('projects', `project_name LIKE 'ReportTest%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'ReportTest%'`);
+    await cleanupTestData('users', `email LIKE 'reporttest%'`);
+  });
+
+  describe('GET /api/reports/projects/:id/skill-gap', () => {
+    it('should return the skill gap for a project', async () => {
+      const response = await request(app)
+        .get(`/api/reports/projects/${testProject.id}/skill-gap`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.project_id).toBe(testProject.id);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].skill_id).toBe(testSkill.id);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should return 404 for a non-existent project', async () => {
+      const response = await request(app)
+        .get('/api/reports/projects/999999/skill-gap')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should fail without token', async () => {
+      await request(app)
+        .get(`/api/reports/projects/${testProject.id}/skill-gap`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/reports/skill-demand', () => {
+    it('should filter by category', async () => {
+      const response = await request(app)
+        .get('/api/reports/skill-demand')
+        .query({ category: 'Programming Language', limit: 100 })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      response.body.data.forEach((row) => {
+        expect(row.category).toBe('Programming Language');
+      });
+    });
+
+    it('should reject an invalid supply_status', async () => {
+      const response = await request(app)
+        .get('/api/reports/skill-demand')
+        .query({ supply_status: 'Plenty' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toContain('supply_status');
+    });
+  });
+
+  describe('GET /api/reports/project-readiness', () => {
+    it('should return readiness for a single project', async () => {
+      const response = await request(app)
+        .get('/api/reports/project-readiness')
+        .query({ project_id: testProject.id })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0]).toHaveProperty('readiness_status');
+    });
+  });
+
+  describe('GET /api/reports/competency-matrix', () => {
+    it('should group skills per person', async () => {
+      const response = await request(app)
+        .get('/api/reports/competency-matrix')
+        .query({ personnel_id: testPersonnel.id })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].personnel_id).toBe(testPersonnel.id);
+      expect(response.body.data[0].skills[0].proficiency_level).toBe('Expert');
+    });
+  });
+
+  describe('GET /api/reports/workload', () => {
+    it('should paginate results', async () => {
+      const response = await request(app)
+        .get('/api/reports/workload')
+        .query({ page: 1, limit: 1 })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.length).toBeLessThanOrEqual(1);
+      expect(response.body.pagination.limit).toBe(1);
+    });
+  });
+
+  describe('GET /api/reports/utilization-trend', () => {
+    it('should reject an out-of-range months value', async () => {
+      const response = await request(app)
+        .get('/api/reports/utilization-trend')
+        .query({ months: 0 })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toContain('months');
+    });
+  });
+
+  describe('GET /api/reports/skill-growth', () => {
+    beforeAll(async () => {
+      await pool.execute(
+        `INSERT INTO personnel_skill_history (personnel_id, skill_id, change_type, previous_proficiency_level, proficiency_level)
+         VALUES (?, ?, 'updated', 'Advanced', 'Expert')`,
+        [testPersonnel.id, testSkill.id]
+      );
+    });
+
+    it('should summarize level changes per person and month', async () => {
+      const response = await request(app)
+        .get('/api/reports/skill-growth')
+        .query({ personnel_id: testPersonnel.id })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.months).toBe(12);
+      expect(response.body.summary.length).toBe(1);
+      expect(response.body.summary[0].level_ups).toBe(1);
+      expect(response.body.data[0].personnel_id).toBe(testPersonnel.id);
+      expect(response.body.data[0].improved_skills[0].to).toBe('Expert');
+    });
+
+    it('should reject an invalid category', async () => {
+      await request(app)
+        .get('/api/reports/skill-growth')
+        .query({ category: 'Nope' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Role Slots & Staffing Requests API', () => {
+  let managerToken, employeeToken;
+  let goSkill, testProject, seniorPerson, juniorPerson;
+  let slot, allocationId;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `roleslottest-manager${stamp}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const employee = await createTestUser({
+      email: `roleslottest-employee${stamp}@example.com`,
+      role: 'employee',
+      approval_status: 'approved',
+    });
+    employeeToken = generateTestToken(employee);
+
+    goSkill = await createTestSkill({ skill_name: `RoleSlotTestGo${stamp}` });
+
+    seniorPerson = await createTestPersonnel({
+      name: `RoleSlotTest Senior ${stamp}`,
+      email: `roleslottest-senior${stamp}@example.com`,
+      experience_level: 'Senior',
+    });
+    juniorPerson = await createTestPersonnel({
+      name: `RoleSlotTest Junior ${stamp}`,
+      email: `roleslottest-junior${stamp}@example.com`,
+      experience_level: 'Junior',
+    });
+
+    for (const person of [seniorPerson, juniorPerson]) {
+      await pool.execute(
+        'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level, years_of_experience) VALUES (?, ?, ?, ?)',
+        [person.id, goSkill.id, 'Advanced', 5]
+      );
+    }
+
+    testProject = await createTestProject({
+      project_name: `RoleSlotTest Project ${stamp}`,
+      start_date: '2027-01-01',
+      end_date: '2027-12-31',
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('projects', `project_name LIKE 'RoleSlotTest%'`);
+    await cleanupTestData('personnel', `email LIKE 'roleslottest-%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'RoleSlotTest%'`);
+    await cleanupTestData('users', `email LIKE 'roleslottest-%'`);
+  });
+
+  describe('POST /api/projects/:id/role-slots', () => {
+    it('should create an open slot with its required skills', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/role-slots`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          role_name: 'Backend Engineer',
+          experience_level: 'Senior',
+          allocation_percentage: 50,
+          start_date: '2027-03-01',
+          end_date: '2027-06-30',
+          required_skills: [
+            { skill_id: goSkill.id, minimum_proficiency: 'Advanced' },
+          ],
+        })
+        .expect(201);
+
+      slot = response.body.data;
+      expect(slot).toMatchObject({
+        role_name: 'Backend Engineer',
+        slot_status: 'open',
+        allocation_percentage: 50,
+        start_date: '2027-03-01',
+        end_date: '2027-06-30',
+        allocation_id: null,
+      });
+      expect(slot.required_skills).toEqual([
+        expect.objectContaining({ skill_id: goSkill.id }),
+      ]);
+    });
+
+    it('should reject slots outside the project dates', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/role-slots`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          role_name: 'QA',
+          start_date: '2026-12-01',
+          end_date: '2027-02-01',
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('within the project');
+    });
+  });
+
+  describe('GET /api/matching/projects/:id/personnel?role_slot_id=', () => {
+    it('should match against the slot instead of the whole project', async () => {
+      const response = await request(app)
+        .get(
+          `/api/matching/projects/${testProject.id}/personnel?role_slot_id=${slot.id}`
+        )
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.roleSlot).toMatchObject({
+        id: slot.id,
+        startDate: '2027-03-01',
+        endDate: '2027-06-30',
+      });
+
+      const matchedIds = response.body.matchedPersonnel.map(
+        (person) => person.personnelId
+      );
+      expect(matchedIds).toContain(seniorPerson.id);
+      expect(matchedIds).not.toContain(juniorPerson.id);
+    });
+  });
+
+  describe('POST /api/projects/:id/role-slots/:slotId/candidates', () => {
+    it('should move the slot to candidates_proposed', async () => {
+      const response = await request(app)
+        .post(
+          `/api/projects/${testProject.id}/role-slots/${slot.id}/candidates`
+        )
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ personnel_ids: [seniorPerson.id, juniorPerson.id] })
+        .expect(200);
+
+      expect(response.body.data.slot_status).toBe('candidates_proposed');
+      expect(response.body.data.candidates).toHaveLength(2);
+    });
+  });
+
+  describe('GET /api/staffing-requests', () => {
+    it('should list the slots still to staff', async () => {
+      const response = await request(app)
+        .get(`/api/staffing-requests?project_id=${testProject.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          id: slot.id,
+          project_name: testProject.project_name,
+          slot_status: 'candidates_proposed',
+        }),
+      ]);
+      expect(response.body.summary.candidates_proposed).toBe(1);
+    });
+
+    it('should not be available to employees', async () => {
+      await request(app)
+        .get('/api/staffing-requests')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/projects/:id/role-slots/:slotId/fill', () => {
+    it('should allocate the person for the slot', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject.id}/role-slots/${slot.id}/fill`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ personnel_id: seniorPerson.id })
+        .expect(201);
+
+      allocationId = response.body.allocation.id;
+      expect(response.body.allocation).toMatchObject({
+        personnel_id: seniorPerson.id,
+        allocation_percentage: 50,
+        role_in_project: 'Backend Engineer',
+        allocation_status: 'confirmed',
+      });
+      expect(response.body.data).toMatchObject({
+        slot_status: 'filled',
+        allocation_id: allocationId,
+        filled_by_personnel_id: seniorPerson.id,
+      });
+    });
+
+    it('should not fill a slot twice', async () => {
+      await request(app)
+        .post(`/api/projects/${testProject.id}/role-slots/${slot.id}/fill`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ personnel_id: juniorPerson.id })
+        .expect(409);
+    });
+
+    it('should reopen the slot when the allocation is released', async () => {
+      await request(app)
+        .post(`/api/allocations/${allocationId}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'released' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/projects/${testProject.id}/role-slots`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({
+        id: slot.id,
+        slot_status: 'candidates_proposed',
+        allocation_id: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,374 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Skills API', () => {
+  let managerToken, adminToken;
+  let parentSkill, childSkill, siblingSkill;
+
+  beforeAll(async () => {
+    const manager = await createTestUser({
+      email: `skilltest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+
+    const admin = await createTestUser({
+      email: `skilltest-admin${Date.now()}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(admin);
+
+    parentSkill = await createTestSkill({
+      skill_name: `SkillTest Parent ${Date.now()}`,
+      category: 'Programming Language',
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('personnel', `email LIKE 'skilltest%'`);
+    await cleanupTestData('projects', `project_name LIKE 'SkillTest%'`);
+    await cleanupTestData('project_templates', `template_name LIKE 'SkillTest%'`);
+    await cleanupTestData('skills', `skill_name LIKE 'SkillTest%'`);
+    await cleanupTestData('users', `email LIKE 'skilltest%'`);
+  });
+
+  describe('Taxonomy', () => {
+    it('should create child skills under a parent', async () => {
+      const response = await request(app)
+        .post('/api/skills')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          skill_name: `SkillTest Child ${Date.now()}`,
+          category: 'Framework',
+          parent_id: parentSkill.id,
+        })
+        .expect(201);
+
+      childSkill = response.body.data;
+      expect(childSkill.parent_id).toBe(parentSkill.id);
+
+      const sibling = await request(app)
+        .post('/api/skills')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          skill_name: `SkillTest Sibling ${Date.now()}`,
+          category: 'Framework',
+          parent_id: parentSkill.id,
+        })
+        .expect(201);
+
+      siblingSkill = sibling.body.data;
+    });
+
+    it('should not nest a skill under its own descendant', async () => {
+      await request(app)
+        .put(`/api/skills/${parentSkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ parent_id: childSkill.id })
+        .expect(400);
+    });
+
+    it('should return the skills as a tree', async () => {
+      const response = await request(app)
+        .get('/api/skills')
+        .query({ view: 'tree', search: 'SkillTest' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const parent = response.body.data.find((skill) => skill.id === parentSkill.id);
+      expect(parent.children.map((skill) => skill.id).sort()).toEqual(
+        [childSkill.id, siblingSkill.id].sort()
+      );
+    });
+
+    it('should reject an unknown view', async () => {
+      await request(app)
+        .get('/api/skills')
+        .query({ view: 'graph' })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Aliases', () => {
+    const alias = `SkillTestAlias${Date.now()}`;
+
+    it('should add an alias and find the skill by it', async () => {
+      await request(app)
+        .post(`/api/skills/${parentSkill.id}/aliases`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ alias })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/skills')
+        .query({ search: alias })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map((skill) => skill.id)).toEqual([parentSkill.id]);
+      expect(response.body.data[0].aliases).toEqual([alias]);
+    });
+
+    it('should not allow a skill name that is already an alias', async () => {
+      const response = await request(app)
+        .post('/api/skills')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ skill_name: alias, category: 'Other' })
+        .expect(409);
+
+      expect(response.body.error.hint).toContain(parentSkill.skill_name);
+    });
+
+    it('should remove an alias', async () => {
+      const skill = await request(app)
+        .get(`/api/skills/${parentSkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/skills/${parentSkill.id}/aliases/${skill.body.data.aliases[0].id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Related skills', () => {
+    it('should link skills in both directions', async () => {
+      await request(app)
+        .post(`/api/skills/${siblingSkill.id}/related`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ related_skill_id: parentSkill.id })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/skills/${parentSkill.id}/related`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ related_skill_id: siblingSkill.id })
+        .expect(409);
+
+      const response = await request(app)
+        .get(`/api/skills/${parentSkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.related_skills.map((skill) => skill.id)).toEqual([
+        siblingSkill.id,
+      ]);
+      expect(response.body.data.children.length).toBe(2);
+    });
+
+    it('should unlink related skills', async () => {
+      await request(app)
+        .delete(`/api/skills/${parentSkill.id}/related/${siblingSkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/skills/${parentSkill.id}/related/${siblingSkill.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/skills/:id', () => {
+    it('should refuse while a phase still requires the skill', async () => {
+      const skill = await createTestSkill({
+        skill_name: `SkillTest Required ${Date.now()}`,
+      });
+      const project = await createTestProject({
+        project_name: `SkillTest Delete Project ${Date.now()}`,
+      });
+      const [phase] = await pool.execute(
+        `INSERT INTO project_phases (project_id, phase_name, start_date, end_date)
+         VALUES (?, 'Discovery', '2026-01-01', '2026-01-31')`,
+        [project.id]
+      );
+      await pool.execute(
+        'INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+        [phase.insertId, skill.id, 'Intermediate']
+      );
+
+      const response = await request(app)
+        .delete(`/api/skills/${skill.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.error.details).toEqual({ project_phases: 1 });
+    });
+  });
+
+  describe('POST /api/skills/:id/merge-into/:targetId', () => {
+    let duplicate, canonical, personnel, otherPersonnel, project;
+    let phaseId, templateId, slotId;
+
+    beforeAll(async () => {
+      duplicate = await createTestSkill({ skill_name: `SkillTest NodeJS ${Date.now()}` });
+      canonical = await createTestSkill({ skill_name: `SkillTest Node.js ${Date.now()}` });
+
+      personnel = await createTestPersonnel({
+        name: 'SkillTest Both',
+        email: `skilltest-both${Date.now()}@example.com`,
+      });
+      otherPersonnel = await createTestPersonnel({
+        name: 'SkillTest Duplicate Only',
+        email: `skilltest-duplicate${Date.now()}@example.com`,
+      });
+      project = await createTestProject({ project_name: `SkillTest Project ${Date.now()}` });
+
+      await pool.execute(
+        'INSERT INTO personnel_skills (personnel_id, skill_id, proficiency_level) VALUES (?, ?, ?), (?, ?, ?), (?, ?, ?)',
+        [
+          personnel.id, duplicate.id, 'Expert',
+          personnel.id, canonical.id, 'Beginner',
+          otherPersonnel.id, duplicate.id, 'Intermediate',
+        ]
+      );
+      await pool.execute(
+        'INSERT INTO project_required_skills (project_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+        [project.id, duplicate.id, 'Advanced']
+      );
+
+      const [phase] = await pool.execute(
+        `INSERT INTO project_phases (project_id, phase_name, start_date, end_date)
+         VALUES (?, 'Build', '2026-01-01', '2026-03-31')`,
+        [project.id]
+      );
+      phaseId = phase.insertId;
+      await pool.execute(
+        `INSERT INTO project_phase_required_skills (phase_id, skill_id, minimum_proficiency, importance_weight)
+         VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+        [
+          phaseId, duplicate.id, 'Expert', 5,
+          phaseId, canonical.id, 'Beginner', 2,
+        ]
+      );
+
+      const [template] = await pool.execute(
+        'INSERT INTO project_templates (template_name, duration_days) VALUES (?, ?)',
+        [`SkillTest Template ${Date.now()}`, 30]
+      );
+      templateId = template.insertId;
+      await pool.execute(
+        `INSERT INTO project_template_required_skills (template_id, skill_id, minimum_proficiency, importance_weight)
+         VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+        [
+          templateId, duplicate.id, 'Beginner', 1,
+          templateId, canonical.id, 'Advanced', 4,
+        ]
+      );
+
+      const [slot] = await pool.execute(
+        `INSERT INTO project_role_slots (project_id, role_name, start_date, end_date)
+         VALUES (?, 'Backend Developer', '2026-01-01', '2026-06-30')`,
+        [project.id]
+      );
+      slotId = slot.insertId;
+      await pool.execute(
+        'INSERT INTO project_role_slot_required_skills (slot_id, skill_id, minimum_proficiency) VALUES (?, ?, ?)',
+        [slotId, duplicate.id, 'Intermediate']
+      );
+    });
+
+    it('should preview the merge without changing anything', async () => {
+      const response = await request(app)
+        .post(`/api/skills/${duplicate.id}/merge-into/${canonical.id}`)
+        .query({ dry_run: 'true' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.data.personnel_skills.moved).toBe(1);
+      expect(response.body.data.personnel_skills.merged).toEqual([
+        expect.objectContaining({ personnel_id: personnel.id, kept: 'source' }),
+      ]);
+      expect(response.body.data.project_required_skills.moved).toBe(1);
+      expect(response.body.data.project_phase_required_skills.merged).toEqual([
+        expect.objectContaining({ phase_id: phaseId, kept: 'source' }),
+      ]);
+      expect(response.body.data.project_template_required_skills.merged).toEqual([
+        expect.objectContaining({ template_id: templateId, kept: 'target' }),
+      ]);
+      expect(response.body.data.project_role_slot_required_skills.moved).toBe(1);
+
+      const [skills] = await pool.execute('SELECT id FROM skills WHERE id = ?', [
+        duplicate.id,
+      ]);
+      expect(skills.length).toBe(1);
+    });
+
+    it('should only let admins merge skills', async () => {
+      await request(app)
+        .post(`/api/skills/${duplicate.id}/merge-into/${canonical.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+    });
+
+    it('should re-point assignments, keep the higher level and alias the old name', async () => {
+      await request(app)
+        .post(`/api/skills/${duplicate.id}/merge-into/${canonical.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [assignments] = await pool.execute(
+        'SELECT personnel_id, proficiency_level FROM personnel_skills WHERE skill_id = ? ORDER BY personnel_id',
+        [canonical.id]
+      );
+      expect(assignments).toEqual([
+        { personnel_id: personnel.id, proficiency_level: 'Expert' },
+        { personnel_id: otherPersonnel.id, proficiency_level: 'Intermediate' },
+      ]);
+
+      const [required] = await pool.execute(
+        'SELECT skill_id FROM project_required_skills WHERE project_id = ?',
+        [project.id]
+      );
+      expect(required).toEqual([{ skill_id: canonical.id }]);
+
+      const [phaseRequired] = await pool.execute(
+        'SELECT skill_id, minimum_proficiency, importance_weight FROM project_phase_required_skills WHERE phase_id = ?',
+        [phaseId]
+      );
+      expect(phaseRequired).toEqual([
+        { skill_id: canonical.id, minimum_proficiency: 'Expert', importance_weight: 5 },
+      ]);
+
+      const [templateRequired] = await pool.execute(
+        'SELECT skill_id, minimum_proficiency, importance_weight FROM project_template_required_skills WHERE template_id = ?',
+        [templateId]
+      );
+      expect(templateRequired).toEqual([
+        { skill_id: canonical.id, minimum_proficiency: 'Advanced', importance_weight: 4 },
+      ]);
+
+      const [slotRequired] = await pool.execute(
+        'SELECT skill_id FROM project_role_slot_required_skills WHERE slot_id = ?',
+        [slotId]
+      );
+      expect(slotRequired).toEqual([{ skill_id: canonical.id }]);
+
+      const response = await request(app)
+        .get(`/api/skills/${canonical.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(response.body.data.aliases.map((alias) => alias.alias)).toContain(
+        duplicate.skill_name
+      );
+
+      await request(app)
+        .get(`/api/skills/${duplicate.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+
+    it('should not merge a skill into itself', async () => {
+      await request(app)
+        .post(`/api/skills/${canonical.id}/merge-into/${canonical.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+});
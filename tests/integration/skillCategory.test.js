@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { pool } = require('../../src/config/database');
+
+describe('Skill Categories API', () => {
+  let adminToken, managerToken;
+  let category;
+
+  beforeAll(async () => {
+    const admin = await createTestUser({
+      email: `categorytest-admin${Date.now()}@example.com`,
+      role: 'admin',
+      approval_status: 'approved',
+    });
+    adminToken = generateTestToken(admin);
+
+    const manager = await createTestUser({
+      email: `categorytest-manager${Date.now()}@example.com`,
+      role: 'manager',
+      approval_status: 'approved',
+    });
+    managerToken = generateTestToken(manager);
+  });
+
+  afterAll(async () => {
+    await cleanupTestData('skills', `skill_name LIKE 'CategoryTest%'`);
+    await cleanupTestData('skill_categories', `name LIKE 'CategoryTest%'`);
+    await cleanupTestData('users', `email LIKE 'categorytest%'`);
+  });
+
+  describe('POST /api/skill-categories', () => {
+    it('should create a category', async () => {
+      const response = await request(app)
+        .post('/api/skill-categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: `CategoryTest Cloud ${Date.now()}`,
+          description: 'Cloud platforms',
+          display_order: 10,
+        })
+        .expect(201);
+
+      category = response.body.data;
+      expect(category.display_order).toBe(10);
+      expect(category.skill_count).toBe(0);
+    });
+
+    it('should reject a duplicate name', async () => {
+      await request(app)
+        .post('/api/skill-categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: category.name })
+        .expect(409);
+    });
+
+    it('should only let admins manage categories', async () => {
+      await request(app)
+        .post('/api/skill-categories')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: `CategoryTest Denied ${Date.now()}` })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/skill-categories', () => {
+    it('should list categories in display order', async () => {
+      const response = await request(app)
+        .get('/api/skill-categories')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const orders = response.body.data.map((c) => c.display_order);
+      expect(orders).toEqual([...orders].sort((a, b) => a - b));
+      expect(response.body.data.map((c) => c.name)).toContain(category.name);
+    });
+  });
+
+  describe('Skills in a managed category', () => {
+    let skillId;
+
+    it('should accept the new category for skills', async () => {
+      const response = await request(app)
+        .post('/api/skills')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ skill_name: `CategoryTest Skill ${Date.now()}`, category: category.name })
+        .expect(201);
+
+      skillId = response.body.data.id;
+    });
+
+    it('should reject a category that does not exist', async () => {
+      await request(app)
+        .post('/api/skills')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ skill_name: `CategoryTest Invalid ${Date.now()}`, category: 'Nonexistent' })
+        .expect(400);
+    });
+
+    it('should carry a rename over to its skills', async () => {
+      const renamed = `${category.name} Renamed`;
+
+      await request(app)
+        .put(`/api/skill-categories/${category.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: renamed })
+        .expect(200);
+
+      const [skills] = await pool.execute('SELECT category FROM skills WHERE id = ?', [
+        skillId,
+      ]);
+      expect(skills[0].category).toBe(renamed);
+    });
+
+    it('should not delete a category that is still in use', async () => {
+      await request(app)
+        .delete(`/api/skill-categories/${category.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      await cleanupTestData('skills', `id = ${skillId}`);
+
+      await request(app)
+        .delete(`/api/skill-categories/${category.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  ALERT_TYPES,
+  findAllocationConflicts,
+} = require('../../src/utils/allocationAlerts');
+const { buildCapacityTimeline } = require('../../src/utils/capacity');
+
+describe('Allocation Alerts', () => {
+  const allocation = (id, overrides = {}) => ({
+    id,
+    personnel_id: 7,
+    project_id: id * 10,
+    project_name: `Project ${id}`,
+    allocation_percentage: 60,
+    start_date: '2025-03-03',
+    end_date: '2025-03-14',
+    allocation_status: 'confirmed',
+    paused_at: null,
+    project_start_date: '2025-01-01',
+    project_end_date: '2025-12-31',
+    ...overrides,
+  });
+
+  const detect = (allocations, availabilityPeriods = []) =>
+    findAllocationConflicts(
+      buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-16',
+        availabilityPeriods,
+        allocations,
+      }),
+      allocations,
+      'Jane Doe'
+    );
+
+  it('should report nothing for bookings that fit', () => {
+    expect(
+      detect([allocation(1), allocation(2, { allocation_percentage: 40 })])
+    ).toEqual([]);
+  });
+
+  it('should flag the working days a person is over 100%', () => {
+    const conflicts = detect([
+      allocation(1),
+      allocation(2, { start_date: '2025-03-10', end_date: '2025-03-12' }),
+    ]);
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({
+        alert_type: ALERT_TYPES.OVER_ALLOCATION,
+        conflict_key: 'over_allocation:personnel:7',
+        start_date: '2025-03-10',
+        end_date: '2025-03-12',
+        details: {
+          peak_allocation: 120,
+          over_allocated_days: 3,
+          allocation_ids: [1, 2],
+        },
+      }),
+    ]);
+  });
+
+  it('should not count tentative bookings as over-allocation', () => {
+    expect(
+      detect([allocation(1), allocation(2, { allocation_status: 'tentative' })])
+    ).toEqual([]);
+  });
+
+  it('should flag confirmed allocations during 0% availability', () => {
+    const conflicts = detect(
+      [allocation(1), allocation(2, { allocation_status: 'tentative' })],
+      [
+        {
+          start_date: '2025-03-07',
+          end_date: '2025-03-11',
+          availability_percentage: 0,
+        },
+      ]
+    );
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({
+        alert_type: ALERT_TYPES.UNAVAILABLE,
+        conflict_key: 'unavailable:allocation:1',
+        allocation_id: 1,
+        start_date: '2025-03-07',
+        end_date: '2025-03-11',
+        details: { unavailable_days: 3, allocation_percentage: 60 },
+      }),
+    ]);
+  });
+
+  it('should flag allocations running past the project dates', () => {
+    const conflicts = detect([
+      allocation(1, { project_end_date: '2025-03-10' }),
+    ]);
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({
+        alert_type: ALERT_TYPES.OUTSIDE_PROJECT_DATES,
+        conflict_key: 'outside_project_dates:allocation:1',
+        project_id: 10,
+        start_date: '2025-03-03',
+        end_date: '2025-03-14',
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  findFreeFrom,
+  pickTopSkills,
+  suggestProjects,
+} = require('../../src/utils/bench');
+const { buildCapacityTimeline } = require('../../src/utils/capacity');
+
+describe('Bench', () => {
+  describe('findFreeFrom', () => {
+    it('should return the first working day below the threshold', () => {
+      // 2025-03-07 is a Friday; the person is free from Monday the 10th
+      const timeline = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-16',
+        allocations: [
+          {
+            id: 1,
+            allocation_percentage: 80,
+            start_date: '2025-01-01',
+            end_date: '2025-03-07',
+          },
+        ],
+      });
+
+      expect(findFreeFrom(timeline, 50)).toEqual({
+        date: '2025-03-10',
+        allocated: 0,
+        remaining: 100,
+      });
+    });
+
+    it('should not count days off as bench time', () => {
+      const timeline = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-09',
+        availabilityPeriods: [
+          {
+            start_date: '2025-03-03',
+            end_date: '2025-03-09',
+            availability_percentage: 0,
+          },
+        ],
+      });
+
+      expect(findFreeFrom(timeline, 50)).toBeNull();
+    });
+  });
+
+  describe('pickTopSkills', () => {
+    it('should rank by proficiency, then verification, then experience', () => {
+      const skills = [
+        {
+          skill_id: 1,
+          proficiency_level: 'Intermediate',
+          years_of_experience: 9,
+        },
+        { skill_id: 2, proficiency_level: 'Expert', years_of_experience: 2 },
+        {
+          skill_id: 3,
+          proficiency_level: 'Expert',
+          years_of_experience: 1,
+          verified_at: '2025-01-01',
+        },
+      ];
+
+      expect(pickTopSkills(skills, 2).map((skill) => skill.skill_id)).toEqual([
+        3, 2,
+      ]);
+    });
+  });
+
+  describe('suggestProjects', () => {
+    const requirement = (projectId, skillId, minimum, weight, endDate) => ({
+      project_id: projectId,
+      project_name: `Project ${projectId}`,
+      status: 'Planning',
+      start_date: '2025-01-01',
+      end_date: endDate || '2025-12-31',
+      skill_id: skillId,
+      skill_name: `Skill ${skillId}`,
+      minimum_proficiency: minimum,
+      importance_weight: weight,
+    });
+
+    const personSkills = [
+      { skill_id: 1, proficiency_level: 'Advanced' },
+      { skill_id: 2, proficiency_level: 'Beginner' },
+    ];
+
+    it('should rank projects by the weight of the requirements the person meets', () => {
+      const suggestions = suggestProjects(
+        personSkills,
+        [
+          requirement(10, 1, 'Intermediate', 2),
+          requirement(20, 1, 'Advanced', 5),
+          requirement(20, 2, 'Advanced', 5),
+        ],
+        { freeFrom: '2025-03-10' }
+      );
+
+      expect(suggestions.map((project) => project.project_id)).toEqual([
+        20, 10,
+      ]);
+      expect(suggestions[0].fit_weight).toBe(5);
+      expect(suggestions[0].skills).toEqual([
+        expect.objectContaining({ skill_id: 1, proficiency_level: 'Advanced' }),
+      ]);
+    });
+
+    it('should skip finished, current and out-of-reach projects', () => {
+      const suggestions = suggestProjects(
+        personSkills,
+        [
+          requirement(10, 1, 'Advanced', 3, '2025-03-01'),
+          requirement(20, 1, 'Advanced', 3),
+          requirement(30, 1, 'Expert', 3),
+        ],
+        { freeFrom: '2025-03-10', excludeProjectIds: [20] }
+      );
+
+      expect(suggestions).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const {
+  addDays,
+  countDays,
+  isWorkingDay,
+  buildCapacityTimeline,
+  summarizeCapacity,
+  summarizeCapacityByMonth,
+} = require('../../src/utils/capacity');
+const { checkAllocationCapacity } = require('../../src/utils/allocationLocks');
+
+describe('Capacity', () => {
+  describe('date helpers', () => {
+    it('should step and count calendar days', () => {
+      expect(addDays('2025-02-27', 2)).toBe('2025-03-01');
+      expect(countDays('2025-03-01', '2025-03-31')).toBe(31);
+      expect(countDays('2025-03-02', '2025-03-01')).toBe(0);
+    });
+
+    it('should treat Saturday and Sunday as non-working days', () => {
+      expect(isWorkingDay('2025-03-07')).toBe(true); // Friday
+      expect(isWorkingDay('2025-03-08')).toBe(false); // Saturday
+      expect(isWorkingDay('2025-03-09')).toBe(false); // Sunday
+    });
+  });
+
+  describe('buildCapacityTimeline', () => {
+    it('should subtract allocations from availability day by day', () => {
+      const timeline = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-07',
+        availabilityPeriods: [
+          {
+            start_date: '2025-03-05',
+            end_date: '2025-03-07',
+            availability_percentage: 50,
+          },
+        ],
+        allocations: [
+          {
+            id: 1,
+            start_date: '2025-03-01',
+            end_date: '2025-03-04',
+            allocation_percentage: 60,
+          },
+        ],
+      });
+
+      expect(timeline.map((day) => day.remaining)).toEqual([40, 40, 50, 50, 50]);
+      expect(timeline[0].allocation_ids).toEqual([1]);
+    });
+
+    it('should use the lowest of overlapping availability periods', () => {
+      const [day] = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-03',
+        availabilityPeriods: [
+          { start_date: '2025-03-01', end_date: '2025-03-31', availability_percentage: 80 },
+          { start_date: '2025-03-03', end_date: '2025-03-03', availability_percentage: 0 },
+        ],
+      });
+
+      expect(day.availability).toBe(0);
+    });
+
+    it('should not count paused allocations', () => {
+      const [day] = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-03',
+        allocations: [
+          { id: 1, start_date: '2025-03-01', end_date: '2025-03-31', allocation_percentage: 50 },
+          {
+            id: 2,
+            start_date: '2025-03-01',
+            end_date: '2025-03-31',
+            allocation_percentage: 40,
+            paused_at: new Date('2025-02-28T09:00:00Z'),
+          },
+        ],
+      });
+
+      expect(day.allocated).toBe(50);
+      expect(day.allocation_ids).toEqual([1]);
+    });
+
+    it('should keep tentative bookings in their own layer and skip released ones', () => {
+      const [day] = buildCapacityTimeline({
+        from: '2025-03-03',
+        to: '2025-03-03',
+        allocations: [
+          { id: 1, start_date: '2025-03-01', end_date: '2025-03-31', allocation_percentage: 50, allocation_status: 'confirmed' },
+          { id: 2, start_date: '2025-03-01', end_date: '2025-03-31', allocation_percentage: 30, allocation_status: 'tentative' },
+          { id: 3, start_date: '2025-03-01', end_date: '2025-03-31', allocation_percentage: 20, allocation_status: 'proposed' },
+          { id: 4, start_date: '2025-03-01', end_date: '2025-03-31', allocation_percentage: 40, allocation_status: 'released' },
+        ],
+      });
+
+      expect(day).toMatchObject({
+        allocated: 50,
+        remaining: 50,
+        tentative: 50,
+        allocation_ids: [1],
+        tentative_allocation_ids: [2, 3],
+      });
+    });
+  });
+
+  describe('summarizeCapacity', () => {
+    it('should ignore weekends in averages', () => {
+      // Mon 3 - Sun 9 March, fully allocated only over the weekend
+      const summary = summarizeCapacity(
+        buildCapacityTimeline({
+          from: '2025-03-03',
+          to: '2025-03-09',
+          allocations: [
+            {
+              id: 1,
+              start_date: '2025-03-08',
+              end_date: '2025-03-09',
+              allocation_percentage: 100,
+            },
+          ],
+        })
+      );
+
+      expect(summary.total_days).toBe(7);
+      expect(summary.working_days).toBe(5);
+      expect(summary.average_allocated).toBe(0);
+      expect(summary.bookable_capacity).toBe(100);
+    });
+
+    it('should limit bookable capacity by the busiest day', () => {
+      const summary = summarizeCapacity(
+        buildCapacityTimeline({
+          from: '2025-03-03',
+          to: '2025-03-07',
+          allocations: [
+            {
+              id: 1,
+              start_date: '2025-03-03',
+              end_date: '2025-03-03',
+              allocation_percentage: 70,
+            },
+          ],
+        })
+      );
+
+      expect(summary.average_allocated).toBe(14);
+      expect(summary.peak_allocated).toBe(70);
+      expect(summary.bookable_capacity).toBe(30);
+    });
+  });
+
+  describe('summarizeCapacityByMonth', () => {
+    it('should weight each month by the days actually allocated', () => {
+      // One working day of March at 100% no longer counts as a full month
+      const months = summarizeCapacityByMonth(
+        buildCapacityTimeline({
+          from: '2025-03-01',
+          to: '2025-04-30',
+          allocations: [
+            {
+              id: 1,
+              start_date: '2025-03-31',
+              end_date: '2025-03-31',
+              allocation_percentage: 100,
+            },
+          ],
+        })
+      );
+
+      expect(months.map((month) => month.month)).toEqual(['2025-03', '2025-04']);
+      expect(months[0].utilization).toBe(5);
+      expect(months[0].peak_utilization).toBe(100);
+      expect(months[1].utilization).toBe(0);
+    });
+  });
+
+  describe('checkAllocationCapacity', () => {
+    const allocations = [
+      { id: 1, start_date: '2025-03-03', end_date: '2025-03-14', allocation_percentage: 60 },
+      { id: 2, start_date: '2025-03-17', end_date: '2025-03-28', allocation_percentage: 60 },
+    ];
+
+    it('should not add up allocations that never share a day', () => {
+      const result = checkAllocationCapacity(
+        allocations,
+        '2025-03-03',
+        '2025-03-28',
+        40
+      );
+
+      expect(result.exceedsCapacity).toBe(false);
+      expect(result.totalAllocation).toBe(100);
+    });
+
+    it('should only report allocations on over-booked days', () => {
+      const result = checkAllocationCapacity(
+        allocations,
+        '2025-03-10',
+        '2025-03-12',
+        50
+      );
+
+      expect(result.exceedsCapacity).toBe(true);
+      expect(result.totalAllocation).toBe(110);
+      expect(result.competingAllocations.map((a) => a.id)).toEqual([1]);
+    });
+
+    it('should not let tentative bookings block but report them as competing', () => {
+      const result = checkAllocationCapacity(
+        [
+          ...allocations,
+          { id: 3, start_date: '2025-03-10', end_date: '2025-03-21', allocation_percentage: 40, allocation_status: 'tentative' },
+        ],
+        '2025-03-03',
+        '2025-03-28',
+        40
+      );
+
+      expect(result.exceedsCapacity).toBe(false);
+      expect(result.totalWithTentative).toBe(140);
+      expect(result.competingTentativeAllocations.map((a) => a.id)).toEqual([3]);
+    });
+
+    it('should reject a booking that fits under 100% but not into reduced availability', () => {
+      const result = checkAllocationCapacity(
+        allocations,
+        '2025-03-03',
+        '2025-03-28',
+        40,
+        [{ start_date: '2025-03-17', end_date: '2025-03-21', availability_percentage: 80 }]
+      );
+
+      expect(result.exceedsCapacity).toBe(true);
+      expect(result.lowestAvailability).toBe(80);
+      expect(result.competingAllocations.map((a) => a.id)).toEqual([2]);
+    });
+
+    it('should reject a booking on days with no availability even without allocations', () => {
+      const result = checkAllocationCapacity(
+        [],
+        '2025-03-03',
+        '2025-03-07',
+        20,
+        [{ start_date: '2025-03-05', end_date: '2025-03-05', availability_percentage: 0 }]
+      );
+
+      expect(result.exceedsCapacity).toBe(true);
+      expect(result.competingAllocations).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { PassThrough } = require('stream');
+const { createExportWriter } = require('../../src/utils/exporters');
+const { parseCsv, readXlsx } = require('../../src/utils/spreadsheet');
+
+const columns = [
+  { key: 'name', header: 'Name' },
+  { key: 'allocation', header: 'Allocation %', type: 'number' },
+  { key: 'start_date', header: 'Start Date', type: 'date' },
+];
+
+const rows = [
+  { name: 'Doe, Jane', allocation: 50, start_date: new Date(2025, 0, 6) },
+  { name: '=SUM(A1)', allocation: null, start_date: null },
+];
+
+const exportToBuffer = async (format, options = {}) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+
+  const writer = createExportWriter(format, stream, {
+    title: 'Test Export',
+    columns,
+    ...options,
+  });
+
+  await writer.start();
+  for (const row of options.rows || rows) {
+    await writer.writeRow(row);
+  }
+  await writer.end();
+
+  return Buffer.concat(chunks);
+};
+
+describe('Export writers', () => {
+  it('should write CSV with escaping and a formula guard', async () => {
+    const csv = (await exportToBuffer('csv')).toString('utf8');
+
+    expect(parseCsv(csv)).toEqual([
+      ['Name', 'Allocation %', 'Start Date'],
+      ['Doe, Jane', '50', '2025-01-06'],
+      ["'=SUM(A1)", '', ''],
+    ]);
+  });
+
+  it('should write an XLSX workbook that can be read back', async () => {
+    const xlsx = await exportToBuffer('xlsx');
+
+    expect(readXlsx(xlsx)).toEqual([
+      ['Name', 'Allocation %', 'Start Date'],
+      ['Doe, Jane', '50', '2025-01-06'],
+      ['=SUM(A1)', '', ''],
+    ]);
+  });
+
+  it('should write a PDF with one page per screenful of rows', async () => {
+    const manyRows = Array.from({ length: 80 }, (_, index) => ({
+      name: `Person ${index} (café)`,
+      allocation: index,
+      start_date: '2025-01-06',
+    }));
+
+    const pdf = (await exportToBuffer('pdf', { rows: manyRows })).toString(
+      'latin1'
+    );
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('(Person 0 \\(café\\))');
+
+    // Every cross-reference entry points at the object it names
+    const xrefStart = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf
+      .slice(xrefStart)
+      .split('\n')
+      .slice(3)
+      .filter((line) => / n $/.test(line));
+    entries.forEach((entry, index) => {
+      const offset = Number(entry.slice(0, 10));
+      expect(pdf.slice(offset, offset + 12)).toMatch(
+        new RegExp(`^${index + 1} 0 obj`)
+      );
+    });
+  });
+});
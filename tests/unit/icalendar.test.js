@@ -0,0 +1,72 @@
+const {
+  escapeText,
+  foldLine,
+  buildCalendar,
+} = require('../../src/utils/icalendar');
+
+describe('iCalendar', () => {
+  describe('escapeText', () => {
+    it('should escape special characters and newlines', () => {
+      expect(escapeText('Lead; Backend, API\\Ops\nRemote')).toBe(
+        'Lead\\; Backend\\, API\\\\Ops\\nRemote'
+      );
+      expect(escapeText(null)).toBe('');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}`;
+      const folded = foldLine(line).split('\r\n');
+
+      expect(folded.length).toBeGreaterThan(1);
+      folded.forEach((part) => {
+        expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      });
+      expect(folded.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+      expect(
+        folded.map((part, index) => (index ? part.slice(1) : part)).join('')
+      ).toBe(line);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should write all-day events with an exclusive end date', () => {
+      const calendar = buildCalendar({
+        name: 'Jane Doe - Allocations',
+        events: [
+          {
+            uid: 'allocation-7',
+            start: '2025-03-01',
+            end: '2025-03-31',
+            summary: 'Apollo (60%)',
+            description: 'Role: Lead\nAllocation: 60%',
+            categories: 'Allocation',
+            transparent: true,
+            updatedAt: new Date('2025-02-20T10:15:30.000Z'),
+          },
+        ],
+      });
+
+      const lines = calendar.split('\r\n');
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines).toEqual(
+        expect.arrayContaining([
+          'BEGIN:VCALENDAR',
+          'X-WR-CALNAME:Jane Doe - Allocations',
+          'UID:allocation-7@skills-management',
+          'DTSTAMP:20250220T101530Z',
+          'DTSTART;VALUE=DATE:20250301',
+          'DTEND;VALUE=DATE:20250401',
+          'SUMMARY:Apollo (60%)',
+          'DESCRIPTION:Role: Lead\\nAllocation: 60%',
+          'TRANSP:TRANSPARENT',
+        ])
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTransport, sendEmail } = require('../../src/utils/mailer');
+
+describe('Mailer', () => {
+  const originalTransport = process.env.EMAIL_TRANSPORT;
+  const originalOutbox = process.env.EMAIL_OUTBOX_FILE;
+  const originalNodeEnv = process.env.NODE_ENV;
+  let outboxFile;
+
+  beforeEach(() => {
+    outboxFile = path.join(os.tmpdir(), `mailer-test-${Date.now()}.log`);
+    process.env.EMAIL_OUTBOX_FILE = outboxFile;
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(outboxFile)) fs.unlinkSync(outboxFile);
+    process.env.EMAIL_TRANSPORT = originalTransport;
+    process.env.EMAIL_OUTBOX_FILE = originalOutbox;
+    process.env.NODE_ENV = originalNodeEnv;
+    if (originalTransport === undefined) delete process.env.EMAIL_TRANSPORT;
+    if (originalOutbox === undefined) delete process.env.EMAIL_OUTBOX_FILE;
+  });
+
+  it('should append messages to the outbox file with the file transport', async () => {
+    process.env.EMAIL_TRANSPORT = 'file';
+
+    await sendEmail({ to: 'a@example.com', subject: 'One', text: 'first' });
+    await sendEmail({ to: 'b@example.com', subject: 'Two', text: 'second' });
+
+    const messages = fs
+      .readFileSync(outboxFile, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+    expect(messages.map((message) => message.to)).toEqual([
+      'a@example.com',
+      'b@example.com',
+    ]);
+    expect(messages[1].text).toBe('second');
+  });
+
+  it('should use a registered transport', async () => {
+    const sent = [];
+    registerTransport('memory', async (message) => sent.push(message));
+    process.env.EMAIL_TRANSPORT = 'memory';
+
+    await sendEmail({ to: 'c@example.com', subject: 'Hi', text: 'hello' });
+
+    expect(sent.length).toBe(1);
+    expect(sent[0].subject).toBe('Hi');
+  });
+
+  it('should reject unknown transports', async () => {
+    process.env.EMAIL_TRANSPORT = 'carrier-pigeon';
+
+    await expect(
+      sendEmail({ to: 'd@example.com', subject: 'Hi', text: 'hello' })
+    ).rejects.toThrow('Unknown email transport');
+  });
+
+  it('should refuse to send without a transport outside development and test', async () => {
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    await expect(
+      sendEmail({ to: 'e@example.com', subject: 'Hi', text: 'hello' })
+    ).rejects.toThrow('No email transport configured');
+  });
+
+  it('should allow a local transport in production when selected explicitly', async () => {
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.NODE_ENV = 'production';
+
+    await sendEmail({ to: 'f@example.com', subject: 'Hi', text: 'hello' });
+
+    expect(fs.existsSync(outboxFile)).toBe(true);
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  getProficiencyCredit,
+  getExperienceCredit,
+  scorePersonnelMatch,
+} = require('../../src/utils/matchScoring');
+
+describe('Match Scoring', () => {
+  const requiredSkills = [
+    {
+      skill_id: 1,
+      skill_name: 'JavaScript',
+      minimum_proficiency: 'Advanced',
+      importance_weight: 5,
+    },
+    {
+      skill_id: 2,
+      skill_name: 'Docker',
+      minimum_proficiency: 'Intermediate',
+      importance_weight: 1,
+    },
+  ];
+
+  describe('getProficiencyCredit', () => {
+    it('should give full credit when the requirement is met or exceeded', () => {
+      expect(getProficiencyCredit('Advanced', 'Advanced')).toBe(1);
+      expect(getProficiencyCredit('Advanced', 'Expert')).toBe(1);
+    });
+
+    it('should give partial credit for each level short', () => {
+      expect(getProficiencyCredit('Advanced', 'Intermediate')).toBeCloseTo(2 / 3);
+      expect(getProficiencyCredit('Advanced', 'Beginner')).toBeCloseTo(1 / 3);
+      expect(getProficiencyCredit('Expert', 'Beginner')).toBe(0);
+    });
+
+    it('should give no credit for unknown levels', () => {
+      expect(getProficiencyCredit('Advanced', undefined)).toBe(0);
+    });
+  });
+
+  describe('getExperienceCredit', () => {
+    it('should cap credit at the target years for the level', () => {
+      expect(getExperienceCredit('Intermediate', 10)).toBe(1);
+      expect(getExperienceCredit('Advanced', 2)).toBe(0.5);
+      expect(getExperienceCredit('Advanced', '0.0')).toBe(0);
+    });
+  });
+
+  describe('scorePersonnelMatch', () => {
+    it('should score 100 for a perfect, fully available match', () => {
+      const result = scorePersonnelMatch(
+        requiredSkills,
+        {
+          1: { proficiency_level: 'Expert', years_of_experience: '8.0' },
+          2: { proficiency_level: 'Advanced', years_of_experience: '3.0' },
+        },
+        100
+      );
+
+      expect(result.matchScore).toBe(100);
+      expect(result.matchingSkills.length).toBe(2);
+      expect(result.matchingSkills[0].verified).toBe(false);
+      expect(result.missingSkills.length).toBe(0);
+    });
+
+    it('should not score zero when every skill is one level short', () => {
+      const result = scorePersonnelMatch(
+        requiredSkills,
+        {
+          1: { proficiency_level: 'Intermediate', years_of_experience: '2.0' },
+          2: { proficiency_level: 'Beginner', years_of_experience: '1.0' },
+        },
+        100
+      );
+
+      expect(result.matchScore).toBeGreaterThan(0);
+      expect(result.matchingSkills.length).toBe(0);
+      expect(result.scoreBreakdown.skills.score).toBe(67);
+      expect(result.hasAnyRequiredSkill).toBe(true);
+    });
+
+    it('should weight skills by importance', () => {
+      const hasImportantSkill = scorePersonnelMatch(
+        requiredSkills,
+        { 1: { proficiency_level: 'Advanced', years_of_experience: '4.0' } },
+        100
+      );
+      const hasMinorSkill = scorePersonnelMatch(
+        requiredSkills,
+        { 2: { proficiency_level: 'Advanced', years_of_experience: '4.0' } },
+        100
+      );
+
+      expect(hasImportantSkill.matchScore).toBeGreaterThan(
+        hasMinorSkill.matchScore
+      );
+      expect(hasImportantSkill.scoreBreakdown.skills.score).toBe(83);
+    });
+
+    it('should factor availability into the score', () => {
+      const skills = {
+        1: { proficiency_level: 'Advanced', years_of_experience: '4.0' },
+        2: { proficiency_level: 'Intermediate', years_of_experience: '2.0' },
+      };
+
+      const result = scorePersonnelMatch(requiredSkills, skills, 50);
+
+      expect(result.scoreBreakdown.availability.score).toBe(50);
+      expect(result.scoreBreakdown.availability.points).toBe(10);
+      expect(result.matchScore).toBe(90);
+    });
+
+    it('should report when the person holds none of the required skills', () => {
+      const result = scorePersonnelMatch(requiredSkills, {}, 100);
+
+      expect(result.hasAnyRequiredSkill).toBe(false);
+      expect(result.missingSkills.every((skill) => skill.actual === null)).toBe(
+        true
+      );
+    });
+
+    it('should give partial credit for the best related skill', () => {
+      const result = scorePersonnelMatch(
+        requiredSkills,
+        {
+          3: {
+            skill_id: 3,
+            skill_name: 'ECMAScript Basics',
+            proficiency_level: 'Advanced',
+            years_of_experience: '4.0',
+          },
+          4: {
+            skill_id: 4,
+            skill_name: 'TypeScript',
+            proficiency_level: 'Advanced',
+            years_of_experience: '4.0',
+          },
+        },
+        100,
+        {
+          1: [
+            { skill_id: 3, relation: 'related' },
+            { skill_id: 4, relation: 'parent' },
+          ],
+        }
+      );
+
+      const javascript = result.missingSkills.find((skill) => skill.skillId === 1);
+      expect(javascript.actual).toBeNull();
+      expect(javascript.matchedVia).toEqual({
+        skillId: 4,
+        skillName: 'TypeScript',
+        relation: 'parent',
+        actual: 'Advanced',
+      });
+      expect(javascript.proficiencyCredit).toBe(60);
+      expect(javascript.meets).toBe(false);
+      expect(result.hasAnyRequiredSkill).toBe(true);
+    });
+  });
+});
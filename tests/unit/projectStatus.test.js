@@ -0,0 +1,48 @@
+const {
+  PROJECT_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+} = require('../../src/utils/projectStatus');
+
+describe('Project status lifecycle', () => {
+  it('should allow the planned path through the lifecycle', () => {
+    expect(
+      canTransition(PROJECT_STATUSES.PLANNING, PROJECT_STATUSES.ACTIVE)
+    ).toBe(true);
+    expect(
+      canTransition(PROJECT_STATUSES.ACTIVE, PROJECT_STATUSES.ON_HOLD)
+    ).toBe(true);
+    expect(
+      canTransition(PROJECT_STATUSES.ON_HOLD, PROJECT_STATUSES.ACTIVE)
+    ).toBe(true);
+    expect(
+      canTransition(PROJECT_STATUSES.ACTIVE, PROJECT_STATUSES.COMPLETED)
+    ).toBe(true);
+  });
+
+  it('should reject skipping straight to Completed or going back to Planning', () => {
+    expect(
+      canTransition(PROJECT_STATUSES.PLANNING, PROJECT_STATUSES.COMPLETED)
+    ).toBe(false);
+    expect(
+      canTransition(PROJECT_STATUSES.ACTIVE, PROJECT_STATUSES.PLANNING)
+    ).toBe(false);
+  });
+
+  it('should treat Completed as final', () => {
+    expect(getAllowedTransitions(PROJECT_STATUSES.COMPLETED)).toEqual([]);
+    Object.values(PROJECT_STATUSES).forEach((status) => {
+      expect(canTransition(PROJECT_STATUSES.COMPLETED, status)).toBe(false);
+    });
+  });
+
+  it('should not treat staying in the same status as a transition', () => {
+    Object.values(PROJECT_STATUSES).forEach((status) => {
+      expect(canTransition(status, status)).toBe(false);
+    });
+  });
+
+  it('should return no transitions for unknown statuses', () => {
+    expect(getAllowedTransitions('Cancelled')).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  getLevelChange,
+  summarizeSkillGrowth,
+  summarizeSkillGrowthByMonth,
+} = require('../../src/utils/skillHistory');
+
+const entry = (overrides) => ({
+  personnel_id: 1,
+  name: 'Alice',
+  role_title: 'Developer',
+  experience_level: 'Mid-Level',
+  skill_id: 10,
+  skill_name: 'React',
+  change_type: 'updated',
+  previous_proficiency_level: null,
+  proficiency_level: null,
+  changed_at: new Date('2025-01-15T10:00:00'),
+  ...overrides,
+});
+
+describe('Skill history', () => {
+  describe('getLevelChange', () => {
+    it('should count level steps for updates only', () => {
+      expect(
+        getLevelChange(
+          entry({
+            previous_proficiency_level: 'Beginner',
+            proficiency_level: 'Advanced',
+          })
+        )
+      ).toBe(2);
+      expect(
+        getLevelChange(
+          entry({
+            previous_proficiency_level: 'Expert',
+            proficiency_level: 'Intermediate',
+          })
+        )
+      ).toBe(-2);
+      expect(
+        getLevelChange(
+          entry({ change_type: 'added', proficiency_level: 'Expert' })
+        )
+      ).toBe(0);
+    });
+  });
+
+  describe('summarizeSkillGrowth', () => {
+    const rows = [
+      entry({ change_type: 'added', proficiency_level: 'Beginner' }),
+      entry({
+        previous_proficiency_level: 'Beginner',
+        proficiency_level: 'Intermediate',
+        changed_at: new Date('2025-02-03T10:00:00'),
+      }),
+      entry({
+        previous_proficiency_level: 'Intermediate',
+        proficiency_level: 'Advanced',
+        changed_at: new Date('2025-03-10T10:00:00'),
+      }),
+      entry({
+        personnel_id: 2,
+        name: 'Bob',
+        skill_id: 11,
+        skill_name: 'Docker',
+        change_type: 'removed',
+        previous_proficiency_level: 'Beginner',
+        changed_at: new Date('2025-02-20T10:00:00'),
+      }),
+    ];
+
+    it('should summarize each person, most improved first', () => {
+      const [alice, bob] = summarizeSkillGrowth(rows);
+
+      expect(alice.name).toBe('Alice');
+      expect(alice.skills_added).toBe(1);
+      expect(alice.level_ups).toBe(2);
+      expect(alice.levels_gained).toBe(2);
+      expect(alice.improved_skills).toEqual([
+        { skill_id: 10, skill_name: 'React', from: null, to: 'Advanced' },
+      ]);
+      expect(alice.by_month.map((month) => month.month)).toEqual([
+        '2025-01',
+        '2025-02',
+        '2025-03',
+      ]);
+
+      expect(bob.skills_removed).toBe(1);
+      expect(bob.improved_skills).toEqual([]);
+    });
+
+    it('should total the team per month', () => {
+      const months = summarizeSkillGrowthByMonth(rows);
+
+      expect(months).toEqual([
+        {
+          month: '2025-01',
+          skills_added: 1,
+          skills_removed: 0,
+          level_ups: 0,
+          level_downs: 0,
+          levels_gained: 0,
+          people_leveled_up: 0,
+        },
+        {
+          month: '2025-02',
+          skills_added: 0,
+          skills_removed: 1,
+          level_ups: 1,
+          level_downs: 0,
+          levels_gained: 1,
+          people_leveled_up: 1,
+        },
+        {
+          month: '2025-03',
+          skills_added: 0,
+          skills_removed: 0,
+          level_ups: 1,
+          level_downs: 0,
+          levels_gained: 1,
+          people_leveled_up: 1,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { buildSkillTree } = require('../../src/utils/skillTaxonomy');
+
+describe('Skill taxonomy', () => {
+  describe('buildSkillTree', () => {
+    it('should nest skills under their parents', () => {
+      const tree = buildSkillTree([
+        { id: 1, skill_name: 'JavaScript', parent_id: null },
+        { id: 2, skill_name: 'React', parent_id: 1 },
+        { id: 3, skill_name: 'Next.js', parent_id: 2 },
+        { id: 4, skill_name: 'Python', parent_id: null },
+      ]);
+
+      expect(tree.map((skill) => skill.skill_name)).toEqual([
+        'JavaScript',
+        'Python',
+      ]);
+      expect(tree[0].children[0].skill_name).toBe('React');
+      expect(tree[0].children[0].children[0].skill_name).toBe('Next.js');
+      expect(tree[1].children).toEqual([]);
+    });
+
+    it('should keep skills whose parent is not in the list as roots', () => {
+      const tree = buildSkillTree([
+        { id: 2, skill_name: 'React', parent_id: 1 },
+      ]);
+
+      expect(tree.map((skill) => skill.id)).toEqual([2]);
+    });
+  });
+});
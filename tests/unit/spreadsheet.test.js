@@ -0,0 +1,206 @@
+const zlib = require('zlib');
+const {
+  getSpreadsheetType,
+  parseCsv,
+  readXlsx,
+  readSpreadsheet,
+} = require('../../src/utils/spreadsheet');
+
+// Builds a zip archive, stored unless `deflate` is set; CRCs are left at zero
+// since the reader does not check them. `declaredSize` overrides the
+// uncompressed size written to the central directory, `declaredSizes` does
+// so per entry.
+const buildZip = (
+  files,
+  { deflate = false, declaredSize, declaredSizes = {} } = {}
+) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const size = declaredSizes[name] ?? declaredSize ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const workbookFiles = {
+  'xl/workbook.xml':
+    '<workbook><sheets><sheet name="People" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels':
+    '<Relationships><Relationship Id="rId1" Target="worksheets/people.xml"/></Relationships>',
+  'xl/sharedStrings.xml':
+    '<sst><si><t>Name</t></si><si><t>Email</t></si><si><r><t>Ada </t></r><r><t>Lovelace</t></r></si></sst>',
+  'xl/worksheets/people.xml': `<worksheet><sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Years</t></is></c></row>
+    <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="inlineStr"><is><t>ada&amp;co@example.com</t></is></c><c r="C2"><v>4</v></c></row>
+    <row r="3"><c r="A3" t="inlineStr"><is><t>Grace</t></is></c><c r="C3"><v>7</v></c></row>
+  </sheetData></worksheet>`,
+};
+
+describe('Spreadsheet parsing', () => {
+  describe('getSpreadsheetType', () => {
+    it('should recognise csv and xlsx files by extension', () => {
+      expect(getSpreadsheetType('people.csv')).toBe('csv');
+      expect(getSpreadsheetType('People.XLSX')).toBe('xlsx');
+      expect(getSpreadsheetType('people.xls')).toBeNull();
+      expect(getSpreadsheetType()).toBeNull();
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted fields, escaped quotes and CRLF line endings', () => {
+      const rows = parseCsv(
+        '\uFEFFname,bio\r\n"Doe, Jane","Says ""hi""\nand leaves"\r\nJohn,\r\n'
+      );
+
+      expect(rows).toEqual([
+        ['name', 'bio'],
+        ['Doe, Jane', 'Says "hi"\nand leaves'],
+        ['John', ''],
+      ]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('name\n"Jane')).toThrow(
+        'Unterminated quoted field'
+      );
+    });
+  });
+
+  describe('readXlsx', () => {
+    it('should read shared, rich and inline strings from the first sheet', () => {
+      const rows = readXlsx(buildZip(workbookFiles));
+
+      expect(rows).toEqual([
+        ['Name', 'Email', 'Years'],
+        ['Ada Lovelace', 'ada&co@example.com', '4'],
+        ['Grace', '', '7'],
+      ]);
+    });
+
+    it('should reject a file that is not a zip archive', () => {
+      expect(() => readXlsx(Buffer.from('name,email'))).toThrow(
+        'Not a valid XLSX file'
+      );
+    });
+
+    it('should read deflated entries', () => {
+      const rows = readXlsx(buildZip(workbookFiles, { deflate: true }));
+
+      expect(rows[1]).toEqual(['Ada Lovelace', 'ada&co@example.com', '4']);
+    });
+
+    it('should reject entries that declare an oversized uncompressed size', () => {
+      const archive = buildZip(workbookFiles, {
+        deflate: true,
+        declaredSize: 64 * 1024 * 1024,
+      });
+
+      expect(() => readXlsx(archive)).toThrow('MB when uncompressed');
+    });
+
+    it('should only extract the parts it reads', () => {
+      const archive = buildZip(
+        { ...workbookFiles, 'xl/media/image1.png': 'png' },
+        {
+          deflate: true,
+          declaredSizes: { 'xl/media/image1.png': 64 * 1024 * 1024 },
+        }
+      );
+
+      expect(readXlsx(archive)[0]).toEqual(['Name', 'Email', 'Years']);
+    });
+
+    it('should cap the total uncompressed size of the parts it reads', () => {
+      const archive = buildZip(workbookFiles, {
+        declaredSize: 30 * 1024 * 1024,
+      });
+
+      expect(() => readXlsx(archive)).toThrow(
+        'The workbook is larger than 64 MB when uncompressed'
+      );
+    });
+
+    it('should reject archives with too many entries', () => {
+      const files = { ...workbookFiles };
+      for (let i = 0; i < 1001; i++) files[`xl/extra/${i}.xml`] = '';
+
+      expect(() => readXlsx(buildZip(files))).toThrow('more than 1000 parts');
+    });
+
+    it('should not inflate entries past their declared size', () => {
+      const archive = buildZip(
+        { ...workbookFiles, 'xl/worksheets/people.xml': '0'.repeat(100000) },
+        { deflate: true, declaredSize: 1000 }
+      );
+
+      expect(() => readXlsx(archive)).toThrow('larger than it claims to be');
+    });
+  });
+
+  describe('readSpreadsheet', () => {
+    it('should normalise headers, skip blank rows and keep row numbers', () => {
+      const { headers, records } = readSpreadsheet({
+        originalname: 'people.csv',
+        buffer: Buffer.from('Name,Role Title\nJane, Engineer \n,\nJohn,QA\n'),
+      });
+
+      expect(headers).toEqual(['name', 'role_title']);
+      expect(records).toEqual([
+        { row: 2, values: { name: 'Jane', role_title: 'Engineer' } },
+        { row: 4, values: { name: 'John', role_title: 'QA' } },
+      ]);
+    });
+
+    it('should read xlsx uploads', () => {
+      const { headers, records } = readSpreadsheet({
+        originalname: 'people.xlsx',
+        buffer: buildZip(workbookFiles),
+      });
+
+      expect(headers).toEqual(['name', 'email', 'years']);
+      expect(records[1]).toEqual({
+        row: 3,
+        values: { name: 'Grace', email: '', years: '7' },
+      });
+    });
+
+    it('should reject unsupported file types', () => {
+      expect(() =>
+        readSpreadsheet({ originalname: 'people.txt', buffer: Buffer.from('') })
+      ).toThrow('Only .csv and .xlsx files are supported');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { buildTeamProposals } = require('../../src/utils/teamComposition');
+
+describe('Team Composition', () => {
+  const requiredSkills = [
+    { skill_id: 1, skill_name: 'React', minimum_proficiency: 'Advanced' },
+    { skill_id: 2, skill_name: 'Node.js', minimum_proficiency: 'Advanced' },
+    { skill_id: 3, skill_name: 'AWS', minimum_proficiency: 'Intermediate' },
+  ];
+
+  const candidate = (id, experience_level, covers, remaining_capacity = 100) => ({
+    personnel_id: id,
+    name: `Person ${id}`,
+    role_title: 'Engineer',
+    experience_level,
+    covers,
+    remaining_capacity,
+  });
+
+  it('should pick the smallest team that covers every skill', () => {
+    const candidates = [
+      candidate(1, 'Junior', [1]),
+      candidate(2, 'Junior', [2]),
+      candidate(3, 'Junior', [3]),
+      candidate(4, 'Senior', [1, 2, 3]),
+    ];
+
+    const [best] = buildTeamProposals(requiredSkills, candidates);
+
+    expect(best.rank).toBe(1);
+    expect(best.complete).toBe(true);
+    expect(best.teamSize).toBe(1);
+    expect(best.members[0].personnelId).toBe(4);
+  });
+
+  it('should prefer cheaper people with the cheapest strategy', () => {
+    const candidates = [
+      candidate(1, 'Junior', [1, 2]),
+      candidate(2, 'Junior', [3]),
+      candidate(4, 'Senior', [1, 2, 3]),
+    ];
+
+    const [best] = buildTeamProposals(requiredSkills, candidates, {
+      strategy: 'cheapest',
+    });
+
+    expect(best.complete).toBe(true);
+    expect(best.members.map((m) => m.personnelId).sort()).toEqual([1, 2]);
+    expect(best.totalCost).toBe(2);
+  });
+
+  it('should skip people without enough remaining capacity', () => {
+    const candidates = [
+      candidate(4, 'Senior', [1, 2, 3], 20),
+      candidate(1, 'Mid-Level', [1, 2, 3], 60),
+    ];
+
+    const [best] = buildTeamProposals(requiredSkills, candidates, {
+      allocationPercentage: 50,
+    });
+
+    expect(best.members.map((m) => m.personnelId)).toEqual([1]);
+  });
+
+  it('should return alternatives without the primary members', () => {
+    const candidates = [
+      candidate(1, 'Senior', [1, 2, 3]),
+      candidate(2, 'Mid-Level', [1, 2]),
+      candidate(3, 'Mid-Level', [3]),
+    ];
+
+    const proposals = buildTeamProposals(requiredSkills, candidates);
+
+    expect(proposals.length).toBe(2);
+    expect(proposals[1].rank).toBe(2);
+    expect(proposals[1].members.map((m) => m.personnelId).sort()).toEqual([
+      2, 3,
+    ]);
+  });
+
+  it('should report skills nobody can cover', () => {
+    const proposals = buildTeamProposals(requiredSkills, [
+      candidate(1, 'Senior', [1]),
+    ]);
+
+    expect(proposals[0].complete).toBe(false);
+    expect(proposals[0].uncoveredSkills.map((s) => s.skillId)).toEqual([2, 3]);
+  });
+
+  it('should not re-cover skills the current team already has', () => {
+    const [best] = buildTeamProposals(
+      requiredSkills,
+      [candidate(1, 'Junior', [3]), candidate(2, 'Senior', [1, 2, 3])],
+      { preCoveredSkillIds: [1, 2] }
+    );
+
+    expect(best.complete).toBe(true);
+    expect(best.members.map((m) => m.personnelId)).toEqual([1]);
+  });
+});